@@ -54,3 +54,38 @@ LOGS
 function getLogsSpreadsheet_(){
   return getSpreadsheetByName_('ETI_App_v1.3_Logs');
 }
+
+
+/*
+-----------------------------------
+SHEET RESOLVER (SCRIPT-OWNED TABLES)
+-----------------------------------
+Returns the named sheet, creating it with the schema header if missing.
+Existing sheets keep their column order; absent schema columns are appended.
+*/
+
+function getOrCreateSheet_(ss, sheetName, schema){
+
+  let sh = ss.getSheetByName(sheetName);
+
+  if (!sh) {
+    sh = ss.insertSheet(sheetName);
+    sh.getRange(1, 1, 1, schema.length).setValues([schema]);
+    sh.setFrozenRows(1);
+    return sh;
+  }
+
+  const lastCol = sh.getLastColumn();
+  const header = lastCol > 0
+    ? sh.getRange(1, 1, 1, lastCol).getValues()[0]
+    : [];
+
+  const missing = schema.filter(c => header.indexOf(c) === -1);
+
+  if (missing.length > 0) {
+    sh.getRange(1, header.length + 1, 1, missing.length)
+      .setValues([missing]);
+  }
+
+  return sh;
+}
@@ -0,0 +1,602 @@
+// TRANSACTION DUPLICATES: DETECT
+
+/**
+ * Script Name: detectDuplicateTransactions_TransactionRaw
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Detect the same purchase logged more than once in Transaction_Raw
+ *   (e.g. AppSheet sync retry, double tap on save)
+ * - Flag suspected duplicates in Duplicate_Review for admin decision
+ * - Never mutate Transaction_Raw (detection is read-only)
+ *
+ * Fingerprint (all must match):
+ *
+ *   Trx_Date_Entered    → calendar day (yyyy-MM-dd, script time zone)
+ *   Item_Name_Entered   → lower-cased, trimmed, whitespace-collapsed
+ *   Qty_Value_Entered   → numeric
+ *   Qty_Unit_Entered    → lower-cased, trimmed
+ *   Price_Entered       → numeric
+ *
+ * Optional Time Window (Automation_Control):
+ *
+ *   Duplicate_Window_Minutes blank / 0 → any fingerprint match is flagged
+ *   Duplicate_Window_Minutes > 0       → flagged only when Created_At of both
+ *                                        rows is within the window
+ *                                        (rows without Created_At are flagged)
+ *
+ * Automation_Control Switches:
+ * - Enable_Duplicate_Detection = TRUE required (otherwise EXIT)
+ * - Duplicate_Window_Minutes (optional, numeric)
+ *
+ * Preconditions:
+ * - Sheet must exist: Transaction_Raw
+ * - Required columns:
+ *   - Trx_Date_Entered
+ *   - Item_Name_Entered
+ *   - Qty_Value_Entered
+ *   - Qty_Unit_Entered
+ *   - Price_Entered
+ *   - Txn_ID_Machine
+ * - Optional column: Created_At
+ * - Duplicate_Review is created on first use if missing
+ *
+ * Algorithm (Step-by-Step):
+ * 1. Read Automation_Control switches; exit if detection disabled
+ * 2. Load Duplicate_Review and build Set of already-flagged pairs
+ *    (Txn_ID_Machine_Original || Txn_ID_Machine_Duplicate), any status
+ * 3. Load Transaction_Raw; consider only COMPLETE rows with Txn_ID_Machine
+ * 4. Group rows by fingerprint (first occurrence = original)
+ * 5. For each later row in a group:
+ *    a. Outside the optional time window → row becomes the fingerprint's
+ *       original for later rows; not flagged
+ *    b. Skip if the pair is already flagged
+ *    c. Build Duplicate_Review row (Admin_Action = Review)
+ * 6. Batch append review rows
+ * 7. Emit execution summary
+ *
+ * Failure Modes:
+ * - Transaction_Raw sheet missing
+ * - Required column missing
+ *
+ * Reason for Deprecation:
+ * - N/A
+ */
+
+const DUPLICATE_REVIEW_SHEET = 'Duplicate_Review';
+
+const DUPLICATE_REVIEW_SCHEMA = [
+  'Review_ID',
+  'Fingerprint',
+  'Txn_ID_Machine_Original',
+  'Txn_ID_Machine_Duplicate',
+  'Row_Number_Original',
+  'Row_Number_Duplicate',
+  'Trx_Date_Entered',
+  'Item_Name_Entered',
+  'Qty_Value_Entered',
+  'Qty_Unit_Entered',
+  'Price_Entered',
+  'Created_At_Gap_Minutes',
+  'Admin_Action',
+  'Review_Status',
+  'Detected_At',
+  'Resolved_At',
+  'Execution_ID',
+  'Notes'
+];
+
+/*
+-------------------------------------
+Helper — Duplicate Detection Switch
+-------------------------------------
+*/
+function isDuplicateDetectionEnabled_(){
+  const switches = getAutomationSwitchMap_();
+  return switches["Enable_Duplicate_Detection"] === true;
+}
+
+/*
+-------------------------------------
+Helper — Transaction Fingerprint
+-------------------------------------
+*/
+function buildTxnFingerprint_(trxDate, itemName, qtyValue, qtyUnit, price){
+
+  const norm = v => String(v === null || v === undefined ? '' : v)
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+
+  const day = trxDate instanceof Date
+    ? Utilities.formatDate(trxDate, Session.getScriptTimeZone(), 'yyyy-MM-dd')
+    : norm(trxDate);
+
+  return [
+    day,
+    norm(itemName),
+    Number(qtyValue),
+    norm(qtyUnit),
+    Number(price)
+  ].join('|');
+}
+
+function detectDuplicateTransactions_TransactionRaw() {
+
+  const SCRIPT_NAME   = 'Transactions';
+  const FUNCTION_NAME = 'detectDuplicateTransactions_TransactionRaw';
+  const SRC_SHEET     = 'Transaction_Raw';
+  const TGT_SHEET     = DUPLICATE_REVIEW_SHEET;
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+    /* =========================
+       EXIT — SWITCH DISABLED
+    ========================= */
+    if (!isDuplicateDetectionEnabled_()) {
+      ETI_logExit_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'Enable_Duplicate_Detection is not TRUE');
+      return;
+    }
+
+    const windowMinutes =
+      Number(getAutomationSwitchMap_()["Duplicate_Window_Minutes"]) || 0;
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const rawSh = ss.getSheetByName(SRC_SHEET);
+    if (!rawSh) throw new Error(`Sheet ${SRC_SHEET} not found`);
+
+    const revSh = getOrCreateSheet_(ss, TGT_SHEET, DUPLICATE_REVIEW_SCHEMA);
+
+    /* =========================
+       STEP — LOAD_REVIEW
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_REVIEW');
+
+    const revData = revSh.getDataRange().getValues();
+    const revHdr  = revData[0];
+    const revCol  = n => revHdr.indexOf(n);
+
+    const IDX_REV = {
+      origId: revCol('Txn_ID_Machine_Original'),
+      dupId: revCol('Txn_ID_Machine_Duplicate')
+    };
+
+    const flaggedPairs = new Set();
+
+    for (let i = 1; i < revData.length; i++) {
+      const o = revData[i][IDX_REV.origId];
+      const d = revData[i][IDX_REV.dupId];
+      if (o && d) flaggedPairs.add(`${o}||${d}`);
+    }
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_REVIEW');
+
+    /* =========================
+       STEP — LOAD_TXN
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_TXN');
+
+    const rawData = rawSh.getDataRange().getValues();
+    const rawHdr  = rawData[0];
+    const rawCol  = n => rawHdr.indexOf(n);
+
+    const IDX = {
+      trxDate: rawCol('Trx_Date_Entered'),
+      item: rawCol('Item_Name_Entered'),
+      qtyVal: rawCol('Qty_Value_Entered'),
+      qtyUnit: rawCol('Qty_Unit_Entered'),
+      price: rawCol('Price_Entered'),
+      txnId: rawCol('Txn_ID_Machine')
+    };
+
+    for (const [k, v] of Object.entries(IDX)) {
+      if (v === -1) throw new Error(`Transaction_Raw missing column: ${k}`);
+    }
+
+    const createdIdx = rawCol('Created_At');
+    const PREREQ_IDX = buildTxnPrerequisiteIndex_(rawHdr, SRC_SHEET);
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_TXN');
+
+    /* =========================
+       PROCESS LOOP
+    ========================= */
+    let scanned = 0;
+    let skipIncomplete = 0;
+    let skipOutsideWindow = 0;
+    let skipAlreadyFlagged = 0;
+
+    const executionId = getExecutionContext_()?.execution_id || '';
+    const originals = new Map();
+    const rowsToAppend = [];
+
+    for (let i = 1; i < rawData.length; i++) {
+
+      scanned++;
+
+      const rowNum = i + 1;
+      const r = rawData[i];
+
+      const txnId = r[IDX.txnId];
+
+      if (!txnId || getTxnPrerequisiteState_(r, PREREQ_IDX).state !== 'COMPLETE') {
+        skipIncomplete++;
+        continue;
+      }
+
+      const fp = buildTxnFingerprint_(
+        r[IDX.trxDate], r[IDX.item], r[IDX.qtyVal], r[IDX.qtyUnit], r[IDX.price]
+      );
+
+      const createdAt = createdIdx === -1 ? '' : r[createdIdx];
+
+      const orig = originals.get(fp);
+
+      if (!orig) {
+        originals.set(fp, { txnId, rowNum, createdAt });
+        continue;
+      }
+
+      let gapMinutes = '';
+
+      if (orig.createdAt instanceof Date && createdAt instanceof Date) {
+        gapMinutes = Math.round(Math.abs(createdAt - orig.createdAt) / 60000);
+      }
+
+      if (windowMinutes > 0 && gapMinutes !== '' && gapMinutes > windowMinutes) {
+        // A new purchase of the same fingerprint: later rows compare with it
+        originals.set(fp, { txnId, rowNum, createdAt });
+        skipOutsideWindow++;
+        continue;
+      }
+
+      const pairKey = `${orig.txnId}||${txnId}`;
+
+      if (flaggedPairs.has(pairKey)) {
+        skipAlreadyFlagged++;
+        continue;
+      }
+
+      const entry = {
+        Review_ID: Utilities.getUuid(),
+        Fingerprint: fp,
+        Txn_ID_Machine_Original: orig.txnId,
+        Txn_ID_Machine_Duplicate: txnId,
+        Row_Number_Original: orig.rowNum,
+        Row_Number_Duplicate: rowNum,
+        Trx_Date_Entered: r[IDX.trxDate],
+        Item_Name_Entered: r[IDX.item],
+        Qty_Value_Entered: r[IDX.qtyVal],
+        Qty_Unit_Entered: r[IDX.qtyUnit],
+        Price_Entered: r[IDX.price],
+        Created_At_Gap_Minutes: gapMinutes,
+        Admin_Action: 'Review',
+        Review_Status: 'Pending',
+        Detected_At: new Date(),
+        Resolved_At: '',
+        Execution_ID: executionId,
+        Notes: 'Suspected duplicate detected from Transaction_Raw'
+      };
+
+      rowsToAppend.push(revHdr.map(h => (h in entry ? entry[h] : '')));
+      flaggedPairs.add(pairKey);
+
+      ETI_log_({
+        scriptName: SCRIPT_NAME,
+        functionName: FUNCTION_NAME,
+        sheetName: SRC_SHEET,
+        level: 'WARN',
+        rowNumber: rowNum,
+        action: 'DUPLICATE_SUSPECTED',
+        details: `Original=${orig.txnId} (Row ${orig.rowNum}), Duplicate=${txnId}, GapMinutes=${gapMinutes}`
+      });
+    }
+
+    /* =========================
+       STEP — WRITE_OUTPUT
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_OUTPUT');
+
+    if (rowsToAppend.length > 0) {
+      revSh.getRange(revSh.getLastRow() + 1, 1, rowsToAppend.length, revHdr.length)
+           .setValues(rowsToAppend);
+    }
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_OUTPUT');
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      `Scanned=${scanned} | Flagged=${rowsToAppend.length} | ` +
+      `Skipped: Incomplete=${skipIncomplete}, OutsideWindow=${skipOutsideWindow}, AlreadyFlagged=${skipAlreadyFlagged} | ` +
+      `WindowMinutes=${windowMinutes || 'OFF'} | DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// TRANSACTION DUPLICATES: PROCESS ADMIN DECISIONS
+
+/**
+ * Script Name: processDuplicateReview_StateMachine
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Apply admin decisions recorded in Duplicate_Review
+ * - Merge   → duplicate row moved to Transaction_Quarantine
+ *             (Quarantine_Status = MERGED, never reinjected) and cleared
+ *             from Transaction_Raw; original row is untouched
+ * - Keep Both → pair closed; both rows remain in Transaction_Raw
+ *
+ * Governance State Machine (Authoritative)
+ *
+ * Admin_Action     Review_Status (before)   Review_Status (after)
+ * ----------------------------------------------------------------
+ * Review           Pending                  Pending
+ * Merge            Pending                  Merged
+ * Keep Both        Pending                  Kept
+ *
+ * Closed pairs (Merged / Kept) are never re-processed or re-flagged.
+ *
+ * Automation_Control Switches:
+ * - Enable_Duplicate_Detection = TRUE required (otherwise EXIT)
+ *
+ * Preconditions:
+ * - Sheet must exist: Transaction_Raw
+ * - Sheet may exist: Duplicate_Review (no-op if missing)
+ *
+ * Algorithm (Step-by-Step):
+ * 1. Load Duplicate_Review; collect Pending rows with Merge / Keep Both
+ * 2. Load Transaction_Raw; index rows by Txn_ID_Machine
+ *    (row numbers may have drifted since detection)
+ * 3. Merge:
+ *    a. Duplicate row not found → Notes updated, stays Pending
+ *    b. Duplicate row found → quarantine entry (Reason = DUPLICATE_MERGED,
+ *       Quarantine_Notes references original Txn_ID_Machine), row cleared
+ * 4. Keep Both → Review_Status = Kept
+ * 5. Write quarantine entries (FIRST), then Transaction_Raw, then Duplicate_Review
+ * 6. Emit execution summary
+ *
+ * Failure Modes:
+ * - Transaction_Raw sheet missing
+ * - Required column missing
+ *
+ * Reason for Deprecation:
+ * - N/A
+ */
+function processDuplicateReview_StateMachine() {
+
+  const SCRIPT_NAME   = 'Transactions';
+  const FUNCTION_NAME = 'processDuplicateReview_StateMachine';
+  const SRC_SHEET     = DUPLICATE_REVIEW_SHEET;
+  const RAW_SHEET     = 'Transaction_Raw';
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET);
+
+    if (!isDuplicateDetectionEnabled_()) {
+      ETI_logExit_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET, 'Enable_Duplicate_Detection is not TRUE');
+      return;
+    }
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const rawSh = ss.getSheetByName(RAW_SHEET);
+    const revSh = ss.getSheetByName(SRC_SHEET);
+
+    if (!rawSh) throw new Error(`Sheet ${RAW_SHEET} not found`);
+
+    if (!revSh || revSh.getLastRow() < 2) {
+      ETI_logExit_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET, 'No review rows found');
+      return;
+    }
+
+    /* =========================
+       HEADER MAPPING
+    ========================= */
+    const revData = revSh.getDataRange().getValues();
+    const revHdr  = revData[0];
+    const revCol  = n => revHdr.indexOf(n);
+
+    const IDX_REV = {
+      reviewId: revCol('Review_ID'),
+      origId: revCol('Txn_ID_Machine_Original'),
+      dupId: revCol('Txn_ID_Machine_Duplicate'),
+      adminAction: revCol('Admin_Action'),
+      reviewStatus: revCol('Review_Status'),
+      resolvedAt: revCol('Resolved_At'),
+      notes: revCol('Notes')
+    };
+
+    for (const [k, v] of Object.entries(IDX_REV)) {
+      if (v === -1) throw new Error(`${SRC_SHEET} missing column: ${k}`);
+    }
+
+    const rawRange = rawSh.getDataRange();
+    const rawData  = rawRange.getValues();
+    const rawHdr   = rawData[0];
+    const rawTxnIdx = rawHdr.indexOf('Txn_ID_Machine');
+
+    if (rawTxnIdx === -1) throw new Error('Transaction_Raw missing column: txnId');
+
+    const rowByTxnId = new Map();
+
+    for (let i = 1; i < rawData.length; i++) {
+      const id = rawData[i][rawTxnIdx];
+      if (id) rowByTxnId.set(id, i);
+    }
+
+    /* =========================
+       PROCESS LOOP
+    ========================= */
+    const now = new Date();
+    const quarantineEntries = [];
+
+    let merged = 0;
+    let kept = 0;
+    let pending = 0;
+    let notFound = 0;
+
+    for (let i = 1; i < revData.length; i++) {
+
+      const r = revData[i];
+
+      if (r[IDX_REV.reviewStatus] !== 'Pending') continue;
+
+      const action = r[IDX_REV.adminAction];
+
+      if (action === 'Keep Both') {
+
+        r[IDX_REV.reviewStatus] = 'Kept';
+        r[IDX_REV.resolvedAt] = now;
+        r[IDX_REV.notes] = 'Admin confirmed distinct purchases';
+        kept++;
+        continue;
+      }
+
+      if (action !== 'Merge') {
+        pending++;
+        continue;
+      }
+
+      const dupId = r[IDX_REV.dupId];
+      const rawIdx = rowByTxnId.get(dupId);
+
+      if (rawIdx === undefined) {
+
+        notFound++;
+        r[IDX_REV.notes] = `Merge pending: Txn_ID_Machine=${dupId} not found in Transaction_Raw`;
+        continue;
+      }
+
+      const rowNum = rawIdx + 1;
+
+      quarantineEntries.push(
+        buildTxnQuarantineEntry_(rawHdr, rawData[rawIdx], {
+          Quarantine_Status: 'MERGED',
+          Reason: 'DUPLICATE_MERGED',
+          Source_Row_Number: rowNum,
+          Quarantine_Notes:
+            `Merged into Txn_ID_Machine=${r[IDX_REV.origId]} (Review_ID=${r[IDX_REV.reviewId]})`
+        })
+      );
+
+      rawData[rawIdx] = new Array(rawHdr.length).fill('');
+      rowByTxnId.delete(dupId);
+
+      r[IDX_REV.reviewStatus] = 'Merged';
+      r[IDX_REV.resolvedAt] = now;
+      r[IDX_REV.notes] = `Duplicate moved to ${TXN_QUARANTINE_SHEET} (Row ${rowNum} cleared)`;
+
+      merged++;
+
+      ETI_log_({
+        scriptName: SCRIPT_NAME,
+        functionName: FUNCTION_NAME,
+        sheetName: RAW_SHEET,
+        level: 'WARN',
+        rowNumber: rowNum,
+        action: 'DUPLICATE_MERGED',
+        details: `Duplicate=${dupId} merged into Original=${r[IDX_REV.origId]}`
+      });
+    }
+
+    /* =========================
+       WRITE BACK
+    ========================= */
+    if (quarantineEntries.length > 0) {
+      appendTxnQuarantineEntries_(ss, rawHdr, quarantineEntries);
+      rawRange.setValues(rawData);
+    }
+
+    revSh.getRange(2, 1, revData.length - 1, revHdr.length)
+         .setValues(revData.slice(1));
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      SRC_SHEET,
+      `Merged=${merged}, Kept=${kept}, Pending=${pending}, NotFound=${notFound}, DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      SRC_SHEET,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
@@ -0,0 +1,628 @@
+// FX RATES - TABLE & LOOKUP
+/*
+-------------------------------------
+FX_Rates (one row per currency per date)
+- Rate_Date      → date the rate applies from
+- Currency_Code  → ISO code of the foreign currency (e.g. "USD")
+- Rate_To_Home   → home-currency units per 1 foreign unit
+- Source         → MANUAL | CSV
+- Imported_At, Notes
+
+Home currency: Automation_Control.Home_Currency (default FX_DEFAULT_HOME_CURRENCY)
+Rate lookup:   latest Rate_Date on or before the transaction date, no older
+               than Automation_Control.FX_Max_Rate_Age_Days (default 7)
+-------------------------------------
+*/
+const FX_RATES_SHEET = 'FX_Rates';
+const FX_DEFAULT_HOME_CURRENCY = 'INR';
+const FX_DEFAULT_MAX_RATE_AGE_DAYS = 7;
+
+const FX_RATES_SCHEMA = [
+  'Rate_Date',
+  'Currency_Code',
+  'Rate_To_Home',
+  'Source',
+  'Imported_At',
+  'Notes'
+];
+
+/*
+  Script-owned columns appended to Transaction_Resolution
+  (matched by Txn_ID_Machine, not position)
+*/
+const TXN_FX_RESOLUTION_SCHEMA = [
+  'Original_Currency',
+  'Original_Price',
+  'Home_Currency',
+  'FX_Rate_Used',
+  'FX_Rate_Date',
+  'Price_Home_Currency',
+  'FX_Status',
+  'FX_Converted_At'
+];
+
+/*
+-------------------------------------
+Helper — Home Currency
+-------------------------------------
+*/
+function getHomeCurrency_(){
+  const switches = getAutomationSwitchMap_();
+  return normalizeCurrencyCode_(switches["Home_Currency"]) || FX_DEFAULT_HOME_CURRENCY;
+}
+
+/*
+-------------------------------------
+Helper — Normalise Currency Code
+-------------------------------------
+*/
+function normalizeCurrencyCode_(value){
+  return String(value === null || value === undefined ? '' : value).trim().toUpperCase();
+}
+
+/*
+-------------------------------------
+Helper — FX Rate Of A Resolution Row
+-------------------------------------
+Used by price-derived resolver steps to express prices in home currency.
+Returns 1 when FX conversion has not run (column absent), the rate when
+converted, or null when the row is waiting for a rate (MISSING_RATE).
+*/
+function getTxnFxRate_(resRow, resHdr){
+
+  const rateIdx = resHdr.indexOf('FX_Rate_Used');
+  const statusIdx = resHdr.indexOf('FX_Status');
+
+  if (rateIdx === -1 || statusIdx === -1) return 1;
+
+  if (resRow[statusIdx] === 'MISSING_RATE') return null;
+
+  const rate = Number(resRow[rateIdx]);
+
+  return rate > 0 ? rate : 1;
+}
+
+/*
+-------------------------------------
+Helper — Build FX Rate Lookup
+-------------------------------------
+Returns lookup(currency, date) → { rate, rateDate } | null
+*/
+function buildFxRateLookup_(fxSh, maxAgeDays){
+
+  const data = fxSh.getDataRange().getValues();
+  const hdr  = data[0];
+
+  const IDX_FX = {
+    date: hdr.indexOf('Rate_Date'),
+    currency: hdr.indexOf('Currency_Code'),
+    rate: hdr.indexOf('Rate_To_Home')
+  };
+
+  for (const [k, v] of Object.entries(IDX_FX)) {
+    if (v === -1) throw new Error(`${FX_RATES_SHEET} missing column: ${k}`);
+  }
+
+  const byCurrency = new Map();
+
+  for (let i = 1; i < data.length; i++) {
+
+    const r = data[i];
+    const code = normalizeCurrencyCode_(r[IDX_FX.currency]);
+    const rate = Number(r[IDX_FX.rate]);
+    const date = r[IDX_FX.date];
+
+    if (!code || !(rate > 0) || !(date instanceof Date)) continue;
+
+    if (!byCurrency.has(code)) byCurrency.set(code, []);
+    byCurrency.get(code).push({ rate, rateDate: date });
+  }
+
+  byCurrency.forEach(list => list.sort((a, b) => a.rateDate - b.rateDate));
+
+  const maxAgeMs = maxAgeDays * 24 * 60 * 60 * 1000;
+
+  return (currency, txnDate) => {
+
+    const list = byCurrency.get(currency);
+    if (!list || !(txnDate instanceof Date)) return null;
+
+    let found = null;
+
+    for (const entry of list) {
+      if (entry.rateDate > txnDate) break;
+      found = entry;
+    }
+
+    if (!found || txnDate - found.rateDate > maxAgeMs) return null;
+
+    return found;
+  };
+}
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// FX RATES - CSV IMPORT
+
+/**
+ * Script Name: importFXRates_FromCsv
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Load FX rates from a CSV in Drive into FX_Rates
+ * - Upsert by (Rate_Date, Currency_Code); manual rows for other keys untouched
+ *
+ * CSV Format (header row required, case-insensitive):
+ * - Date | Rate_Date
+ * - Currency | Currency_Code
+ * - Rate | Rate_To_Home   (home-currency units per 1 foreign unit)
+ *
+ * Automation_Control Switches:
+ * - FX_Rates_Csv_File_ID (Drive file ID; required)
+ * - FX_Rates_Csv_Date_Format = DMY | MDY | YMD (optional; default YMD)
+ *
+ * Preconditions:
+ * - FX_Rates is created on first use if missing
+ *
+ * Algorithm (Step-by-Step):
+ * 1. Read CSV from Drive
+ * 2. Resolve CSV columns from header
+ * 3. Parse each row (invalid rows counted + logged, never written)
+ * 4. Update existing (date, currency) rows; append new ones
+ * 5. Emit execution summary
+ *
+ * Failure Modes:
+ * - FX_Rates_Csv_File_ID not set / file not found
+ * - Required CSV column missing
+ *
+ * Reason for Deprecation:
+ * - N/A
+ */
+function importFXRates_FromCsv() {
+
+  const SCRIPT_NAME   = 'Transactions';
+  const FUNCTION_NAME = 'importFXRates_FromCsv';
+  const TGT_SHEET     = FX_RATES_SHEET;
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+    const switches = getAutomationSwitchMap_();
+    const fileId = switches["FX_Rates_Csv_File_ID"];
+
+    if (!fileId) {
+      ETI_logExit_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'FX_Rates_Csv_File_ID not set');
+      return;
+    }
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const fxSh = getOrCreateSheet_(ss, TGT_SHEET, FX_RATES_SCHEMA);
+
+    /* =========================
+       STEP — READ_CSV
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'READ_CSV');
+
+    const csv = Utilities.parseCsv(
+      DriveApp.getFileById(fileId).getBlob().getDataAsString()
+    );
+
+    if (csv.length < 2) {
+      ETI_logExit_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'No data rows in FX CSV');
+      return;
+    }
+
+    const csvHdr = csv[0].map(h => String(h).trim().toLowerCase());
+    const csvCol = names => csvHdr.findIndex(h => names.indexOf(h) !== -1);
+
+    const IDX_CSV = {
+      date: csvCol(['date', 'rate_date']),
+      currency: csvCol(['currency', 'currency_code']),
+      rate: csvCol(['rate', 'rate_to_home'])
+    };
+
+    for (const [k, v] of Object.entries(IDX_CSV)) {
+      if (v === -1) throw new Error(`FX CSV missing column: ${k}`);
+    }
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'READ_CSV');
+
+    /* =========================
+       HEADER MAPPING
+    ========================= */
+    const fxData = fxSh.getDataRange().getValues();
+    const fxHdr  = fxData[0];
+    const fxCol  = n => fxHdr.indexOf(n);
+
+    const IDX_FX = {
+      date: fxCol('Rate_Date'),
+      currency: fxCol('Currency_Code'),
+      rate: fxCol('Rate_To_Home'),
+      source: fxCol('Source'),
+      importedAt: fxCol('Imported_At')
+    };
+
+    const keyOf = (date, code) =>
+      `${Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd')}|${code}`;
+
+    const rowByKey = new Map();
+
+    for (let i = 1; i < fxData.length; i++) {
+      const d = fxData[i][IDX_FX.date];
+      const c = normalizeCurrencyCode_(fxData[i][IDX_FX.currency]);
+      if (d instanceof Date && c) rowByKey.set(keyOf(d, c), i);
+    }
+
+    /* =========================
+       PROCESS LOOP
+    ========================= */
+    const now = new Date();
+    const dateFormat = switches["FX_Rates_Csv_Date_Format"];
+    const rowsToAppend = [];
+    const appendedKeys = new Set();
+
+    let updated = 0;
+    let invalid = 0;
+
+    for (let i = 1; i < csv.length; i++) {
+
+      const r = csv[i];
+
+      const date = parseImportDate_(r[IDX_CSV.date], dateFormat);
+      const code = normalizeCurrencyCode_(r[IDX_CSV.currency]);
+      const rate = parseImportNumber_(r[IDX_CSV.rate]);
+
+      if (!date || !code || !(rate > 0)) {
+
+        invalid++;
+
+        ETI_log_({
+          scriptName: SCRIPT_NAME,
+          functionName: FUNCTION_NAME,
+          sheetName: TGT_SHEET,
+          level: 'WARN',
+          rowNumber: i + 1,
+          action: 'FX_RATE_INVALID',
+          details: `CSV row skipped: ${r.join(', ')}`
+        });
+
+        continue;
+      }
+
+      const key = keyOf(date, code);
+      const existing = rowByKey.get(key);
+
+      if (existing !== undefined) {
+
+        fxData[existing][IDX_FX.rate] = rate;
+        fxData[existing][IDX_FX.source] = 'CSV';
+        fxData[existing][IDX_FX.importedAt] = now;
+        updated++;
+        continue;
+      }
+
+      if (appendedKeys.has(key)) continue;
+
+      const entry = {
+        Rate_Date: date,
+        Currency_Code: code,
+        Rate_To_Home: rate,
+        Source: 'CSV',
+        Imported_At: now,
+        Notes: ''
+      };
+
+      rowsToAppend.push(fxHdr.map(h => (h in entry ? entry[h] : '')));
+      appendedKeys.add(key);
+    }
+
+    /* =========================
+       WRITE BACK
+    ========================= */
+    if (updated > 0) {
+      fxSh.getRange(2, 1, fxData.length - 1, fxHdr.length)
+          .setValues(fxData.slice(1));
+    }
+
+    if (rowsToAppend.length > 0) {
+      fxSh.getRange(fxSh.getLastRow() + 1, 1, rowsToAppend.length, fxHdr.length)
+          .setValues(rowsToAppend);
+    }
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      `Added=${rowsToAppend.length}, Updated=${updated}, Invalid=${invalid} | DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// TRANSACTION RESOLUTION - CURRENCY CONVERSION
+
+/**
+ * Script Name: convertTransactionCurrency_TransactionResolution
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Convert every transaction price into the home currency at the
+ *   transaction date using FX_Rates
+ * - Keep the original amount and currency for audit
+ * - Record the rate (and its date) used on Transaction_Resolution
+ *
+ * Output Columns (Transaction_Resolution, created if missing):
+ * - Original_Currency, Original_Price, Home_Currency
+ * - FX_Rate_Used, FX_Rate_Date
+ * - Price_Home_Currency = Original_Price × FX_Rate_Used
+ * - FX_Status:
+ *     HOME          → already in home currency (rate 1)
+ *     CONVERTED     → rate found and applied
+ *     MISSING_RATE  → no rate within FX_Max_Rate_Age_Days (logged once per
+ *                     currency; price-derived columns stay blank downstream)
+ * - FX_Converted_At
+ *
+ * Automation_Control Switches:
+ * - Home_Currency (optional; default INR)
+ * - FX_Max_Rate_Age_Days (optional; default 7)
+ *
+ * Preconditions:
+ * - Sheets must exist: Transaction_Raw, Transaction_Resolution
+ * - Required columns:
+ *   - Transaction_Raw: Txn_ID_Machine, Trx_Date_Entered, Price_Entered
+ *   - Transaction_Resolution: Txn_ID_Machine
+ * - Optional column: Transaction_Raw.Currency_Entered (blank → home currency)
+ * - FX_Rates is created on first use if missing
+ *
+ * Algorithm (Step-by-Step):
+ * 1. Build FX rate lookup from FX_Rates
+ * 2. Index Transaction_Raw by Txn_ID_Machine
+ * 3. For each Transaction_Resolution row resolve currency + rate
+ * 4. Write script-owned columns in batch
+ * 5. Emit execution summary
+ *
+ * Failure Modes:
+ * - Required sheet missing
+ * - Required column missing
+ *
+ * Notes:
+ * - Runs before unit normalization / effective price resolution, which
+ *   read FX_Rate_Used (getTxnFxRate_) so their prices are in home currency
+ *
+ * Reason for Deprecation:
+ * - N/A
+ */
+function convertTransactionCurrency_TransactionResolution() {
+
+  const SCRIPT_NAME   = 'Transactions';
+  const FUNCTION_NAME = 'convertTransactionCurrency_TransactionResolution';
+  const SRC_SHEET     = 'Transaction_Raw';
+  const TGT_SHEET     = 'Transaction_Resolution';
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const rawSh = ss.getSheetByName(SRC_SHEET);
+
+    if (!rawSh || !ss.getSheetByName(TGT_SHEET)) {
+      throw new Error('Required sheet not found');
+    }
+
+    const resSh = getOrCreateSheet_(ss, TGT_SHEET, TXN_FX_RESOLUTION_SCHEMA);
+    const fxSh  = getOrCreateSheet_(ss, FX_RATES_SHEET, FX_RATES_SCHEMA);
+
+    const homeCurrency = getHomeCurrency_();
+    const maxAgeDays =
+      Number(getAutomationSwitchMap_()["FX_Max_Rate_Age_Days"]) || FX_DEFAULT_MAX_RATE_AGE_DAYS;
+
+    /* =========================
+       STEP — LOAD_DATA
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_DATA');
+
+    const lookupRate = buildFxRateLookup_(fxSh, maxAgeDays);
+
+    const rawData = rawSh.getDataRange().getValues();
+    const rawHdr  = rawData[0];
+    const rawCol  = n => rawHdr.indexOf(n);
+
+    const IDX_RAW = {
+      txnId: rawCol('Txn_ID_Machine'),
+      trxDate: rawCol('Trx_Date_Entered'),
+      price: rawCol('Price_Entered')
+    };
+
+    for (const [k, v] of Object.entries(IDX_RAW)) {
+      if (v === -1) throw new Error(`Transaction_Raw missing column: ${k}`);
+    }
+
+    const currencyIdx = rawCol('Currency_Entered');
+
+    const rawById = new Map();
+
+    for (let i = 1; i < rawData.length; i++) {
+      const id = rawData[i][IDX_RAW.txnId];
+      if (id) rawById.set(id, rawData[i]);
+    }
+
+    const resData = resSh.getDataRange().getValues();
+    const resHdr  = resData[0];
+    const resTxnIdx = resHdr.indexOf('Txn_ID_Machine');
+
+    if (resTxnIdx === -1) throw new Error('Transaction_Resolution missing column: txnId');
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_DATA');
+
+    if (resData.length < 2) {
+      ETI_logExit_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'No data rows in Transaction_Resolution');
+      return;
+    }
+
+    /* =========================
+       PROCESS LOOP
+    ========================= */
+    const now = new Date();
+    const output = [];
+    const missingByCurrency = new Map();
+
+    let home = 0;
+    let converted = 0;
+    let missing = 0;
+    let unresolved = 0;
+
+    for (let i = 1; i < resData.length; i++) {
+
+      const txnId = resData[i][resTxnIdx];
+      const raw = txnId ? rawById.get(txnId) : null;
+
+      if (!raw) {
+        unresolved++;
+        output.push(new Array(TXN_FX_RESOLUTION_SCHEMA.length).fill(''));
+        continue;
+      }
+
+      const currency =
+        (currencyIdx === -1 ? '' : normalizeCurrencyCode_(raw[currencyIdx])) || homeCurrency;
+      const price = raw[IDX_RAW.price];
+
+      if (currency === homeCurrency) {
+        home++;
+        output.push([currency, price, homeCurrency, 1, '', price, 'HOME', now]);
+        continue;
+      }
+
+      const fx = lookupRate(currency, raw[IDX_RAW.trxDate]);
+
+      if (!fx) {
+        missing++;
+        missingByCurrency.set(currency, (missingByCurrency.get(currency) || 0) + 1);
+        output.push([currency, price, homeCurrency, '', '', '', 'MISSING_RATE', now]);
+        continue;
+      }
+
+      const priceHome = Math.round(Number(price) * fx.rate * 100) / 100;
+
+      output.push([currency, price, homeCurrency, fx.rate, fx.rateDate, priceHome, 'CONVERTED', now]);
+      converted++;
+    }
+
+    missingByCurrency.forEach((count, currency) => {
+      ETI_log_({
+        scriptName: SCRIPT_NAME,
+        functionName: FUNCTION_NAME,
+        sheetName: FX_RATES_SHEET,
+        level: 'WARN',
+        action: 'FX_RATE_MISSING',
+        details: `Currency=${currency}, Rows=${count} (no rate within ${maxAgeDays} days of Trx_Date_Entered)`
+      });
+    });
+
+    /* =========================
+       STEP — WRITE_OUTPUT
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_OUTPUT');
+
+    TXN_FX_RESOLUTION_SCHEMA.forEach((c, k) => {
+      resSh.getRange(2, resHdr.indexOf(c) + 1, output.length, 1)
+           .setValues(output.map(r => [r[k]]));
+    });
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_OUTPUT');
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      `Home=${home}, Converted=${converted}, MissingRate=${missing}, Unresolved=${unresolved} | ` +
+      `HomeCurrency=${homeCurrency} | DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
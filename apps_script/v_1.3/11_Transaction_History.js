@@ -0,0 +1,352 @@
+// TRANSACTION HISTORY - TABLES & SNAPSHOT HELPERS
+/*
+-------------------------------------
+Change capture for Transaction_Raw (Logs spreadsheet)
+
+Transaction_Raw_Snapshot (shadow copy, script-owned)
+- One row per Txn_ID_Machine
+- Rewritten in place (new rows first, surplus rows cleared after), so a
+  failed run never leaves the sheet empty; a row without Txn_ID_Machine
+  marks an existing baseline of an empty Transaction_Raw
+- Snapshot_JSON holds { column: value } for every tracked column,
+  so Transaction_Raw column reordering / additions do not break diffs
+
+Transaction_History (append-only audit trail)
+- CREATED  → Txn_ID_Machine seen for the first time
+- UPDATED  → one record per changed field (Old_Value → New_Value)
+- REMOVED  → Txn_ID_Machine no longer in Transaction_Raw
+             (quarantined, merged duplicate or deleted in AppSheet);
+             Old_Value holds the last snapshot JSON
+-------------------------------------
+*/
+const TXN_HISTORY_SHEET = 'Transaction_History';
+const TXN_SNAPSHOT_SHEET = 'Transaction_Raw_Snapshot';
+
+const TXN_HISTORY_SCHEMA = [
+  'History_ID',
+  'Txn_ID_Machine',
+  'Change_Type',
+  'Field_Name',
+  'Old_Value',
+  'New_Value',
+  'Row_Number',
+  'Detected_At',
+  'Execution_ID'
+];
+
+const TXN_SNAPSHOT_SCHEMA = [
+  'Txn_ID_Machine',
+  'Snapshot_JSON',
+  'Snapshot_At'
+];
+
+/*
+  Columns excluded from field-level diffs (touched on every save)
+*/
+const TXN_HISTORY_IGNORED_COLUMNS = [
+  'Updated_At'
+];
+
+/*
+-------------------------------------
+Helper — Snapshot Value
+-------------------------------------
+Dates are stored as ISO strings so JSON round-trips compare equal.
+*/
+function toTxnSnapshotValue_(value){
+  if (value instanceof Date) return isNaN(value) ? '' : value.toISOString();
+  if (value === null || value === undefined) return '';
+  return value;
+}
+
+/*
+-------------------------------------
+Helper — Build Snapshot Object
+-------------------------------------
+*/
+function buildTxnSnapshot_(header, row){
+
+  const snap = {};
+
+  header.forEach((h, c) => {
+    if (!h || TXN_HISTORY_IGNORED_COLUMNS.indexOf(h) !== -1) return;
+    snap[h] = toTxnSnapshotValue_(row[c]);
+  });
+
+  return snap;
+}
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// TRANSACTION HISTORY - CHANGE CAPTURE
+
+/**
+ * Script Name: captureTransactionChanges_TransactionRaw
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Keep old values after a transaction is corrected in AppSheet
+ *   (auditability & explainability)
+ * - Diff Transaction_Raw against the shadow snapshot on each pipeline run
+ * - Append field-level before / after records to Transaction_History
+ *   in the Logs spreadsheet
+ *
+ * Preconditions:
+ * - Sheet must exist: Transaction_Raw (with Txn_ID_Machine)
+ * - Logs spreadsheet must exist (getLogsSpreadsheet_)
+ * - Transaction_History / Transaction_Raw_Snapshot are created on first use
+ *
+ * Baseline Behaviour:
+ * - Snapshot sheet without rows → snapshot written, no history emitted
+ *   (BASELINE); an empty Transaction_Raw still leaves a marker row so the
+ *   next run diffs instead of re-baselining
+ *
+ * Algorithm (Step-by-Step):
+ * 1. Load Transaction_Raw; build current snapshot per Txn_ID_Machine
+ *    (rows without Txn_ID_Machine are not yet tracked)
+ * 2. Load Transaction_Raw_Snapshot
+ * 3. Diff:
+ *    a. In current, not in snapshot → CREATED
+ *    b. In both, field value differs → UPDATED (one record per field)
+ *    c. In snapshot, not in current  → REMOVED
+ * 4. Append history records in one batch
+ * 5. Overwrite snapshot in one batch, then clear surplus rows
+ * 6. Emit execution summary
+ *
+ * Failure Modes:
+ * - Transaction_Raw sheet missing
+ * - Logs spreadsheet missing / ambiguous
+ *
+ * Notes:
+ * - Runs last in pipeline_transactions_ so script mutations of the run
+ *   (backfill, quarantine, duplicate merge) are captured with its Execution_ID
+ * - Updated_At is ignored (TXN_HISTORY_IGNORED_COLUMNS)
+ *
+ * Reason for Deprecation:
+ * - N/A
+ */
+function captureTransactionChanges_TransactionRaw() {
+
+  const SCRIPT_NAME   = 'Transactions';
+  const FUNCTION_NAME = 'captureTransactionChanges_TransactionRaw';
+  const SRC_SHEET     = 'Transaction_Raw';
+  const TGT_SHEET     = TXN_HISTORY_SHEET;
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const rawSh = ss.getSheetByName(SRC_SHEET);
+    if (!rawSh) throw new Error(`Sheet ${SRC_SHEET} not found`);
+
+    const logSS  = getLogsSpreadsheet_();
+    const histSh = getOrCreateSheet_(logSS, TGT_SHEET, TXN_HISTORY_SCHEMA);
+    const snapSh = getOrCreateSheet_(logSS, TXN_SNAPSHOT_SHEET, TXN_SNAPSHOT_SCHEMA);
+
+    /* =========================
+       STEP — LOAD_CURRENT
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET, 'LOAD_CURRENT');
+
+    const rawData = rawSh.getDataRange().getValues();
+    const rawHdr  = rawData[0];
+    const txnIdx  = rawHdr.indexOf('Txn_ID_Machine');
+
+    if (txnIdx === -1) throw new Error('Transaction_Raw missing column: txnId');
+
+    const current = new Map();
+
+    for (let i = 1; i < rawData.length; i++) {
+      const id = rawData[i][txnIdx];
+      if (id) current.set(id, { rowNum: i + 1, snap: buildTxnSnapshot_(rawHdr, rawData[i]) });
+    }
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET, 'LOAD_CURRENT');
+
+    /* =========================
+       STEP — LOAD_SNAPSHOT
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TXN_SNAPSHOT_SHEET, 'LOAD_SNAPSHOT');
+
+    const snapData = snapSh.getDataRange().getValues();
+    const snapHdr  = snapData[0];
+
+    const IDX_SNAP = {
+      txnId: snapHdr.indexOf('Txn_ID_Machine'),
+      json: snapHdr.indexOf('Snapshot_JSON')
+    };
+
+    const previous = new Map();
+
+    for (let i = 1; i < snapData.length; i++) {
+      const id = snapData[i][IDX_SNAP.txnId];
+      if (id) previous.set(id, JSON.parse(snapData[i][IDX_SNAP.json] || '{}'));
+    }
+
+    const isBaseline = snapData.length < 2;
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TXN_SNAPSHOT_SHEET, 'LOAD_SNAPSHOT');
+
+    /* =========================
+       DIFF
+    ========================= */
+    const now = new Date();
+    const executionId = getExecutionContext_()?.execution_id || '';
+    const records = [];
+
+    let created = 0;
+    let updatedTxns = 0;
+    let updatedFields = 0;
+    let removed = 0;
+
+    const record = (txnId, changeType, field, oldValue, newValue, rowNum) => {
+      records.push({
+        History_ID: Utilities.getUuid(),
+        Txn_ID_Machine: txnId,
+        Change_Type: changeType,
+        Field_Name: field,
+        Old_Value: oldValue,
+        New_Value: newValue,
+        Row_Number: rowNum,
+        Detected_At: now,
+        Execution_ID: executionId
+      });
+    };
+
+    if (!isBaseline) {
+
+      current.forEach((cur, id) => {
+
+        const prev = previous.get(id);
+
+        if (!prev) {
+          created++;
+          record(id, 'CREATED', '', '', '', cur.rowNum);
+          return;
+        }
+
+        const fields = new Set(Object.keys(prev).concat(Object.keys(cur.snap)));
+        let changed = 0;
+
+        fields.forEach(f => {
+
+          const oldValue = f in prev ? prev[f] : '';
+          const newValue = f in cur.snap ? cur.snap[f] : '';
+
+          if (String(oldValue) === String(newValue)) return;
+
+          record(id, 'UPDATED', f, oldValue, newValue, cur.rowNum);
+          changed++;
+        });
+
+        if (changed > 0) {
+          updatedTxns++;
+          updatedFields += changed;
+        }
+      });
+
+      previous.forEach((prev, id) => {
+        if (current.has(id)) return;
+        removed++;
+        record(id, 'REMOVED', '', JSON.stringify(prev), '', '');
+      });
+    }
+
+    /* =========================
+       STEP — WRITE_HISTORY
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_HISTORY');
+
+    if (records.length > 0) {
+
+      const histHdr = histSh.getRange(1, 1, 1, histSh.getLastColumn()).getValues()[0];
+      const rows = records.map(e => histHdr.map(h => (h in e ? e[h] : '')));
+
+      histSh.getRange(histSh.getLastRow() + 1, 1, rows.length, histHdr.length)
+            .setValues(rows);
+    }
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_HISTORY');
+
+    /* =========================
+       STEP — WRITE_SNAPSHOT
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TXN_SNAPSHOT_SHEET, 'WRITE_SNAPSHOT');
+
+    const snapRows = [];
+
+    current.forEach((cur, id) => {
+      const entry = { Txn_ID_Machine: id, Snapshot_JSON: JSON.stringify(cur.snap), Snapshot_At: now };
+      snapRows.push(snapHdr.map(h => (h in entry ? entry[h] : '')));
+    });
+
+    if (snapRows.length === 0) {
+      snapRows.push(snapHdr.map(h => (h === 'Snapshot_At' ? now : '')));
+    }
+
+    const oldRowCount = snapSh.getLastRow() - 1;
+
+    snapSh.getRange(2, 1, snapRows.length, snapHdr.length)
+          .setValues(snapRows);
+
+    if (oldRowCount > snapRows.length) {
+      snapSh.getRange(snapRows.length + 2, 1, oldRowCount - snapRows.length, snapHdr.length)
+            .clearContent();
+    }
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TXN_SNAPSHOT_SHEET, 'WRITE_SNAPSHOT');
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      isBaseline
+        ? `BASELINE | Snapshot=${current.size} | DurationMs=${durationMs}`
+        : `Tracked=${current.size} | Created=${created}, Updated=${updatedTxns} (Fields=${updatedFields}), ` +
+          `Removed=${removed} | HistoryRows=${records.length} | DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
@@ -0,0 +1,556 @@
+// TRANSACTION IMPORT - PROFILE TABLES
+/*
+-------------------------------------
+Import_Profiles (one row per source format)
+- Profile_Name  → unique key, referenced by Automation_Control.Import_Profile_Name
+- Source_Type   → DRIVE_FILE (CSV in Drive) | PASTED_SHEET (tab in this spreadsheet)
+- Source_Ref    → Drive file ID (DRIVE_FILE) or sheet name (PASTED_SHEET)
+- Delimiter     → CSV delimiter (blank = ",")
+- Header_Row    → row holding source headers (blank = 1; bank statements
+                  often carry preamble lines above the header)
+- Date_Format   → DMY | MDY | YMD (blank = YMD); ignored for real Date cells.
+                  A trailing time is dropped (the date is kept as written):
+                  "05/01/2024 10:30", "05-01-2024 10:30:15 PM" (DMY),
+                  "2024-01-05T10:30:00", "2024-01-05T10:30:00+05:30" (YMD)
+- Decimal_Separator → "." | "," (blank = "."); the other character is read
+                  as the thousands separator ("1.234,50" with ",")
+- Amount_Sign   → DEBIT_POSITIVE | DEBIT_NEGATIVE (blank = DEBIT_POSITIVE)
+                  sign of a purchase in the price column; amounts of the
+                  other sign, or marked CR / Credit, are credits / refunds
+                  and are rejected (CREDIT_AMOUNT)
+
+Import_Profile_Mappings (one row per Transaction_Raw field)
+- Target_Column  → Transaction_Raw header
+- Source_Column  → source file header (blank = use Default_Value)
+- Default_Value  → constant used when Source_Column is blank or the cell is empty
+-------------------------------------
+*/
+const IMPORT_PROFILES_SHEET = 'Import_Profiles';
+const IMPORT_PROFILE_MAPPINGS_SHEET = 'Import_Profile_Mappings';
+const IMPORT_REJECTS_SHEET = 'Import_Rejects';
+
+const IMPORT_PROFILES_SCHEMA = [
+  'Profile_Name',
+  'Is_Active',
+  'Source_Type',
+  'Source_Ref',
+  'Delimiter',
+  'Header_Row',
+  'Date_Format',
+  'Decimal_Separator',
+  'Amount_Sign',
+  'Last_Imported_At',
+  'Notes'
+];
+
+const IMPORT_PROFILE_MAPPINGS_SCHEMA = [
+  'Profile_Name',
+  'Target_Column',
+  'Source_Column',
+  'Default_Value',
+  'Notes'
+];
+
+const IMPORT_REJECTS_SCHEMA = [
+  'Reject_ID',
+  'Profile_Name',
+  'Source_Ref',
+  'Source_Row_Number',
+  'Reason',
+  'Missing_Fields',
+  'Source_Record',
+  'Rejected_At',
+  'Execution_ID'
+];
+
+/*
+-------------------------------------
+Helper — Read Import Source Rows
+-------------------------------------
+Returns a 2D array (header row first) for the profile source.
+*/
+function readImportSourceRows_(ss, profile){
+
+  let rows;
+
+  if (profile.Source_Type === 'DRIVE_FILE') {
+
+    const text = DriveApp.getFileById(profile.Source_Ref).getBlob().getDataAsString();
+    rows = Utilities.parseCsv(text, profile.Delimiter || ',');
+
+  } else if (profile.Source_Type === 'PASTED_SHEET') {
+
+    const sh = ss.getSheetByName(profile.Source_Ref);
+    if (!sh) throw new Error(`Import source sheet ${profile.Source_Ref} not found`);
+    rows = sh.getDataRange().getValues();
+
+  } else {
+    throw new Error(`Unsupported Source_Type: ${profile.Source_Type}`);
+  }
+
+  const headerRow = Number(profile.Header_Row) || 1;
+
+  return rows.slice(headerRow - 1);
+}
+
+/*
+-------------------------------------
+Helper — Parse Import Date
+-------------------------------------
+Returns a Date or null when the value cannot be parsed.
+A trailing time (" 10:30", " 10:30:15 PM", "T10:30:00Z", "T10:30:00+05:30")
+is dropped before the date is tokenised.
+*/
+function parseImportDate_(value, dateFormat){
+
+  if (value instanceof Date) return isNaN(value) ? null : value;
+
+  const datePart = String(value).trim().replace(
+    /(?:T|\s+)\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:\s*[AaPp]\.?[Mm]\.?)?(?:\s*(?:Z|[+-]\d{2}:?\d{2}))?$/,
+    ''
+  );
+
+  const parts = datePart.split(/[\/\-. ]+/).map(Number);
+  if (parts.length < 3 || parts.some(isNaN)) return null;
+
+  let y, m, d;
+
+  switch (dateFormat || 'YMD') {
+    case 'DMY': [d, m, y] = parts; break;
+    case 'MDY': [m, d, y] = parts; break;
+    case 'YMD': [y, m, d] = parts; break;
+    default: throw new Error(`Unsupported Date_Format: ${dateFormat}`);
+  }
+
+  if (y < 100) y += 2000;
+
+  const dt = new Date(y, m - 1, d);
+
+  if (dt.getFullYear() !== y || dt.getMonth() !== m - 1 || dt.getDate() !== d) return null;
+
+  return dt;
+}
+
+/*
+-------------------------------------
+Helper — Parse Import Number
+-------------------------------------
+Strips currency symbols / codes ("Rs.", "USD", "CR"), spaces and thousands
+separators. decimalSeparator is "." (default) or ","; the other character
+is treated as the thousands separator, so "1.234,50" parses as 1234.5
+with ",".
+Sign is kept: "-12.50", "12.50-" and "(12.50)" are negative.
+Returns null when the value cannot be parsed.
+*/
+function parseImportNumber_(value, decimalSeparator){
+
+  if (typeof value === 'number') return isNaN(value) ? null : value;
+
+  let s = String(value).replace(/[A-Za-z]+\.?/g, '').trim();
+  if (s === '') return null;
+
+  let negative = false;
+
+  if (/^\(.*\)$/.test(s)) {
+    negative = true;
+    s = s.slice(1, -1);
+  }
+
+  const dec = decimalSeparator === ',' ? ',' : '.';
+  const group = dec === ',' ? '.' : ',';
+
+  s = s.split(group).join('').replace(/[^0-9,.\-]/g, '');
+  if (dec === ',') s = s.replace(',', '.');
+
+  if (s.endsWith('-')) s = '-' + s.slice(0, -1);
+
+  if (!/^-?(\d+\.?\d*|\.\d+)$/.test(s)) return null;
+
+  const n = Number(s);
+  if (isNaN(n)) return null;
+
+  return negative ? -n : n;
+}
+
+/*
+-------------------------------------
+Helper — Credit Marker
+-------------------------------------
+TRUE when a statement amount carries a CR / Credit marker ("120.00 CR").
+*/
+function isImportCreditMarked_(value){
+  return typeof value === 'string' && /(^|[^A-Z])(CR|CREDIT)([^A-Z]|$)/i.test(value);
+}
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// TRANSACTION IMPORT - CSV / BANK STATEMENT
+
+/**
+ * Script Name: importTransactions_FromProfile
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Bulk-load transactions from a CSV (receipt export, grocery app order
+ *   history, bank statement) or a pasted sheet into Transaction_Raw
+ * - Map source columns to Transaction_Raw fields via a saved profile
+ * - Apply the shared prerequisite completeness rule before writing
+ *   (same rule as cleanupInvalidTransactions_TransactionRaw)
+ * - Reject and report failing rows in Import_Rejects (never written to Raw)
+ *
+ * Invocation:
+ * - Automation_Control: Run_Transaction_Import = TRUE
+ *   (profile taken from Automation_Control.Import_Profile_Name)
+ * - Direct: importTransactions_FromProfile('<Profile_Name>')
+ *
+ * Preconditions:
+ * - Sheet must exist: Transaction_Raw (with Txn_ID_Machine + prerequisite columns)
+ * - Import_Profiles must contain an active row for the profile
+ * - Import_Profile_Mappings must contain at least one row for the profile
+ * - Profile / mapping / reject sheets are created on first use if missing
+ *
+ * Algorithm (Step-by-Step):
+ * 1. Resolve profile name (argument or Automation_Control.Import_Profile_Name)
+ * 2. Load profile + column mappings; validate targets exist in Transaction_Raw
+ * 3. Read source rows (Drive CSV or pasted sheet) starting at Header_Row
+ * 4. For each source row:
+ *    a. Build Transaction_Raw row from mappings (Default_Value fallback)
+ *    b. Coerce Trx_Date_Entered (Date_Format) and numeric fields
+ *       (Decimal_Separator)
+ *    c. EMPTY     → skipped (blank source line)
+ *       PARTIAL   → rejected (MISSING_PREREQUISITES)
+ *       Bad value → rejected (INVALID_DATE / INVALID_NUMBER)
+ *       Credit / refund (Amount_Sign, CR marker) → rejected (CREDIT_AMOUNT)
+ *       Negative quantity → rejected (NEGATIVE_QUANTITY)
+ *       COMPLETE  → Txn_ID_Machine, Created_At, Updated_At assigned
+ * 5. Batch append accepted rows to Transaction_Raw
+ * 6. Batch append rejects to Import_Rejects
+ * 7. Stamp Last_Imported_At on the profile; emit execution summary
+ *
+ * Failure Modes:
+ * - Profile missing / inactive / without mappings
+ * - Unsupported Amount_Sign / Decimal_Separator
+ * - Mapping targets a column not in Transaction_Raw
+ * - Mapped Source_Column not present in the source header
+ * - Source file / sheet not found
+ *
+ * Notes:
+ * - Re-importing the same file appends again; repeated rows are picked up by
+ *   detectDuplicateTransactions_TransactionRaw
+ *
+ * Reason for Deprecation:
+ * - N/A
+ */
+function importTransactions_FromProfile(profileName) {
+
+  const SCRIPT_NAME   = 'Transactions';
+  const FUNCTION_NAME = 'importTransactions_FromProfile';
+  const TGT_SHEET     = 'Transaction_Raw';
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const rawSh = ss.getSheetByName(TGT_SHEET);
+    if (!rawSh) throw new Error(`Sheet ${TGT_SHEET} not found`);
+
+    const profSh = getOrCreateSheet_(ss, IMPORT_PROFILES_SHEET, IMPORT_PROFILES_SCHEMA);
+    const mapSh  = getOrCreateSheet_(ss, IMPORT_PROFILE_MAPPINGS_SHEET, IMPORT_PROFILE_MAPPINGS_SCHEMA);
+    const rejSh  = getOrCreateSheet_(ss, IMPORT_REJECTS_SHEET, IMPORT_REJECTS_SCHEMA);
+
+    const name = typeof profileName === 'string' && profileName
+      ? profileName
+      : getAutomationSwitchMap_()["Import_Profile_Name"];
+
+    if (!name) {
+      ETI_logExit_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'Import_Profile_Name not set');
+      return;
+    }
+
+    /* =========================
+       STEP — LOAD_PROFILE
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_PROFILE');
+
+    const profData = profSh.getDataRange().getValues();
+    const profHdr  = profData[0];
+
+    const profRowIdx = profData.findIndex((r, i) =>
+      i > 0 && r[profHdr.indexOf('Profile_Name')] === name
+    );
+
+    if (profRowIdx === -1) throw new Error(`Import profile ${name} not found`);
+
+    const profile = {};
+    profHdr.forEach((h, c) => { if (h) profile[h] = profData[profRowIdx][c]; });
+
+    if (profile.Is_Active !== true) throw new Error(`Import profile ${name} is not active`);
+
+    const amountSign = profile.Amount_Sign || 'DEBIT_POSITIVE';
+    if (amountSign !== 'DEBIT_POSITIVE' && amountSign !== 'DEBIT_NEGATIVE') {
+      throw new Error(`Unsupported Amount_Sign: ${amountSign}`);
+    }
+
+    const decimalSeparator = profile.Decimal_Separator || '.';
+    if (decimalSeparator !== '.' && decimalSeparator !== ',') {
+      throw new Error(`Unsupported Decimal_Separator: ${decimalSeparator}`);
+    }
+
+    const mapData = mapSh.getDataRange().getValues();
+    const mapHdr  = mapData[0];
+    const mapCol  = n => mapHdr.indexOf(n);
+
+    const mappings = mapData
+      .slice(1)
+      .filter(r => r[mapCol('Profile_Name')] === name && r[mapCol('Target_Column')])
+      .map(r => ({
+        target: r[mapCol('Target_Column')],
+        source: r[mapCol('Source_Column')],
+        defaultValue: r[mapCol('Default_Value')]
+      }));
+
+    if (mappings.length === 0) throw new Error(`Import profile ${name} has no column mappings`);
+
+    const rawHdr = rawSh.getRange(1, 1, 1, rawSh.getLastColumn()).getValues()[0];
+    const rawCol = n => rawHdr.indexOf(n);
+
+    const PREREQ_IDX = buildTxnPrerequisiteIndex_(rawHdr, TGT_SHEET);
+
+    const IDX = {
+      txnId: rawCol('Txn_ID_Machine'),
+      trxDate: rawCol('Trx_Date_Entered'),
+      qtyVal: rawCol('Qty_Value_Entered'),
+      price: rawCol('Price_Entered')
+    };
+
+    for (const [k, v] of Object.entries(IDX)) {
+      if (v === -1) throw new Error(`Transaction_Raw missing column: ${k}`);
+    }
+
+    mappings.forEach(m => {
+      if (rawCol(m.target) === -1) {
+        throw new Error(`Mapping target ${m.target} not found in ${TGT_SHEET}`);
+      }
+    });
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_PROFILE');
+
+    /* =========================
+       STEP — READ_SOURCE
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'READ_SOURCE');
+
+    const srcRows = readImportSourceRows_(ss, profile);
+
+    if (srcRows.length < 2) {
+      ETI_logExit_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, `No data rows in source ${profile.Source_Ref}`);
+      return;
+    }
+
+    const srcHdr = srcRows[0].map(h => String(h).trim());
+
+    mappings.forEach(m => {
+      m.srcIdx = m.source ? srcHdr.indexOf(String(m.source).trim()) : -1;
+      if (m.source && m.srcIdx === -1) {
+        throw new Error(`Source column ${m.source} not found in ${profile.Source_Ref}`);
+      }
+      m.rawIdx = rawCol(m.target);
+    });
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'READ_SOURCE');
+
+    /* =========================
+       PROCESS LOOP
+    ========================= */
+    const now = new Date();
+    const executionId = getExecutionContext_()?.execution_id || '';
+    const headerRowNum = Number(profile.Header_Row) || 1;
+
+    const rawAppendRows = [];
+    const rejects = [];
+
+    let scanned = 0;
+    let skippedEmpty = 0;
+
+    const reject = (srcRowNum, record, reason, missing) => {
+
+      rejects.push({
+        Reject_ID: Utilities.getUuid(),
+        Profile_Name: name,
+        Source_Ref: profile.Source_Ref,
+        Source_Row_Number: srcRowNum,
+        Reason: reason,
+        Missing_Fields: missing,
+        Source_Record: JSON.stringify(record),
+        Rejected_At: now,
+        Execution_ID: executionId
+      });
+
+      ETI_log_({
+        scriptName: SCRIPT_NAME,
+        functionName: FUNCTION_NAME,
+        sheetName: IMPORT_REJECTS_SHEET,
+        level: 'WARN',
+        rowNumber: srcRowNum,
+        action: 'IMPORT_REJECTED_TXN',
+        details: `Profile=${name}, Reason=${reason}${missing ? `, Missing=${missing}` : ''}`
+      });
+    };
+
+    for (let i = 1; i < srcRows.length; i++) {
+
+      scanned++;
+
+      const src = srcRows[i];
+      const srcRowNum = headerRowNum + i;
+      const row = new Array(rawHdr.length).fill('');
+
+      mappings.forEach(m => {
+        const v = m.srcIdx === -1 ? '' : src[m.srcIdx];
+        row[m.rawIdx] = v === '' || v === null || v === undefined
+          ? (m.defaultValue === undefined ? '' : m.defaultValue)
+          : (typeof v === 'string' ? v.trim() : v);
+      });
+
+      const { state, missing } = getTxnPrerequisiteState_(row, PREREQ_IDX);
+
+      if (state === 'EMPTY') { skippedEmpty++; continue; }
+
+      if (state === 'PARTIAL') {
+        reject(srcRowNum, src, 'MISSING_PREREQUISITES', missing.join(', '));
+        continue;
+      }
+
+      const trxDate = parseImportDate_(row[IDX.trxDate], profile.Date_Format);
+
+      if (!trxDate) {
+        reject(srcRowNum, src, 'INVALID_DATE', 'Trx_Date_Entered');
+        continue;
+      }
+
+      const qtyVal = parseImportNumber_(row[IDX.qtyVal], decimalSeparator);
+      const signed = parseImportNumber_(row[IDX.price], decimalSeparator);
+      const price  = signed === null ? null : Math.abs(signed);
+
+      if (qtyVal === null || price === null) {
+        reject(
+          srcRowNum,
+          src,
+          'INVALID_NUMBER',
+          [qtyVal === null ? 'Qty_Value_Entered' : '', price === null ? 'Price_Entered' : '']
+            .filter(Boolean).join(', ')
+        );
+        continue;
+      }
+
+      if (qtyVal < 0) {
+        reject(srcRowNum, src, 'NEGATIVE_QUANTITY', 'Qty_Value_Entered');
+        continue;
+      }
+
+      const isCredit =
+        isImportCreditMarked_(row[IDX.price]) ||
+        (amountSign === 'DEBIT_POSITIVE' ? signed < 0 : signed > 0);
+
+      if (isCredit) {
+        reject(srcRowNum, src, 'CREDIT_AMOUNT', 'Price_Entered');
+        continue;
+      }
+
+      row[IDX.trxDate] = trxDate;
+      row[IDX.qtyVal]  = qtyVal;
+      row[IDX.price]   = price;
+      row[IDX.txnId]   = Utilities.getUuid();
+
+      if (rawCol('Created_At') !== -1) row[rawCol('Created_At')] = now;
+      if (rawCol('Updated_At') !== -1) row[rawCol('Updated_At')] = now;
+
+      rawAppendRows.push(row);
+    }
+
+    /* =========================
+       STEP — WRITE_OUTPUT
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_OUTPUT');
+
+    let firstRow = '';
+    let lastRow = '';
+
+    if (rawAppendRows.length > 0) {
+
+      firstRow = rawSh.getLastRow() + 1;
+      lastRow  = firstRow + rawAppendRows.length - 1;
+
+      rawSh.getRange(firstRow, 1, rawAppendRows.length, rawHdr.length)
+           .setValues(rawAppendRows);
+    }
+
+    if (rejects.length > 0) {
+
+      const rejHdr = rejSh.getRange(1, 1, 1, rejSh.getLastColumn()).getValues()[0];
+      const rejRows = rejects.map(e => rejHdr.map(h => (h in e ? e[h] : '')));
+
+      rejSh.getRange(rejSh.getLastRow() + 1, 1, rejRows.length, rejHdr.length)
+           .setValues(rejRows);
+    }
+
+    const lastImportedIdx = profHdr.indexOf('Last_Imported_At');
+    if (lastImportedIdx !== -1) {
+      profSh.getRange(profRowIdx + 1, lastImportedIdx + 1).setValue(now);
+    }
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_OUTPUT');
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      `Profile=${name} | Scanned=${scanned} | Imported=${rawAppendRows.length}` +
+      (rawAppendRows.length ? ` (Rows ${firstRow}-${lastRow})` : '') +
+      ` | Rejected=${rejects.length} | SkippedEmpty=${skippedEmpty} | DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
@@ -0,0 +1,760 @@
+// TRANSACTION PRICING - LINE ADJUSTMENTS & APPORTIONING
+/*
+-------------------------------------
+Price model
+- Price_Entered           → line amount before adjustments (shelf / list price)
+- Discount_Entered        → line-level coupon / discount   (optional, Transaction_Raw)
+- Tax_Entered             → line-level GST / VAT           (optional, Transaction_Raw)
+- Fee_Entered             → line-level charge              (optional, Transaction_Raw)
+- Receipt_Header          → Discount_Total, Tax_Total, Delivery_Fee, Other_Fees
+                            apportioned across the receipt's lines by Price_Entered share
+
+Effective_Line_Price = Price_Entered − Discount + Tax + Fee
+                       (line-level + apportioned receipt-level)
+-------------------------------------
+*/
+const TXN_LINE_ADJUSTMENT_COLUMNS = {
+  discount: 'Discount_Entered',
+  tax: 'Tax_Entered',
+  fee: 'Fee_Entered'
+};
+
+/*
+  Script-owned columns appended to Transaction_Resolution
+  (matched by Txn_ID_Machine, not position)
+*/
+const TXN_PRICING_RESOLUTION_SCHEMA = [
+  'Discount_Applied',
+  'Tax_Applied',
+  'Fee_Applied',
+  'Effective_Line_Price',
+  'Effective_Unit_Price',
+  'Effective_Price_Per_Base_Unit',
+  'Effective_Price_Status',
+  'Effective_Price_At'
+];
+
+/*
+  Script-owned columns appended to Transaction_Analytics
+*/
+const TXN_PRICING_ANALYTICS_SCHEMA = [
+  'Effective_Total_Amount',
+  'Effective_Rate_Normalized'
+];
+
+/*
+  Script-owned columns appended to Itemwise_Analytics and
+  Item_Evaluation_Log — rate statistics over Effective_Rate_Normalized
+*/
+const EFFECTIVE_RATE_STATS_SCHEMA = [
+  'Effective_Rate_Txn_Count',
+  'Effective_Min_Rate',
+  'Effective_Avg_Rate',
+  'Effective_Median_Rate',
+  'Effective_Max_Rate',
+  'Effective_Last_Rate'
+];
+
+/*
+-------------------------------------
+Helper — Line Adjustment Index
+-------------------------------------
+Optional columns → -1 when absent (treated as 0).
+*/
+function buildTxnLineAdjustmentIndex_(header){
+
+  const idx = {};
+
+  Object.entries(TXN_LINE_ADJUSTMENT_COLUMNS).forEach(([k, c]) => {
+    idx[k] = header.indexOf(c);
+  });
+
+  return idx;
+}
+
+/*
+-------------------------------------
+Helper — Line Adjustments
+-------------------------------------
+Returns { discount, tax, fee } as non-negative numbers.
+*/
+function getTxnLineAdjustments_(row, adjIdx){
+
+  const val = i => (i === -1 ? 0 : Math.abs(Number(row[i]) || 0));
+
+  return {
+    discount: val(adjIdx.discount),
+    tax: val(adjIdx.tax),
+    fee: val(adjIdx.fee)
+  };
+}
+
+/*
+-------------------------------------
+Helper — Apportion Proportionally
+-------------------------------------
+Splits amount across weights, rounded to 2 decimals.
+Rounding remainder goes to the largest weight so shares sum exactly.
+*/
+function apportionProportionally_(amount, weights){
+
+  const total = weights.reduce((s, w) => s + w, 0);
+
+  if (!amount || !(total > 0)) return weights.map(() => 0);
+
+  const shares = weights.map(w => Math.round((amount * w / total) * 100) / 100);
+  const remainder = Math.round((amount - shares.reduce((s, v) => s + v, 0)) * 100) / 100;
+
+  if (remainder !== 0) {
+    const largest = weights.indexOf(Math.max.apply(null, weights));
+    shares[largest] = Math.round((shares[largest] + remainder) * 100) / 100;
+  }
+
+  return shares;
+}
+
+/*
+-------------------------------------
+Helper — Effective Rate History
+-------------------------------------
+Joins Transaction_Analytics.Effective_Rate_Normalized to
+Transaction_Resolution (Item_ID_Machine else Item_ID_Alias,
+Platform_ID_Machine, date).
+Returns Map(Item_ID_Machine → [{ rate, platformId, date }]); empty when
+either sheet or a required column is missing (pricing not run yet).
+*/
+function buildEffectiveRateHistory_(ss){
+
+  const history = new Map();
+
+  const anSh  = ss.getSheetByName('Transaction_Analytics');
+  const resSh = ss.getSheetByName('Transaction_Resolution');
+
+  if (!anSh || !resSh) return history;
+
+  const anData = anSh.getDataRange().getValues();
+  const anTxnIdx  = anData[0].indexOf('Txn_ID');
+  const anRateIdx = anData[0].indexOf('Effective_Rate_Normalized');
+
+  if (anTxnIdx === -1 || anRateIdx === -1) return history;
+
+  const rateById = new Map();
+
+  for (let i = 1; i < anData.length; i++) {
+    const rate = anData[i][anRateIdx];
+    if (anData[i][anTxnIdx] && rate !== '' && Number(rate) > 0) {
+      rateById.set(anData[i][anTxnIdx], Number(rate));
+    }
+  }
+
+  const resData = resSh.getDataRange().getValues();
+  const resHdr  = resData[0];
+
+  const IDX_RES = {
+    txnId: resHdr.indexOf('Txn_ID_Machine'),
+    itemId: resHdr.indexOf('Item_ID_Machine'),
+    itemAlias: resHdr.indexOf('Item_ID_Alias'),
+    platformId: resHdr.indexOf('Platform_ID_Machine'),
+    txnDate: resHdr.indexOf('Txn_Date_Entered'),
+    createdAt: resHdr.indexOf('Created_At')
+  };
+
+  if (IDX_RES.txnId === -1 || IDX_RES.itemId === -1) return history;
+
+  const cell = (r, idx) => (idx === -1 ? '' : r[idx]);
+
+  for (let i = 1; i < resData.length; i++) {
+
+    const r = resData[i];
+    const rate = rateById.get(r[IDX_RES.txnId]);
+    const itemId = getTxnEntityId_(r, IDX_RES.itemId, IDX_RES.itemAlias);
+
+    if (rate === undefined || !itemId) continue;
+
+    const raw = cell(r, IDX_RES.txnDate) || cell(r, IDX_RES.createdAt);
+    const date = raw ? new Date(raw) : null;
+
+    if (!history.has(itemId)) history.set(itemId, []);
+
+    history.get(itemId).push({
+      rate,
+      platformId: cell(r, IDX_RES.platformId),
+      date: date && !isNaN(date.getTime()) ? date : null
+    });
+  }
+
+  return history;
+}
+
+/*
+-------------------------------------
+Helper — Summarize Effective Rates
+-------------------------------------
+Returns one value per EFFECTIVE_RATE_STATS_SCHEMA column, in order
+(blanks when entries is empty). Last rate = latest dated entry.
+*/
+function summarizeEffectiveRates_(entries){
+
+  if (!entries || entries.length === 0) {
+    return EFFECTIVE_RATE_STATS_SCHEMA.map(c => (c === 'Effective_Rate_Txn_Count' ? 0 : ''));
+  }
+
+  const round6 = n => Math.round(n * 1e6) / 1e6;
+  const rates = entries.map(e => e.rate).sort((a, b) => a - b);
+  const mid = Math.floor(rates.length / 2);
+
+  const median = rates.length % 2 ? rates[mid] : (rates[mid - 1] + rates[mid]) / 2;
+
+  const last = entries.reduce((best, e) =>
+    !best || (e.date && (!best.date || e.date >= best.date)) ? e : best
+  , null);
+
+  return [
+    rates.length,
+    rates[0],
+    round6(rates.reduce((s, v) => s + v, 0) / rates.length),
+    round6(median),
+    rates[rates.length - 1],
+    last.rate
+  ];
+}
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// TRANSACTION RESOLUTION - EFFECTIVE PRICE
+
+/**
+ * Script Name: resolveEffectivePrices_TransactionResolution
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Stop coupons, GST / VAT and delivery charges distorting per-unit rates
+ * - Apportion receipt-level discounts / taxes / fees across receipt lines
+ *   proportionally to Price_Entered
+ * - Write the effective price onto Transaction_Resolution and
+ *   Transaction_Analytics so item analytics and Item_Buy_Evaluate
+ *   comparisons rate on what was actually paid
+ *
+ * Output Columns (created if missing):
+ *
+ *   Transaction_Resolution
+ *   - Discount_Applied / Tax_Applied / Fee_Applied (line + receipt share)
+ *   - Effective_Line_Price          = (Price_Entered − Discount + Tax + Fee) × FX_Rate_Used
+ *                                     (all amounts in home currency)
+ *   - Effective_Unit_Price          = Effective_Line_Price / Qty_Value_Entered
+ *   - Effective_Price_Per_Base_Unit = Effective_Line_Price / Base_Qty_Value
+ *                                     (blank until unit normalization has run)
+ *   - Effective_Price_Status:
+ *       RESOLVED       → effective price written
+ *       INVALID_PRICE  → Price_Entered not a positive number
+ *       NEGATIVE_PRICE → adjustments exceed the line price (values blank)
+ *       MISSING_FX_RATE → FX_Status = MISSING_RATE (values blank)
+ *   - Effective_Price_At
+ *
+ *   Transaction_Analytics
+ *   - Effective_Total_Amount        = Effective_Line_Price
+ *   - Effective_Rate_Normalized     = Effective_Line_Price / Qty_Value_Normalized
+ *
+ * Preconditions:
+ * - Sheets must exist: Transaction_Raw, Transaction_Resolution
+ * - Required columns:
+ *   - Transaction_Raw: Txn_ID_Machine, Qty_Value_Entered, Price_Entered
+ *   - Transaction_Resolution: Txn_ID_Machine
+ * - Optional:
+ *   - Transaction_Raw: Discount_Entered, Tax_Entered, Fee_Entered, Receipt_ID_Machine
+ *   - Receipt_Header (receipt-level apportioning)
+ *   - Transaction_Analytics with Txn_ID + Qty_Value_Normalized (analytics step)
+ *
+ * Algorithm (Step-by-Step):
+ * 1. Load Transaction_Raw; compute line-level adjustments
+ * 2. Group valid lines by Receipt_ID_Machine; apportion Receipt_Header
+ *    Discount_Total / Tax_Total / (Delivery_Fee + Other_Fees) by price share
+ * 3. Compute effective prices per Txn_ID_Machine
+ * 4. Write Transaction_Resolution script-owned columns in batch
+ * 5. Write Transaction_Analytics script-owned columns in batch
+ * 6. Emit execution summary
+ *
+ * Failure Modes:
+ * - Required sheet missing
+ * - Required column missing
+ *
+ * Notes:
+ * - Run after normalizeTransactionUnits_TransactionResolution (reads Base_Qty_Value)
+ *   and convertTransactionCurrency_TransactionResolution (reads FX_Rate_Used)
+ * - Item-level rate statistics: refreshItemwiseEffectiveRates_ItemwiseAnalytics;
+ *   Item_Buy_Evaluate comparisons: processEvaluationRow_ (both read
+ *   Effective_Rate_Normalized)
+ *
+ * Reason for Deprecation:
+ * - N/A
+ */
+function resolveEffectivePrices_TransactionResolution() {
+
+  const SCRIPT_NAME   = 'Transactions';
+  const FUNCTION_NAME = 'resolveEffectivePrices_TransactionResolution';
+  const SRC_SHEET     = 'Transaction_Raw';
+  const TGT_SHEET     = 'Transaction_Resolution';
+  const ANALYTICS_SHEET = 'Transaction_Analytics';
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const rawSh = ss.getSheetByName(SRC_SHEET);
+
+    if (!rawSh || !ss.getSheetByName(TGT_SHEET)) {
+      throw new Error('Required sheet not found');
+    }
+
+    const resSh = getOrCreateSheet_(ss, TGT_SHEET, TXN_PRICING_RESOLUTION_SCHEMA);
+
+    /* =========================
+       STEP — LOAD_TXN
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET, 'LOAD_TXN');
+
+    const rawData = rawSh.getDataRange().getValues();
+    const rawHdr  = rawData[0];
+    const rawCol  = n => rawHdr.indexOf(n);
+
+    const IDX_RAW = {
+      txnId: rawCol('Txn_ID_Machine'),
+      qtyVal: rawCol('Qty_Value_Entered'),
+      price: rawCol('Price_Entered')
+    };
+
+    for (const [k, v] of Object.entries(IDX_RAW)) {
+      if (v === -1) throw new Error(`Transaction_Raw missing column: ${k}`);
+    }
+
+    const ridIdx = rawCol('Receipt_ID_Machine');
+    const ADJ_IDX = buildTxnLineAdjustmentIndex_(rawHdr);
+
+    const lines = new Map();
+    const linesByReceipt = new Map();
+
+    for (let i = 1; i < rawData.length; i++) {
+
+      const r = rawData[i];
+      const txnId = r[IDX_RAW.txnId];
+
+      if (!txnId) continue;
+
+      const line = {
+        txnId,
+        price: Number(r[IDX_RAW.price]),
+        qty: Number(r[IDX_RAW.qtyVal]),
+        adj: getTxnLineAdjustments_(r, ADJ_IDX)
+      };
+
+      lines.set(txnId, line);
+
+      const rid = ridIdx === -1 ? '' : r[ridIdx];
+
+      if (rid && line.price > 0) {
+        if (!linesByReceipt.has(rid)) linesByReceipt.set(rid, []);
+        linesByReceipt.get(rid).push(line);
+      }
+    }
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET, 'LOAD_TXN');
+
+    /* =========================
+       STEP — APPORTION_RECEIPTS
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, RECEIPT_HEADER_SHEET, 'APPORTION_RECEIPTS');
+
+    const hSh = ss.getSheetByName(RECEIPT_HEADER_SHEET);
+
+    let receiptsApportioned = 0;
+
+    if (hSh && hSh.getLastRow() > 1 && linesByReceipt.size > 0) {
+
+      const hData = hSh.getDataRange().getValues();
+      const hHdr  = hData[0];
+      const hVal  = (r, n) => (hHdr.indexOf(n) === -1 ? 0 : Math.abs(Number(r[hHdr.indexOf(n)]) || 0));
+      const hRidIdx = hHdr.indexOf('Receipt_ID_Machine');
+
+      for (let i = 1; i < hData.length; i++) {
+
+        const r = hData[i];
+        const receiptLines = linesByReceipt.get(r[hRidIdx]);
+
+        if (!receiptLines) continue;
+
+        const weights = receiptLines.map(l => l.price);
+
+        const discounts = apportionProportionally_(hVal(r, 'Discount_Total'), weights);
+        const taxes     = apportionProportionally_(hVal(r, 'Tax_Total'), weights);
+        const fees      = apportionProportionally_(hVal(r, 'Delivery_Fee') + hVal(r, 'Other_Fees'), weights);
+
+        receiptLines.forEach((l, k) => {
+          l.adj.discount += discounts[k];
+          l.adj.tax      += taxes[k];
+          l.adj.fee      += fees[k];
+        });
+
+        receiptsApportioned++;
+      }
+    }
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, RECEIPT_HEADER_SHEET, 'APPORTION_RECEIPTS');
+
+    /* =========================
+       HEADER MAPPING (RESOLUTION)
+    ========================= */
+    const resData = resSh.getDataRange().getValues();
+    const resHdr  = resData[0];
+    const resTxnIdx = resHdr.indexOf('Txn_ID_Machine');
+    const resBaseQtyIdx = resHdr.indexOf('Base_Qty_Value');
+
+    if (resTxnIdx === -1) throw new Error('Transaction_Resolution missing column: txnId');
+
+    if (resData.length < 2) {
+      ETI_logExit_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'No data rows in Transaction_Resolution');
+      return;
+    }
+
+    /* =========================
+       PROCESS LOOP
+    ========================= */
+    const now = new Date();
+    const round2 = n => Math.round(n * 100) / 100;
+    const round6 = n => Math.round(n * 1e6) / 1e6;
+
+    const output = [];
+    const effectiveById = new Map();
+
+    let resolvedCount = 0;
+    let invalidPrice = 0;
+    let negativePrice = 0;
+    let missingFx = 0;
+    let unresolved = 0;
+
+    for (let i = 1; i < resData.length; i++) {
+
+      const txnId = resData[i][resTxnIdx];
+      const line = txnId ? lines.get(txnId) : null;
+
+      if (!line) {
+        unresolved++;
+        output.push(new Array(TXN_PRICING_RESOLUTION_SCHEMA.length).fill(''));
+        continue;
+      }
+
+      const fxRate = getTxnFxRate_(resData[i], resHdr);
+
+      if (fxRate === null) {
+        missingFx++;
+        output.push(['', '', '', '', '', '', 'MISSING_FX_RATE', now]);
+        continue;
+      }
+
+      const discount = line.adj.discount * fxRate;
+      const tax      = line.adj.tax * fxRate;
+      const fee      = line.adj.fee * fxRate;
+
+      if (!(line.price > 0)) {
+        invalidPrice++;
+        output.push([round2(discount), round2(tax), round2(fee), '', '', '', 'INVALID_PRICE', now]);
+        continue;
+      }
+
+      const effective = round2(line.price * fxRate - discount + tax + fee);
+
+      if (effective < 0) {
+
+        negativePrice++;
+        output.push([round2(discount), round2(tax), round2(fee), '', '', '', 'NEGATIVE_PRICE', now]);
+
+        ETI_log_({
+          scriptName: SCRIPT_NAME,
+          functionName: FUNCTION_NAME,
+          sheetName: TGT_SHEET,
+          level: 'WARN',
+          rowNumber: i + 1,
+          action: 'NEGATIVE_EFFECTIVE_PRICE',
+          details: `Txn_ID_Machine=${txnId}, Price=${line.price}, Discount=${discount}, Tax=${tax}, Fee=${fee}`
+        });
+
+        continue;
+      }
+
+      const baseQty = resBaseQtyIdx === -1 ? 0 : Number(resData[i][resBaseQtyIdx]);
+
+      output.push([
+        round2(discount),
+        round2(tax),
+        round2(fee),
+        effective,
+        line.qty > 0 ? round6(effective / line.qty) : '',
+        baseQty > 0 ? round6(effective / baseQty) : '',
+        'RESOLVED',
+        now
+      ]);
+
+      effectiveById.set(txnId, effective);
+      resolvedCount++;
+    }
+
+    /* =========================
+       STEP — WRITE_RESOLUTION
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_RESOLUTION');
+
+    TXN_PRICING_RESOLUTION_SCHEMA.forEach((c, k) => {
+      resSh.getRange(2, resHdr.indexOf(c) + 1, output.length, 1)
+           .setValues(output.map(r => [r[k]]));
+    });
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_RESOLUTION');
+
+    /* =========================
+       STEP — WRITE_ANALYTICS
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, ANALYTICS_SHEET, 'WRITE_ANALYTICS');
+
+    let analyticsWritten = 0;
+
+    if (ss.getSheetByName(ANALYTICS_SHEET)) {
+
+      const anSh = getOrCreateSheet_(ss, ANALYTICS_SHEET, TXN_PRICING_ANALYTICS_SCHEMA);
+      const anData = anSh.getDataRange().getValues();
+      const anHdr  = anData[0];
+
+      const IDX_AN = {
+        txnId: anHdr.indexOf('Txn_ID'),
+        qtyNorm: anHdr.indexOf('Qty_Value_Normalized'),
+        effTotal: anHdr.indexOf('Effective_Total_Amount'),
+        effRate: anHdr.indexOf('Effective_Rate_Normalized')
+      };
+
+      for (const [k, v] of Object.entries(IDX_AN)) {
+        if (v === -1) throw new Error(`${ANALYTICS_SHEET} missing column: ${k}`);
+      }
+
+      if (anData.length > 1) {
+
+        const anOut = anData.slice(1).map(r => {
+
+          const effective = r[IDX_AN.txnId] ? effectiveById.get(r[IDX_AN.txnId]) : undefined;
+          if (effective === undefined) return ['', ''];
+
+          const qtyNorm = Number(r[IDX_AN.qtyNorm]);
+          analyticsWritten++;
+
+          return [effective, qtyNorm > 0 ? round6(effective / qtyNorm) : ''];
+        });
+
+        anSh.getRange(2, IDX_AN.effTotal + 1, anOut.length, 1)
+            .setValues(anOut.map(r => [r[0]]));
+
+        anSh.getRange(2, IDX_AN.effRate + 1, anOut.length, 1)
+            .setValues(anOut.map(r => [r[1]]));
+      }
+    }
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, ANALYTICS_SHEET, 'WRITE_ANALYTICS');
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      `Resolved=${resolvedCount}, InvalidPrice=${invalidPrice}, NegativePrice=${negativePrice}, ` +
+      `MissingFxRate=${missingFx}, Unresolved=${unresolved} | ReceiptsApportioned=${receiptsApportioned} | ` +
+      `AnalyticsRows=${analyticsWritten} | DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
+
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// ITEMWISE ANALYTICS - EFFECTIVE RATE STATISTICS
+
+/**
+ * Script Name: refreshItemwiseEffectiveRates_ItemwiseAnalytics
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Item-level rate statistics on the effective (paid) rate, so discounts,
+ *   taxes and fees no longer distort Min / Avg / Median / Max / Last rates
+ *
+ * Output Columns (Itemwise_Analytics, created if missing):
+ * - Effective_Rate_Txn_Count
+ * - Effective_Min_Rate / Effective_Avg_Rate / Effective_Median_Rate /
+ *   Effective_Max_Rate / Effective_Last_Rate
+ *   (over Transaction_Analytics.Effective_Rate_Normalized, all platforms)
+ *
+ * Preconditions:
+ * - Itemwise_Analytics with Item_ID_Machine (skipped when the sheet is missing)
+ * - resolveEffectivePrices_TransactionResolution has run
+ *
+ * Algorithm (Step-by-Step):
+ * 1. Build effective rate history per Item_ID_Machine
+ * 2. Summarize per Itemwise_Analytics row
+ * 3. Write script-owned columns in batch
+ * 4. Emit execution summary
+ *
+ * Failure Modes:
+ * - Required column missing
+ *
+ * Notes:
+ * - Items without effective rates get Effective_Rate_Txn_Count = 0 and
+ *   blank statistics
+ */
+function refreshItemwiseEffectiveRates_ItemwiseAnalytics() {
+
+  const SCRIPT_NAME   = 'Transactions';
+  const FUNCTION_NAME = 'refreshItemwiseEffectiveRates_ItemwiseAnalytics';
+  const TGT_SHEET     = 'Itemwise_Analytics';
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+    if (!ss.getSheetByName(TGT_SHEET)) {
+      ETI_logExit_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, `Sheet ${TGT_SHEET} not found`);
+      return;
+    }
+
+    const itSh = getOrCreateSheet_(ss, TGT_SHEET, EFFECTIVE_RATE_STATS_SCHEMA);
+
+    /* =========================
+       STEP — LOAD_DATA
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_DATA');
+
+    const history = buildEffectiveRateHistory_(ss);
+
+    const itData = itSh.getDataRange().getValues();
+    const itHdr  = itData[0];
+    const itemIdx = itHdr.indexOf('Item_ID_Machine');
+
+    if (itemIdx === -1) throw new Error(`${TGT_SHEET} missing column: Item_ID_Machine`);
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_DATA');
+
+    if (itData.length < 2) {
+      ETI_logExit_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, `No data rows in ${TGT_SHEET}`);
+      return;
+    }
+
+    /* =========================
+       PROCESS LOOP
+    ========================= */
+    let withRates = 0;
+
+    const output = itData.slice(1).map(r => {
+      const entries = r[itemIdx] ? history.get(r[itemIdx]) : null;
+      if (entries) withRates++;
+      return summarizeEffectiveRates_(entries);
+    });
+
+    /* =========================
+       STEP — WRITE_OUTPUT
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_OUTPUT');
+
+    EFFECTIVE_RATE_STATS_SCHEMA.forEach((c, k) => {
+      itSh.getRange(2, itHdr.indexOf(c) + 1, output.length, 1)
+          .setValues(output.map(r => [r[k]]));
+    });
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_OUTPUT');
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      `Items=${output.length} | WithEffectiveRates=${withRates} | DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
@@ -0,0 +1,435 @@
+// RECEIPT HEADER - TABLE & ID ASSIGNMENT
+/*
+-------------------------------------
+Receipt_Header (one row per bill / order)
+- Receipt_ID_Machine     → script-generated UUID (parent key)
+- Receipt_Ref            → human grouping key entered on each Transaction_Raw
+                           line (order number, bill number, "DMart 11-Mar")
+- Receipt_Date, Platform_Name_Entered
+- Total_Paid             → amount actually paid (admin-entered)
+- Discount_Total, Tax_Total, Delivery_Fee, Other_Fees
+  (apportioned across lines by resolveEffectivePrices_TransactionResolution)
+- Line_Count, Line_Total, Expected_Total, Variance,
+  Reconciliation_Status, Reconciled_At → script-owned (reconciliation)
+
+Transaction_Raw link columns (optional; receipt steps skip if absent):
+- Receipt_Ref            → entered per line
+- Receipt_ID_Machine     → backfilled by backfillTxnIDs_TransactionRaw
+-------------------------------------
+*/
+const RECEIPT_HEADER_SHEET = 'Receipt_Header';
+
+const RECEIPT_HEADER_SCHEMA = [
+  'Receipt_ID_Machine',
+  'Receipt_Ref',
+  'Receipt_Date',
+  'Platform_Name_Entered',
+  'Total_Paid',
+  'Discount_Total',
+  'Tax_Total',
+  'Delivery_Fee',
+  'Other_Fees',
+  'Line_Count',
+  'Line_Total',
+  'Expected_Total',
+  'Variance',
+  'Reconciliation_Status',
+  'Reconciled_At',
+  'Created_At',
+  'Notes'
+];
+
+/*
+-------------------------------------
+Helper — Normalise Receipt_Ref
+-------------------------------------
+*/
+function normalizeReceiptRef_(value){
+  return String(value === null || value === undefined ? '' : value)
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+}
+
+/*
+-------------------------------------
+Helper — Assign Receipt IDs (called by backfillTxnIDs_TransactionRaw)
+-------------------------------------
+- Generates Receipt_ID_Machine for Receipt_Header rows that lack one
+- Links Transaction_Raw lines (Receipt_Ref set, Receipt_ID_Machine blank)
+  to the header with the same Receipt_Ref
+- Creates a header row for Receipt_Refs not yet in Receipt_Header
+  (Receipt_Date / Platform taken from the first line)
+
+Mutates nothing in Transaction_Raw directly: returns the in-memory
+Receipt_ID_Machine column for the caller to write in one batch.
+
+Returns { receiptIdColumn, receiptIdIndex, linked, headersCreated, headerIdsGenerated }
+or null when Transaction_Raw has no receipt link columns.
+*/
+function assignReceiptIDs_(ss, data, isValidRow){
+
+  const header = data[0];
+  const refIdx = header.indexOf('Receipt_Ref');
+  const ridIdx = header.indexOf('Receipt_ID_Machine');
+
+  if (refIdx === -1 || ridIdx === -1) return null;
+
+  const dateIdx = header.indexOf('Trx_Date_Entered');
+  const platformIdx = header.indexOf('Platform_Name_Entered');
+
+  const hSh = getOrCreateSheet_(ss, RECEIPT_HEADER_SHEET, RECEIPT_HEADER_SCHEMA);
+  const hData = hSh.getDataRange().getValues();
+  const hHdr  = hData[0];
+  const hCol  = n => hHdr.indexOf(n);
+
+  const IDX_H = {
+    rid: hCol('Receipt_ID_Machine'),
+    ref: hCol('Receipt_Ref')
+  };
+
+  const now = new Date();
+  const idByRef = new Map();
+
+  let headerIdsGenerated = 0;
+
+  for (let i = 1; i < hData.length; i++) {
+
+    const r = hData[i];
+
+    if (!r[IDX_H.rid] && r[IDX_H.ref]) {
+      r[IDX_H.rid] = Utilities.getUuid();
+      headerIdsGenerated++;
+    }
+
+    const key = normalizeReceiptRef_(r[IDX_H.ref]);
+    if (key && r[IDX_H.rid] && !idByRef.has(key)) idByRef.set(key, r[IDX_H.rid]);
+  }
+
+  const receiptIdColumn = data.slice(1).map(r => [r[ridIdx]]);
+  const headersToAppend = [];
+
+  let linked = 0;
+
+  for (let i = 1; i < data.length; i++) {
+
+    const r = data[i];
+    const key = normalizeReceiptRef_(r[refIdx]);
+
+    if (!key || r[ridIdx] || !isValidRow(r)) continue;
+
+    let rid = idByRef.get(key);
+
+    if (!rid) {
+
+      rid = Utilities.getUuid();
+      idByRef.set(key, rid);
+
+      const entry = {
+        Receipt_ID_Machine: rid,
+        Receipt_Ref: r[refIdx],
+        Receipt_Date: dateIdx === -1 ? '' : r[dateIdx],
+        Platform_Name_Entered: platformIdx === -1 ? '' : r[platformIdx],
+        Created_At: now,
+        Notes: 'Auto-created from Transaction_Raw; enter Total_Paid to reconcile'
+      };
+
+      headersToAppend.push(hHdr.map(h => (h in entry ? entry[h] : '')));
+    }
+
+    receiptIdColumn[i - 1][0] = rid;
+    linked++;
+  }
+
+  if (headerIdsGenerated > 0) {
+    hSh.getRange(2, IDX_H.rid + 1, hData.length - 1, 1)
+       .setValues(hData.slice(1).map(r => [r[IDX_H.rid]]));
+  }
+
+  if (headersToAppend.length > 0) {
+    hSh.getRange(hSh.getLastRow() + 1, 1, headersToAppend.length, hHdr.length)
+       .setValues(headersToAppend);
+  }
+
+  return {
+    receiptIdColumn,
+    receiptIdIndex: ridIdx,
+    linked,
+    headersCreated: headersToAppend.length,
+    headerIdsGenerated
+  };
+}
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// RECEIPT HEADER - RECONCILIATION
+
+/**
+ * Script Name: reconcileReceipts_ReceiptHeader
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Check that the lines of each receipt add up to what was actually paid
+ * - Flag mismatches in the action log (RECEIPT_TOTAL_MISMATCH)
+ *
+ * Reconciliation Rule:
+ *
+ *   Line_Total     = Σ (Price_Entered − Discount_Entered + Tax_Entered + Fee_Entered)
+ *                    of Transaction_Raw lines with the Receipt_ID_Machine
+ *                    (line adjustment columns optional; absent → 0)
+ *   Expected_Total = Line_Total − Discount_Total + Tax_Total + Delivery_Fee + Other_Fees
+ *   Variance       = Total_Paid − Expected_Total
+ *
+ *   Reconciliation_Status:
+ *     MATCHED   → |Variance| ≤ tolerance
+ *     MISMATCH  → |Variance| > tolerance (logged WARN)
+ *     NO_TOTAL  → Total_Paid blank (not yet entered)
+ *     NO_LINES  → no Transaction_Raw line linked
+ *
+ * Automation_Control Switches:
+ * - Receipt_Reconciliation_Tolerance (optional, numeric; default 0.01)
+ *
+ * Preconditions:
+ * - Sheet must exist: Transaction_Raw (with Price_Entered)
+ * - Transaction_Raw without Receipt_ID_Machine → EXIT (receipts not in use)
+ * - Receipt_Header is created on first use if missing
+ *
+ * Algorithm (Step-by-Step):
+ * 1. Load Transaction_Raw; aggregate line count / price by Receipt_ID_Machine
+ * 2. Load Receipt_Header
+ * 3. For each header row with Receipt_ID_Machine compute totals + status
+ * 4. Write Receipt_Header back in one batch
+ * 5. Emit execution summary
+ *
+ * Failure Modes:
+ * - Transaction_Raw sheet missing
+ * - Required column missing
+ *
+ * Notes:
+ * - Read-only against Transaction_Raw
+ *
+ * Reason for Deprecation:
+ * - N/A
+ */
+function reconcileReceipts_ReceiptHeader() {
+
+  const SCRIPT_NAME   = 'Transactions';
+  const FUNCTION_NAME = 'reconcileReceipts_ReceiptHeader';
+  const SRC_SHEET     = 'Transaction_Raw';
+  const TGT_SHEET     = RECEIPT_HEADER_SHEET;
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const rawSh = ss.getSheetByName(SRC_SHEET);
+    if (!rawSh) throw new Error(`Sheet ${SRC_SHEET} not found`);
+
+    const hSh = getOrCreateSheet_(ss, TGT_SHEET, RECEIPT_HEADER_SCHEMA);
+
+    const tolerance =
+      Number(getAutomationSwitchMap_()["Receipt_Reconciliation_Tolerance"]) || 0.01;
+
+    /* =========================
+       STEP — AGGREGATE_LINES
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET, 'AGGREGATE_LINES');
+
+    const rawData = rawSh.getDataRange().getValues();
+    const rawHdr  = rawData[0];
+
+    const IDX_RAW = {
+      rid: rawHdr.indexOf('Receipt_ID_Machine'),
+      price: rawHdr.indexOf('Price_Entered')
+    };
+
+    /* =========================
+       EXIT — RECEIPTS NOT ENABLED
+    ========================= */
+    if (IDX_RAW.rid === -1) {
+      ETI_logExit_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'Transaction_Raw has no Receipt_ID_Machine column');
+      return;
+    }
+
+    for (const [k, v] of Object.entries(IDX_RAW)) {
+      if (v === -1) throw new Error(`Transaction_Raw missing column: ${k}`);
+    }
+
+    const ADJ_IDX = buildTxnLineAdjustmentIndex_(rawHdr);
+    const lines = new Map();
+
+    for (let i = 1; i < rawData.length; i++) {
+
+      const rid = rawData[i][IDX_RAW.rid];
+      if (!rid) continue;
+
+      const adj = getTxnLineAdjustments_(rawData[i], ADJ_IDX);
+
+      const agg = lines.get(rid) || { count: 0, total: 0 };
+      agg.count++;
+      agg.total += (Number(rawData[i][IDX_RAW.price]) || 0) - adj.discount + adj.tax + adj.fee;
+      lines.set(rid, agg);
+    }
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET, 'AGGREGATE_LINES');
+
+    /* =========================
+       HEADER MAPPING
+    ========================= */
+    const hData = hSh.getDataRange().getValues();
+    const hHdr  = hData[0];
+    const hCol  = n => hHdr.indexOf(n);
+
+    const IDX_H = {
+      rid: hCol('Receipt_ID_Machine'),
+      ref: hCol('Receipt_Ref'),
+      totalPaid: hCol('Total_Paid'),
+      discount: hCol('Discount_Total'),
+      tax: hCol('Tax_Total'),
+      delivery: hCol('Delivery_Fee'),
+      otherFees: hCol('Other_Fees'),
+      lineCount: hCol('Line_Count'),
+      lineTotal: hCol('Line_Total'),
+      expected: hCol('Expected_Total'),
+      variance: hCol('Variance'),
+      status: hCol('Reconciliation_Status'),
+      reconciledAt: hCol('Reconciled_At')
+    };
+
+    if (hData.length < 2) {
+      ETI_logExit_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'No receipt rows found');
+      return;
+    }
+
+    /* =========================
+       PROCESS LOOP
+    ========================= */
+    const now = new Date();
+    const round2 = n => Math.round(n * 100) / 100;
+
+    let matched = 0;
+    let mismatched = 0;
+    let noTotal = 0;
+    let noLines = 0;
+
+    for (let i = 1; i < hData.length; i++) {
+
+      const r = hData[i];
+      const rowNum = i + 1;
+      const rid = r[IDX_H.rid];
+
+      if (!rid) continue;
+
+      const agg = lines.get(rid) || { count: 0, total: 0 };
+
+      const expected = round2(
+        agg.total -
+        (Number(r[IDX_H.discount]) || 0) +
+        (Number(r[IDX_H.tax]) || 0) +
+        (Number(r[IDX_H.delivery]) || 0) +
+        (Number(r[IDX_H.otherFees]) || 0)
+      );
+
+      r[IDX_H.lineCount] = agg.count;
+      r[IDX_H.lineTotal] = round2(agg.total);
+      r[IDX_H.expected] = expected;
+      r[IDX_H.reconciledAt] = now;
+
+      if (agg.count === 0) {
+        r[IDX_H.variance] = '';
+        r[IDX_H.status] = 'NO_LINES';
+        noLines++;
+        continue;
+      }
+
+      if (r[IDX_H.totalPaid] === '' || r[IDX_H.totalPaid] === null) {
+        r[IDX_H.variance] = '';
+        r[IDX_H.status] = 'NO_TOTAL';
+        noTotal++;
+        continue;
+      }
+
+      const variance = round2(Number(r[IDX_H.totalPaid]) - expected);
+
+      r[IDX_H.variance] = variance;
+
+      if (Math.abs(variance) <= tolerance) {
+        r[IDX_H.status] = 'MATCHED';
+        matched++;
+        continue;
+      }
+
+      r[IDX_H.status] = 'MISMATCH';
+      mismatched++;
+
+      ETI_log_({
+        scriptName: SCRIPT_NAME,
+        functionName: FUNCTION_NAME,
+        sheetName: TGT_SHEET,
+        level: 'WARN',
+        rowNumber: rowNum,
+        action: 'RECEIPT_TOTAL_MISMATCH',
+        details:
+          `Receipt_Ref=${r[IDX_H.ref]}, Total_Paid=${r[IDX_H.totalPaid]}, ` +
+          `Expected=${expected} (Lines=${agg.count}), Variance=${variance}`
+      });
+    }
+
+    /* =========================
+       WRITE BACK
+    ========================= */
+    hSh.getRange(2, 1, hData.length - 1, hHdr.length)
+       .setValues(hData.slice(1));
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      `Matched=${matched}, Mismatch=${mismatched}, NoTotal=${noTotal}, NoLines=${noLines} | ` +
+      `Tolerance=${tolerance} | DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
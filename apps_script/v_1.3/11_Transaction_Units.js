@@ -0,0 +1,547 @@
+// UNIT REGISTRY - TABLES & RESOLVER
+/*
+-------------------------------------
+Unit_Registry (script-level source of truth for unit conversion)
+- Unit_Code          → registry key (seeded from Lookup_Units.Unit_Code)
+- Unit_Label         → label entered via AppSheet (e.g. "Kilogram/s")
+- Unit_Type          → COUNT | WEIGHT | VOLUME
+- Base_Unit          → unit all quantities of this type normalise to (e.g. "g")
+- Conversion_Factor  → base units per 1 unit (Kilogram/s → 1000)
+- Aliases            → comma-separated spellings ("kg, Kg, kilo, 1000g")
+- Is_Active          → inactive rows are ignored by the resolver
+
+Resolution order for an entered unit (case / whitespace insensitive):
+1. Unit_Code, Unit_Label or Alias of an active registry row
+2. Pack-size form "<number><unit>" (e.g. "500g", "2 kg") where <unit>
+   resolves via (1); the number multiplies the Conversion_Factor
+3. Otherwise UNKNOWN_UNIT (flagged in Unit_Review)
+-------------------------------------
+*/
+const UNIT_REGISTRY_SHEET = 'Unit_Registry';
+const UNIT_REVIEW_SHEET = 'Unit_Review';
+
+const UNIT_REGISTRY_SCHEMA = [
+  'Unit_Code',
+  'Unit_Label',
+  'Unit_Type',
+  'Base_Unit',
+  'Conversion_Factor',
+  'Aliases',
+  'Is_Active',
+  'Source',
+  'Notes'
+];
+
+const UNIT_REVIEW_SCHEMA = [
+  'Unit_Text',
+  'Example_Entered',
+  'Occurrences',
+  'First_Seen_At',
+  'Last_Seen_At',
+  'Review_Status',
+  'Notes'
+];
+
+/*
+  Script-owned columns appended to Transaction_Resolution
+  (right of the formula columns; matched by Txn_ID_Machine, not position)
+*/
+const TXN_UNIT_RESOLUTION_SCHEMA = [
+  'Unit_Code_Resolved',
+  'Unit_Type_Resolved',
+  'Base_Unit_Resolved',
+  'Base_Qty_Value',
+  'Price_Per_Base_Unit',
+  'Unit_Normalization_Status',
+  'Unit_Normalized_At'
+];
+
+/*
+-------------------------------------
+Helper — Normalise Unit Text
+-------------------------------------
+*/
+function normalizeUnitText_(value){
+  return String(value === null || value === undefined ? '' : value)
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+}
+
+/*
+-------------------------------------
+Helper — Seed Unit_Registry From Lookup_Units
+-------------------------------------
+Appends Lookup_Units rows whose Unit_Code is not yet registered.
+Existing registry rows are never overwritten (registry is admin-owned).
+Returns number of rows seeded.
+*/
+function seedUnitRegistry_FromLookupUnits_(ss, regSh){
+
+  const luSh = ss.getSheetByName('Lookup_Units');
+  if (!luSh || luSh.getLastRow() < 2) return 0;
+
+  const luData = luSh.getDataRange().getValues();
+  const luHdr  = luData[0];
+  const luCol  = n => luHdr.indexOf(n);
+
+  const IDX_LU = {
+    code: luCol('Unit_Code'),
+    label: luCol('Unit_Label'),
+    baseUnit: luCol('Base_Unit'),
+    baseRate: luCol('Base_Rate'),
+    type: luCol('Unit_Type'),
+    active: luCol('Is_Active')
+  };
+
+  for (const [k, v] of Object.entries(IDX_LU)) {
+    if (v === -1) throw new Error(`Lookup_Units missing column: ${k}`);
+  }
+
+  const regData = regSh.getDataRange().getValues();
+  const regHdr  = regData[0];
+  const regCodeIdx = regHdr.indexOf('Unit_Code');
+
+  const registered = new Set(
+    regData.slice(1).map(r => normalizeUnitText_(r[regCodeIdx])).filter(Boolean)
+  );
+
+  const rowsToAppend = [];
+
+  for (let i = 1; i < luData.length; i++) {
+
+    const r = luData[i];
+    const code = r[IDX_LU.code];
+
+    if (!code || registered.has(normalizeUnitText_(code))) continue;
+
+    const entry = {
+      Unit_Code: code,
+      Unit_Label: r[IDX_LU.label],
+      Unit_Type: r[IDX_LU.type],
+      Base_Unit: r[IDX_LU.baseUnit],
+      Conversion_Factor: r[IDX_LU.baseRate],
+      Aliases: '',
+      Is_Active: r[IDX_LU.active] === true,
+      Source: 'Lookup_Units',
+      Notes: 'Seeded from Lookup_Units'
+    };
+
+    rowsToAppend.push(regHdr.map(h => (h in entry ? entry[h] : '')));
+    registered.add(normalizeUnitText_(code));
+  }
+
+  if (rowsToAppend.length > 0) {
+    regSh.getRange(regSh.getLastRow() + 1, 1, rowsToAppend.length, regHdr.length)
+         .setValues(rowsToAppend);
+  }
+
+  return rowsToAppend.length;
+}
+
+/*
+-------------------------------------
+Helper — Build Unit Resolver
+-------------------------------------
+Returns { resolve(text) → {code, type, baseUnit, factor} | null, conflicts[] }
+*/
+function buildUnitResolver_(regSh){
+
+  const regData = regSh.getDataRange().getValues();
+  const regHdr  = regData[0];
+  const regCol  = n => regHdr.indexOf(n);
+
+  const IDX_REG = {
+    code: regCol('Unit_Code'),
+    label: regCol('Unit_Label'),
+    type: regCol('Unit_Type'),
+    baseUnit: regCol('Base_Unit'),
+    factor: regCol('Conversion_Factor'),
+    aliases: regCol('Aliases'),
+    active: regCol('Is_Active')
+  };
+
+  for (const [k, v] of Object.entries(IDX_REG)) {
+    if (v === -1) throw new Error(`${UNIT_REGISTRY_SHEET} missing column: ${k}`);
+  }
+
+  const byText = new Map();
+  const conflicts = [];
+
+  for (let i = 1; i < regData.length; i++) {
+
+    const r = regData[i];
+    const factor = Number(r[IDX_REG.factor]);
+
+    if (r[IDX_REG.active] !== true || !r[IDX_REG.code] || !(factor > 0)) continue;
+
+    const unit = {
+      code: r[IDX_REG.code],
+      type: r[IDX_REG.type],
+      baseUnit: r[IDX_REG.baseUnit],
+      factor
+    };
+
+    const keys = [r[IDX_REG.code], r[IDX_REG.label]]
+      .concat(String(r[IDX_REG.aliases] || '').split(','))
+      .map(normalizeUnitText_)
+      .filter(Boolean);
+
+    keys.forEach(k => {
+      const existing = byText.get(k);
+      if (existing && existing.code !== unit.code) {
+        conflicts.push(`${k} → ${existing.code} / ${unit.code}`);
+        return;
+      }
+      byText.set(k, unit);
+    });
+  }
+
+  const resolve = text => {
+
+    const key = normalizeUnitText_(text);
+    if (!key) return null;
+
+    if (byText.has(key)) return byText.get(key);
+
+    const pack = key.match(/^(\d+(?:\.\d+)?)\s*(.+)$/);
+    if (!pack) return null;
+
+    const inner = byText.get(pack[2].trim());
+    if (!inner) return null;
+
+    return Object.assign({}, inner, { factor: inner.factor * Number(pack[1]) });
+  };
+
+  return { resolve, conflicts };
+}
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// TRANSACTION RESOLUTION - UNIT NORMALIZATION
+
+/**
+ * Script Name: normalizeTransactionUnits_TransactionResolution
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Replace per-row sheet-formula unit conversion with one registry
+ * - Write base-unit quantity and price-per-base-unit onto
+ *   Transaction_Resolution (script-owned columns)
+ * - Flag unknown units in Unit_Review instead of producing blanks
+ *
+ * Output Columns (Transaction_Resolution, created if missing):
+ * - Unit_Code_Resolved, Unit_Type_Resolved, Base_Unit_Resolved
+ * - Base_Qty_Value        = Qty_Value_Entered × Conversion_Factor
+ * - Price_Per_Base_Unit   = Price_Entered (home currency) / Base_Qty_Value
+ *                           (blank while FX_Status = MISSING_RATE)
+ * - Unit_Normalization_Status:
+ *     NORMALIZED   → values written
+ *     UNKNOWN_UNIT → unit not in registry (values blank, Unit_Review row)
+ *     INVALID_QTY  → quantity not a positive number
+ * - Unit_Normalized_At
+ *
+ * Preconditions:
+ * - Sheets must exist: Transaction_Raw, Transaction_Resolution
+ * - Required columns:
+ *   - Transaction_Raw: Txn_ID_Machine, Qty_Value_Entered, Qty_Unit_Entered, Price_Entered
+ *   - Transaction_Resolution: Txn_ID_Machine
+ * - Unit_Registry / Unit_Review are created on first use if missing
+ *
+ * Algorithm (Step-by-Step):
+ * 1. Seed Unit_Registry with unregistered Lookup_Units rows
+ * 2. Build resolver (codes, labels, aliases, pack-size forms)
+ * 3. Index Transaction_Raw by Txn_ID_Machine
+ * 4. For each Transaction_Resolution row:
+ *    a. No Txn_ID_Machine → script columns cleared (row not resolved yet)
+ *    b. Resolve unit; compute base quantity and price-per-base-unit
+ * 5. Write script-owned columns in batch
+ * 6. Upsert unknown units into Unit_Review (Occurrences, Last_Seen_At);
+ *    Review_Status is set to Pending on insert only, admin decisions are kept
+ * 7. Emit execution summary
+ *
+ * Failure Modes:
+ * - Required sheet missing
+ * - Required column missing
+ *
+ * Reason for Deprecation:
+ * - N/A
+ */
+function normalizeTransactionUnits_TransactionResolution() {
+
+  const SCRIPT_NAME   = 'Transactions';
+  const FUNCTION_NAME = 'normalizeTransactionUnits_TransactionResolution';
+  const SRC_SHEET     = 'Transaction_Raw';
+  const TGT_SHEET     = 'Transaction_Resolution';
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const rawSh = ss.getSheetByName(SRC_SHEET);
+
+    if (!rawSh || !ss.getSheetByName(TGT_SHEET)) {
+      throw new Error('Required sheet not found');
+    }
+
+    const resSh = getOrCreateSheet_(ss, TGT_SHEET, TXN_UNIT_RESOLUTION_SCHEMA);
+    const regSh = getOrCreateSheet_(ss, UNIT_REGISTRY_SHEET, UNIT_REGISTRY_SCHEMA);
+    const revSh = getOrCreateSheet_(ss, UNIT_REVIEW_SHEET, UNIT_REVIEW_SCHEMA);
+
+    /* =========================
+       STEP — LOAD_REGISTRY
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, UNIT_REGISTRY_SHEET, 'LOAD_REGISTRY');
+
+    const seeded = seedUnitRegistry_FromLookupUnits_(ss, regSh);
+    const resolver = buildUnitResolver_(regSh);
+
+    resolver.conflicts.forEach(c => {
+      ETI_log_({
+        scriptName: SCRIPT_NAME,
+        functionName: FUNCTION_NAME,
+        sheetName: UNIT_REGISTRY_SHEET,
+        level: 'WARN',
+        action: 'UNIT_ALIAS_CONFLICT',
+        details: `Alias ignored (first registration kept): ${c}`
+      });
+    });
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, UNIT_REGISTRY_SHEET, 'LOAD_REGISTRY');
+
+    /* =========================
+       STEP — LOAD_TXN
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_TXN');
+
+    const rawData = rawSh.getDataRange().getValues();
+    const rawHdr  = rawData[0];
+    const rawCol  = n => rawHdr.indexOf(n);
+
+    const IDX_RAW = {
+      txnId: rawCol('Txn_ID_Machine'),
+      qtyVal: rawCol('Qty_Value_Entered'),
+      qtyUnit: rawCol('Qty_Unit_Entered'),
+      price: rawCol('Price_Entered')
+    };
+
+    for (const [k, v] of Object.entries(IDX_RAW)) {
+      if (v === -1) throw new Error(`Transaction_Raw missing column: ${k}`);
+    }
+
+    const rawById = new Map();
+
+    for (let i = 1; i < rawData.length; i++) {
+      const id = rawData[i][IDX_RAW.txnId];
+      if (id) rawById.set(id, rawData[i]);
+    }
+
+    const resData = resSh.getDataRange().getValues();
+    const resHdr  = resData[0];
+    const resTxnIdx = resHdr.indexOf('Txn_ID_Machine');
+
+    if (resTxnIdx === -1) throw new Error('Transaction_Resolution missing column: txnId');
+
+    const OUT_IDX = TXN_UNIT_RESOLUTION_SCHEMA.map(c => resHdr.indexOf(c));
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_TXN');
+
+    /* =========================
+       EXIT — NO DATA
+    ========================= */
+    if (resData.length < 2) {
+      ETI_logExit_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'No data rows in Transaction_Resolution');
+      return;
+    }
+
+    /* =========================
+       PROCESS LOOP
+    ========================= */
+    const now = new Date();
+    const output = [];
+    const unknownUnits = new Map();
+
+    let normalized = 0;
+    let unknown = 0;
+    let invalidQty = 0;
+    let unresolved = 0;
+
+    for (let i = 1; i < resData.length; i++) {
+
+      const txnId = resData[i][resTxnIdx];
+      const raw = txnId ? rawById.get(txnId) : null;
+
+      if (!raw) {
+        unresolved++;
+        output.push(new Array(TXN_UNIT_RESOLUTION_SCHEMA.length).fill(''));
+        continue;
+      }
+
+      const unitText = raw[IDX_RAW.qtyUnit];
+      const qty = Number(raw[IDX_RAW.qtyVal]);
+      const price = Number(raw[IDX_RAW.price]);
+      const unit = resolver.resolve(unitText);
+
+      if (!unit) {
+
+        unknown++;
+
+        const key = normalizeUnitText_(unitText);
+        const u = unknownUnits.get(key) || { example: unitText, count: 0 };
+        u.count++;
+        unknownUnits.set(key, u);
+
+        output.push(['', '', '', '', '', 'UNKNOWN_UNIT', now]);
+        continue;
+      }
+
+      if (!(qty > 0)) {
+        invalidQty++;
+        output.push([unit.code, unit.type, unit.baseUnit, '', '', 'INVALID_QTY', now]);
+        continue;
+      }
+
+      const baseQty = qty * unit.factor;
+      const fxRate = getTxnFxRate_(resData[i], resHdr);
+      const pricePerBase = price > 0 && fxRate
+        ? Math.round((price * fxRate / baseQty) * 1e6) / 1e6
+        : '';
+
+      output.push([unit.code, unit.type, unit.baseUnit, baseQty, pricePerBase, 'NORMALIZED', now]);
+      normalized++;
+    }
+
+    /* =========================
+       STEP — WRITE_OUTPUT
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_OUTPUT');
+
+    OUT_IDX.forEach((c, k) => {
+      resSh.getRange(2, c + 1, output.length, 1)
+           .setValues(output.map(r => [r[k]]));
+    });
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_OUTPUT');
+
+    /* =========================
+       STEP — FLAG_UNKNOWN_UNITS
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, UNIT_REVIEW_SHEET, 'FLAG_UNKNOWN_UNITS');
+
+    if (unknownUnits.size > 0) {
+
+      const revData = revSh.getDataRange().getValues();
+      const revHdr  = revData[0];
+      const revCol  = n => revHdr.indexOf(n);
+
+      const IDX_REV = {
+        text: revCol('Unit_Text'),
+        count: revCol('Occurrences'),
+        lastSeen: revCol('Last_Seen_At')
+      };
+
+      const revRowByText = new Map();
+      for (let i = 1; i < revData.length; i++) {
+        revRowByText.set(revData[i][IDX_REV.text], i);
+      }
+
+      const rowsToAppend = [];
+
+      unknownUnits.forEach((u, key) => {
+
+        const i = revRowByText.get(key);
+
+        if (i !== undefined) {
+          revData[i][IDX_REV.count] = u.count;
+          revData[i][IDX_REV.lastSeen] = now;
+          return;
+        }
+
+        const entry = {
+          Unit_Text: key,
+          Example_Entered: u.example,
+          Occurrences: u.count,
+          First_Seen_At: now,
+          Last_Seen_At: now,
+          Review_Status: 'Pending',
+          Notes: 'Add to Unit_Registry (Unit_Code / Aliases)'
+        };
+
+        rowsToAppend.push(revHdr.map(h => (h in entry ? entry[h] : '')));
+
+        ETI_log_({
+          scriptName: SCRIPT_NAME,
+          functionName: FUNCTION_NAME,
+          sheetName: UNIT_REVIEW_SHEET,
+          level: 'WARN',
+          action: 'UNKNOWN_UNIT',
+          details: `Unit="${u.example}" not in ${UNIT_REGISTRY_SHEET} (Rows=${u.count})`
+        });
+      });
+
+      if (revData.length > 1) {
+        revSh.getRange(2, 1, revData.length - 1, revHdr.length)
+             .setValues(revData.slice(1));
+      }
+
+      if (rowsToAppend.length > 0) {
+        revSh.getRange(revSh.getLastRow() + 1, 1, rowsToAppend.length, revHdr.length)
+             .setValues(rowsToAppend);
+      }
+    }
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, UNIT_REVIEW_SHEET, 'FLAG_UNKNOWN_UNITS');
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      `Normalized=${normalized}, UnknownUnit=${unknown} (Distinct=${unknownUnits.size}), ` +
+      `InvalidQty=${invalidQty}, Unresolved=${unresolved} | RegistrySeeded=${seeded} | ` +
+      `DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
@@ -4,12 +4,17 @@
  * Script Name: backfillTxnIDs_TransactionRaw
  * Script Language: Google Apps Script (JavaScript)
  * Version Introduced: v1.3
+ * Current Version: v1.3.3
  * Current Status: ACTIVE
  *
  * Purpose:
  * - Backfill Txn_ID_Machine for valid transaction rows in Transaction_Raw
+ * - Backfill Txn_ID_Human (TXN-000001 style) once Txn_ID_Machine exists
+ * - Backfill Receipt_ID_Machine for valid lines carrying a Receipt_Ref
+ *   (multi-line receipts share one Receipt_Header row)
  * - Preserve idempotency and non-blocking behavior
- * - Emit both console logs (debug) and structured sheet logs (audit)
+ * - Collect all mutations in memory and write Txn_ID_Machine in one batch
+ *   (safe for multi-thousand row AppSheet backlogs within the execution limit)
  *
  * Preconditions:
  * - Sheet must exist: Transaction_Raw
@@ -21,154 +26,293 @@
  *   - Qty_Unit_Entered
  *   - Price_Entered
  *   - Txn_ID_Machine
+ * - Optional columns (receipt step skipped if absent):
+ *   - Receipt_Ref
+ *   - Receipt_ID_Machine
+ * - Optional column (human ID step skipped if absent):
+ *   - Txn_ID_Human
  *
  * Algorithm (Step-by-Step):
- * 1. Generate Execution_ID
- * 2. Load Transaction_Raw into memory
- * 3. Resolve column indexes from header
+ * 1. Load Transaction_Raw into memory
+ * 2. Resolve column indexes from header
+ * 3. Copy the Txn_ID_Machine column into an in-memory output column
  * 4. Iterate rows:
  *    a. Skip invalid transactions
  *    b. Skip rows with existing Txn_ID_Machine
- *    c. Generate and write Txn_ID_Machine for valid rows
- * 5. Emit execution summary
+ *    c. Generate Txn_ID_Machine into the output column for valid rows
+ * 5. Write the Txn_ID_Machine column back with a single setValues call
+ *    (only when at least one ID was generated)
+ * 6. Receipt IDs (assignReceiptIDs_):
+ *    a. Generate Receipt_ID_Machine for Receipt_Header rows lacking one
+ *    b. Link valid lines by Receipt_Ref; create missing header rows
+ *    c. Write the Receipt_ID_Machine column back in a single batch
+ * 7. Human IDs (assignHumanIds_, 17_Entity_Human_IDs.js):
+ *    a. Rows with Txn_ID_Machine and blank Txn_ID_Human → next TXN-######
+ *    b. Write the Txn_ID_Human column back in a single batch
+ * 8. Emit execution summary
  *
  * Failure Modes:
  * - Transaction_Raw sheet missing
  * - Required column missing
  *
+ * Notes:
+ * - Only the Txn_ID_Machine, Receipt_ID_Machine and Txn_ID_Human columns
+ *   are written; other columns are never touched
+ * - Per-row logging removed in v1.3.1; generated row range is reported in SUMMARY
+ * - Receipt-level ID generation added in v1.3.2
+ * - Human-readable transaction IDs added in v1.3.3
+ *
  * Reason for Deprecation:
  * - N/A
  */
 
 function backfillTxnIDs_TransactionRaw() {
 
-  const EXECUTION_ID = Utilities.getUuid();
-  const SCRIPT_NAME = 'backfillTxnIDs_TransactionRaw';
-  const SHEET_NAME = 'Transaction_Raw';
+  const SCRIPT_NAME   = 'Transactions';
+  const FUNCTION_NAME = 'backfillTxnIDs_TransactionRaw';
+  const SHEET_NAME    = 'Transaction_Raw';
 
   const t0 = new Date();
 
-  // ---- START LOG ----
-  console.log(`[${SCRIPT_NAME}] START`);
-  ETI_log_({
-    executionId: EXECUTION_ID,
-    scriptName: SCRIPT_NAME,
-    sheetName: SHEET_NAME,
-    level: 'INFO',
-    action: 'START',
-    details: 'Execution started'
-  });
+  try {
 
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sh = ss.getSheetByName(SHEET_NAME);
-  if (!sh) throw new Error(`Sheet ${SHEET_NAME} not found`);
-
-  const data = sh.getDataRange().getValues();
-  if (data.length < 2) {
-    console.log(`[${SCRIPT_NAME}] No data rows found`);
-    ETI_log_({
-      executionId: EXECUTION_ID,
-      scriptName: SCRIPT_NAME,
-      sheetName: SHEET_NAME,
-      level: 'WARN',
-      action: 'EXIT',
-      details: 'No data rows found'
-    });
-    return;
-  }
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, SHEET_NAME);
 
-  const header = data[0];
-  const col = name => header.indexOf(name);
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sh = ss.getSheetByName(SHEET_NAME);
+    if (!sh) throw new Error(`Sheet ${SHEET_NAME} not found`);
 
-  const IDX = {
-    trxDate: col('Trx_Date_Entered'),
-    item: col('Item_Name_Entered'),
-    qtyVal: col('Qty_Value_Entered'),
-    qtyUnit: col('Qty_Unit_Entered'),
-    price: col('Price_Entered'),
-    txnId: col('Txn_ID_Machine')
-  };
+    const data = sh.getDataRange().getValues();
+
+    /* =========================
+       EXIT: NO DATA
+    ========================= */
+    if (data.length < 2) {
 
-  for (const [k, v] of Object.entries(IDX)) {
-    if (v === -1) {
-      throw new Error(`Transaction_Raw missing column: ${k}`);
+      ETI_logExit_(
+        SCRIPT_NAME,
+        FUNCTION_NAME,
+        SHEET_NAME,
+        'No data rows found'
+      );
+
+      return;
     }
-  }
 
-  let scanned = 0;
-  let skipInvalid = 0;
-  let skipHasTxnId = 0;
-  let generated = 0;
+    /* =========================
+       HEADER MAPPING
+    ========================= */
+    const header = data[0];
+    const col = name => header.indexOf(name);
 
-  for (let i = 1; i < data.length; i++) {
-    scanned++;
-    const rowNum = i + 1;
-    const r = data[i];
+    const IDX = {
+      trxDate: col('Trx_Date_Entered'),
+      item: col('Item_Name_Entered'),
+      qtyVal: col('Qty_Value_Entered'),
+      qtyUnit: col('Qty_Unit_Entered'),
+      price: col('Price_Entered'),
+      txnId: col('Txn_ID_Machine')
+    };
 
-    const isValidTxn =
+    for (const [k, v] of Object.entries(IDX)) {
+      if (v === -1) {
+        throw new Error(`Transaction_Raw missing column: ${k}`);
+      }
+    }
+
+    /* =========================
+       PROCESS LOOP
+    ========================= */
+    let scanned = 0;
+    let skipInvalid = 0;
+    let skipHasTxnId = 0;
+    let generated = 0;
+
+    let firstRow = null;
+    let lastRow = null;
+
+    const txnIdColumn = data.slice(1).map(r => [r[IDX.txnId]]);
+
+    const isValidRow = r =>
       r[IDX.trxDate] &&
       r[IDX.item] &&
       r[IDX.qtyVal] &&
       r[IDX.qtyUnit] &&
       r[IDX.price];
 
-    if (!isValidTxn) {
-      skipInvalid++;
-      continue;
+    for (let i = 1; i < data.length; i++) {
+
+      scanned++;
+
+      const rowNum = i + 1;
+      const r = data[i];
+
+      if (!isValidRow(r)) {
+        skipInvalid++;
+        continue;
+      }
+
+      if (r[IDX.txnId]) {
+        skipHasTxnId++;
+        continue;
+      }
+
+      txnIdColumn[i - 1][0] = Utilities.getUuid();
+      generated++;
+
+      if (firstRow === null) firstRow = rowNum;
+      lastRow = rowNum;
+    }
+
+    /* =========================
+       WRITE BACK (SINGLE BATCH)
+    ========================= */
+    if (generated > 0) {
+
+      sh.getRange(2, IDX.txnId + 1, txnIdColumn.length, 1)
+        .setValues(txnIdColumn);
+    }
+
+    /* =========================
+       STEP — RECEIPT_IDS
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, SHEET_NAME, 'RECEIPT_IDS');
+
+    const receipts = assignReceiptIDs_(ss, data, isValidRow);
+
+    if (receipts && receipts.linked > 0) {
+
+      sh.getRange(2, receipts.receiptIdIndex + 1, receipts.receiptIdColumn.length, 1)
+        .setValues(receipts.receiptIdColumn);
     }
 
-    if (r[IDX.txnId]) {
-      skipHasTxnId++;
-      continue;
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, SHEET_NAME, 'RECEIPT_IDS');
+
+    /* =========================
+       STEP — HUMAN_IDS
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, SHEET_NAME, 'HUMAN_IDS');
+
+    const humanIdx = col(HUMAN_ID_TRANSACTION.humanIdColumn);
+    let humanIds = null;
+
+    if (humanIdx !== -1) {
+
+      // assign against the IDs generated above, not the stale sheet values
+      const idData = data.map((r, i) => (i === 0 ? r : [txnIdColumn[i - 1][0], r[humanIdx]]));
+
+      humanIds = assignHumanIds_(ss, HUMAN_ID_TRANSACTION.key, HUMAN_ID_TRANSACTION.prefix, idData, 0, 1);
+
+      if (humanIds.assigned > 0) {
+        sh.getRange(2, humanIdx + 1, humanIds.humanIdColumn.length, 1)
+          .setValues(humanIds.humanIdColumn);
+      }
     }
 
-    const machineId =
-      Utilities.getUuid();
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, SHEET_NAME, 'HUMAN_IDS');
 
-    sh.getRange(rowNum, IDX.txnId + 1).setValue(machineId);
-    generated++;
+    /* =========================
+       SUMMARY
+    ========================= */
+    const durationMs = new Date().getTime() - t0.getTime();
 
-    console.log(
-      `[${SCRIPT_NAME}] ROW ${rowNum} → GENERATED Txn_ID_Machine: ${machineId}`
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      SHEET_NAME,
+      `Scanned=${scanned} | Generated=${generated}` +
+      (generated > 0 ? ` (Rows ${firstRow}-${lastRow})` : '') +
+      ` | Skipped: Invalid=${skipInvalid}, Existing=${skipHasTxnId}` +
+      (receipts
+        ? ` | Receipts: Linked=${receipts.linked}, HeadersCreated=${receipts.headersCreated}, ` +
+          `HeaderIDsGenerated=${receipts.headerIdsGenerated}`
+        : ' | Receipts: SKIPPED (no Receipt_Ref / Receipt_ID_Machine columns)') +
+      (humanIds
+        ? ` | HumanIDs=${humanIds.assigned}` +
+          (humanIds.assigned > 0 ? ` (${humanIds.first}..${humanIds.last})` : '')
+        : ' | HumanIDs: SKIPPED (no Txn_ID_Human column)') +
+      ` | DurationMs=${durationMs}`
     );
 
-    ETI_log_({
-      executionId: EXECUTION_ID,
-      scriptName: SCRIPT_NAME,
-      sheetName: SHEET_NAME,
-      level: 'INFO',
-      rowNumber: rowNum,
-      action: 'GENERATE_TXN_ID',
-      details: `Generated Txn_ID_Machine: ${machineId}`
-    });
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, SHEET_NAME);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      SHEET_NAME,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
   }
+}
+
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// TRANSACTION - PREREQUISITE COMPLETENESS RULE (SHARED)
+/*
+-------------------------------------
+A Transaction_Raw row is:
+- EMPTY    → none of the prerequisite columns filled (ignored)
+- COMPLETE → all prerequisite columns filled (valid)
+- PARTIAL  → some but not all filled (invalid → quarantine / reject)
+-------------------------------------
+*/
+const TXN_PREREQUISITE_COLUMNS = [
+  'Trx_Date_Entered',
+  'Item_Name_Entered',
+  'Qty_Value_Entered',
+  'Qty_Unit_Entered',
+  'Price_Entered'
+];
+
+function buildTxnPrerequisiteIndex_(header, sheetName){
 
-  const durationMs = new Date().getTime() - t0.getTime();
-
-  // ---- SUMMARY LOG ----
-  console.log(`[${SCRIPT_NAME}] Rows scanned: ${scanned}`);
-  console.log(`[${SCRIPT_NAME}] Skipped invalid: ${skipInvalid}`);
-  console.log(`[${SCRIPT_NAME}] Skipped existing Txn_ID: ${skipHasTxnId}`);
-  console.log(`[${SCRIPT_NAME}] Generated Txn_ID: ${generated}`);
-  console.log(`[${SCRIPT_NAME}] END – Duration(ms): ${durationMs}`);
-
-  ETI_log_({
-    executionId: EXECUTION_ID,
-    scriptName: SCRIPT_NAME,
-    sheetName: SHEET_NAME,
-    level: 'INFO',
-    action: 'SUMMARY',
-    details: `Scanned=${scanned}, Invalid=${skipInvalid}, Existing=${skipHasTxnId}, Generated=${generated}, DurationMs=${durationMs}`
+  const idx = {};
+
+  TXN_PREREQUISITE_COLUMNS.forEach(c => {
+    idx[c] = header.indexOf(c);
+    if (idx[c] === -1) throw new Error(`${sheetName} missing column: ${c}`);
   });
 
-  ETI_log_({
-    executionId: EXECUTION_ID,
-    scriptName: SCRIPT_NAME,
-    sheetName: SHEET_NAME,
-    level: 'INFO',
-    action: 'END',
-    details: 'Execution completed successfully'
+  return idx;
+}
+
+function getTxnPrerequisiteState_(row, prereqIdx){
+
+  const missing = TXN_PREREQUISITE_COLUMNS.filter(c => {
+    const v = row[prereqIdx[c]];
+    return v === '' || v === null || v === undefined;
   });
+
+  let state = 'PARTIAL';
+  if (missing.length === 0) state = 'COMPLETE';
+  else if (missing.length === TXN_PREREQUISITE_COLUMNS.length) state = 'EMPTY';
+
+  return { state, missing };
 }
 
 
@@ -187,13 +331,15 @@ function backfillTxnIDs_TransactionRaw() {
  * Script Name: cleanupInvalidTransactions_TransactionRaw
  * Script Language: Google Apps Script (JavaScript)
  * Version Introduced: v1.3
+ * Current Version: v1.3.1
  * Current Status: ACTIVE
  *
  * Purpose:
  * - Clean up invalid transaction rows after Txn_ID backfill
  * - Enforce prerequisite completeness invariant
- * - If transaction is partially filled → invalidate entire row
- * - Log full row snapshot for admin audit
+ * - If transaction is partially filled → move entire row to Transaction_Quarantine
+ * - Never lose user-entered data: the row is preserved in quarantine with
+ *   the reason, the missing fields and the original row number
  *
  * Preconditions:
  * - Sheet must exist: Transaction_Raw
@@ -205,17 +351,18 @@ function backfillTxnIDs_TransactionRaw() {
  *   - Qty_Unit_Entered
  *   - Price_Entered
  *   - Txn_ID_Machine
+ * - Transaction_Quarantine is created on first use if missing
  *
  * Algorithm (Step-by-Step):
- * 1. Generate Execution_ID
- * 2. Load Transaction_Raw into memory
- * 3. Resolve column indexes from header
- * 4. Iterate rows:
+ * 1. Load Transaction_Raw into memory
+ * 2. Resolve column indexes from header
+ * 3. Iterate rows:
  *    a. If prerequisites partially filled → INVALID
- *    b. Clear entire row (all columns)
- *    c. Log full row snapshot
+ *    b. Build quarantine row (metadata + full Transaction_Raw snapshot by header)
+ *    c. Clear entire Transaction_Raw row (row kept → Transaction_Resolution stays aligned)
  *    d. Fully empty or fully valid rows are untouched
- * 5. Write all mutations back in a single batch
+ * 4. Append quarantine rows in a single batch (BEFORE clearing source rows)
+ * 5. Write cleared Transaction_Raw rows back in a single batch
  * 6. Emit execution summary
  *
  * Failure Modes:
@@ -227,129 +374,657 @@ function backfillTxnIDs_TransactionRaw() {
  * - Remains ACTIVE for ETI v1.3
  */
 
-function cleanupInvalidTransactions_TransactionRaw() {
+const TXN_QUARANTINE_SHEET = 'Transaction_Quarantine';
 
-  const EXECUTION_ID = Utilities.getUuid();
-  const SCRIPT_NAME  = 'cleanupInvalidTransactions_TransactionRaw';
-  const SHEET_NAME   = 'Transaction_Raw';
+const TXN_QUARANTINE_META_SCHEMA = [
+  'Quarantine_ID',
+  'Quarantine_Status',
+  'Reason',
+  'Missing_Fields',
+  'Source_Row_Number',
+  'Quarantined_At',
+  'Execution_ID',
+  'Reinjected_At',
+  'Reinjected_Row_Number',
+  'Quarantine_Notes'
+];
 
-  const t0 = new Date();
-  console.log(`[${SCRIPT_NAME}] START`);
-
-  ETI_log_({
-    executionId: EXECUTION_ID,
-    scriptName: SCRIPT_NAME,
-    sheetName: SHEET_NAME,
-    level: 'INFO',
-    action: 'START',
-    details: 'Execution started'
+/*
+-------------------------------------
+Helper — Build Quarantine Entry
+-------------------------------------
+Metadata defaults + full Transaction_Raw row snapshot keyed by header name.
+*/
+function buildTxnQuarantineEntry_(rawHeader, rawRow, meta){
+
+  const entry = {
+    Quarantine_ID: Utilities.getUuid(),
+    Quarantine_Status: 'QUARANTINED',
+    Reason: '',
+    Missing_Fields: '',
+    Source_Row_Number: '',
+    Quarantined_At: new Date(),
+    Execution_ID: getExecutionContext_()?.execution_id || '',
+    Reinjected_At: '',
+    Reinjected_Row_Number: '',
+    Quarantine_Notes: ''
+  };
+
+  Object.assign(entry, meta || {});
+
+  rawHeader.forEach((h, c) => {
+    if (h && !(h in entry)) entry[h] = rawRow[c];
   });
 
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sh = ss.getSheetByName(SHEET_NAME);
-  if (!sh) throw new Error(`Sheet ${SHEET_NAME} not found`);
-
-  const range = sh.getDataRange();
-  const data  = range.getValues();
-
-  if (data.length < 2) {
-    ETI_log_({
-      executionId: EXECUTION_ID,
-      scriptName: SCRIPT_NAME,
-      sheetName: SHEET_NAME,
-      level: 'WARN',
-      action: 'EXIT',
-      details: 'No data rows found'
-    });
-    return;
-  }
+  return entry;
+}
 
-  const header = data[0];
-  const col = name => header.indexOf(name);
 
-  const IDX = {
-    trxDate: col('Trx_Date_Entered'),
-    item:    col('Item_Name_Entered'),
-    qtyVal:  col('Qty_Value_Entered'),
-    qtyUnit: col('Qty_Unit_Entered'),
-    price:   col('Price_Entered'),
-    txnId:   col('Txn_ID_Machine')
-  };
+/*
+-------------------------------------
+Helper — Append Quarantine Entries (single batch)
+-------------------------------------
+*/
+function appendTxnQuarantineEntries_(ss, rawHeader, entries){
 
-  for (const [k, v] of Object.entries(IDX)) {
-    if (v === -1) throw new Error(`Transaction_Raw missing column: ${k}`);
-  }
+  if (!entries || entries.length === 0) return;
 
-  let scanned = 0;
-  let deleted = 0;
+  const qSh = getOrCreateSheet_(
+    ss,
+    TXN_QUARANTINE_SHEET,
+    TXN_QUARANTINE_META_SCHEMA.concat(rawHeader.filter(h => h))
+  );
 
-  const output = data.map(r => r.slice());
+  const qHdr = qSh.getRange(1, 1, 1, qSh.getLastColumn()).getValues()[0];
 
-  for (let i = 1; i < output.length; i++) {
-    scanned++;
-    const rowNum = i + 1;
-    const r = output[i];
+  const qRows = entries.map(entry =>
+    qHdr.map(h => (h in entry ? entry[h] : ''))
+  );
 
-    const prereqValues = [
-      r[IDX.trxDate],
-      r[IDX.item],
-      r[IDX.qtyVal],
-      r[IDX.qtyUnit],
-      r[IDX.price]
-    ];
+  qSh.getRange(qSh.getLastRow() + 1, 1, qRows.length, qHdr.length)
+     .setValues(qRows);
+}
 
-    const filledCount =
-      prereqValues.filter(v => v !== '' && v !== null).length;
 
-    // INVALID: partially filled transaction
-    if (filledCount > 0 && filledCount < prereqValues.length) {
+function cleanupInvalidTransactions_TransactionRaw() {
 
-      const snapshot = JSON.stringify(r);
+  const SCRIPT_NAME   = 'Transactions';
+  const FUNCTION_NAME = 'cleanupInvalidTransactions_TransactionRaw';
+  const SHEET_NAME    = 'Transaction_Raw';
 
-      // Clear entire row
-      output[i] = new Array(r.length).fill('');
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, SHEET_NAME);
 
-      deleted++;
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sh = ss.getSheetByName(SHEET_NAME);
+    if (!sh) throw new Error(`Sheet ${SHEET_NAME} not found`);
 
-      console.log(
-        `[${SCRIPT_NAME}] ROW ${rowNum} → DELETED invalid transaction`
+    const range = sh.getDataRange();
+    const data  = range.getValues();
+
+    /* =========================
+       EXIT: NO DATA
+    ========================= */
+    if (data.length < 2) {
+
+      ETI_logExit_(
+        SCRIPT_NAME,
+        FUNCTION_NAME,
+        SHEET_NAME,
+        'No data rows found'
       );
 
+      return;
+    }
+
+    /* =========================
+       HEADER MAPPING
+    ========================= */
+    const header = data[0];
+
+    const PREREQ_IDX = buildTxnPrerequisiteIndex_(header, SHEET_NAME);
+
+    if (header.indexOf('Txn_ID_Machine') === -1) {
+      throw new Error('Transaction_Raw missing column: txnId');
+    }
+
+    /* =========================
+       PROCESS LOOP
+    ========================= */
+    let scanned = 0;
+    let quarantined = 0;
+
+    const output = data.map(r => r.slice());
+    const quarantineEntries = [];
+
+    for (let i = 1; i < output.length; i++) {
+
+      scanned++;
+
+      const rowNum = i + 1;
+      const r = output[i];
+
+      const { state, missing } = getTxnPrerequisiteState_(r, PREREQ_IDX);
+
+      // INVALID: partially filled transaction
+      if (state !== 'PARTIAL') continue;
+
+      const entry = buildTxnQuarantineEntry_(header, r, {
+        Quarantine_Status: 'QUARANTINED',
+        Reason: 'PARTIAL_PREREQUISITES',
+        Missing_Fields: missing.join(', '),
+        Source_Row_Number: rowNum
+      });
+
+      const quarantineId = entry.Quarantine_ID;
+
+      quarantineEntries.push(entry);
+
+      // Clear entire row (data preserved in quarantine)
+      output[i] = new Array(r.length).fill('');
+
+      quarantined++;
+
       ETI_log_({
-        executionId: EXECUTION_ID,
         scriptName: SCRIPT_NAME,
+        functionName: FUNCTION_NAME,
         sheetName: SHEET_NAME,
         level: 'WARN',
         rowNumber: rowNum,
-        action: 'DELETE_INVALID_TXN',
-        details: `Invalid partial transaction deleted. Snapshot=${snapshot}`
+        action: 'QUARANTINE_INVALID_TXN',
+        details: `Partial transaction moved to ${TXN_QUARANTINE_SHEET}. Quarantine_ID=${quarantineId}, Missing=${missing.join(', ')}`
       });
     }
+
+    /* =========================
+       WRITE QUARANTINE (FIRST)
+    ========================= */
+    if (quarantineEntries.length > 0) {
+
+      appendTxnQuarantineEntries_(ss, header, quarantineEntries);
+
+      /* =========================
+         WRITE BACK TRANSACTION_RAW
+      ========================= */
+      range.setValues(output);
+    }
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      SHEET_NAME,
+      `Scanned=${scanned}, Quarantined=${quarantined}, DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, SHEET_NAME);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      SHEET_NAME,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
   }
+}
 
-  range.setValues(output);
 
-  const durationMs = new Date().getTime() - t0.getTime();
 
-  console.log(
-    `[${SCRIPT_NAME}] Scanned=${scanned}, Deleted=${deleted}, DurationMs=${durationMs}`
-  );
 
-  ETI_log_({
-    executionId: EXECUTION_ID,
-    scriptName: SCRIPT_NAME,
-    sheetName: SHEET_NAME,
-    level: 'INFO',
-    action: 'SUMMARY',
-    details: `Scanned=${scanned}, Deleted=${deleted}, DurationMs=${durationMs}`
-  });
+/*
+========================================================================
 
-  ETI_log_({
-    executionId: EXECUTION_ID,
-    scriptName: SCRIPT_NAME,
-    sheetName: SHEET_NAME,
-    level: 'INFO',
-    action: 'END',
-    details: 'Execution completed successfully'
-  });
-}
\ No newline at end of file
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// TRANSACTION QUARANTINE - REINJECTION
+/**
+ * Script Name: reinjectQuarantinedTransactions_TransactionRaw
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Return fixed quarantine rows to Transaction_Raw
+ * - A quarantine row is fixed once all five prerequisite columns are filled
+ * - Keep a permanent audit trail in Transaction_Quarantine (rows are never deleted)
+ *
+ * Quarantine_Status Lifecycle:
+ *
+ *   QUARANTINED → REINJECTED   (script, once prerequisites complete)
+ *   QUARANTINED → DISCARDED    (admin, manual — never reinjected)
+ *
+ * Preconditions:
+ * - Sheet must exist: Transaction_Raw
+ * - Sheet may exist: Transaction_Quarantine (no-op if missing)
+ * - Required columns: prerequisite columns in both sheets
+ *
+ * Algorithm (Step-by-Step):
+ * 1. Load Transaction_Quarantine and Transaction_Raw headers
+ * 2. Iterate quarantine rows with Quarantine_Status = QUARANTINED:
+ *    a. Still PARTIAL / EMPTY → refresh Missing_Fields, keep quarantined
+ *    b. COMPLETE → build Transaction_Raw row by header name
+ *       - Updated_At stamped with reinjection time (if column exists)
+ *       - Existing Txn_ID_Machine retained (identity preserved)
+ * 3. Append all reinjected rows to Transaction_Raw in a single batch
+ * 4. Mark quarantine rows REINJECTED with Reinjected_At / Reinjected_Row_Number
+ * 5. Write Transaction_Quarantine back in a single batch
+ * 6. Emit execution summary
+ *
+ * Failure Modes:
+ * - Transaction_Raw sheet missing
+ * - Required column missing
+ *
+ * Reason for Deprecation:
+ * - N/A
+ */
+function reinjectQuarantinedTransactions_TransactionRaw() {
+
+  const SCRIPT_NAME   = 'Transactions';
+  const FUNCTION_NAME = 'reinjectQuarantinedTransactions_TransactionRaw';
+  const SRC_SHEET     = TXN_QUARANTINE_SHEET;
+  const TGT_SHEET     = 'Transaction_Raw';
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET);
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const rawSh = ss.getSheetByName(TGT_SHEET);
+    const qSh   = ss.getSheetByName(SRC_SHEET);
+
+    if (!rawSh) throw new Error(`Sheet ${TGT_SHEET} not found`);
+
+    /* =========================
+       EXIT: NO QUARANTINE
+    ========================= */
+    if (!qSh || qSh.getLastRow() < 2) {
+      ETI_logExit_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET, 'No quarantine rows found');
+      return;
+    }
+
+    /* =========================
+       HEADER MAPPING
+    ========================= */
+    const qData = qSh.getDataRange().getValues();
+    const qHdr  = qData[0];
+    const qCol  = n => qHdr.indexOf(n);
+
+    const IDX_Q = {
+      quarantineId: qCol('Quarantine_ID'),
+      status: qCol('Quarantine_Status'),
+      missing: qCol('Missing_Fields'),
+      reinjectedAt: qCol('Reinjected_At'),
+      reinjectedRow: qCol('Reinjected_Row_Number')
+    };
+
+    for (const [k, v] of Object.entries(IDX_Q)) {
+      if (v === -1) throw new Error(`${SRC_SHEET} missing column: ${k}`);
+    }
+
+    const PREREQ_IDX_Q = buildTxnPrerequisiteIndex_(qHdr, SRC_SHEET);
+
+    const rawHdr = rawSh.getRange(1, 1, 1, rawSh.getLastColumn()).getValues()[0];
+    buildTxnPrerequisiteIndex_(rawHdr, TGT_SHEET);
+
+    /* =========================
+       PROCESS LOOP
+    ========================= */
+    const now = new Date();
+    const rawAppendRows = [];
+    const reinjectedQRows = [];
+
+    let scanned = 0;
+    let reinjected = 0;
+    let stillInvalid = 0;
+    let skipped = 0;
+
+    for (let i = 1; i < qData.length; i++) {
+
+      const r = qData[i];
+
+      if (r[IDX_Q.status] !== 'QUARANTINED') { skipped++; continue; }
+
+      scanned++;
+
+      const { state, missing } = getTxnPrerequisiteState_(r, PREREQ_IDX_Q);
+
+      if (state !== 'COMPLETE') {
+        r[IDX_Q.missing] = missing.join(', ');
+        stillInvalid++;
+        continue;
+      }
+
+      const rawRow = rawHdr.map(h => {
+        if (!h) return '';
+        if (h === 'Updated_At') return now;
+        const c = qCol(h);
+        return c === -1 ? '' : r[c];
+      });
+
+      rawAppendRows.push(rawRow);
+      reinjectedQRows.push(i);
+    }
+
+    /* =========================
+       WRITE TRANSACTION_RAW
+    ========================= */
+    if (rawAppendRows.length > 0) {
+
+      const startRow = rawSh.getLastRow() + 1;
+
+      rawSh.getRange(startRow, 1, rawAppendRows.length, rawHdr.length)
+           .setValues(rawAppendRows);
+
+      reinjectedQRows.forEach((i, n) => {
+
+        const r = qData[i];
+        const rowNum = startRow + n;
+
+        r[IDX_Q.status] = 'REINJECTED';
+        r[IDX_Q.missing] = '';
+        r[IDX_Q.reinjectedAt] = now;
+        r[IDX_Q.reinjectedRow] = rowNum;
+
+        reinjected++;
+
+        ETI_log_({
+          scriptName: SCRIPT_NAME,
+          functionName: FUNCTION_NAME,
+          sheetName: TGT_SHEET,
+          level: 'INFO',
+          rowNumber: rowNum,
+          action: 'REINJECT_QUARANTINED_TXN',
+          details: `Quarantine_ID=${r[IDX_Q.quarantineId]} reinjected into ${TGT_SHEET}`
+        });
+      });
+    }
+
+    /* =========================
+       WRITE BACK QUARANTINE
+    ========================= */
+    qSh.getRange(2, 1, qData.length - 1, qHdr.length)
+       .setValues(qData.slice(1));
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      SRC_SHEET,
+      `Scanned=${scanned}, Reinjected=${reinjected}, StillInvalid=${stillInvalid}, ` +
+      `Skipped=${skipped}, DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      SRC_SHEET,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
+
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// TRANSACTION RESOLUTION - REFRESH
+/**
+ * Script Name: refreshTransactionResolution_FromTransactionRaw
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Force Transaction_Resolution formulas to recalculate after Transaction_Raw mutations
+ * - Verify row alignment between Transaction_Raw and Transaction_Resolution
+ * - Surface resolution lag before downstream staging / mapping pipelines run
+ *
+ * Row Alignment Contract:
+ * - Transaction_Resolution mirrors Transaction_Raw row-by-row
+ *   (IF(Txn_Ready_For_Staging, Transaction_Raw!RC, ""))
+ * - Row N of Transaction_Resolution must carry the same Txn_ID_Machine
+ *   as row N of Transaction_Raw once the row is ready for staging
+ *
+ * Preconditions:
+ * - Sheet must exist: Transaction_Raw
+ * - Sheet must exist: Transaction_Resolution
+ * - Header row present in row 1 for both sheets
+ * - Required columns:
+ *   - Transaction_Raw: Txn_ID_Machine
+ *   - Transaction_Resolution: Txn_ID_Machine
+ *
+ * Algorithm (Step-by-Step):
+ * 1. Flush pending spreadsheet writes (forces formula recalculation)
+ * 2. Load Transaction_Raw and Transaction_Resolution into memory
+ * 3. Resolve column indexes from header
+ * 4. Compare rows positionally:
+ *    a. Raw ID present, Resolution ID blank      → PENDING (not yet resolved)
+ *    b. Raw ID present, Resolution ID different  → MISALIGNED (logged per row)
+ *    c. Raw ID blank, Resolution ID present      → ORPHANED (logged per row)
+ *    d. Raw ID equals Resolution ID              → RESOLVED
+ * 5. Emit execution summary
+ *
+ * Failure Modes:
+ * - Required sheet missing
+ * - Required column missing
+ *
+ * Notes:
+ * - Read-only against both sheets (Transaction_Resolution is formula-owned)
+ * - Misalignment is reported, never auto-repaired
+ *
+ * Reason for Deprecation:
+ * - N/A
+ */
+function refreshTransactionResolution_FromTransactionRaw() {
+
+  const SCRIPT_NAME   = 'Transactions';
+  const FUNCTION_NAME = 'refreshTransactionResolution_FromTransactionRaw';
+  const SRC_SHEET     = 'Transaction_Raw';
+  const TGT_SHEET     = 'Transaction_Resolution';
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const rawSh = ss.getSheetByName(SRC_SHEET);
+    const resSh = ss.getSheetByName(TGT_SHEET);
+
+    if (!rawSh || !resSh) {
+      throw new Error('Required sheet not found');
+    }
+
+    /* =========================
+       STEP — RECALCULATE
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'RECALCULATE');
+
+    SpreadsheetApp.flush();
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'RECALCULATE');
+
+    /* =========================
+       STEP — LOAD_DATA
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_DATA');
+
+    const rawData = rawSh.getDataRange().getValues();
+    const resData = resSh.getDataRange().getValues();
+
+    const rawTxnIdx = rawData[0].indexOf('Txn_ID_Machine');
+    const resTxnIdx = resData[0].indexOf('Txn_ID_Machine');
+
+    if (rawTxnIdx === -1) throw new Error('Transaction_Raw missing column: txnId');
+    if (resTxnIdx === -1) throw new Error('Transaction_Resolution missing column: txnId');
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_DATA');
+
+    /* =========================
+       EXIT — NO DATA
+    ========================= */
+    if (rawData.length < 2) {
+      ETI_logExit_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'No data rows in Transaction_Raw');
+      return;
+    }
+
+    /* =========================
+       PROCESS LOOP
+    ========================= */
+    let scanned = 0;
+    let resolved = 0;
+    let pending = 0;
+    let misaligned = 0;
+    let orphaned = 0;
+
+    const maxRows = Math.max(rawData.length, resData.length);
+
+    for (let i = 1; i < maxRows; i++) {
+
+      scanned++;
+
+      const rowNum = i + 1;
+      const rawId = rawData[i] ? rawData[i][rawTxnIdx] : '';
+      const resId = resData[i] ? resData[i][resTxnIdx] : '';
+
+      if (!rawId && !resId) continue;
+
+      if (rawId && !resId) {
+        pending++;
+        continue;
+      }
+
+      if (!rawId && resId) {
+
+        orphaned++;
+
+        ETI_log_({
+          scriptName: SCRIPT_NAME,
+          functionName: FUNCTION_NAME,
+          sheetName: TGT_SHEET,
+          level: 'WARN',
+          rowNumber: rowNum,
+          action: 'ORPHANED_RESOLUTION_ROW',
+          details: `Resolution Txn_ID_Machine=${resId} has no Transaction_Raw counterpart`
+        });
+
+        continue;
+      }
+
+      if (rawId !== resId) {
+
+        misaligned++;
+
+        ETI_log_({
+          scriptName: SCRIPT_NAME,
+          functionName: FUNCTION_NAME,
+          sheetName: TGT_SHEET,
+          level: 'WARN',
+          rowNumber: rowNum,
+          action: 'MISALIGNED_RESOLUTION_ROW',
+          details: `Raw Txn_ID_Machine=${rawId}, Resolution Txn_ID_Machine=${resId}`
+        });
+
+        continue;
+      }
+
+      resolved++;
+    }
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      `Scanned=${scanned} | Resolved=${resolved}, Pending=${pending}, ` +
+      `Misaligned=${misaligned}, Orphaned=${orphaned} | DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
@@ -4,17 +4,23 @@
  * Script Name: populateStagingLookupItems_FromTransactionResolution
  * Script Language: Google Apps Script (JavaScript)
  * Version Introduced: v1.3
+ * Current Version: v1.3.3
  * Current Status: ACTIVE
+ * Implementation: runEntityStagingIntake_ (17_Entity_Governance.js), ENTITY_DEFINITIONS.ITEM
  *
  * Purpose:
  * - Populate Staging_Lookup_Items with unresolved item canonicals detected in Transaction_Resolution.
  * - Insert one staging row per unique canonical value requiring governance review.
  * - Initialize staging rows with the default governance state ("Review").
  * - Serve as the intake bridge between transaction logging and the staging governance workflow.
+ * - Suggest existing items similar to each new canonical (fuzzy match) so the
+ *   reviewer can map instead of creating a near-duplicate item.
+ * - Treat canonicals known to Lookup_Item_Aliases as resolved (no staging row).
  *
  * Preconditions:
  * - Sheet must exist: Transaction_Resolution
  * - Sheet must exist: Staging_Lookup_Items
+ * - Sheet must exist: Lookup_Items (Item_ID_Machine, Item_Name, Item_Name_Canonical)
  * - Header row present in row 1 for both sheets
  *
  * Required columns in Transaction_Resolution:
@@ -37,6 +43,8 @@
  *   - Is_Lookup_Promoted
  *   - Populated_At
  *   - Notes
+ *   - Suggested_Match_ID / _Name / _Score / _Source, Suggested_Matches
+ *     (created if missing)
  *
  * Algorithm (Step-by-Step):
  *
@@ -58,6 +66,9 @@
  *
  *    c. Skip rows where Item_Name_Canonical is missing.
  *
+ *    c2. Skip rows whose canonical (or entered name) resolves
+ *        through Lookup_Item_Aliases (17_Entity_Aliases.js).
+ *
  *    d. Skip rows where the canonical value already exists
  *       in the staging canonical Set.
  *
@@ -89,6 +100,11 @@
  *    f. Add the canonical value to the in-memory Set to
  *       prevent duplicate staging rows within the same run.
  *
+ *    g. Fuzzy match the canonical against Lookup_Items and
+ *       unpromoted staging rows (including rows staged earlier
+ *       in this run); write the top matches into Suggested_Match
+ *       columns (17_Entity_Matching.js).
+ *
  * 5. Batch append all new rows to Staging_Lookup_Items.
  *
  * 6. Emit execution summary metrics to console logs
@@ -103,215 +119,7 @@
  */
 
 function populateStagingLookupItems_FromTransactionResolution() {
-
-  const SCRIPT_NAME = 'Items';
-  const FUNCTION_NAME = 'populateStagingLookupItems_FromTransactionResolution';
-  const SRC_SHEET = 'Transaction_Resolution';
-  const TGT_SHEET = 'Staging_Lookup_Items';
-
-  const t0 = new Date();
-
-  try {
-
-    /* =========================
-       START
-    ========================= */
-    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
-
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const tsSh = ss.getSheetByName(SRC_SHEET);
-    const stgSh = ss.getSheetByName(TGT_SHEET);
-
-    if (!tsSh || !stgSh) {
-      throw new Error('Required sheet not found');
-    }
-
-    /* =========================
-       STEP — LOAD_STAGING
-    ========================= */
-    const STEP_NAME = 'LOAD_STAGING'
-    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_STAGING');
-
-    const stgData = stgSh.getDataRange().getValues();
-    const stgHdr = stgData[0];
-    const stgCol = n => stgHdr.indexOf(n);
-
-    const IDX_STG = {
-      sourceTxn: stgCol('Source_Txn_ID_Machine'),
-      stagingId: stgCol('Staging_Item_ID_Machine'),
-      mappedId: stgCol('Mapped_Item_ID_Machine'),
-      entered: stgCol('Item_Name_Entered'),
-      canon: stgCol('Item_Name_Canonical'),
-      approvedName: stgCol('Item_Name_Approved'),
-      adminAction: stgCol('Admin_Action'),
-      isApproved: stgCol('Is_Approved'),
-      isActive: stgCol('Is_Active'),
-      isArchived: stgCol('Is_Archived'),
-      isPromoted: stgCol('Is_Lookup_Promoted'),
-      populatedAt: stgCol('Populated_At'),
-      notes: stgCol('Notes')
-    };
-
-    for (const [k,v] of Object.entries(IDX_STG)) {
-      if (v === -1) throw new Error(`Staging_Lookup_Items missing column: ${k}`);
-    }
-
-    const stagingCanonSet = new Set();
-
-    for (let i = 1; i < stgData.length; i++) {
-      const v = stgData[i][IDX_STG.canon];
-      if (v) stagingCanonSet.add(String(v));
-    }
-
-    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_STAGING');
-
-    /* =========================
-       STEP — LOAD_TXN
-    ========================= */
-
-    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_TXN');
-
-    const tsData = tsSh.getDataRange().getValues();
-    const tsHdr = tsData[0];
-    const tsCol = n => tsHdr.indexOf(n);
-
-    const IDX = {
-      txnId: tsCol('Txn_ID_Machine'),
-      itemId: tsCol('Item_ID_Machine'),
-      itemEntered: tsCol('Item_Name_Entered'),
-      itemCanon: tsCol('Item_Name_Canonical')
-    };
-
-    for (const [k,v] of Object.entries(IDX)) {
-      if (v === -1) {
-        throw new Error(`Transaction_Resolution missing column: ${k}`);
-      }
-    }
-
-    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_TXN');
-
-    /* =========================
-       EXIT — NO DATA
-    ========================= */
-
-    if (tsData.length <= 1) {
-      ETI_logExit_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'No data rows in Transaction_Resolution');
-      return;
-    }
-
-    /* =========================
-       PROCESS LOOP
-    ========================= */
-
-    let scanned = 0;
-    let skipNoTxn = 0;
-    let skipHasItem = 0;
-    let skipNoCanon = 0;
-    let skipDuplicateCanon = 0;
-
-    const rowsToAppend = [];
-
-    for (let i = 1; i < tsData.length; i++) {
-
-      scanned++;
-
-      const r = tsData[i];
-
-      if (!r[IDX.txnId]) {
-        skipNoTxn++;
-        continue;
-      }
-
-      if (r[IDX.itemId]) {
-        skipHasItem++;
-        continue;
-      }
-
-      const canon = r[IDX.itemCanon];
-
-      if (!canon) {
-        skipNoCanon++;
-        continue;
-      }
-
-      if (stagingCanonSet.has(canon)) {
-        skipDuplicateCanon++;
-        continue;
-      }
-
-      const row = new Array(stgHdr.length).fill('');
-
-      row[IDX_STG.sourceTxn] = r[IDX.txnId];
-      row[IDX_STG.stagingId] = Utilities.getUuid();
-      row[IDX_STG.mappedId] = '';
-      row[IDX_STG.entered] = r[IDX.itemEntered];
-      row[IDX_STG.canon] = canon;
-      row[IDX_STG.approvedName] = '';
-
-      row[IDX_STG.adminAction] = 'Review';
-      row[IDX_STG.isApproved] = false;
-      row[IDX_STG.isActive] = false;
-      row[IDX_STG.isArchived] = false;
-      row[IDX_STG.isPromoted] = false;
-
-      row[IDX_STG.populatedAt] = new Date();
-      row[IDX_STG.notes] = 'Staged from Transaction_Resolution';
-
-      rowsToAppend.push(row);
-      stagingCanonSet.add(canon);
-    }
-
-    /* =========================
-       STEP — WRITE_OUTPUT
-    ========================= */
-
-    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_OUTPUT');
-
-    if (rowsToAppend.length > 0) {
-      stgSh.getRange(stgSh.getLastRow() + 1, 1, rowsToAppend.length, stgHdr.length)
-           .setValues(rowsToAppend);
-    }
-
-    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_OUTPUT');
-
-    /* =========================
-       SUMMARY
-    ========================= */
-
-    const durationMs = new Date().getTime() - t0.getTime();
-
-    ETI_logSummary_(
-      SCRIPT_NAME,
-      FUNCTION_NAME,
-      SRC_SHEET,
-      `Scanned=${scanned} | Inserted=${rowsToAppend.length} | ` +
-      `Skipped: NoTxn=${skipNoTxn}, HasItem=${skipHasItem}, NoCanon=${skipNoCanon}, Duplicate=${skipDuplicateCanon} | ` +
-      `DurationMs=${durationMs}`
-    );
-
-    /* =========================
-       END
-    ========================= */
-
-    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
-
-  } catch (err) {
-
-    ETI_logError_(
-      SCRIPT_NAME,
-      FUNCTION_NAME,
-      TGT_SHEET,
-      err,
-      'MAIN'
-    );
-
-    throw err;
-
-  } finally {
-
-    flushLogs_();  // ---- CRITICAL: ensures logs persist even in standalone execution ----
-
-  }
+  return runEntityStagingIntake_('ITEM');
 }
 
 
@@ -330,80 +138,29 @@ function populateStagingLookupItems_FromTransactionResolution() {
  * Script Language: Google Apps Script (JavaScript)
  * Version Introduced: v1.3
  * Current Status: ACTIVE
+ * Implementation: runEntityStateMachine_ (17_Entity_Governance.js), ENTITY_DEFINITIONS.ITEM
  *
  * Purpose:
  * - Deterministically process governance state for Staging_Lookup_Items.
+ * - Auto-triage untouched rows (Staging_Triage_Rules, 17_Entity_Triage.js).
  * - Repair any drift between Admin_Action and binary state flags.
  * - Derive all dependent columns directly in script (no formula reliance).
  * - Preserve audit trace of drift in Notes and ETI_log_.
  *
  * Governance State Machine (Authoritative)
  *
- * Admin_Action → Binary Flags → Derived State
- *
- * Admin_Action                Is_Approved   Is_Active   Is_Archived
- * ------------------------------------------------------------------
- * Review                      FALSE         FALSE       FALSE
- * Activate                    FALSE         TRUE        FALSE
- * Approve (UI Hidden)         TRUE          FALSE       FALSE
- * Approve & Activate          TRUE          TRUE        FALSE
- * Approve but Deprecate       TRUE          FALSE       TRUE
- * Reject                      FALSE         FALSE       TRUE
- *
- *
- * Post Promotion (handled by promotion script)
- *
- * Is_Approved   Is_Active   Is_Archived   Is_Lookup_Promoted
- * -----------------------------------------------------------
- * TRUE          FALSE       TRUE          TRUE   → Promoted (Archived)
- * TRUE          FALSE       FALSE         TRUE   → Promoted (Hidden Dropdown)
- * TRUE          TRUE        FALSE         TRUE   → Promoted (Live)
- *
- *
- * Derived Columns
- *
- * Valid_State =
- * NOT(
- *   (Is_Active = TRUE AND Is_Archived = TRUE)
- *   OR
- *   (Is_Lookup_Promoted = TRUE AND Is_Approved = FALSE)
- * )
- *
- *
- * Is_Pipeline_ready =
- * Is_Approved
- * AND NOT Is_Lookup_Promoted
- * AND Valid_State
- *
+ * Admin_Action rules, derived columns and status labels are defined once
+ * in 17_Entity_Governance.js (ENTITY_ADMIN_ACTION_RULES, runEntityStateMachine_)
+ * and shared by items, brands and products.
  *
- * Action_Review_Status
  *
- * if Is_Lookup_Promoted → Promoted
- * else if Is_Approved → Pending (Promotion)
- * else if Is_Archived → Rejected
- * else → Pending (Approval)
- *
- *
- * Item_Status
- *
- * If promoted:
- *   Approved + Active → Promoted (Live)
- *   Approved + Archived → Promoted (Archived)
- *   Approved only → Promoted (Hidden Dropdown)
- *
- * If not promoted:
- *   none → To be Reviewed
- *   active only → Active (Temporary)
- *   approved only → Approved (Hidden Dropdown)
- *   approved + active → Approved & Activated (Temporary)
- *   approved + archived → Approved (Archived)
- *   archived only → Rejected
- *
- *
- * Entity_Owner
- *
- * If Is_Lookup_Promoted → Lookup
- * Else → Staging
+ * Map_To_Existing
+ * - Requires Map_To_Item_ID_Machine → existing Lookup_Items.Item_ID_Machine
+ * - Mapped_Item_ID_Machine ← Map_To_Item_ID_Machine
+ * - Action_Review_Status = Mapped, Item_Status = Mapped to Existing,
+ *   Entity_Owner = Lookup, Is_Pipeline_ready = FALSE
+ * - Entered / canonical name registered in Lookup_Item_Aliases
+ * - Target missing / unknown → INVALID_MAPPING
  *
  *
  * Integrity_Status
@@ -411,10 +168,13 @@ function populateStagingLookupItems_FromTransactionResolution() {
  * VALID
  * REPAIRED
  * INVALID_STATE
+ * INVALID_MAPPING
+ * INVALID_ADMIN_ACTION
  *
  *
  * Preconditions
  * - Sheet must exist: Staging_Lookup_Items
+ * - Sheet must exist: Lookup_Items (Map_To_Existing target validation)
  * - Sheet must exist: Automation_Control
  * - Integrity control switch: Automation_Control!K2
  *
@@ -423,263 +183,7 @@ function populateStagingLookupItems_FromTransactionResolution() {
  * - Required column missing
  */
 function processStagingItems_StateMachine() {
-
-  const SCRIPT_NAME = 'Items';
-  const FUNCTION_NAME = 'processStagingItems_StateMachine';
-  const SRC_SHEET = 'Staging_Lookup_Items';
-
-  const t0 = new Date();
-
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-
-  try {
-
-    /* =========================
-       START
-    ========================= */
-    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET);
-
-    const stgSh = ss.getSheetByName(SRC_SHEET);
-    if (!stgSh) throw new Error('Staging_Lookup_Items sheet missing');
-
-    const data = stgSh.getDataRange().getValues();
-    const hdr = data[0];
-
-    const col = n => hdr.indexOf(n);
-
-    const IDX = {
-      adminAction: col('Admin_Action'),
-      isApproved: col('Is_Approved'),
-      isActive: col('Is_Active'),
-      isArchived: col('Is_Archived'),
-      isPromoted: col('Is_Lookup_Promoted'),
-      pipelineReady: col('Is_Pipeline_ready'),
-      validState: col('Valid_State'),
-      actionStatus: col('Action_Review_Status'),
-      itemStatus: col('Item_Status'),
-      entityOwner: col('Entity_Owner'),
-      integrity: col('Integrity_Status'),
-      notes: col('Notes'),
-      stagingId: col('Staging_Item_ID_Machine')
-    };
-
-    for (const [k,v] of Object.entries(IDX)) {
-      if (v === -1) throw new Error(`Missing column: ${k}`);
-    }
-
-    let repaired = 0;
-    let valid = 0;
-    let invalid = 0;
-
-    const timestamp = Utilities.formatDate(
-      new Date(),
-      Session.getScriptTimeZone(),
-      "EEEE, MMMM d, yyyy 'at' HH:mm:ss"
-    );
-
-    /* =========================
-       PROCESS LOOP
-    ========================= */
-
-    for (let i = 1; i < data.length; i++) {
-
-      const row = data[i];
-      const admin = row[IDX.adminAction];
-      const stagingId = row[IDX.stagingId];
-
-      if (!admin) continue;
-
-      let expected = {
-        approved:false,
-        active:false,
-        archived:false
-      };
-
-      switch(admin) {
-
-        case 'Review':
-          break;
-
-        case 'Activate':
-          expected.active = true;
-          break;
-
-        case 'Approve (UI Hidden)':
-          expected.approved = true;
-          break;
-
-        case 'Approve & Activate':
-          expected.approved = true;
-          expected.active = true;
-          break;
-
-        case 'Approve but Deprecate':
-          expected.approved = true;
-          expected.archived = true;
-          break;
-
-        case 'Reject':
-          expected.archived = true;
-          break;
-
-        default:
-          invalid++;
-          row[IDX.integrity] = 'INVALID_ADMIN_ACTION';
-          continue;
-      }
-
-      let drift = [];
-
-      function repair(idx, expectedVal, name) {
-
-        const actual = row[idx];
-
-        if (actual !== expectedVal) {
-          drift.push(`${name} expected=${expectedVal} found=${actual}`);
-          row[idx] = expectedVal;
-        }
-      }
-
-      repair(IDX.isApproved, expected.approved, 'Is_Approved');
-      repair(IDX.isActive, expected.active, 'Is_Active');
-      repair(IDX.isArchived, expected.archived, 'Is_Archived');
-
-      const promoted = row[IDX.isPromoted];
-
-      const validState =
-        !(row[IDX.isActive] && row[IDX.isArchived]) &&
-        !(promoted && !row[IDX.isApproved]);
-
-      row[IDX.validState] = validState;
-
-      if (!validState) {
-        row[IDX.integrity] = 'INVALID_STATE';
-        invalid++;
-        continue;
-      }
-
-      const pipelineReady =
-        row[IDX.isApproved] &&
-        !promoted &&
-        validState;
-
-      row[IDX.pipelineReady] = pipelineReady;
-
-      let reviewStatus = 'Pending (Approval)';
-
-      if (promoted) reviewStatus = 'Promoted';
-      else if (row[IDX.isApproved]) reviewStatus = 'Pending (Promotion)';
-      else if (row[IDX.isArchived]) reviewStatus = 'Rejected';
-
-      row[IDX.actionStatus] = reviewStatus;
-
-      let itemStatus = 'To be Reviewed';
-
-      if (promoted) {
-
-        if (row[IDX.isActive])
-          itemStatus = 'Promoted (Live)';
-        else if (row[IDX.isArchived])
-          itemStatus = 'Promoted (Archived)';
-        else
-          itemStatus = 'Promoted (Hidden Dropdown)';
-
-      } else {
-
-        if (row[IDX.isArchived] && !row[IDX.isApproved])
-          itemStatus = 'Rejected';
-
-        else if (row[IDX.isActive] && !row[IDX.isApproved])
-          itemStatus = 'Active (Temporary)';
-
-        else if (row[IDX.isApproved] && !row[IDX.isActive])
-          itemStatus = 'Approved (Hidden Dropdown)';
-
-        else if (row[IDX.isApproved] && row[IDX.isActive])
-          itemStatus = 'Approved & Activated (Temporary)';
-
-        else if (row[IDX.isApproved] && row[IDX.isArchived])
-          itemStatus = 'Approved (Archived)';
-      }
-
-      row[IDX.itemStatus] = itemStatus;
-
-      row[IDX.entityOwner] =
-        promoted ? 'Lookup' : 'Staging';
-
-      if (drift.length > 0) {
-
-        repaired++;
-
-        const msg =
-          `Integrity drift repaired: ${drift.join(' | ')} — ${timestamp}`;
-
-        row[IDX.notes] = msg;
-        row[IDX.integrity] = 'REPAIRED';
-
-        ETI_log_({
-          scriptName: SCRIPT_NAME,
-          functionName: FUNCTION_NAME,
-          sheetName: SRC_SHEET,
-          level: 'WARN',
-          action: 'DRIFT_REPAIR',
-          details: `Row=${i+1}, Staging_ID=${stagingId}, ${drift.join(' | ')}`
-        });
-
-      } else {
-
-        valid++;
-
-        row[IDX.integrity] = 'VALID';
-        row[IDX.notes] =
-          `Integrity check passed — ${timestamp}`;
-      }
-    }
-
-    /* =========================
-       WRITE BACK
-    ========================= */
-
-    stgSh
-      .getRange(2,1,data.length-1,hdr.length)
-      .setValues(data.slice(1));
-
-    /* =========================
-       SUMMARY
-    ========================= */
-
-    const durationMs = new Date().getTime() - t0.getTime();
-
-    ETI_logSummary_(
-      SCRIPT_NAME,
-      FUNCTION_NAME,
-      SRC_SHEET,
-      `Valid=${valid}, Repaired=${repaired}, Invalid=${invalid}, DurationMs=${durationMs}`
-    );
-
-    /* =========================
-       END
-    ========================= */
-
-    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET);
-
-  } catch (err) {
-
-    ETI_logError_(
-      SCRIPT_NAME,
-      FUNCTION_NAME,
-      SRC_SHEET,
-      err,
-      'MAIN'
-    );
-
-    throw err;
-
-  } finally {
-
-    flushLogs_();
-
-  }
+  return runEntityStateMachine_('ITEM');
 }
 
 
@@ -700,8 +204,9 @@ function processStagingItems_StateMachine() {
  * Script Name: promoteApprovedItems_FromStaging_ToLookup
  * Script Language: Google Apps Script (JavaScript)
  * Version Introduced: v1.3
- * Current Version: v1.3.1
+ * Current Version: v1.3.3
  * Current Status: ACTIVE
+ * Implementation: runEntityPromotion_ (17_Entity_Governance.js), ENTITY_DEFINITIONS.ITEM
  *
  * Purpose:
  * - Promote staging items into Lookup_Items once governance conditions are satisfied
@@ -717,7 +222,7 @@ function processStagingItems_StateMachine() {
  *
  * Promotion Results:
  *
- * Lookup_Items row inserted
+ * Lookup_Items row inserted (Item_ID_Machine UUID + Item_ID_Human ITEM-######)
  * Staging row updated with:
  *
  *   Mapped_Item_ID_Machine
@@ -728,253 +233,15 @@ function processStagingItems_StateMachine() {
  *   Promoted_At
  *   Item_Status
  *   Notes
+ *
+ * Promotion Ledger:
+ *
+ * Lookup rows created and staging cells changed (old → new) are recorded
+ * in Promotion_Ledger under the run's Execution_ID, so the batch can be
+ * reverted with rollbackPromotion(executionId).
  */
 function promoteApprovedItems_FromStaging_ToLookup() {
-
-  /* =========================
-     CONFIG / CONSTANTS
-  ========================= */
-  const SCRIPT_NAME  = 'Items';
-  const FUNCTION_NAME = 'promoteApprovedItems_FromStaging_ToLookup';
-  const SRC_SHEET    = 'Staging_Lookup_Items';
-  const TGT_SHEET    = 'Lookup_Items';
-
-  const t0 = new Date();
-
-  try {
-
-    /* =========================
-       START
-    ========================= */
-    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
-
-    const ss    = SpreadsheetApp.getActiveSpreadsheet();
-    const stgSh = ss.getSheetByName(SRC_SHEET);
-    const lkSh  = ss.getSheetByName(TGT_SHEET);
-
-    if (!stgSh || !lkSh) {
-      throw new Error('Required sheet not found');
-    }
-
-    /* =========================
-       READ LOOKUP
-    ========================= */
-
-    const lkData = lkSh.getDataRange().getValues();
-    const lkHdr  = lkData[0];
-    const lkCol  = n => lkHdr.indexOf(n);
-
-    const IDX_LK = {
-      itemName: lkCol('Item_Name'),
-      itemCanon: lkCol('Item_Name_Canonical'),
-      isApproved: lkCol('Is_Approved'),
-      isActive: lkCol('Is_Active'),
-      isArchived: lkCol('Is_Archived'),
-      isStgPromoted: lkCol('Is_Staging_Promoted'),
-      sourceType: lkCol('Source_Type'),
-      createdAt: lkCol('Created_At'),
-      notes: lkCol('Notes'),
-      itemIdMachine: lkCol('Item_ID_Machine'),
-      stagingId: lkCol('Staging_ID_Machine')
-    };
-
-    for (const [k,v] of Object.entries(IDX_LK)) {
-      if (v === -1) throw new Error(`Lookup_Items missing column: ${k}`);
-    }
-
-    /* =========================
-       READ STAGING
-    ========================= */
-
-    const stgData = stgSh.getDataRange().getValues();
-    const stgHdr  = stgData[0];
-    const stgCol  = n => stgHdr.indexOf(n);
-
-    const IDX_STG = {
-      entered: stgCol('Item_Name_Entered'),
-      approved: stgCol('Item_Name_Approved'),
-      canon: stgCol('Item_Name_Canonical'),
-      reviewStatus: stgCol('Action_Review_Status'),
-      pipelineReady: stgCol('Is_Pipeline_ready'),
-      isPromoted: stgCol('Is_Lookup_Promoted'),
-      stagingId: stgCol('Staging_Item_ID_Machine'),
-      mappedId: stgCol('Mapped_Item_ID_Machine'),
-      notes: stgCol('Notes'),
-      isApproved: stgCol('Is_Approved'),
-      isActive: stgCol('Is_Active'),
-      isArchived: stgCol('Is_Archived'),
-      entityOwner: stgCol('Entity_Owner'),
-      promotionLabel: stgCol('Promotion_Label'),
-      promotedAt: stgCol('Promoted_At'),
-      itemStatus: stgCol('Item_Status')
-    };
-
-    for (const [k,v] of Object.entries(IDX_STG)) {
-      if (v === -1) throw new Error(`Staging_Lookup_Items missing column: ${k}`);
-    }
-
-    /* =========================
-       PROMOTION LOOP
-    ========================= */
-
-    const lookupAppendRows = [];
-    const stagingUpdates   = [];
-
-    let scanned = 0;
-    let promoted = 0;
-    let skipped = 0;
-
-    for (let i = 1; i < stgData.length; i++) {
-
-      scanned++;
-
-      const rowNum = i + 1;
-      const r = stgData[i];
-
-      if (r[IDX_STG.reviewStatus] !== 'Pending (Promotion)') { skipped++; continue; }
-      if (r[IDX_STG.pipelineReady] !== true) { skipped++; continue; }
-      if (r[IDX_STG.isPromoted] === true) { skipped++; continue; }
-
-      const finalName =
-        r[IDX_STG.approved] ||
-        r[IDX_STG.entered];
-
-      if (!finalName) { skipped++; continue; }
-
-      const canon = r[IDX_STG.canon] || '';
-      const stagingId = r[IDX_STG.stagingId];
-
-      const itemIdMachine = Utilities.getUuid();
-
-      const newLookupRow = new Array(lkHdr.length).fill('');
-
-      newLookupRow[IDX_LK.itemName] = finalName;
-      newLookupRow[IDX_LK.itemCanon] = canon;
-      newLookupRow[IDX_LK.isApproved] = r[IDX_STG.isApproved];
-      newLookupRow[IDX_LK.isActive]   = r[IDX_STG.isActive];
-      newLookupRow[IDX_LK.isArchived] = r[IDX_STG.isArchived];
-
-      newLookupRow[IDX_LK.isStgPromoted] = true;
-      newLookupRow[IDX_LK.sourceType] = 'STAGING_PROMOTION';
-      newLookupRow[IDX_LK.createdAt] = new Date();
-
-      newLookupRow[IDX_LK.itemIdMachine] = itemIdMachine;
-      newLookupRow[IDX_LK.stagingId] = stagingId;
-
-      newLookupRow[IDX_LK.notes] =
-        `Promoted from staging → Staging_ID=${stagingId}`;
-
-      lookupAppendRows.push(newLookupRow);
-
-      /* =========================
-         DERIVE PROMOTED STATUS
-      ========================= */
-
-      let promotedStatus = '';
-
-      if (r[IDX_STG.isApproved] && r[IDX_STG.isArchived])
-        promotedStatus = 'Promoted (Archived)';
-      else if (r[IDX_STG.isApproved] && r[IDX_STG.isActive])
-        promotedStatus = 'Promoted (Live)';
-      else if (r[IDX_STG.isApproved])
-        promotedStatus = 'Promoted (Hidden Dropdown)';
-
-      const existingNote = r[IDX_STG.notes] || '';
-
-      const newNote =
-        (existingNote ? existingNote + ' | ' : '') +
-        `Promoted to Lookup_Items → Item_ID_Machine=${itemIdMachine}`;
-
-      stagingUpdates.push({
-        row: rowNum,
-        mappedId: itemIdMachine,
-        note: newNote,
-        status: promotedStatus
-      });
-
-      /* =========================
-         LOG PER ROW (EVENT)
-      ========================= */
-
-      ETI_log_({
-        scriptName: SCRIPT_NAME,
-        functionName: FUNCTION_NAME,
-        sheetName: TGT_SHEET,
-        level: 'INFO',
-        action: 'PROMOTION',
-        details:
-          `Row=${rowNum}, Staging_ID=${stagingId}, Item_ID=${itemIdMachine}, Item_Name=${finalName}`
-      });
-
-      promoted++;
-    }
-
-    /* =========================
-       WRITE LOOKUP
-    ========================= */
-
-    if (lookupAppendRows.length > 0) {
-
-      lkSh.getRange(
-        lkSh.getLastRow() + 1,
-        1,
-        lookupAppendRows.length,
-        lookupAppendRows[0].length
-      ).setValues(lookupAppendRows);
-    }
-
-    /* =========================
-       WRITE BACK STAGING
-    ========================= */
-
-    for (const u of stagingUpdates) {
-
-      stgSh.getRange(u.row, IDX_STG.mappedId + 1).setValue(u.mappedId);
-      stgSh.getRange(u.row, IDX_STG.isPromoted + 1).setValue(true);
-      stgSh.getRange(u.row, IDX_STG.reviewStatus + 1).setValue('Promoted');
-      stgSh.getRange(u.row, IDX_STG.entityOwner + 1).setValue('Lookup');
-      stgSh.getRange(u.row, IDX_STG.promotionLabel + 1).setValue('Promoted');
-      stgSh.getRange(u.row, IDX_STG.promotedAt + 1).setValue(new Date());
-      stgSh.getRange(u.row, IDX_STG.itemStatus + 1).setValue(u.status);
-      stgSh.getRange(u.row, IDX_STG.notes + 1).setValue(u.note);
-    }
-
-    /* =========================
-       SUMMARY
-    ========================= */
-
-    const durationMs = new Date().getTime() - t0.getTime();
-
-    ETI_logSummary_(
-      SCRIPT_NAME,
-      FUNCTION_NAME,
-      TGT_SHEET,
-      `Scanned=${scanned}, Promoted=${promoted}, Skipped=${skipped}, DurationMs=${durationMs}`
-    );
-
-    /* =========================
-       END
-    ========================= */
-
-    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
-
-  } catch (err) {
-
-    ETI_logError_(
-      SCRIPT_NAME,
-      FUNCTION_NAME,
-      TGT_SHEET,
-      err,
-      'MAIN'
-    );
-
-    throw err;
-
-  } finally {
-
-    flushLogs_();
-
-  }
+  return runEntityPromotion_('ITEM');
 }
 
 
@@ -987,128 +254,7 @@ function promoteApprovedItems_FromStaging_ToLookup() {
 ========================================================================
 */
 function backfill_ItemIDs_Machine_LookupItems() {
-
-  /* =========================
-     CONFIG / CONSTANTS
-  ========================= */
-  const SCRIPT_NAME  = 'Items';
-  const FUNCTION_NAME = 'backfill_ItemIDs_Machine_LookupItems';
-  const SHEET_NAME   = 'Lookup_Items';
-
-  try {
-
-    /* =========================
-       START
-    ========================= */
-    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, SHEET_NAME);
-
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sh = ss.getSheetByName(SHEET_NAME);
-    if (!sh) throw new Error(`Sheet ${SHEET_NAME} not found`);
-
-    const range = sh.getDataRange();
-    const data  = range.getValues();
-
-    /* =========================
-       EXIT: NO DATA
-    ========================= */
-    if (data.length < 2) {
-
-      ETI_logExit_(
-        SCRIPT_NAME,
-        FUNCTION_NAME,
-        SHEET_NAME,
-        'No data rows found'
-      );
-
-      return;
-    }
-
-    /* =========================
-       HEADER MAPPING
-    ========================= */
-    const header = data[0];
-    const col = n => header.indexOf(n);
-
-    const IDX = {
-      itemName: col('Item_Name'),
-      itemIdM: col('Item_ID_Machine')
-    };
-
-    for (const [k, v] of Object.entries(IDX)) {
-      if (v === -1) throw new Error(`Missing required column: ${k}`);
-    }
-
-    /* =========================
-       PROCESS LOOP
-    ========================= */
-    let generatedCount = 0;
-    const output = data.map(r => r.slice());
-
-    for (let i = 1; i < output.length; i++) {
-
-      const rowNum  = i + 1;
-      const name    = output[i][IDX.itemName];
-      const itemId  = output[i][IDX.itemIdM];
-
-      if (name && !itemId) {
-
-        const newId = Utilities.getUuid();
-        output[i][IDX.itemIdM] = newId;
-        generatedCount++;
-
-        /* =========================
-           LOG PER ROW
-        ========================= */
-        ETI_log_({
-          scriptName: SCRIPT_NAME,
-          functionName: FUNCTION_NAME,
-          sheetName: SHEET_NAME,
-          level: 'INFO',
-          rowNumber: rowNum,
-          action: 'GENERATE_ID',
-          details: `Generated Item_ID_Machine: ${newId}`
-        });
-      }
-    }
-
-    /* =========================
-       WRITE BACK
-    ========================= */
-    range.setValues(output);
-
-    /* =========================
-       SUMMARY
-    ========================= */
-    ETI_logSummary_(
-      SCRIPT_NAME,
-      FUNCTION_NAME,
-      SHEET_NAME,
-      `Generated=${generatedCount}`
-    );
-
-    /* =========================
-       END
-    ========================= */
-    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, SHEET_NAME);
-
-  } catch (err) {
-
-    ETI_logError_(
-      SCRIPT_NAME,
-      FUNCTION_NAME,
-      SHEET_NAME,
-      err,
-      'MAIN'
-    );
-
-    throw err;
-
-  } finally {
-
-    flushLogs_();
-
-  }
+  return runEntityIdBackfill_('ITEM');
 }
 
 
@@ -1128,6 +274,7 @@ function backfill_ItemIDs_Machine_LookupItems() {
  * Script Language: Google Apps Script (JavaScript)
  * Version Introduced: v1.3
  * Current Status: ACTIVE
+ * Implementation: runEntityOrphanIdCleanup_ (17_Entity_Governance.js), ENTITY_DEFINITIONS.ITEM
  *
  * Purpose:
  * - Clear orphan Item_ID_Machine where Item_Name is missing
@@ -1155,125 +302,5 @@ function backfill_ItemIDs_Machine_LookupItems() {
  * - N/A
  */
 function cleanupOrphan_ItemIDs_Machine_LookupItems() {
-
-  /* =========================
-     CONFIG / CONSTANTS
-  ========================= */
-  const SCRIPT_NAME  = 'Items';
-  const FUNCTION_NAME = 'cleanupOrphan_ItemIDs_Machine_LookupItems';
-  const SHEET_NAME   = 'Lookup_Items';
-
-  try {
-
-    /* =========================
-       START
-    ========================= */
-    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, SHEET_NAME);
-
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sh = ss.getSheetByName(SHEET_NAME);
-    if (!sh) throw new Error(`Sheet ${SHEET_NAME} not found`);
-
-    const range = sh.getDataRange();
-    const data  = range.getValues();
-
-    /* =========================
-       EXIT: NO DATA
-    ========================= */
-    if (data.length < 2) {
-
-      ETI_logExit_(
-        SCRIPT_NAME,
-        FUNCTION_NAME,
-        SHEET_NAME,
-        'No data rows found'
-      );
-
-      return;
-    }
-
-    /* =========================
-       HEADER MAPPING
-    ========================= */
-    const header = data[0];
-    const col = n => header.indexOf(n);
-
-    const IDX = {
-      itemName: col('Item_Name'),
-      itemIdM: col('Item_ID_Machine')
-    };
-
-    for (const [k, v] of Object.entries(IDX)) {
-      if (v === -1) throw new Error(`Missing required column: ${k}`);
-    }
-
-    /* =========================
-       PROCESS LOOP
-    ========================= */
-    let clearedCount = 0;
-    const output = data.map(r => r.slice());
-
-    for (let i = 1; i < output.length; i++) {
-
-      const rowNum = i + 1;
-      const name   = output[i][IDX.itemName];
-      const itemId = output[i][IDX.itemIdM];
-
-      if (!name && itemId) {
-
-        output[i][IDX.itemIdM] = '';
-        clearedCount++;
-
-        /* =========================
-           LOG PER ROW
-        ========================= */
-        ETI_log_({
-          scriptName: SCRIPT_NAME,
-          functionName: FUNCTION_NAME,
-          sheetName: SHEET_NAME,
-          level: 'WARN',
-          rowNumber: rowNum,
-          action: 'CLEAR_ORPHAN_ID',
-          details: `Item_Name missing; Cleared Item_ID_Machine: ${itemId}`
-        });
-      }
-    }
-
-    /* =========================
-       WRITE BACK
-    ========================= */
-    range.setValues(output);
-
-    /* =========================
-       SUMMARY
-    ========================= */
-    ETI_logSummary_(
-      SCRIPT_NAME,
-      FUNCTION_NAME,
-      SHEET_NAME,
-      `Cleared=${clearedCount}`
-    );
-
-    /* =========================
-       END
-    ========================= */
-    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, SHEET_NAME);
-
-  } catch (err) {
-
-    ETI_logError_(
-      SCRIPT_NAME,
-      FUNCTION_NAME,
-      SHEET_NAME,
-      err,
-      'MAIN'
-    );
-
-    throw err;
-
-  } finally {
-
-    flushLogs_();
-
-  }
+  return runEntityOrphanIdCleanup_('ITEM');
 }
@@ -0,0 +1,625 @@
+// MAPPING ARCHIVE - TOMBSTONES, RESTORE & RETENTION
+/*
+-------------------------------------
+Soft-archive for Mapping_Item_Brand / Mapping_Item_Brand_Product
+
+Cleanup mode (Automation_Control.Mapping_Cleanup_Mode)
+- ARCHIVE (default) → invalid rows are copied to Mapping_Archive, then
+                      removed from the mapping sheet
+- DELETE            → previous behaviour, rows are deleted outright
+
+Mapping_Archive (script-owned; Restore_Requested and the ID columns are
+admin-editable)
+- One tombstone per removed mapping row
+- Row_Data = the full mapping row as JSON (header → value), so first-seen
+  and evidence columns survive
+- Item_ID_Machine / Brand_ID_Machine / Product_ID_Machine = identity at
+  archive time; an admin may fill a blank ID before restoring
+- Archive_Status: ARCHIVED → RESTORED / RESTORE_BLOCKED
+
+Restore (restoreMappingRows_FromArchive)
+- Rows with Restore_Requested = TRUE and Archive_Status ARCHIVED or
+  RESTORE_BLOCKED
+- Blocked when the identity is still incomplete
+- Identity already mapped in the source sheet → merged into that row
+  (mergeArchivedMappingRow_), tombstone marked RESTORED
+
+Retention (purgeMappingArchive_ExpiredRows)
+- Tombstones older than Automation_Control.Mapping_Archive_Retention_Days
+  (default MAPPING_ARCHIVE_DEFAULT_RETENTION_DAYS) are deleted
+- A pending restore request is never purged
+-------------------------------------
+*/
+const MAPPING_ARCHIVE_SHEET = 'Mapping_Archive';
+
+const MAPPING_ARCHIVE_SCHEMA = [
+  'Archive_ID',
+  'Source_Sheet',
+  'Source_Row_Number',
+  'Item_ID_Machine',
+  'Brand_ID_Machine',
+  'Product_ID_Machine',
+  'First_Seen_Txn_ID',
+  'Reason',
+  'Execution_ID',
+  'Archived_At',
+  'Row_Data',
+  'Restore_Requested',
+  'Archive_Status',
+  'Restored_At',
+  'Restore_Execution_ID',
+  'Restore_Notes'
+];
+
+const MAPPING_ARCHIVE_DEFAULT_RETENTION_DAYS = 180;
+
+/*
+  Identity columns per archived sheet
+*/
+const MAPPING_ARCHIVE_IDENTITY = {
+  Mapping_Item_Brand: ['Item_ID_Machine', 'Brand_ID_Machine'],
+  Mapping_Item_Brand_Product: ['Item_ID_Machine', 'Brand_ID_Machine', 'Product_ID_Machine']
+};
+
+/*
+-------------------------------------
+Helper — Cleanup Mode / Retention (Automation_Control)
+-------------------------------------
+*/
+function getMappingCleanupMode_(){
+  const v = String(getAutomationSwitchMap_()["Mapping_Cleanup_Mode"] || '').trim().toUpperCase();
+  return v === 'DELETE' ? 'DELETE' : 'ARCHIVE';
+}
+
+function getMappingArchiveRetentionDays_(){
+  const v = Number(getAutomationSwitchMap_()["Mapping_Archive_Retention_Days"]);
+  return v > 0 ? v : MAPPING_ARCHIVE_DEFAULT_RETENTION_DAYS;
+}
+
+/*
+-------------------------------------
+Helper — Archive Mapping Rows
+-------------------------------------
+entries: [{ rowNumber, row, reason }] (row = values in `hdr` order)
+Appends one tombstone per entry; the caller removes the source rows
+afterwards.
+*/
+function archiveMappingRows_(ss, sourceSheet, hdr, entries, executionId){
+
+  if (!entries || entries.length === 0) return 0;
+
+  const sh = getOrCreateSheet_(ss, MAPPING_ARCHIVE_SHEET, MAPPING_ARCHIVE_SCHEMA);
+  const arcHdr = sh.getRange(1, 1, 1, sh.getLastColumn()).getValues()[0];
+
+  const archivedAt = new Date();
+
+  const rows = entries.map(e => {
+
+    const record = {};
+    hdr.forEach((h, c) => { if (h) record[h] = e.row[c]; });
+
+    const tombstone = {
+      Archive_ID: Utilities.getUuid(),
+      Source_Sheet: sourceSheet,
+      Source_Row_Number: e.rowNumber,
+      Item_ID_Machine: record.Item_ID_Machine || '',
+      Brand_ID_Machine: record.Brand_ID_Machine || '',
+      Product_ID_Machine: record.Product_ID_Machine || '',
+      First_Seen_Txn_ID: record.First_Seen_Txn_ID || '',
+      Reason: e.reason,
+      Execution_ID: executionId,
+      Archived_At: archivedAt,
+      Row_Data: JSON.stringify(record),
+      Restore_Requested: false,
+      Archive_Status: 'ARCHIVED'
+    };
+
+    return arcHdr.map(h => (h in tombstone ? tombstone[h] : ''));
+  });
+
+  sh.getRange(sh.getLastRow() + 1, 1, rows.length, arcHdr.length)
+    .setValues(rows);
+
+  return rows.length;
+}
+
+/*
+-------------------------------------
+Helper — Merge Archived Row Into Existing Row (in place)
+-------------------------------------
+row / hdr = existing source-sheet row; record = archived Row_Data.
+- First_Seen_Txn_Date / First_Seen_Txn_ID → earliest of the two
+- Is_Reviewed → TRUE when either side was reviewed
+- Other evidence columns → archived value only where the row is blank
+  (the next populate run recomputes them from Transaction_Resolution)
+Returns the names of the columns that changed.
+*/
+function mergeArchivedMappingRow_(row, hdr, record){
+
+  const col = n => hdr.indexOf(n);
+  const changed = [];
+
+  const set = (c, value) => {
+    if (c === -1) return;
+    row[c] = value;
+    changed.push(hdr[c]);
+  };
+
+  const dateC = col('First_Seen_Txn_Date');
+  const txnC = col('First_Seen_Txn_ID');
+
+  const archivedDate = reviveMappingArchiveValue_(record.First_Seen_Txn_Date);
+  const archivedTime = archivedDate ? new Date(archivedDate).getTime() : NaN;
+  const currentTime = dateC !== -1 && row[dateC] ? new Date(row[dateC]).getTime() : NaN;
+
+  if (!isNaN(archivedTime) && (isNaN(currentTime) || archivedTime < currentTime)) {
+    set(dateC, archivedDate);
+    if (record.First_Seen_Txn_ID) set(txnC, record.First_Seen_Txn_ID);
+  }
+
+  MAPPING_EVIDENCE_COLUMNS.forEach(name => {
+
+    const c = col(name);
+    if (c === -1 || !(name in record)) return;
+
+    const archived = reviveMappingArchiveValue_(record[name]);
+
+    if (name === 'Is_Reviewed') {
+      if (archived === true && row[c] !== true) set(c, true);
+      return;
+    }
+
+    if ((row[c] === '' || row[c] === null) && archived !== '') set(c, archived);
+  });
+
+  return changed;
+}
+
+/*
+-------------------------------------
+Helper — Revive Archived Value
+-------------------------------------
+Dates come back from Row_Data as ISO strings.
+*/
+function reviveMappingArchiveValue_(value){
+
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/.test(value)) {
+    return new Date(value);
+  }
+
+  return value === null || value === undefined ? '' : value;
+}
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// MAPPING ARCHIVE: RESTORE
+
+/**
+ * Script Name: restoreMappingRows_FromArchive
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Bring archived mapping rows back into their source sheet
+ *   (Mapping_Item_Brand / Mapping_Item_Brand_Product)
+ *
+ * Algorithm (Step-by-Step):
+ * 1. Load Mapping_Archive; select rows with Restore_Requested = TRUE and
+ *    Archive_Status ARCHIVED / RESTORE_BLOCKED
+ * 2. Per row:
+ *    a. Rebuild the mapping row from Row_Data by current header name;
+ *       identity IDs taken from the archive row (admin may have filled them)
+ *    b. Identity incomplete          → RESTORE_BLOCKED
+ *    c. Identity already in the sheet (or restored earlier in this run)
+ *       → merge into that row: earliest First_Seen_*, Is_Reviewed kept,
+ *       blank evidence filled (mergeArchivedMappingRow_)
+ *    d. Else append to the source sheet, Notes = restore trace
+ *    e. Archive_Status = RESTORED, Restore_Requested = FALSE
+ * 3. Write Mapping_Archive back and emit summary
+ *
+ * Failure Modes:
+ * - Mapping_Archive missing (exit, nothing to restore)
+ * - Source sheet missing (row blocked)
+ * - Row_Data not valid JSON (row blocked)
+ *
+ * Reason for Deprecation:
+ * - N/A
+ */
+function restoreMappingRows_FromArchive() {
+
+  const SCRIPT_NAME   = 'Mappings';
+  const FUNCTION_NAME = 'restoreMappingRows_FromArchive';
+  const SRC_SHEET     = MAPPING_ARCHIVE_SHEET;
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET);
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const arcSh = ss.getSheetByName(SRC_SHEET);
+
+    if (!arcSh || arcSh.getLastRow() < 2) {
+      ETI_logExit_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET, 'No archived rows');
+      return;
+    }
+
+    const executionId = getExecutionContext_()?.execution_id || Utilities.getUuid();
+
+    const data = arcSh.getDataRange().getValues();
+    const hdr = data[0];
+
+    const IDX = resolveEntityColumns_(hdr, {
+      archiveId: 'Archive_ID',
+      sourceSheet: 'Source_Sheet',
+      rowData: 'Row_Data',
+      restoreRequested: 'Restore_Requested',
+      status: 'Archive_Status',
+      restoredAt: 'Restored_At',
+      restoreExecutionId: 'Restore_Execution_ID',
+      restoreNotes: 'Restore_Notes'
+    }, SRC_SHEET);
+
+    /* =========================
+       STEP — RESTORE
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET, 'RESTORE');
+
+    const targets = {};
+
+    const loadTarget = sheetName => {
+
+      if (sheetName in targets) return targets[sheetName];
+
+      const sh = ss.getSheetByName(sheetName);
+      const identity = MAPPING_ARCHIVE_IDENTITY[sheetName];
+
+      if (!sh || !identity) return (targets[sheetName] = null);
+
+      const tData = sh.getDataRange().getValues();
+      const tHdr = tData[0];
+      const idIdx = identity.map(c => tHdr.indexOf(c));
+
+      if (idIdx.some(c => c === -1)) throw new Error(`${sheetName} missing identity column`);
+
+      // identity key → { row, rowNumber } (rowNumber '' for rows appended this run)
+      const keys = new Map();
+      for (let i = 1; i < tData.length; i++) {
+        const ids = idIdx.map(c => tData[i][c]);
+        if (ids.every(Boolean) && !keys.has(ids.join('||'))) {
+          keys.set(ids.join('||'), { row: tData[i], rowNumber: i + 1 });
+        }
+      }
+
+      return (targets[sheetName] = { sh, hdr: tHdr, data: tData, identity, keys, rows: [], dirty: false });
+    };
+
+    let restored = 0;
+    let merged = 0;
+    let blocked = 0;
+
+    const timestamp = Utilities.formatDate(
+      new Date(),
+      Session.getScriptTimeZone(),
+      "EEEE, MMMM d, yyyy 'at' HH:mm:ss"
+    );
+
+    for (let i = 1; i < data.length; i++) {
+
+      const row = data[i];
+
+      if (row[IDX.restoreRequested] !== true) continue;
+      if (row[IDX.status] !== 'ARCHIVED' && row[IDX.status] !== 'RESTORE_BLOCKED') continue;
+
+      const archiveId = row[IDX.archiveId];
+      const sheetName = row[IDX.sourceSheet];
+
+      const block = reason => {
+        blocked++;
+        row[IDX.status] = 'RESTORE_BLOCKED';
+        row[IDX.restoreNotes] = `${reason} — ${timestamp}`;
+        ETI_log_({
+          scriptName: SCRIPT_NAME,
+          functionName: FUNCTION_NAME,
+          sheetName: SRC_SHEET,
+          level: 'WARN',
+          rowNumber: i + 1,
+          action: 'RESTORE_BLOCKED',
+          details: `Archive_ID=${archiveId}, Source=${sheetName}, Reason=${reason}`
+        });
+      };
+
+      const target = loadTarget(sheetName);
+
+      if (!target) {
+        block(`Source sheet ${sheetName} not found`);
+        continue;
+      }
+
+      let record;
+
+      try {
+        record = JSON.parse(row[IDX.rowData] || '{}');
+      } catch (e) {
+        block('Row_Data is not valid JSON');
+        continue;
+      }
+
+      // Identity from the archive row (admin-editable) wins over Row_Data
+      target.identity.forEach(c => {
+        const v = row[hdr.indexOf(c)];
+        if (v) record[c] = v;
+      });
+
+      const ids = target.identity.map(c => record[c]);
+
+      if (!ids.every(Boolean)) {
+        block(`Identity incomplete: ${target.identity.filter(c => !record[c]).join(', ')}`);
+        continue;
+      }
+
+      const key = ids.join('||');
+
+      const markRestored = notes => {
+        row[IDX.status] = 'RESTORED';
+        row[IDX.restoreRequested] = false;
+        row[IDX.restoredAt] = new Date();
+        row[IDX.restoreExecutionId] = executionId;
+        row[IDX.restoreNotes] = `${notes} — ${timestamp}`;
+      };
+
+      const existing = target.keys.get(key);
+
+      if (existing) {
+
+        const changed = mergeArchivedMappingRow_(existing.row, target.hdr, record);
+        const notesIdx = target.hdr.indexOf('Notes');
+
+        if (notesIdx !== -1) {
+          const trace = `Merged from ${MAPPING_ARCHIVE_SHEET} (${archiveId}) — ${timestamp}`;
+          existing.row[notesIdx] = existing.row[notesIdx] ? `${existing.row[notesIdx]} | ${trace}` : trace;
+        }
+
+        if (existing.rowNumber) target.dirty = true;
+
+        merged++;
+        markRestored(existing.rowNumber
+          ? `Merged into existing ${sheetName} row ${existing.rowNumber}`
+          : `Merged into ${sheetName} row restored in the same run`);
+
+        ETI_log_({
+          scriptName: SCRIPT_NAME,
+          functionName: FUNCTION_NAME,
+          sheetName: sheetName,
+          level: 'INFO',
+          rowNumber: existing.rowNumber || '',
+          action: 'RESTORE_MAPPING_MERGED',
+          details: `Archive_ID=${archiveId}, Identity=${key}, Changed=${changed.join(', ') || 'none'}`
+        });
+
+        continue;
+      }
+
+      record.Notes = `Restored from ${MAPPING_ARCHIVE_SHEET} (${archiveId}) — ${timestamp}`;
+
+      const newRow = target.hdr.map(h => (h in record ? reviveMappingArchiveValue_(record[h]) : ''));
+
+      target.rows.push(newRow);
+      target.keys.set(key, { row: newRow, rowNumber: '' });
+
+      restored++;
+      markRestored(`Restored to ${sheetName}`);
+
+      ETI_log_({
+        scriptName: SCRIPT_NAME,
+        functionName: FUNCTION_NAME,
+        sheetName: sheetName,
+        level: 'INFO',
+        rowNumber: i + 1,
+        action: 'RESTORE_MAPPING',
+        details: `Archive_ID=${archiveId}, Identity=${key}`
+      });
+    }
+
+    /* =========================
+       WRITE BACK
+    ========================= */
+    Object.keys(targets).forEach(name => {
+
+      const t = targets[name];
+      if (!t) return;
+
+      if (t.dirty) {
+        t.sh.getRange(2, 1, t.data.length - 1, t.hdr.length)
+          .setValues(t.data.slice(1));
+      }
+
+      if (t.rows.length === 0) return;
+
+      t.sh.getRange(t.sh.getLastRow() + 1, 1, t.rows.length, t.hdr.length)
+        .setValues(t.rows);
+    });
+
+    arcSh.getRange(2, 1, data.length - 1, hdr.length)
+      .setValues(data.slice(1));
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET, 'RESTORE', `Restored=${restored}, Merged=${merged}, Blocked=${blocked}`);
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      SRC_SHEET,
+      `Restored=${restored}, Merged=${merged}, Blocked=${blocked}, Execution_ID=${executionId}, DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      SRC_SHEET,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// MAPPING ARCHIVE: RETENTION PURGE
+
+/**
+ * Script Name: purgeMappingArchive_ExpiredRows
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Enforce the Mapping_Archive retention policy
+ *
+ * Algorithm (Step-by-Step):
+ * 1. Cutoff = now − Automation_Control.Mapping_Archive_Retention_Days
+ *    (default MAPPING_ARCHIVE_DEFAULT_RETENTION_DAYS)
+ * 2. Select tombstones with Archived_At before the cutoff, except pending
+ *    restore requests (Restore_Requested = TRUE, not RESTORED)
+ * 3. Delete rows bottom-up
+ * 4. Emit summary
+ *
+ * Failure Modes:
+ * - Required column missing
+ *
+ * Reason for Deprecation:
+ * - N/A
+ */
+function purgeMappingArchive_ExpiredRows() {
+
+  const SCRIPT_NAME   = 'Mappings';
+  const FUNCTION_NAME = 'purgeMappingArchive_ExpiredRows';
+  const SRC_SHEET     = MAPPING_ARCHIVE_SHEET;
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET);
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const arcSh = ss.getSheetByName(SRC_SHEET);
+
+    if (!arcSh || arcSh.getLastRow() < 2) {
+      ETI_logExit_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET, 'No archived rows');
+      return;
+    }
+
+    const retentionDays = getMappingArchiveRetentionDays_();
+    const cutoff = new Date(t0.getTime() - retentionDays * 86400000);
+
+    const data = arcSh.getDataRange().getValues();
+
+    const IDX = resolveEntityColumns_(data[0], {
+      archiveId: 'Archive_ID',
+      archivedAt: 'Archived_At',
+      restoreRequested: 'Restore_Requested',
+      status: 'Archive_Status'
+    }, SRC_SHEET);
+
+    /* =========================
+       STEP — PURGE
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET, 'PURGE');
+
+    const rowsToDelete = [];
+
+    for (let i = 1; i < data.length; i++) {
+
+      const r = data[i];
+      const archivedAt = r[IDX.archivedAt] ? new Date(r[IDX.archivedAt]) : null;
+
+      if (!archivedAt || isNaN(archivedAt.getTime()) || archivedAt >= cutoff) continue;
+      if (r[IDX.restoreRequested] === true && r[IDX.status] !== 'RESTORED') continue;
+
+      rowsToDelete.push(i + 1);
+    }
+
+    for (let i = rowsToDelete.length - 1; i >= 0; i--) {
+      arcSh.deleteRow(rowsToDelete[i]);
+    }
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET, 'PURGE', `Purged=${rowsToDelete.length}`);
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      SRC_SHEET,
+      `Purged=${rowsToDelete.length}, RetentionDays=${retentionDays}, DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      SRC_SHEET,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
@@ -0,0 +1,493 @@
+// MAPPING EVIDENCE - TRANSACTION STATISTICS & CONFIDENCE
+/*
+-------------------------------------
+Evidence statistics for Mapping_Item_Brand / Mapping_Item_Brand_Product
+
+Evidence columns (script-owned, appended if missing)
+- Txn_Count            → Transaction_Resolution rows carrying the mapping
+- Last_Seen_Txn_Date   → latest Txn_Date_Entered (fallback Created_At)
+- Last_Seen_Txn_ID     → Txn_ID_Machine of that row
+- Distinct_Platforms   → distinct Platform_ID_Machine (fallback platform name)
+- Confidence_Score     → 0..1, see below
+- Confidence_Level     → HIGH / MEDIUM / LOW
+- Evidence_Updated_At  → last time any evidence value changed
+
+Review column (admin-owned)
+- Is_Reviewed = TRUE → mapping confirmed by hand, analytics allowed
+  whatever the confidence
+
+Confidence_Score (0..1) = weighted sum of
+- Volume  (MAPPING_CONFIDENCE_WEIGHTS.volume)  → Txn_Count / 5, capped at 1
+- Recency (MAPPING_CONFIDENCE_WEIGHTS.recency) → 1 within 30 days of
+  Last_Seen_Txn_Date, falling to 0 at 365 days
+- Spread  (MAPPING_CONFIDENCE_WEIGHTS.spread)  → Distinct_Platforms / 2, capped at 1
+
+A one-off pairing seen today on one platform scores 0.42 (LOW); the same
+pairing seen twice scores 0.54 (MEDIUM).
+
+Confidence_Level
+  score ≥ MAPPING_CONFIDENCE_HIGH_SCORE          → HIGH
+  score ≥ Automation_Control.Mapping_Confidence_Min_Score
+          (default MAPPING_CONFIDENCE_DEFAULT_MIN_SCORE) → MEDIUM
+  else                                           → LOW
+
+Is_Analytics_Enabled (mapping state machines)
+  LOW AND NOT Is_Reviewed → FALSE, else TRUE
+
+Incremental update (populate scripts, every mapping pipeline run)
+- <Mapping sheet>_Evidence_Ledger (Logs spreadsheet, script-owned) keeps
+  what each Txn_ID_Machine contributed at the last run: Evidence_Key,
+  Txn_Date, Platform_Key. Rewritten in place like Transaction_Raw_Snapshot;
+  a row without Txn_ID_Machine marks a ledger of an empty
+  Transaction_Resolution
+- Each run diffs Transaction_Resolution against the ledger. Only the
+  mapping identities touched by a new, changed (IDs re-resolved, merged,
+  date / platform edited) or removed transaction are re-aggregated, plus
+  rows without Evidence_Updated_At (new rows, columns just appended)
+- Identities no transaction carries any more reset to Txn_Count 0, blank
+  Last_Seen_*, score 0, LOW — so they drop out of analytics unless
+  Is_Reviewed
+- Every other row keeps its counts; only its score / level is recomputed
+  from the stored columns (recency decays, minimum score may change)
+- Full rebuild fallback: ledger missing or empty (first run), or
+  Automation_Control.Mapping_Evidence_Full_Rebuild = TRUE
+- Only the evidence cells of rows whose evidence changed are written (they
+  get a new Evidence_Updated_At); the ledger is saved after the mapping
+  write, so a failed run is redone on the next one
+-------------------------------------
+*/
+const MAPPING_EVIDENCE_COLUMNS = [
+  'Txn_Count',
+  'Last_Seen_Txn_Date',
+  'Last_Seen_Txn_ID',
+  'Distinct_Platforms',
+  'Confidence_Score',
+  'Confidence_Level',
+  'Is_Reviewed',
+  'Evidence_Updated_At'
+];
+
+const MAPPING_CONFIDENCE_WEIGHTS = { volume: 0.6, recency: 0.2, spread: 0.2 };
+const MAPPING_CONFIDENCE_FULL_TXN_COUNT = 5;
+const MAPPING_CONFIDENCE_FULL_PLATFORMS = 2;
+const MAPPING_CONFIDENCE_FRESH_DAYS = 30;
+const MAPPING_CONFIDENCE_STALE_DAYS = 365;
+const MAPPING_CONFIDENCE_HIGH_SCORE = 0.75;
+const MAPPING_CONFIDENCE_DEFAULT_MIN_SCORE = 0.5;
+
+const MAPPING_EVIDENCE_LEDGER_SUFFIX = '_Evidence_Ledger';
+
+const MAPPING_EVIDENCE_LEDGER_SCHEMA = [
+  'Txn_ID_Machine',
+  'Evidence_Key',
+  'Txn_Date',
+  'Platform_Key',
+  'Recorded_At'
+];
+
+/*
+-------------------------------------
+Helper — Minimum Score (Automation_Control.Mapping_Confidence_Min_Score)
+-------------------------------------
+*/
+function getMappingConfidenceMinScore_(){
+  const v = Number(getAutomationSwitchMap_()["Mapping_Confidence_Min_Score"]);
+  return v > 0 && v <= 1 ? v : MAPPING_CONFIDENCE_DEFAULT_MIN_SCORE;
+}
+
+/*
+-------------------------------------
+Helper — Resolve Evidence Columns
+-------------------------------------
+Returns { txnCount, lastSeenDate, lastSeenTxn, platforms, score, level,
+reviewed, updatedAt } header indexes (-1 when the column is missing).
+*/
+function resolveMappingEvidenceColumns_(hdr){
+  return {
+    txnCount: hdr.indexOf('Txn_Count'),
+    lastSeenDate: hdr.indexOf('Last_Seen_Txn_Date'),
+    lastSeenTxn: hdr.indexOf('Last_Seen_Txn_ID'),
+    platforms: hdr.indexOf('Distinct_Platforms'),
+    score: hdr.indexOf('Confidence_Score'),
+    level: hdr.indexOf('Confidence_Level'),
+    reviewed: hdr.indexOf('Is_Reviewed'),
+    updatedAt: hdr.indexOf('Evidence_Updated_At')
+  };
+}
+
+/*
+-------------------------------------
+Helper — Collect Contributions (Transaction_Resolution)
+-------------------------------------
+keyOf(row) → mapping identity key, or '' to skip the row.
+Returns Map(Txn_ID_Machine → { key, date, platform }) in row order;
+date is epoch milliseconds ('' when the row has no valid date), so it
+round-trips through the ledger sheet unchanged.
+*/
+function collectMappingEvidenceContributions_(txData, keyOf){
+
+  const hdr = txData[0];
+
+  const IDX_TX = {
+    txnId: hdr.indexOf('Txn_ID_Machine'),
+    txnDateEntered: hdr.indexOf('Txn_Date_Entered'),
+    createdAt: hdr.indexOf('Created_At'),
+    platformId: hdr.indexOf('Platform_ID_Machine'),
+    platformCanon: hdr.indexOf('Platform_Name_Canonical'),
+    platformEntered: hdr.indexOf('Platform_Name_Entered')
+  };
+
+  const cell = (r, idx) => (idx === -1 ? '' : r[idx]);
+
+  const contributions = new Map();
+
+  for (let i = 1; i < txData.length; i++) {
+
+    const r = txData[i];
+
+    const txnId = cell(r, IDX_TX.txnId);
+    if (!txnId) continue;
+
+    const key = keyOf(r);
+    if (!key) continue;
+
+    const raw = cell(r, IDX_TX.txnDateEntered) || cell(r, IDX_TX.createdAt);
+    const date = raw ? new Date(raw) : null;
+
+    const platform =
+      cell(r, IDX_TX.platformId) ||
+      normalizeMatchText_(cell(r, IDX_TX.platformCanon) || cell(r, IDX_TX.platformEntered));
+
+    contributions.set(String(txnId), {
+      key,
+      date: date && !isNaN(date.getTime()) ? date.getTime() : '',
+      platform: platform ? String(platform) : ''
+    });
+  }
+
+  return contributions;
+}
+
+/*
+-------------------------------------
+Helper — Aggregate Evidence
+-------------------------------------
+keys: Set of identity keys to aggregate (null → all).
+Returns Map(key → { count, lastDate, lastTxnId, platforms: Set })
+*/
+function aggregateMappingEvidence_(contributions, keys){
+
+  const evidence = new Map();
+
+  contributions.forEach((c, txnId) => {
+
+    if (keys && !keys.has(c.key)) return;
+
+    if (!evidence.has(c.key)) {
+      evidence.set(c.key, { count: 0, lastDate: null, lastTxnId: '', platforms: new Set() });
+    }
+
+    const ev = evidence.get(c.key);
+    ev.count++;
+
+    const date = c.date !== '' ? new Date(c.date) : null;
+
+    if (date && (!ev.lastDate || date >= ev.lastDate)) {
+      ev.lastDate = date;
+      ev.lastTxnId = txnId;
+    } else if (!ev.lastDate) {
+      ev.lastTxnId = txnId;
+    }
+
+    if (c.platform) ev.platforms.add(c.platform);
+  });
+
+  return evidence;
+}
+
+/*
+-------------------------------------
+Helper — Evidence From Mapping Row
+-------------------------------------
+Stored evidence of a row not touched by any transaction change, shaped
+for scoreMappingEvidence_ / applyMappingEvidence_ (platforms only needs
+a size).
+*/
+function evidenceFromMappingRow_(row, IDX_EV){
+
+  const raw = row[IDX_EV.lastSeenDate];
+  const date = raw ? new Date(raw) : null;
+
+  return {
+    count: Number(row[IDX_EV.txnCount]) || 0,
+    lastDate: date && !isNaN(date.getTime()) ? date : null,
+    lastTxnId: row[IDX_EV.lastSeenTxn],
+    platforms: { size: Number(row[IDX_EV.platforms]) || 0 }
+  };
+}
+
+/*
+-------------------------------------
+Helper — Score Evidence
+-------------------------------------
+Returns { score, level }
+*/
+function scoreMappingEvidence_(ev, now, minScore){
+
+  const W = MAPPING_CONFIDENCE_WEIGHTS;
+
+  const volume = Math.min(ev.count / MAPPING_CONFIDENCE_FULL_TXN_COUNT, 1);
+  const spread = Math.min(ev.platforms.size / MAPPING_CONFIDENCE_FULL_PLATFORMS, 1);
+
+  let recency = 0;
+
+  if (ev.lastDate) {
+    const ageDays = (now.getTime() - ev.lastDate.getTime()) / 86400000;
+    recency = ageDays <= MAPPING_CONFIDENCE_FRESH_DAYS
+      ? 1
+      : Math.max(0, 1 - (ageDays - MAPPING_CONFIDENCE_FRESH_DAYS) / (MAPPING_CONFIDENCE_STALE_DAYS - MAPPING_CONFIDENCE_FRESH_DAYS));
+  }
+
+  const score = Math.round((W.volume * volume + W.recency * recency + W.spread * spread) * 100) / 100;
+
+  let level = 'LOW';
+  if (score >= MAPPING_CONFIDENCE_HIGH_SCORE) level = 'HIGH';
+  else if (score >= minScore) level = 'MEDIUM';
+
+  return { score, level };
+}
+
+/*
+-------------------------------------
+Helper — Apply Evidence (mapping row, in place)
+-------------------------------------
+Writes the evidence columns of one mapping row. ev missing (no
+transaction carries the mapping) → zero evidence. Evidence_Updated_At is
+only touched when a value changed.
+Returns true when the row changed.
+*/
+function applyMappingEvidence_(row, IDX_EV, ev, now, minScore){
+
+  if (!ev) ev = { count: 0, lastDate: null, lastTxnId: '', platforms: new Set() };
+
+  const { score, level } = scoreMappingEvidence_(ev, now, minScore);
+
+  const values = [
+    [IDX_EV.txnCount, ev.count],
+    [IDX_EV.lastSeenDate, ev.lastDate || ''],
+    [IDX_EV.lastSeenTxn, ev.lastTxnId],
+    [IDX_EV.platforms, ev.platforms.size],
+    [IDX_EV.score, score],
+    [IDX_EV.level, level]
+  ];
+
+  const same = (a, b) =>
+    (a instanceof Date || b instanceof Date)
+      ? a !== '' && b !== '' && new Date(a).getTime() === new Date(b).getTime()
+      : a === b;
+
+  let changed = false;
+
+  values.forEach(([idx, value]) => {
+    if (!same(row[idx], value)) {
+      row[idx] = value;
+      changed = true;
+    }
+  });
+
+  if (changed) row[IDX_EV.updatedAt] = now;
+
+  return changed;
+}
+
+/*
+-------------------------------------
+Helper — Analytics Gate
+-------------------------------------
+FALSE only for LOW confidence rows not yet reviewed. Rows without
+evidence columns (populate not run yet) stay enabled.
+*/
+function isMappingAnalyticsEligible_(row, IDX_EV){
+
+  if (IDX_EV.level === -1) return true;
+  if (IDX_EV.reviewed !== -1 && row[IDX_EV.reviewed] === true) return true;
+
+  return row[IDX_EV.level] !== 'LOW';
+}
+
+/*
+-------------------------------------
+Helper — Load Evidence Ledger
+-------------------------------------
+Returns { sh, previous: Map(Txn_ID_Machine → { key, date, platform }),
+isEmpty } — isEmpty when the ledger has never been written.
+*/
+function loadMappingEvidenceLedger_(mappingSheet){
+
+  const sh = getOrCreateSheet_(
+    getLogsSpreadsheet_(),
+    mappingSheet + MAPPING_EVIDENCE_LEDGER_SUFFIX,
+    MAPPING_EVIDENCE_LEDGER_SCHEMA
+  );
+
+  const data = sh.getDataRange().getValues();
+
+  const IDX = resolveEntityColumns_(data[0], {
+    txnId: 'Txn_ID_Machine',
+    key: 'Evidence_Key',
+    date: 'Txn_Date',
+    platform: 'Platform_Key'
+  }, sh.getName());
+
+  const previous = new Map();
+
+  for (let i = 1; i < data.length; i++) {
+
+    const r = data[i];
+    if (!r[IDX.txnId]) continue;
+
+    previous.set(String(r[IDX.txnId]), {
+      key: String(r[IDX.key]),
+      date: r[IDX.date] === '' ? '' : Number(r[IDX.date]),
+      platform: String(r[IDX.platform] || '')
+    });
+  }
+
+  return { sh, previous, isEmpty: data.length < 2 };
+}
+
+/*
+-------------------------------------
+Helper — Save Evidence Ledger
+-------------------------------------
+Rewritten in place: new rows first, surplus rows cleared after.
+*/
+function saveMappingEvidenceLedger_(sh, contributions, now){
+
+  const hdr = sh.getRange(1, 1, 1, sh.getLastColumn()).getValues()[0];
+  const rows = [];
+
+  contributions.forEach((c, txnId) => {
+    const entry = {
+      Txn_ID_Machine: txnId,
+      Evidence_Key: c.key,
+      Txn_Date: c.date,
+      Platform_Key: c.platform,
+      Recorded_At: now
+    };
+    rows.push(hdr.map(h => (h in entry ? entry[h] : '')));
+  });
+
+  if (rows.length === 0) {
+    rows.push(hdr.map(h => (h === 'Recorded_At' ? now : '')));
+  }
+
+  const oldRowCount = sh.getLastRow() - 1;
+
+  sh.getRange(2, 1, rows.length, hdr.length).setValues(rows);
+
+  if (oldRowCount > rows.length) {
+    sh.getRange(rows.length + 2, 1, oldRowCount - rows.length, hdr.length)
+      .clearContent();
+  }
+}
+
+/*
+-------------------------------------
+Helper — Refresh Evidence (incremental)
+-------------------------------------
+entries: [{ key, row }] for every existing and new mapping row; rows are
+updated in place.
+Returns { mode: 'INCREMENTAL' | 'FULL', dirtyKeys, changed: Set(row),
+saveLedger() } — call saveLedger() once the mapping rows are written.
+*/
+function refreshMappingEvidence_(mappingSheet, txData, keyOf, entries, IDX_EV){
+
+  const now = new Date();
+  const minScore = getMappingConfidenceMinScore_();
+
+  const current = collectMappingEvidenceContributions_(txData, keyOf);
+  const ledger = loadMappingEvidenceLedger_(mappingSheet);
+
+  const isFull =
+    ledger.isEmpty ||
+    getAutomationSwitchMap_()["Mapping_Evidence_Full_Rebuild"] === true;
+
+  let dirty = null;
+  let ledgerChanged = isFull;
+
+  if (!isFull) {
+
+    dirty = new Set();
+
+    current.forEach((c, txnId) => {
+      const p = ledger.previous.get(txnId);
+      if (p && p.key === c.key && p.date === c.date && p.platform === c.platform) return;
+      dirty.add(c.key);
+      if (p) dirty.add(p.key);
+      ledgerChanged = true;
+    });
+
+    ledger.previous.forEach((p, txnId) => {
+      if (current.has(txnId)) return;
+      dirty.add(p.key);
+      ledgerChanged = true;
+    });
+
+    entries.forEach(e => {
+      if (!e.row[IDX_EV.updatedAt]) dirty.add(e.key);
+    });
+  }
+
+  const evidence = aggregateMappingEvidence_(current, dirty);
+  const changed = new Set();
+
+  entries.forEach(e => {
+
+    const ev = !dirty || dirty.has(e.key)
+      ? evidence.get(e.key)
+      : evidenceFromMappingRow_(e.row, IDX_EV);
+
+    if (applyMappingEvidence_(e.row, IDX_EV, ev, now, minScore)) changed.add(e.row);
+  });
+
+  return {
+    mode: isFull ? 'FULL' : 'INCREMENTAL',
+    dirtyKeys: dirty ? dirty.size : evidence.size,
+    changed,
+    saveLedger: () => {
+      if (ledgerChanged) saveMappingEvidenceLedger_(ledger.sh, current, now);
+    }
+  };
+}
+
+/*
+-------------------------------------
+Helper — Write Evidence Cells
+-------------------------------------
+Writes only the script-owned evidence cells (not Is_Reviewed) of the
+given data row indexes; adjacent rows and columns go out as one range.
+*/
+function writeMappingEvidenceRows_(sh, data, IDX_EV, rowIdxs){
+
+  const cols = [
+    IDX_EV.txnCount, IDX_EV.lastSeenDate, IDX_EV.lastSeenTxn, IDX_EV.platforms,
+    IDX_EV.score, IDX_EV.level, IDX_EV.updatedAt
+  ].sort((a, b) => a - b);
+
+  const runs = list => list.reduce((out, v) => {
+    const last = out[out.length - 1];
+    if (last && v === last[last.length - 1] + 1) last.push(v);
+    else out.push([v]);
+    return out;
+  }, []);
+
+  const colRuns = runs(cols);
+
+  runs(rowIdxs.slice().sort((a, b) => a - b)).forEach(rowRun => {
+    colRuns.forEach(colRun => {
+      sh.getRange(rowRun[0] + 1, colRun[0] + 1, rowRun.length, colRun.length)
+        .setValues(rowRun.map(i => colRun.map(c => data[i][c])));
+    });
+  });
+}
@@ -10,6 +10,8 @@
  * - Insert mapping rows into Mapping_Item_Brand
  * - Preserve first-seen transaction evidence
  * - Capture canonical snapshots for audit visibility
+ * - Update evidence statistics and confidence of the mappings touched by
+ *   new / changed / removed transactions (14_Mapping_Evidence.js)
  *
  * Mapping Identity:
  * (Item_ID_Machine, Brand_ID_Machine)
@@ -41,6 +43,7 @@
  * - First_Seen_Txn_ID
  * - Item_ID_Machine
  * - Brand_ID_Machine
+ * - MAPPING_EVIDENCE_COLUMNS (appended if missing)
  *
  * Algorithm (Step-by-Step):
  *
@@ -48,7 +51,9 @@
  * 2. Build in-memory Set of existing mapping identities:
  *      Item_ID_Machine + Brand_ID_Machine
  *
- * 3. Load Transaction_Resolution rows.
+ * 3. Load Transaction_Resolution rows. Item / Brand IDs are
+ *    <Entity>_ID_Machine, else <Entity>_ID_Alias (alias-resolved
+ *    spellings the lookup formulas leave blank).
  *
  * 4. Iterate each transaction:
  *
@@ -71,7 +76,7 @@
  *      Brand_Status_Snapshot = ""
  *
  *      Is_Mapping_Active     = TRUE
- *      Is_Analytics_Enabled  = TRUE
+ *      Is_Analytics_Enabled  = FALSE if confidence LOW, else TRUE
  *      Is_Archived           = FALSE
  *
  *      Created_At = NOW()
@@ -83,9 +88,19 @@
  *      Item_ID_Machine
  *      Brand_ID_Machine
  *
- * 7. Append rows in batch.
+ * 7. Update evidence incrementally (refreshMappingEvidence_): diff
+ *    Transaction_Resolution against Mapping_Item_Brand_Evidence_Ledger
+ *    and re-aggregate only the identities touched by new, changed or
+ *    removed transactions, plus new rows (Txn_Count, Last_Seen_*,
+ *    Distinct_Platforms, Confidence_Score, Confidence_Level). Identities
+ *    no transaction carries any more reset to zero evidence (LOW); other
+ *    rows are only rescored. Full rebuild when the ledger is empty or
+ *    Automation_Control.Mapping_Evidence_Full_Rebuild = TRUE.
  *
- * 8. Emit execution summary and completion logs.
+ * 8. Write the evidence cells of changed existing rows; append new rows
+ *    in batch; save the ledger.
+ *
+ * 9. Emit execution summary and completion logs.
  *
  * Failure Modes:
  * - Required sheet missing
@@ -115,6 +130,8 @@ function populateMapping_Item_Brand_FromTransactionResolution() {
     throw new Error('Required sheet not found');
   }
 
+  getOrCreateSheet_(ss, MAP_SHEET, MAPPING_EVIDENCE_COLUMNS);
+
   /* =========================
      READ MAPPING TABLE
      ========================= */
@@ -149,6 +166,8 @@ function populateMapping_Item_Brand_FromTransactionResolution() {
     if (v === -1) throw new Error(`Mapping_Item_Brand missing column: ${k}`);
   }
 
+  const IDX_EV = resolveMappingEvidenceColumns_(mpHdr);
+
   /* =========================
      BUILD EXISTING IDENTITY SET
      ========================= */
@@ -195,6 +214,13 @@ function populateMapping_Item_Brand_FromTransactionResolution() {
     }
   }
 
+  // alias-resolved IDs (optional) fill the formula IDs left blank
+  const itemAliasIdx = txCol('Item_ID_Alias');
+  const brandAliasIdx = txCol('Brand_ID_Alias');
+
+  const txItemId = r => getTxnEntityId_(r, IDX_TX.itemId, itemAliasIdx);
+  const txBrandId = r => getTxnEntityId_(r, IDX_TX.brandId, brandAliasIdx);
+
   /* =========================
      COUNTERS
      ========================= */
@@ -218,8 +244,8 @@ function populateMapping_Item_Brand_FromTransactionResolution() {
     const r = txData[i];
 
     const txnId = r[IDX_TX.txnId];
-    const itemId = r[IDX_TX.itemId];
-    const brandId = r[IDX_TX.brandId];
+    const itemId = txItemId(r);
+    const brandId = txBrandId(r);
 
     if (!txnId) {
       skipNoTxn++;
@@ -279,6 +305,41 @@ row[IDX_MAP.firstSeenDate] = firstSeenDate;
     existingSet.add(key);
   }
 
+  /* =========================
+     EVIDENCE & CONFIDENCE
+     ========================= */
+
+  const evidence = refreshMappingEvidence_(
+    MAP_SHEET,
+    txData,
+    r => (txItemId(r) && txBrandId(r) ? `${txItemId(r)}||${txBrandId(r)}` : ''),
+    mpData.slice(1).concat(rowsToAppend).map(row => ({
+      key: `${row[IDX_MAP.itemId]}||${row[IDX_MAP.brandId]}`,
+      row
+    })),
+    IDX_EV
+  );
+
+  const evidenceRows = [];
+  let lowConfidence = 0;
+
+  for (let i = 1; i < mpData.length; i++) {
+
+    if (evidence.changed.has(mpData[i])) evidenceRows.push(i);
+    if (mpData[i][IDX_EV.level] === 'LOW') lowConfidence++;
+  }
+
+  const evidenceUpdated = evidenceRows.length;
+
+  rowsToAppend.forEach(row => {
+
+    row[IDX_MAP.analytics] = isMappingAnalyticsEligible_(row, IDX_EV);
+
+    if (row[IDX_EV.level] === 'LOW') lowConfidence++;
+  });
+
+  writeMappingEvidenceRows_(mpSh, mpData, IDX_EV, evidenceRows);
+
   /* =========================
      BATCH APPEND
      ========================= */
@@ -293,6 +354,8 @@ row[IDX_MAP.firstSeenDate] = firstSeenDate;
     ).setValues(rowsToAppend);
   }
 
+  evidence.saveLedger();
+
   const durationMs = new Date().getTime() - t0.getTime();
 
   console.log(`[${SCRIPT_NAME}] Rows scanned: ${scanned}`);
@@ -301,6 +364,9 @@ row[IDX_MAP.firstSeenDate] = firstSeenDate;
   console.log(`[${SCRIPT_NAME}] Skipped no Brand_ID: ${skipNoBrand}`);
   console.log(`[${SCRIPT_NAME}] Skipped duplicate: ${skipDuplicate}`);
   console.log(`[${SCRIPT_NAME}] Rows appended: ${rowsToAppend.length}`);
+  console.log(`[${SCRIPT_NAME}] Evidence mode: ${evidence.mode} (keys: ${evidence.dirtyKeys})`);
+  console.log(`[${SCRIPT_NAME}] Evidence updated: ${evidenceUpdated}`);
+  console.log(`[${SCRIPT_NAME}] Low confidence: ${lowConfidence}`);
   console.log(`[${SCRIPT_NAME}] END – Duration(ms): ${durationMs}`);
 }
 
@@ -328,6 +394,8 @@ row[IDX_MAP.firstSeenDate] = firstSeenDate;
  * - Update status snapshots
  * - Derive mapping flags deterministically
  * - Repair drift caused by entity lifecycle changes
+ * - Hold LOW confidence mappings out of analytics until reviewed
+ *   (Is_Analytics_Enabled, isMappingAnalyticsEligible_)
  *
  * Preconditions:
  * - Sheet exists: Mapping_Item_Brand
@@ -388,6 +456,8 @@ function processMapping_Item_Brand_StateMachine() {
     if (v === -1) throw new Error(`Missing column: ${k}`);
   }
 
+  const IDX_EV = resolveMappingEvidenceColumns_(mapHdr);
+
   /* =========================
      BUILD ITEM STATE MAP
      ========================= */
@@ -462,6 +532,7 @@ function processMapping_Item_Brand_StateMachine() {
 
   let repaired = 0;
   let valid = 0;
+  let heldLowConfidence = 0;
 
   for (let i = 1; i < mapData.length; i++) {
 
@@ -500,7 +571,12 @@ function processMapping_Item_Brand_StateMachine() {
 
     row[IDX.mapActive] = newActive;
 
-    row[IDX.analytics] = true;
+    const prevAnalytics = row[IDX.analytics];
+    const newAnalytics = isMappingAnalyticsEligible_(row, IDX_EV);
+
+    row[IDX.analytics] = newAnalytics;
+
+    if (!newAnalytics) heldLowConfidence++;
 
     if (prevActive !== newActive) {
 
@@ -508,6 +584,13 @@ function processMapping_Item_Brand_StateMachine() {
 
       row[IDX.notes] =
         `Mapping state updated due to entity status change`;
+    } else if (prevAnalytics !== newAnalytics) {
+
+      repaired++;
+
+      row[IDX.notes] = newAnalytics
+        ? `Analytics enabled: confidence ${row[IDX_EV.level]} or reviewed`
+        : `Analytics held: LOW confidence (${row[IDX_EV.score]}) pending review`;
     } else {
 
       valid++;
@@ -519,7 +602,7 @@ function processMapping_Item_Brand_StateMachine() {
     .setValues(mapData.slice(1));
 
   console.log(
-    `[${SCRIPT_NAME}] VALID=${valid} REPAIRED=${repaired}`
+    `[${SCRIPT_NAME}] VALID=${valid} REPAIRED=${repaired} HELD_LOW_CONFIDENCE=${heldLowConfidence}`
   );
 
 }
@@ -542,11 +625,13 @@ function processMapping_Item_Brand_StateMachine() {
  * Current Status: ACTIVE
  *
  * Purpose:
- * - Permanently DELETE invalid rows from Mapping_Item_Brand
+ * - Remove invalid rows from Mapping_Item_Brand
  * - A row is invalid if:
  *   - Item_ID_Machine is missing OR
  *   - Brand_ID_Machine is missing
  * - Maintain a clean, authoritative mapping table
+ * - Mapping_Cleanup_Mode ARCHIVE (default): tombstone the rows in
+ *   Mapping_Archive first (14_Mapping_Archive.js); DELETE: delete only
  *
  * Preconditions:
  * - Sheet must exist: Mapping_Item_Brand
@@ -564,9 +649,11 @@ function processMapping_Item_Brand_StateMachine() {
  *      Item_ID_Machine missing
  *      OR
  *      Brand_ID_Machine missing
- * 5. Collect row numbers to delete.
- * 6. Delete rows in reverse order (bottom-up).
- * 7. Emit execution summary and completion logs.
+ * 5. Collect row numbers to delete (with the missing columns as reason).
+ * 6. ARCHIVE mode: append tombstones to Mapping_Archive
+ *    (reason + Execution_ID).
+ * 7. Delete rows in reverse order (bottom-up).
+ * 8. Emit execution summary and completion logs.
  *
  * Failure Modes:
  * - Mapping_Item_Brand sheet not found
@@ -644,6 +731,7 @@ function cleanupMapping_Item_Brand_InvalidRows() {
      ========================= */
 
   const rowsToDelete = [];
+  const archiveEntries = [];
 
   for (let i = 1; i < data.length; i++) {
 
@@ -654,9 +742,24 @@ function cleanupMapping_Item_Brand_InvalidRows() {
 
     if (!itemId || !brandId) {
       rowsToDelete.push(rowNum);
+      archiveEntries.push({
+        rowNumber: rowNum,
+        row: data[i],
+        reason: `Missing ${[!itemId && 'Item_ID_Machine', !brandId && 'Brand_ID_Machine'].filter(Boolean).join(' and ')}`
+      });
     }
   }
 
+  /* =========================
+     ARCHIVE (TOMBSTONE MODE)
+     ========================= */
+
+  const mode = getMappingCleanupMode_();
+
+  const archived = mode === 'ARCHIVE'
+    ? archiveMappingRows_(ss, MAP_SHEET, header, archiveEntries, EXECUTION_ID)
+    : 0;
+
   /* =========================
      DELETE ROWS (BOTTOM-UP)
      ========================= */
@@ -671,15 +774,15 @@ function cleanupMapping_Item_Brand_InvalidRows() {
       sheetName: MAP_SHEET,
       level: 'WARN',
       rowNumber: rowsToDelete[i],
-      action: 'DELETE_INVALID_ROW',
-      details: 'Missing Item_ID_Machine or Brand_ID_Machine'
+      action: mode === 'ARCHIVE' ? 'ARCHIVE_INVALID_ROW' : 'DELETE_INVALID_ROW',
+      details: archiveEntries[i].reason
     });
   }
 
   const durationMs = new Date().getTime() - t0.getTime();
 
   console.log(
-    `[${SCRIPT_NAME}] Deleted=${rowsToDelete.length}, DurationMs=${durationMs}`
+    `[${SCRIPT_NAME}] Mode=${mode}, Deleted=${rowsToDelete.length}, Archived=${archived}, DurationMs=${durationMs}`
   );
 
   ETI_log_({
@@ -688,7 +791,7 @@ function cleanupMapping_Item_Brand_InvalidRows() {
     sheetName: MAP_SHEET,
     level: 'INFO',
     action: 'SUMMARY',
-    details: `Deleted=${rowsToDelete.length}, DurationMs=${durationMs}`
+    details: `Mode=${mode}, Deleted=${rowsToDelete.length}, Archived=${archived}, DurationMs=${durationMs}`
   });
 
   ETI_log_({
@@ -11,6 +11,9 @@
  *   discovered from Transaction_Resolution.
  * - Each mapping is recorded exactly once (first-seen semantics).
  * - Transaction rows serve strictly as discovery evidence.
+ * - Evidence statistics and confidence are updated incrementally on each
+ *   run, for the mappings touched by new / changed / removed transactions
+ *   (14_Mapping_Evidence.js).
  *
  * Preconditions:
  * - Sheets must exist:
@@ -27,7 +30,9 @@
  *
  *        Item_ID | Brand_ID | Product_ID
  *
- * 3. Load Transaction_Resolution.
+ * 3. Load Transaction_Resolution. Item / Brand / Product IDs are
+ *    <Entity>_ID_Machine, else <Entity>_ID_Alias (alias-resolved
+ *    spellings the lookup formulas leave blank).
  *
  * 4. Iterate rows sequentially:
  *
@@ -48,16 +53,28 @@
  *      Evidence metadata
  *      Default governance flags
  *
- * 6. Append rows in batch write.
+ * 6. Update evidence incrementally (refreshMappingEvidence_): diff
+ *    Transaction_Resolution against
+ *    Mapping_Item_Brand_Product_Evidence_Ledger and re-aggregate only the
+ *    identity keys touched by new, changed or removed transactions, plus
+ *    new rows; new LOW confidence rows start with
+ *    Is_Analytics_Enabled = FALSE. Identities no transaction carries any
+ *    more reset to zero evidence (LOW); other rows are only rescored.
+ *    Full rebuild when the ledger is empty or
+ *    Automation_Control.Mapping_Evidence_Full_Rebuild = TRUE.
  *
- * 7. Emit execution summary logs.
+ * 7. Write the evidence cells of changed existing rows; append new rows
+ *    in batch write; save the ledger.
+ *
+ * 8. Emit execution summary logs.
  *
  * Failure Modes:
  * - Required sheet missing
  * - Required column missing
  *
  * Notes:
- * - Discovery script NEVER modifies existing rows.
+ * - Discovery script modifies existing rows only in the evidence columns
+ *   (MAPPING_EVIDENCE_COLUMNS, appended if missing).
  * - Governance reconciliation handled by processing script.
  */
 
@@ -90,6 +107,8 @@ function populateMapping_Item_Brand_Product_FromTransactionResolution() {
     throw new Error('Required sheet not found');
   }
 
+  getOrCreateSheet_(ss, MAP_SHEET, MAPPING_EVIDENCE_COLUMNS);
+
   /* =====================================================
      READ EXISTING MAPPINGS
      ===================================================== */
@@ -111,6 +130,8 @@ function populateMapping_Item_Brand_Product_FromTransactionResolution() {
     }
   }
 
+  const IDX_EV = resolveMappingEvidenceColumns_(mapHdr);
+
   const existingSet = new Set();
 
   for (let i = 1; i < mapData.length; i++) {
@@ -154,6 +175,15 @@ function populateMapping_Item_Brand_Product_FromTransactionResolution() {
     }
   }
 
+  // alias-resolved IDs (optional) fill the formula IDs left blank
+  const itemAliasIdx = txCol('Item_ID_Alias');
+  const brandAliasIdx = txCol('Brand_ID_Alias');
+  const productAliasIdx = txCol('Product_ID_Alias');
+
+  const txItemId = r => getTxnEntityId_(r, IDX_TX.itemId, itemAliasIdx);
+  const txBrandId = r => getTxnEntityId_(r, IDX_TX.brandId, brandAliasIdx);
+  const txProductId = r => getTxnEntityId_(r, IDX_TX.productId, productAliasIdx);
+
   /* =====================================================
      DISCOVERY LOOP
      ===================================================== */
@@ -170,14 +200,13 @@ function populateMapping_Item_Brand_Product_FromTransactionResolution() {
 
     if (!r[IDX_TX.txnId]) continue;
 
-    if (!r[IDX_TX.itemId] ||
-        !r[IDX_TX.brandId] ||
-        !r[IDX_TX.productId]) continue;
+    const itemId = txItemId(r);
+    const brandId = txBrandId(r);
+    const productId = txProductId(r);
+
+    if (!itemId || !brandId || !productId) continue;
 
-    const key =
-      r[IDX_TX.itemId] + '|' +
-      r[IDX_TX.brandId] + '|' +
-      r[IDX_TX.productId];
+    const key = itemId + '|' + brandId + '|' + productId;
 
     if (firstSeenMap.has(key)) continue;
 
@@ -195,9 +224,9 @@ function populateMapping_Item_Brand_Product_FromTransactionResolution() {
 
     firstSeenMap.set(key, {
 
-      itemId: r[IDX_TX.itemId],
-      brandId: r[IDX_TX.brandId],
-      productId: r[IDX_TX.productId],
+      itemId,
+      brandId,
+      productId,
 
       txnId: r[IDX_TX.txnId],
       txnDate: firstSeenDate,
@@ -246,10 +275,41 @@ function populateMapping_Item_Brand_Product_FromTransactionResolution() {
     appended++;
   }
 
+  /* =====================================================
+     EVIDENCE & CONFIDENCE
+     ===================================================== */
+
+  const evidence = refreshMappingEvidence_(
+    MAP_SHEET,
+    tsData,
+    r => (txItemId(r) && txBrandId(r) && txProductId(r)
+      ? txItemId(r) + '|' + txBrandId(r) + '|' + txProductId(r)
+      : ''),
+    mapData.slice(1).concat(rowsToAppend).map(row => ({
+      key: row[IDX_MAP.itemId] + '|' + row[IDX_MAP.brandId] + '|' + row[IDX_MAP.productId],
+      row
+    })),
+    IDX_EV
+  );
+
+  const evidenceRows = [];
+
+  for (let i = 1; i < mapData.length; i++) {
+    if (evidence.changed.has(mapData[i])) evidenceRows.push(i);
+  }
+
+  const evidenceUpdated = evidenceRows.length;
+
+  rowsToAppend.forEach(row => {
+    row[mapCol('Is_Analytics_Enabled')] = isMappingAnalyticsEligible_(row, IDX_EV);
+  });
+
   /* =====================================================
      WRITE
      ===================================================== */
 
+  writeMappingEvidenceRows_(mapSh, mapData, IDX_EV, evidenceRows);
+
   if (rowsToAppend.length > 0) {
 
     mapSh.getRange(
@@ -260,10 +320,12 @@ function populateMapping_Item_Brand_Product_FromTransactionResolution() {
     ).setValues(rowsToAppend);
   }
 
+  evidence.saveLedger();
+
   const durationMs = new Date().getTime() - t0.getTime();
 
   console.log(
-    `[${SCRIPT_NAME}] Scanned=${scanned}, Added=${appended}, DurationMs=${durationMs}`
+    `[${SCRIPT_NAME}] Scanned=${scanned}, Added=${appended}, EvidenceMode=${evidence.mode}, EvidenceKeys=${evidence.dirtyKeys}, EvidenceUpdated=${evidenceUpdated}, DurationMs=${durationMs}`
   );
 
   ETI_log_({
@@ -272,7 +334,7 @@ function populateMapping_Item_Brand_Product_FromTransactionResolution() {
     sheetName: MAP_SHEET,
     level: 'INFO',
     action: 'SUMMARY',
-    details: `Scanned=${scanned}, Added=${appended}, DurationMs=${durationMs}`
+    details: `Scanned=${scanned}, Added=${appended}, EvidenceMode=${evidence.mode}, EvidenceKeys=${evidence.dirtyKeys}, EvidenceUpdated=${evidenceUpdated}, DurationMs=${durationMs}`
   });
 
   ETI_log_({
@@ -307,6 +369,8 @@ function populateMapping_Item_Brand_Product_FromTransactionResolution() {
  * - Update snapshot status columns
  * - Derive mapping flags deterministically
  * - Repair drift caused by entity lifecycle changes
+ * - Hold LOW confidence mappings out of analytics until reviewed
+ *   (Is_Analytics_Enabled, isMappingAnalyticsEligible_)
  *
  * Preconditions:
  * - Sheets must exist:
@@ -376,6 +440,8 @@ function processMapping_Item_Brand_Product_StateMachine() {
     if (v === -1) throw new Error(`Missing column: ${k}`);
   }
 
+  const IDX_EV = resolveMappingEvidenceColumns_(mapHdr);
+
   /* ======================================
      BUILD ENTITY STATE MAPS
   ====================================== */
@@ -423,6 +489,7 @@ function processMapping_Item_Brand_Product_StateMachine() {
 
   let repaired = 0;
   let valid = 0;
+  let heldLowConfidence = 0;
 
   function resolveStatus(state) {
 
@@ -460,7 +527,12 @@ function processMapping_Item_Brand_Product_StateMachine() {
 
     row[IDX.mapActive] = newActive;
 
-    row[IDX.analytics] = true;
+    const prevAnalytics = row[IDX.analytics];
+    const newAnalytics = isMappingAnalyticsEligible_(row, IDX_EV);
+
+    row[IDX.analytics] = newAnalytics;
+
+    if (!newAnalytics) heldLowConfidence++;
 
     if (prevActive !== newActive) {
 
@@ -469,6 +541,14 @@ function processMapping_Item_Brand_Product_StateMachine() {
       row[IDX.notes] =
         `Mapping state updated due to entity lifecycle change`;
     }
+    else if (prevAnalytics !== newAnalytics) {
+
+      repaired++;
+
+      row[IDX.notes] = newAnalytics
+        ? `Analytics enabled: confidence ${row[IDX_EV.level]} or reviewed`
+        : `Analytics held: LOW confidence (${row[IDX_EV.score]}) pending review`;
+    }
     else {
 
       valid++;
@@ -484,7 +564,7 @@ function processMapping_Item_Brand_Product_StateMachine() {
     .setValues(mapData.slice(1));
 
   console.log(
-    `[${SCRIPT_NAME}] VALID=${valid} REPAIRED=${repaired}`
+    `[${SCRIPT_NAME}] VALID=${valid} REPAIRED=${repaired} HELD_LOW_CONFIDENCE=${heldLowConfidence}`
   );
 
 }
@@ -506,11 +586,13 @@ function processMapping_Item_Brand_Product_StateMachine() {
  * Current Status: ACTIVE
  *
  * Purpose:
- * - Permanently DELETE invalid rows from Mapping_Item_Brand_Product
+ * - Remove invalid rows from Mapping_Item_Brand_Product
  * - A row is invalid if:
  *     Item_ID_Machine missing
  *     OR Brand_ID_Machine missing
  *     OR Product_ID_Machine missing
+ * - Mapping_Cleanup_Mode ARCHIVE (default): tombstone the rows in
+ *   Mapping_Archive first (14_Mapping_Archive.js); DELETE: delete only
  *
  * Preconditions:
  * - Sheet must exist: Mapping_Item_Brand_Product
@@ -522,8 +604,9 @@ function processMapping_Item_Brand_Product_StateMachine() {
  * 2. Read Mapping_Item_Brand_Product
  * 3. Resolve column indexes
  * 4. Identify rows missing identity columns
- * 5. Delete rows bottom-up
- * 6. Emit execution logs
+ * 5. ARCHIVE mode: append tombstones to Mapping_Archive
+ * 6. Delete rows bottom-up
+ * 7. Emit execution logs
  */
 
 function cleanupMapping_Item_Brand_Product_InvalidRows() {
@@ -589,6 +672,7 @@ function cleanupMapping_Item_Brand_Product_InvalidRows() {
   ===================================== */
 
   const rowsToDelete = [];
+  const archiveEntries = [];
 
   for (let i = 1; i < data.length; i++) {
 
@@ -600,9 +684,28 @@ function cleanupMapping_Item_Brand_Product_InvalidRows() {
 
     if (!itemId || !brandId || !productId) {
       rowsToDelete.push(rowNum);
+      archiveEntries.push({
+        rowNumber: rowNum,
+        row: data[i],
+        reason: `Missing ${[
+          !itemId && 'Item_ID_Machine',
+          !brandId && 'Brand_ID_Machine',
+          !productId && 'Product_ID_Machine'
+        ].filter(Boolean).join(', ')}`
+      });
     }
   }
 
+  /* =====================================
+     ARCHIVE (TOMBSTONE MODE)
+  ===================================== */
+
+  const mode = getMappingCleanupMode_();
+
+  const archived = mode === 'ARCHIVE'
+    ? archiveMappingRows_(ss, MAP_SHEET, header, archiveEntries, EXECUTION_ID)
+    : 0;
+
   /* =====================================
      DELETE ROWS (BOTTOM-UP)
   ===================================== */
@@ -617,15 +720,15 @@ function cleanupMapping_Item_Brand_Product_InvalidRows() {
       sheetName: MAP_SHEET,
       level: 'WARN',
       rowNumber: rowsToDelete[i],
-      action: 'DELETE_INVALID_ROW',
-      details: 'Missing Item_ID_Machine, Brand_ID_Machine, or Product_ID_Machine'
+      action: mode === 'ARCHIVE' ? 'ARCHIVE_INVALID_ROW' : 'DELETE_INVALID_ROW',
+      details: archiveEntries[i].reason
     });
   }
 
   const durationMs = new Date().getTime() - t0.getTime();
 
   console.log(
-    `[${SCRIPT_NAME}] Deleted=${rowsToDelete.length}, DurationMs=${durationMs}`
+    `[${SCRIPT_NAME}] Mode=${mode}, Deleted=${rowsToDelete.length}, Archived=${archived}, DurationMs=${durationMs}`
   );
 
   ETI_log_({
@@ -634,7 +737,7 @@ function cleanupMapping_Item_Brand_Product_InvalidRows() {
     sheetName: MAP_SHEET,
     level: 'INFO',
     action: 'SUMMARY',
-    details: `Deleted=${rowsToDelete.length}, DurationMs=${durationMs}`
+    details: `Mode=${mode}, Deleted=${rowsToDelete.length}, Archived=${archived}, DurationMs=${durationMs}`
   });
 
   ETI_log_({
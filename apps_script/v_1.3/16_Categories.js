@@ -0,0 +1,922 @@
+// CATEGORIES - TABLES, ITEM MAPPING & SPEND ROLLUP
+/*
+-------------------------------------
+Category hierarchy governed like items (ENTITY_DEFINITIONS.CATEGORY)
+
+Lookup_Categories
+- One row per category; Parent_Category_ID_Machine → parent category
+  (blank = top level, e.g. "Food" → "Dairy" → "Milk")
+- Rows are created by promotion from Staging_Lookup_Categories only
+
+Mapping_Item_Category (script-owned, one row per Lookup_Items item)
+- Admin enters Category_Name_Entered (or picks Category_ID_Machine)
+- Unresolved names are staged into Staging_Lookup_Categories
+  (Review → Approve → Promote, Map_To_Existing, aliases — same as items)
+- Mapping_Status:
+    Unassigned                    → no category entered
+    Pending (Category Review)     → name entered, no approved category yet
+    Mapped                        → Category_ID_Machine found, not archived
+    Inactive (Category Archived)  → category archived in Lookup_Categories
+    Invalid (Category Not Found)  → Category_ID_Machine not in Lookup_Categories
+- Is_Analytics_Enabled = Is_Mapping_Active AND Mapping_Status = Mapped
+
+Category_Spend_Monthly (script-owned, rebuilt each run)
+- One row per (Month, category); spend of a sub-category is also counted
+  in every ancestor (Total_*), own transactions only in Direct_*
+- Transactions of unmapped items → Category_Name "(Uncategorised)"
+-------------------------------------
+*/
+const MAPPING_ITEM_CATEGORY_SHEET = 'Mapping_Item_Category';
+const CATEGORY_SPEND_SHEET = 'Category_Spend_Monthly';
+const CATEGORY_UNCATEGORISED_LABEL = '(Uncategorised)';
+
+const CATEGORY_LOOKUP_SCHEMA = [
+  'Category_ID_Machine',
+  'Category_ID_Human',
+  'Category_Name',
+  'Category_Name_Canonical',
+  'Parent_Category_ID_Machine',
+  'Category_Status',
+  'Is_Approved',
+  'Is_Active',
+  'Is_Archived',
+  'Is_Staging_Promoted',
+  'Source_Type',
+  'Staging_Category_ID_Machine',
+  'Created_At',
+  'Notes'
+];
+
+const CATEGORY_STAGING_SCHEMA = [
+  'Staging_Category_ID_Machine',
+  'Source_Mapping_ID',
+  'Source_Item_ID_Machine',
+  'Source_Item_Name',
+  'Category_Name_Entered',
+  'Category_Name_Canonical',
+  'Category_Name_Approved',
+  'Parent_Category_ID_Machine',
+  'Admin_Action',
+  'Map_To_Category_ID_Machine',
+  'Mapped_Category_ID_Machine',
+  'Is_Approved',
+  'Is_Active',
+  'Is_Archived',
+  'Is_Lookup_Promoted',
+  'Is_Pipeline_ready',
+  'Valid_State',
+  'Action_Review_Status',
+  'Category_Status',
+  'Entity_Owner',
+  'Integrity_Status',
+  'Promotion_Label',
+  'Promoted_At',
+  'Populated_At',
+  'Notes'
+];
+
+const MAPPING_ITEM_CATEGORY_SCHEMA = [
+  'Mapping_ID',
+  'Item_ID_Machine',
+  'Item_Name',
+  'Category_Name_Entered',
+  'Category_Name_Canonical',
+  'Category_ID_Machine',
+  'Category_Name',
+  'Mapping_Status',
+  'Is_Mapping_Active',
+  'Is_Analytics_Enabled',
+  'Created_At',
+  'Updated_At',
+  'Notes'
+];
+
+const CATEGORY_SPEND_SCHEMA = [
+  'Month',
+  'Category_ID_Machine',
+  'Category_Name',
+  'Parent_Category_ID_Machine',
+  'Category_Path',
+  'Direct_Spend',
+  'Total_Spend',
+  'Direct_Txn_Count',
+  'Total_Txn_Count',
+  'Home_Currency',
+  'Refreshed_At'
+];
+
+/*
+-------------------------------------
+Helper — Ensure Category Sheets
+-------------------------------------
+*/
+function ensureCategorySheets_(ss){
+  getOrCreateSheet_(ss, 'Lookup_Categories', CATEGORY_LOOKUP_SCHEMA);
+  getOrCreateSheet_(ss, 'Staging_Lookup_Categories', CATEGORY_STAGING_SCHEMA);
+  getOrCreateSheet_(ss, MAPPING_ITEM_CATEGORY_SHEET, MAPPING_ITEM_CATEGORY_SCHEMA);
+}
+
+/*
+-------------------------------------
+Helper — Category Hierarchy
+-------------------------------------
+Returns {
+  byId: Map(id → { name, canon, parentId, archived }),
+  chain(id) → [id, parentId, grandParentId, ...] (cycle-safe),
+  path(id)  → "Food > Dairy > Milk",
+  issues: [{ id, reason: PARENT_NOT_FOUND | CYCLE }]
+}
+*/
+function buildCategoryHierarchy_(ss){
+
+  const sh = ss.getSheetByName('Lookup_Categories');
+  if (!sh) throw new Error('Sheet Lookup_Categories not found');
+
+  const data = sh.getDataRange().getValues();
+
+  const IDX = resolveEntityColumns_(data[0], {
+    id: 'Category_ID_Machine',
+    name: 'Category_Name',
+    canon: 'Category_Name_Canonical',
+    parentId: 'Parent_Category_ID_Machine',
+    archived: 'Is_Archived'
+  }, 'Lookup_Categories');
+
+  const byId = new Map();
+
+  for (let i = 1; i < data.length; i++) {
+
+    const id = data[i][IDX.id];
+    if (!id) continue;
+
+    byId.set(String(id), {
+      name: data[i][IDX.name],
+      canon: data[i][IDX.canon],
+      parentId: data[i][IDX.parentId] ? String(data[i][IDX.parentId]) : '',
+      archived: data[i][IDX.archived] === true
+    });
+  }
+
+  const issues = [];
+  const chains = new Map();
+
+  const chain = id => {
+
+    if (chains.has(id)) return chains.get(id);
+
+    const ids = [];
+    const seen = new Set();
+    let cur = id;
+
+    while (cur && byId.has(cur)) {
+
+      if (seen.has(cur)) {
+        issues.push({ id, reason: 'CYCLE' });
+        break;
+      }
+
+      seen.add(cur);
+      ids.push(cur);
+
+      const parentId = byId.get(cur).parentId;
+
+      if (parentId && !byId.has(parentId)) {
+        issues.push({ id: cur, reason: 'PARENT_NOT_FOUND' });
+      }
+
+      cur = parentId;
+    }
+
+    chains.set(id, ids);
+    return ids;
+  };
+
+  const path = id =>
+    chain(id).slice().reverse().map(c => byId.get(c).name).join(' > ');
+
+  byId.forEach((_, id) => chain(id));
+
+  return { byId, chain, path, issues };
+}
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// MAPPING ITEM-CATEGORY: POPULATE
+
+/**
+ * Script Name: populateMapping_Item_Category_FromLookupItems
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Give every Lookup_Items item one Mapping_Item_Category row, so the
+ *   admin can assign its category in one place
+ *
+ * Preconditions:
+ * - Sheet must exist: Lookup_Items (Item_ID_Machine, Item_Name)
+ * - Category sheets are created on first use if missing
+ *
+ * Algorithm (Step-by-Step):
+ * 1. Ensure category sheets (ensureCategorySheets_)
+ * 2. Build Set of Item_ID_Machine already mapped
+ * 3. For each Lookup_Items row with an ID not yet mapped, append:
+ *      Mapping_ID (UUID), Item_ID_Machine, Item_Name,
+ *      Mapping_Status = Unassigned, Is_Mapping_Active = TRUE,
+ *      Is_Analytics_Enabled = FALSE, Created_At
+ * 4. Emit execution summary
+ *
+ * Failure Modes:
+ * - Lookup_Items missing
+ * - Required column missing
+ *
+ * Reason for Deprecation:
+ * - N/A
+ */
+function populateMapping_Item_Category_FromLookupItems() {
+
+  const SCRIPT_NAME   = 'Categories';
+  const FUNCTION_NAME = 'populateMapping_Item_Category_FromLookupItems';
+  const SRC_SHEET     = 'Lookup_Items';
+  const TGT_SHEET     = MAPPING_ITEM_CATEGORY_SHEET;
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const lkSh = ss.getSheetByName(SRC_SHEET);
+    if (!lkSh) throw new Error(`Sheet ${SRC_SHEET} not found`);
+
+    ensureCategorySheets_(ss);
+
+    const mapSh = ss.getSheetByName(TGT_SHEET);
+
+    /* =========================
+       STEP — LOAD_DATA
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_DATA');
+
+    const mapData = mapSh.getDataRange().getValues();
+    const mapHdr  = mapData[0];
+
+    const IDX_MAP = resolveEntityColumns_(mapHdr, { itemId: 'Item_ID_Machine' }, TGT_SHEET);
+
+    const mapped = new Set();
+
+    for (let i = 1; i < mapData.length; i++) {
+      if (mapData[i][IDX_MAP.itemId]) mapped.add(String(mapData[i][IDX_MAP.itemId]));
+    }
+
+    const lkData = lkSh.getDataRange().getValues();
+
+    const IDX_LK = resolveEntityColumns_(lkData[0], {
+      itemId: 'Item_ID_Machine',
+      itemName: 'Item_Name'
+    }, SRC_SHEET);
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_DATA');
+
+    /* =========================
+       PROCESS LOOP
+    ========================= */
+    const now = new Date();
+    const rowsToAppend = [];
+
+    let scanned = 0;
+    let skipNoId = 0;
+    let skipMapped = 0;
+
+    for (let i = 1; i < lkData.length; i++) {
+
+      scanned++;
+
+      const itemId = lkData[i][IDX_LK.itemId];
+
+      if (!itemId) { skipNoId++; continue; }
+      if (mapped.has(String(itemId))) { skipMapped++; continue; }
+
+      const entry = {
+        Mapping_ID: Utilities.getUuid(),
+        Item_ID_Machine: itemId,
+        Item_Name: lkData[i][IDX_LK.itemName],
+        Mapping_Status: 'Unassigned',
+        Is_Mapping_Active: true,
+        Is_Analytics_Enabled: false,
+        Created_At: now,
+        Notes: 'Discovered from Lookup_Items'
+      };
+
+      rowsToAppend.push(mapHdr.map(h => (h in entry ? entry[h] : '')));
+      mapped.add(String(itemId));
+    }
+
+    /* =========================
+       STEP — WRITE_OUTPUT
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_OUTPUT');
+
+    if (rowsToAppend.length > 0) {
+      mapSh.getRange(mapSh.getLastRow() + 1, 1, rowsToAppend.length, mapHdr.length)
+           .setValues(rowsToAppend);
+    }
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_OUTPUT');
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      `Scanned=${scanned} | Inserted=${rowsToAppend.length} | Skipped: NoId=${skipNoId}, Mapped=${skipMapped} | DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, err, 'MAIN');
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// MAPPING ITEM-CATEGORY: PROCESS
+
+/**
+ * Script Name: processMapping_Item_Category_StateMachine
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Derive Category_Name_Canonical from Category_Name_Entered
+ * - Resolve Category_ID_Machine (blank only) through Lookup_Categories
+ *   canonicals, then Lookup_Category_Aliases (buildEntityNameResolver_)
+ * - Derive Category_Name, Mapping_Status and Is_Analytics_Enabled
+ *
+ * Resolution Rules:
+ * - An admin-entered Category_ID_Machine is never overwritten
+ *   (clear it to re-resolve from the entered name)
+ * - Canonical shared by more than one lookup row → not resolved (logged)
+ * - Archived lookup rows are not resolution targets
+ *
+ * Run twice per category pipeline: before staging intake (so resolved
+ * names are not staged) and after promotion (to pick up new categories).
+ *
+ * Preconditions:
+ * - Category sheets are created on first use if missing
+ *
+ * Failure Modes:
+ * - Required column missing
+ */
+function processMapping_Item_Category_StateMachine() {
+
+  const SCRIPT_NAME   = 'Categories';
+  const FUNCTION_NAME = 'processMapping_Item_Category_StateMachine';
+  const TGT_SHEET     = MAPPING_ITEM_CATEGORY_SHEET;
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+    ensureCategorySheets_(ss);
+
+    const mapSh = ss.getSheetByName(TGT_SHEET);
+
+    /* =========================
+       STEP — LOAD_DATA
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_DATA');
+
+    const hierarchy = buildCategoryHierarchy_(ss);
+    const nameResolver = buildEntityNameResolver_(ss, 'CATEGORY');
+    const ambiguous = new Set(nameResolver.ambiguous);
+
+    const data = mapSh.getDataRange().getValues();
+    const hdr  = data[0];
+
+    const IDX = resolveEntityColumns_(hdr, {
+      entered: 'Category_Name_Entered',
+      canon: 'Category_Name_Canonical',
+      categoryId: 'Category_ID_Machine',
+      categoryName: 'Category_Name',
+      status: 'Mapping_Status',
+      active: 'Is_Mapping_Active',
+      analytics: 'Is_Analytics_Enabled',
+      updatedAt: 'Updated_At'
+    }, TGT_SHEET);
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_DATA');
+
+    /* =========================
+       EXIT — NO DATA
+    ========================= */
+    if (data.length < 2) {
+      ETI_logExit_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'No data rows found');
+      return;
+    }
+
+    /* =========================
+       PROCESS LOOP
+    ========================= */
+    const now = new Date();
+    const counts = { Unassigned: 0, Pending: 0, Mapped: 0, Inactive: 0, Invalid: 0 };
+
+    let resolved = 0;
+    let changed = 0;
+
+    for (let i = 1; i < data.length; i++) {
+
+      const row = data[i];
+      const before = JSON.stringify(row);
+
+      const entered = row[IDX.entered];
+      const canon = entered ? normalizeMatchText_(entered) : '';
+
+      row[IDX.canon] = canon;
+
+      if (!row[IDX.categoryId] && canon) {
+
+        const id = nameResolver.resolve(canon, entered);
+
+        if (ambiguous.has(canon)) {
+          ETI_log_({
+            scriptName: SCRIPT_NAME,
+            functionName: FUNCTION_NAME,
+            sheetName: TGT_SHEET,
+            level: 'WARN',
+            rowNumber: i + 1,
+            action: 'CATEGORY_AMBIGUOUS',
+            details: `Category_Name_Canonical "${canon}" matches more than one Lookup_Categories row; not resolved`
+          });
+        }
+
+        if (id) {
+          row[IDX.categoryId] = id;
+          resolved++;
+
+          ETI_log_({
+            scriptName: SCRIPT_NAME,
+            functionName: FUNCTION_NAME,
+            sheetName: TGT_SHEET,
+            level: 'INFO',
+            rowNumber: i + 1,
+            action: 'CATEGORY_RESOLVED',
+            details: `"${entered}" → Category_ID_Machine=${id}`
+          });
+        }
+      }
+
+      const categoryId = row[IDX.categoryId] ? String(row[IDX.categoryId]) : '';
+      const category = categoryId ? hierarchy.byId.get(categoryId) : null;
+
+      let status = 'Unassigned';
+
+      if (categoryId && !category) {
+        status = 'Invalid (Category Not Found)';
+        counts.Invalid++;
+      } else if (category && category.archived) {
+        status = 'Inactive (Category Archived)';
+        counts.Inactive++;
+      } else if (category) {
+        status = 'Mapped';
+        counts.Mapped++;
+      } else if (canon) {
+        status = 'Pending (Category Review)';
+        counts.Pending++;
+      } else {
+        counts.Unassigned++;
+      }
+
+      row[IDX.status] = status;
+      row[IDX.categoryName] = category ? hierarchy.path(categoryId) : '';
+      row[IDX.analytics] = row[IDX.active] === true && status === 'Mapped';
+
+      if (JSON.stringify(row) !== before) {
+        row[IDX.updatedAt] = now;
+        changed++;
+      }
+    }
+
+    hierarchy.issues.forEach(issue => {
+      ETI_log_({
+        scriptName: SCRIPT_NAME,
+        functionName: FUNCTION_NAME,
+        sheetName: 'Lookup_Categories',
+        level: 'WARN',
+        action: `CATEGORY_${issue.reason}`,
+        details: `Category_ID_Machine=${issue.id}; hierarchy stops at this category`
+      });
+    });
+
+    /* =========================
+       WRITE BACK
+    ========================= */
+    mapSh.getRange(2, 1, data.length - 1, hdr.length)
+         .setValues(data.slice(1));
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      `Mapped=${counts.Mapped}, Pending=${counts.Pending}, Unassigned=${counts.Unassigned}, ` +
+      `Inactive=${counts.Inactive}, Invalid=${counts.Invalid}, Resolved=${resolved}, Changed=${changed}, DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, err, 'MAIN');
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// CATEGORIES: STAGING GOVERNANCE (ENTITY ENGINE WRAPPERS)
+
+/**
+ * Script Name: populateStagingLookupCategories_FromMappingItemCategory
+ *              processStagingCategories_StateMachine
+ *              promoteApprovedCategories_FromStaging_ToLookup
+ *              backfill_CategoryIDs_Machine_LookupCategories
+ *              cleanupOrphan_CategoryIDs_Machine_LookupCategories
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ * Implementation: 17_Entity_Governance.js, ENTITY_DEFINITIONS.CATEGORY
+ *
+ * Purpose:
+ * - Same staging → approval → promotion flow as items, with
+ *   Mapping_Item_Category as the intake sheet:
+ *     Category_Name_Canonical without Category_ID_Machine → staging row
+ *     (Source_Mapping_ID, Source_Item_ID_Machine, Source_Item_Name)
+ * - Admin_Action semantics and Category_Status labels match Item_Status
+ * - Parent_Category_ID_Machine set on the staging row is copied to
+ *   Lookup_Categories on promotion (sub-category)
+ * - Map_To_Existing registers the name in Lookup_Category_Aliases
+ */
+function populateStagingLookupCategories_FromMappingItemCategory() {
+  ensureCategorySheets_(SpreadsheetApp.getActiveSpreadsheet());
+  return runEntityStagingIntake_('CATEGORY');
+}
+
+function processStagingCategories_StateMachine() {
+  ensureCategorySheets_(SpreadsheetApp.getActiveSpreadsheet());
+  return runEntityStateMachine_('CATEGORY');
+}
+
+function promoteApprovedCategories_FromStaging_ToLookup() {
+  ensureCategorySheets_(SpreadsheetApp.getActiveSpreadsheet());
+  return runEntityPromotion_('CATEGORY');
+}
+
+function backfill_CategoryIDs_Machine_LookupCategories() {
+  ensureCategorySheets_(SpreadsheetApp.getActiveSpreadsheet());
+  return runEntityIdBackfill_('CATEGORY');
+}
+
+function cleanupOrphan_CategoryIDs_Machine_LookupCategories() {
+  ensureCategorySheets_(SpreadsheetApp.getActiveSpreadsheet());
+  return runEntityOrphanIdCleanup_('CATEGORY');
+}
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// CATEGORIES: MONTHLY SPEND ROLLUP
+
+/**
+ * Script Name: buildCategorySpendRollup_FromTransactionResolution
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Answer "how much did we spend on <category> per month"
+ * - Rebuild Category_Spend_Monthly from Transaction_Resolution
+ *
+ * Rollup Rules:
+ * - Item → category via Mapping_Item_Category rows with
+ *   Is_Analytics_Enabled = TRUE (Item_ID_Machine, else Item_ID_Alias)
+ * - Amount = Effective_Line_Price, else Price_Home_Currency
+ *   (non-numeric → row skipped, counted as NoAmount)
+ * - Month  = Txn_Date_Entered, else Created_At (yyyy-MM, script time zone)
+ * - Direct_* → the item's own category
+ *   Total_*  → the item's category and every ancestor
+ * - Unmapped items → one "(Uncategorised)" row per month
+ *
+ * Preconditions:
+ * - Sheet must exist: Transaction_Resolution
+ *   (Txn_ID_Machine, Item_ID_Machine, Created_At and at least one of
+ *    Effective_Line_Price / Price_Home_Currency)
+ * - Category sheets are created on first use if missing
+ *
+ * Algorithm (Step-by-Step):
+ * 1. Load category hierarchy and active item → category map
+ * 2. Aggregate Transaction_Resolution by (month, category)
+ * 3. Clear and rewrite Category_Spend_Monthly (month, then category path)
+ * 4. Emit execution summary
+ *
+ * Failure Modes:
+ * - Transaction_Resolution missing
+ * - Required column missing
+ *
+ * Reason for Deprecation:
+ * - N/A
+ */
+function buildCategorySpendRollup_FromTransactionResolution() {
+
+  const SCRIPT_NAME   = 'Categories';
+  const FUNCTION_NAME = 'buildCategorySpendRollup_FromTransactionResolution';
+  const SRC_SHEET     = 'Transaction_Resolution';
+  const TGT_SHEET     = CATEGORY_SPEND_SHEET;
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const resSh = ss.getSheetByName(SRC_SHEET);
+    if (!resSh) throw new Error(`Sheet ${SRC_SHEET} not found`);
+
+    ensureCategorySheets_(ss);
+
+    const outSh = getOrCreateSheet_(ss, TGT_SHEET, CATEGORY_SPEND_SCHEMA);
+
+    /* =========================
+       STEP — LOAD_CATEGORIES
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_CATEGORIES');
+
+    const hierarchy = buildCategoryHierarchy_(ss);
+
+    const mapData = ss.getSheetByName(MAPPING_ITEM_CATEGORY_SHEET).getDataRange().getValues();
+
+    const IDX_MAP = resolveEntityColumns_(mapData[0], {
+      itemId: 'Item_ID_Machine',
+      categoryId: 'Category_ID_Machine',
+      analytics: 'Is_Analytics_Enabled'
+    }, MAPPING_ITEM_CATEGORY_SHEET);
+
+    const categoryByItem = new Map();
+
+    for (let i = 1; i < mapData.length; i++) {
+
+      const r = mapData[i];
+      if (r[IDX_MAP.analytics] !== true || !r[IDX_MAP.itemId]) continue;
+      if (!hierarchy.byId.has(String(r[IDX_MAP.categoryId]))) continue;
+
+      categoryByItem.set(String(r[IDX_MAP.itemId]), String(r[IDX_MAP.categoryId]));
+    }
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_CATEGORIES');
+
+    /* =========================
+       STEP — LOAD_TXN
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_TXN');
+
+    const resData = resSh.getDataRange().getValues();
+    const resHdr  = resData[0];
+    const resCol  = n => resHdr.indexOf(n);
+
+    const IDX = resolveEntityColumns_(resHdr, {
+      txnId: 'Txn_ID_Machine',
+      itemId: 'Item_ID_Machine',
+      createdAt: 'Created_At'
+    }, SRC_SHEET);
+
+    const itemAliasIdx = resCol('Item_ID_Alias');
+    const txnDateIdx = resCol('Txn_Date_Entered');
+    const amountIdx = ['Effective_Line_Price', 'Price_Home_Currency'].map(resCol).filter(c => c !== -1);
+
+    if (amountIdx.length === 0) {
+      throw new Error(`${SRC_SHEET} missing column: Effective_Line_Price / Price_Home_Currency`);
+    }
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_TXN');
+
+    /* =========================
+       PROCESS LOOP
+    ========================= */
+    const tz = Session.getScriptTimeZone();
+    const round2 = n => Math.round(n * 100) / 100;
+    const buckets = new Map();
+
+    const bucket = (month, categoryId) => {
+
+      const key = `${month}||${categoryId}`;
+
+      if (!buckets.has(key)) {
+        buckets.set(key, { month, categoryId, directSpend: 0, totalSpend: 0, directCount: 0, totalCount: 0 });
+      }
+
+      return buckets.get(key);
+    };
+
+    let scanned = 0;
+    let aggregated = 0;
+    let uncategorised = 0;
+    let skipNoTxn = 0;
+    let skipNoAmount = 0;
+    let skipNoDate = 0;
+
+    for (let i = 1; i < resData.length; i++) {
+
+      scanned++;
+
+      const r = resData[i];
+
+      if (!r[IDX.txnId]) { skipNoTxn++; continue; }
+
+      const amountCell = amountIdx.map(c => r[c]).find(v => v !== '' && v !== null && !isNaN(Number(v)));
+      if (amountCell === undefined) { skipNoAmount++; continue; }
+
+      const rawDate = (txnDateIdx !== -1 && r[txnDateIdx]) || r[IDX.createdAt];
+      const date = rawDate instanceof Date ? rawDate : new Date(rawDate);
+      if (!rawDate || isNaN(date.getTime())) { skipNoDate++; continue; }
+
+      const month = Utilities.formatDate(date, tz, 'yyyy-MM');
+      const amount = Number(amountCell);
+
+      const itemId = String(getTxnEntityId_(r, IDX.itemId, itemAliasIdx));
+      const categoryId = categoryByItem.get(itemId) || '';
+
+      if (!categoryId) uncategorised++;
+
+      const direct = bucket(month, categoryId);
+      direct.directSpend += amount;
+      direct.directCount++;
+
+      (categoryId ? hierarchy.chain(categoryId) : ['']).forEach(id => {
+        const b = bucket(month, id);
+        b.totalSpend += amount;
+        b.totalCount++;
+      });
+
+      aggregated++;
+    }
+
+    hierarchy.issues.forEach(issue => {
+      ETI_log_({
+        scriptName: SCRIPT_NAME,
+        functionName: FUNCTION_NAME,
+        sheetName: 'Lookup_Categories',
+        level: 'WARN',
+        action: `CATEGORY_${issue.reason}`,
+        details: `Category_ID_Machine=${issue.id}; spend rolls up only to this category`
+      });
+    });
+
+    /* =========================
+       STEP — WRITE_OUTPUT
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_OUTPUT');
+
+    const outHdr = outSh.getRange(1, 1, 1, outSh.getLastColumn()).getValues()[0];
+    const homeCurrency = getHomeCurrency_();
+    const now = new Date();
+
+    const rows = Array.from(buckets.values())
+      .map(b => {
+
+        const c = b.categoryId ? hierarchy.byId.get(b.categoryId) : null;
+
+        return {
+          Month: b.month,
+          Category_ID_Machine: b.categoryId,
+          Category_Name: c ? c.name : CATEGORY_UNCATEGORISED_LABEL,
+          Parent_Category_ID_Machine: c ? c.parentId : '',
+          Category_Path: c ? hierarchy.path(b.categoryId) : CATEGORY_UNCATEGORISED_LABEL,
+          Direct_Spend: round2(b.directSpend),
+          Total_Spend: round2(b.totalSpend),
+          Direct_Txn_Count: b.directCount,
+          Total_Txn_Count: b.totalCount,
+          Home_Currency: homeCurrency,
+          Refreshed_At: now
+        };
+      })
+      .sort((a, b) =>
+        a.Month < b.Month ? -1 : a.Month > b.Month ? 1 :
+        String(a.Category_Path).localeCompare(String(b.Category_Path))
+      )
+      .map(entry => outHdr.map(h => (h in entry ? entry[h] : '')));
+
+    if (outSh.getLastRow() > 1) {
+      outSh.getRange(2, 1, outSh.getLastRow() - 1, outHdr.length).clearContent();
+    }
+
+    if (rows.length > 0) {
+      outSh.getRange(2, 1, rows.length, outHdr.length)
+           .setValues(rows);
+    }
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_OUTPUT');
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      `Scanned=${scanned} | Aggregated=${aggregated} (Uncategorised=${uncategorised}) | ` +
+      `Skipped: NoTxn=${skipNoTxn}, NoAmount=${skipNoAmount}, NoDate=${skipNoDate} | ` +
+      `RollupRows=${rows.length} | DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, err, 'MAIN');
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
@@ -0,0 +1,599 @@
+// ENTITY ALIASES - TABLES & REGISTRATION HELPERS
+/*
+-------------------------------------
+Alias registry per governed entity
+(items / brands / products / categories / platforms)
+
+Lookup_<Entity>_Aliases (script-owned)
+- One row per (Alias_Canonical, <Entity>_ID_Machine)
+- Alias_Name       → name as entered in the transaction
+- Alias_Canonical  → canonical value produced by Transaction_Resolution
+- Source           → MAP_TO_EXISTING (staging admin action) / MERGE / MANUAL
+
+Map_To_Existing (staging admin action)
+- Admin picks an existing lookup row in Map_To_<Entity>_ID_Machine
+- Staging row is closed without promotion; Mapped_<Entity>_ID_Machine
+  points at the chosen lookup row
+- Entered / canonical names are registered as aliases of that row
+
+Alias resolution
+- buildEntityAliasResolver_ is consulted by populateStagingLookup*_
+  before a canonical is treated as unresolved (no staging row for aliases)
+- resolveEntityAliases_TransactionResolution writes <Entity>_ID_Alias
+  into Transaction_Resolution for rows the lookup formulas left blank
+- Readers of Transaction_Resolution IDs (mapping populate, evidence,
+  category rollup, effective rate history) use getTxnEntityId_, i.e.
+  <Entity>_ID_Machine, else <Entity>_ID_Alias
+- buildEntityNameResolver_ (lookup canonical, then alias) fills
+  script-owned ID columns (Category_ID_Machine, Platform_ID_Machine)
+-------------------------------------
+*/
+const MAP_TO_EXISTING_ACTION = 'Map_To_Existing';
+
+const ENTITY_ALIAS_SCHEMA_BASE = [
+  'Alias_ID',
+  'Alias_Name',
+  'Alias_Canonical',
+  'Source',
+  'Source_Staging_ID',
+  'Is_Active',
+  'Created_At',
+  'Notes'
+];
+
+/*
+  Script-owned Transaction_Resolution columns (appended, matched by header)
+*/
+const TXN_ALIAS_RESOLUTION_SCHEMA = [
+  'Item_ID_Alias',
+  'Brand_ID_Alias',
+  'Product_ID_Alias',
+  'Alias_Resolved_At'
+];
+
+/*
+-------------------------------------
+Helper — Alias Schema (entity columns from ENTITY_DEFINITIONS, 17_Entity_Governance.js)
+-------------------------------------
+*/
+function getEntityAliasSchema_(entityType){
+  const cfg = getEntityDefinition_(entityType);
+  const schema = ENTITY_ALIAS_SCHEMA_BASE.slice();
+  schema.splice(3, 0, cfg.idColumn);
+  return schema;
+}
+
+/*
+-------------------------------------
+Helper — Transaction Entity ID (formula ID, else alias ID)
+-------------------------------------
+aliasIdx = -1 when the alias column is absent (alias resolution not run).
+*/
+function getTxnEntityId_(row, idIdx, aliasIdx){
+  return row[idIdx] || (aliasIdx !== -1 ? row[aliasIdx] : '') || '';
+}
+
+/*
+-------------------------------------
+Helper — Lookup ID Set
+-------------------------------------
+Returns Set of <Entity>_ID_Machine values present in the lookup sheet.
+*/
+function loadEntityLookupIdSet_(ss, entityType){
+
+  const cfg = getEntityDefinition_(entityType);
+  const sh = ss.getSheetByName(cfg.lookupSheet);
+  if (!sh) throw new Error(`Sheet ${cfg.lookupSheet} not found`);
+
+  const data = sh.getDataRange().getValues();
+  const idIdx = data[0].indexOf(cfg.idColumn);
+  if (idIdx === -1) throw new Error(`${cfg.lookupSheet} missing column: ${cfg.idColumn}`);
+
+  const ids = new Set();
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][idIdx]) ids.add(String(data[i][idIdx]));
+  }
+
+  return ids;
+}
+
+/*
+-------------------------------------
+Helper — Register Aliases
+-------------------------------------
+entries: [{ name, canonical, entityId, source, stagingId, notes, aliasId }]
+(aliasId optional — callers that must find the row again supply their own)
+- Skips entries whose (canonical, entityId) pair already exists
+- Appends in one batch
+Returns number of aliases added.
+*/
+function registerEntityAliases_(ss, entityType, entries){
+
+  if (!entries || entries.length === 0) return 0;
+
+  const cfg = getEntityDefinition_(entityType);
+  const sh = getOrCreateSheet_(ss, cfg.aliasSheet, getEntityAliasSchema_(entityType));
+
+  const data = sh.getDataRange().getValues();
+  const hdr = data[0];
+
+  const IDX = {
+    canon: hdr.indexOf('Alias_Canonical'),
+    entityId: hdr.indexOf(cfg.idColumn)
+  };
+
+  const keyOf = (canonical, entityId) =>
+    `${normalizeMatchText_(canonical)}|${entityId}`;
+
+  const seen = new Set();
+  for (let i = 1; i < data.length; i++) {
+    seen.add(keyOf(data[i][IDX.canon], data[i][IDX.entityId]));
+  }
+
+  const now = new Date();
+  const rows = [];
+
+  entries.forEach(e => {
+
+    const canonical = e.canonical || e.name;
+    if (!normalizeMatchText_(canonical) || !e.entityId) return;
+
+    const key = keyOf(canonical, e.entityId);
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    const entry = {
+      Alias_ID: e.aliasId || Utilities.getUuid(),
+      Alias_Name: e.name || canonical,
+      Alias_Canonical: canonical,
+      [cfg.idColumn]: e.entityId,
+      Source: e.source || 'MANUAL',
+      Source_Staging_ID: e.stagingId || '',
+      Is_Active: true,
+      Created_At: now,
+      Notes: e.notes || ''
+    };
+
+    rows.push(hdr.map(h => (h in entry ? entry[h] : '')));
+  });
+
+  if (rows.length > 0) {
+    sh.getRange(sh.getLastRow() + 1, 1, rows.length, hdr.length)
+      .setValues(rows);
+  }
+
+  return rows.length;
+}
+
+/*
+-------------------------------------
+Helper — Build Alias Resolver
+-------------------------------------
+Keys: normalised Alias_Canonical and Alias_Name of active aliases.
+A key pointing at more than one entity ID is ambiguous and never resolves.
+Returns {
+  resolve(canonical, entered) → entity ID or '',
+  size,
+  conflicts: [key]
+}
+*/
+function buildEntityAliasResolver_(ss, entityType){
+
+  const cfg = getEntityDefinition_(entityType);
+  const sh = ss.getSheetByName(cfg.aliasSheet);
+
+  const idByKey = new Map();
+  const conflicts = new Set();
+
+  if (sh && sh.getLastRow() > 1) {
+
+    const data = sh.getDataRange().getValues();
+    const hdr = data[0];
+
+    const IDX = {
+      name: hdr.indexOf('Alias_Name'),
+      canon: hdr.indexOf('Alias_Canonical'),
+      entityId: hdr.indexOf(cfg.idColumn),
+      isActive: hdr.indexOf('Is_Active')
+    };
+
+    for (const [k,v] of Object.entries(IDX)) {
+      if (v === -1) throw new Error(`${cfg.aliasSheet} missing column: ${k}`);
+    }
+
+    const add = (value, entityId) => {
+
+      const key = normalizeMatchText_(value);
+      if (!key) return;
+
+      const existing = idByKey.get(key);
+
+      if (existing === undefined) idByKey.set(key, entityId);
+      else if (existing !== entityId) conflicts.add(key);
+    };
+
+    for (let i = 1; i < data.length; i++) {
+
+      const r = data[i];
+      const entityId = String(r[IDX.entityId] || '');
+
+      if (!entityId || r[IDX.isActive] === false) continue;
+
+      add(r[IDX.canon], entityId);
+      add(r[IDX.name], entityId);
+    }
+  }
+
+  const resolve = (canonical, entered) => {
+
+    for (const value of [canonical, entered]) {
+      const key = normalizeMatchText_(value);
+      if (key && idByKey.has(key) && !conflicts.has(key)) return idByKey.get(key);
+    }
+
+    return '';
+  };
+
+  return { resolve, size: idByKey.size, conflicts: Array.from(conflicts) };
+}
+
+/*
+-------------------------------------
+Helper — Build Name Resolver (script-owned entity IDs)
+-------------------------------------
+For entities whose ID column is filled by script rather than sheet formula
+(categories, platforms). Resolution order:
+  1. Unique lookup canonical (canonColumn, else lookupNameColumn),
+     archived lookup rows excluded
+  2. Alias resolver (buildEntityAliasResolver_)
+A lookup canonical shared by more than one ID is ambiguous and skipped.
+Returns {
+  resolve(canonical, entered) → entity ID or '',
+  ambiguous: [key],
+  conflicts: [key]          (alias conflicts)
+}
+*/
+function buildEntityNameResolver_(ss, entityType){
+
+  const cfg = getEntityDefinition_(entityType);
+  const sh = ss.getSheetByName(cfg.lookupSheet);
+  if (!sh) throw new Error(`Sheet ${cfg.lookupSheet} not found`);
+
+  const data = sh.getDataRange().getValues();
+
+  const IDX = resolveEntityColumns_(data[0], {
+    entityId: cfg.idColumn,
+    name: cfg.lookupNameColumn,
+    canon: cfg.canonColumn,
+    isArchived: 'Is_Archived'
+  }, cfg.lookupSheet);
+
+  const idByKey = new Map();
+  const ambiguous = new Set();
+
+  for (let i = 1; i < data.length; i++) {
+
+    const r = data[i];
+    const entityId = String(r[IDX.entityId] || '');
+    const key = normalizeMatchText_(r[IDX.canon] || r[IDX.name]);
+
+    if (!entityId || !key || r[IDX.isArchived] === true) continue;
+
+    if (idByKey.has(key) && idByKey.get(key) !== entityId) ambiguous.add(key);
+    idByKey.set(key, entityId);
+  }
+
+  ambiguous.forEach(key => idByKey.delete(key));
+
+  const aliases = buildEntityAliasResolver_(ss, entityType);
+
+  const resolve = (canonical, entered) => {
+
+    for (const value of [canonical, entered]) {
+      const key = normalizeMatchText_(value);
+      if (key && idByKey.has(key)) return idByKey.get(key);
+    }
+
+    return aliases.resolve(canonical, entered);
+  };
+
+  return { resolve, ambiguous: Array.from(ambiguous), conflicts: aliases.conflicts };
+}
+
+/*
+-------------------------------------
+Helper — Apply Map_To_Existing (staging state machines)
+-------------------------------------
+Mutates the staging row in place.
+IDX must contain: mapTo, mappedId, entered, canon, stagingId, isApproved,
+isActive, isArchived, isPromoted, pipelineReady, validState, actionStatus,
+entityOwner, integrity, notes
+statusIdx → Item_Status / Brand_Status / Product_Status column
+
+Returns { ok, reason, alias }
+*/
+function applyMapToExisting_(row, IDX, statusIdx, lookupIds, timestamp){
+
+  const targetId = String(row[IDX.mapTo] || '').trim();
+
+  if (row[IDX.isPromoted] === true) {
+    row[IDX.integrity] = 'INVALID_STATE';
+    row[IDX.notes] = `Map to existing refused: row already promoted — ${timestamp}`;
+    return { ok: false, reason: 'ALREADY_PROMOTED' };
+  }
+
+  if (!targetId || !lookupIds.has(targetId)) {
+    row[IDX.integrity] = 'INVALID_MAPPING';
+    row[IDX.notes] = targetId
+      ? `Map to existing target not found in lookup: ${targetId} — ${timestamp}`
+      : `Map to existing target missing — ${timestamp}`;
+    return { ok: false, reason: targetId ? 'TARGET_NOT_FOUND' : 'TARGET_MISSING' };
+  }
+
+  row[IDX.mappedId] = targetId;
+  row[IDX.isApproved] = false;
+  row[IDX.isActive] = false;
+  row[IDX.isArchived] = true;
+  row[IDX.validState] = true;
+  row[IDX.pipelineReady] = false;
+  row[IDX.actionStatus] = 'Mapped';
+  row[statusIdx] = 'Mapped to Existing';
+  row[IDX.entityOwner] = 'Lookup';
+  row[IDX.integrity] = 'VALID';
+  row[IDX.notes] = `Mapped to existing → ${targetId} — ${timestamp}`;
+
+  return {
+    ok: true,
+    alias: {
+      name: row[IDX.entered] || row[IDX.canon],
+      canonical: row[IDX.canon] || row[IDX.entered],
+      entityId: targetId,
+      source: 'MAP_TO_EXISTING',
+      stagingId: row[IDX.stagingId]
+    }
+  };
+}
+
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// ENTITY ALIASES - RESOLVE INTO TRANSACTION_RESOLUTION
+
+/**
+ * Script Name: resolveEntityAliases_TransactionResolution
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Resolve item / brand / product spellings through Lookup_<Entity>_Aliases
+ *   so a variant needs one governance decision, not one per spelling
+ * - Write the alias-resolved IDs next to the formula-owned IDs in
+ *   Transaction_Resolution (Item_ID_Alias / Brand_ID_Alias / Product_ID_Alias)
+ *
+ * Preconditions:
+ * - Sheet must exist: Transaction_Resolution
+ *   (Txn_ID_Machine, <Entity>_ID_Machine, <Entity>_Name_Entered,
+ *    <Entity>_Name_Canonical)
+ * - Alias sheets are optional (missing sheet → nothing resolves)
+ * - Entities whose Transaction_Resolution columns are absent are skipped
+ *   (ENTITY_SKIPPED), their alias column left untouched
+ *
+ * Algorithm (Step-by-Step):
+ * 1. Ensure TXN_ALIAS_RESOLUTION_SCHEMA columns exist on Transaction_Resolution
+ * 2. Build one alias resolver per entity type (ambiguous aliases logged)
+ * 3. For each Resolution row with Txn_ID_Machine:
+ *    a. <Entity>_ID_Machine present → <Entity>_ID_Alias blank
+ *    b. Otherwise resolve canonical, then entered name, via aliases
+ * 4. Write alias columns in one batch per column
+ * 5. Emit execution summary
+ *
+ * Failure Modes:
+ * - Transaction_Resolution missing
+ * - Txn_ID_Machine column missing
+ *
+ * Notes:
+ * - <Entity>_ID_Machine is formula-owned, so it stays blank for alias rows;
+ *   mapping populate scripts and other readers fall back to
+ *   <Entity>_ID_Alias (getTxnEntityId_)
+ * - Positional write (Resolution rows are never reordered by script)
+ *
+ * Reason for Deprecation:
+ * - N/A
+ */
+function resolveEntityAliases_TransactionResolution() {
+
+  const SCRIPT_NAME   = 'Transactions';
+  const FUNCTION_NAME = 'resolveEntityAliases_TransactionResolution';
+  const TGT_SHEET     = 'Transaction_Resolution';
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    if (!ss.getSheetByName(TGT_SHEET)) throw new Error(`Sheet ${TGT_SHEET} not found`);
+
+    const resSh = getOrCreateSheet_(ss, TGT_SHEET, TXN_ALIAS_RESOLUTION_SCHEMA);
+
+    /* =========================
+       STEP — LOAD_ALIASES
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_ALIASES');
+
+    // entities without an aliasIdColumn are not carried on transactions
+    const entityTypes = Object.keys(ENTITY_DEFINITIONS).filter(type => ENTITY_DEFINITIONS[type].aliasIdColumn);
+    const resolvers = {};
+
+    entityTypes.forEach(type => {
+
+      resolvers[type] = buildEntityAliasResolver_(ss, type);
+
+      resolvers[type].conflicts.forEach(key => {
+        ETI_log_({
+          scriptName: SCRIPT_NAME,
+          functionName: FUNCTION_NAME,
+          sheetName: ENTITY_DEFINITIONS[type].aliasSheet,
+          level: 'WARN',
+          action: 'ALIAS_CONFLICT',
+          details: `Alias "${key}" points at more than one ${ENTITY_DEFINITIONS[type].idColumn}; ignored`
+        });
+      });
+    });
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_ALIASES');
+
+    /* =========================
+       STEP — LOAD_TXN
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_TXN');
+
+    const resData = resSh.getDataRange().getValues();
+    const resHdr  = resData[0];
+    const resCol  = n => resHdr.indexOf(n);
+
+    const txnIdx = resCol('Txn_ID_Machine');
+    if (txnIdx === -1) throw new Error('Transaction_Resolution missing column: txnId');
+
+    const IDX_ENTITY = {};
+
+    entityTypes.forEach(type => {
+
+      const cfg = ENTITY_DEFINITIONS[type];
+
+      const idx = {
+        id: resCol(cfg.idColumn),
+        entered: resCol(cfg.enteredColumn),
+        canon: resCol(cfg.canonColumn),
+        alias: resCol(cfg.aliasIdColumn)
+      };
+
+      const missing = Object.keys(idx).filter(k => idx[k] === -1);
+
+      if (missing.length > 0) {
+        ETI_log_({
+          scriptName: SCRIPT_NAME,
+          functionName: FUNCTION_NAME,
+          sheetName: TGT_SHEET,
+          level: 'INFO',
+          action: 'ENTITY_SKIPPED',
+          details: `${type}: Transaction_Resolution missing column(s) ${missing.join(', ')}`
+        });
+        return;
+      }
+
+      IDX_ENTITY[type] = idx;
+    });
+
+    const activeTypes = entityTypes.filter(type => IDX_ENTITY[type]);
+
+    const resolvedAtIdx = resCol('Alias_Resolved_At');
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_TXN');
+
+    /* =========================
+       EXIT — NO DATA
+    ========================= */
+    if (resData.length < 2) {
+      ETI_logExit_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'No data rows in Transaction_Resolution');
+      return;
+    }
+
+    /* =========================
+       PROCESS LOOP
+    ========================= */
+    const now = new Date();
+    const counts = {};
+    entityTypes.forEach(type => { counts[type] = 0; });
+
+    for (let i = 1; i < resData.length; i++) {
+
+      const r = resData[i];
+      let anyResolved = false;
+
+      activeTypes.forEach(type => {
+
+        const idx = IDX_ENTITY[type];
+        let aliasId = '';
+
+        if (r[txnIdx] && !r[idx.id]) {
+          aliasId = resolvers[type].resolve(r[idx.canon], r[idx.entered]);
+        }
+
+        r[idx.alias] = aliasId;
+
+        if (aliasId) {
+          counts[type]++;
+          anyResolved = true;
+        }
+      });
+
+      r[resolvedAtIdx] = anyResolved ? now : '';
+    }
+
+    /* =========================
+       STEP — WRITE_OUTPUT
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_OUTPUT');
+
+    const outputCols = activeTypes
+      .map(type => IDX_ENTITY[type].alias)
+      .concat(resolvedAtIdx);
+
+    outputCols.forEach(c => {
+      resSh.getRange(2, c + 1, resData.length - 1, 1)
+           .setValues(resData.slice(1).map(r => [r[c]]));
+    });
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_OUTPUT');
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      `Scanned=${resData.length - 1} | ` +
+      `Resolved: Items=${counts.ITEM}, Brands=${counts.BRAND}, Products=${counts.PRODUCT} | ` +
+      `DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
@@ -0,0 +1,1524 @@
+// ENTITY GOVERNANCE - DEFINITIONS & ENGINE
+/*
+-------------------------------------
+Config-driven staging governance for lookup entities
+(items / brands / products / categories / platforms)
+
+One entity definition (ENTITY_DEFINITIONS) names the sheets, ID columns,
+name columns and staging context of an entity. Every governance step runs
+through the same engine function:
+
+  populate  → runEntityStagingIntake_      (intake sheet → Staging)
+  process   → runEntityStateMachine_       (Admin_Action → flags → derived state)
+  promote   → runEntityPromotion_          (Staging → Lookup, Promotion_Ledger)
+  backfill  → runEntityIdBackfill_         (Lookup name present, ID missing)
+  cleanup   → runEntityOrphanIdCleanup_    (Lookup ID present, name missing)
+
+The per-entity scripts (12_Items.js, 13_Brands.js, 13_Products.js,
+16_Categories.js, 18_Platforms.js) are thin wrappers; their function
+names are kept in definition.functionNames so pipelines, controller
+switches and logs are unchanged.
+
+Adding an entity = add a definition + five wrappers + the sheets.
+-------------------------------------
+*/
+
+/*
+-------------------------------------
+Governance State Machine (Authoritative)
+
+Admin_Action → Binary Flags
+
+Admin_Action                Is_Approved   Is_Active   Is_Archived
+------------------------------------------------------------------
+Review                      FALSE         FALSE       FALSE
+Activate                    FALSE         TRUE        FALSE
+Approve (UI Hidden)         TRUE          FALSE       FALSE
+Approve & Activate          TRUE          TRUE        FALSE
+Approve but Deprecate       TRUE          FALSE       TRUE
+Reject                      FALSE         FALSE       TRUE
+Map_To_Existing             handled by applyMapToExisting_ (17_Entity_Aliases.js)
+
+Any other Admin_Action → Integrity_Status = INVALID_ADMIN_ACTION
+-------------------------------------
+*/
+const ENTITY_ADMIN_ACTION_RULES = {
+  'Review':                { approved: false, active: false, archived: false },
+  'Activate':              { approved: false, active: true,  archived: false },
+  'Approve (UI Hidden)':   { approved: true,  active: false, archived: false },
+  'Approve & Activate':    { approved: true,  active: true,  archived: false },
+  'Approve but Deprecate': { approved: true,  active: false, archived: true  },
+  'Reject':                { approved: false, active: false, archived: true  }
+};
+
+/*
+  Entity definitions
+  - intakeSheet (Transaction_Resolution unless stated) uses idColumn /
+    enteredColumn / canonColumn as-is; intakeKeyColumn → stagingSourceColumn
+  - Lookup sheets use idColumn / lookupNameColumn / canonColumn
+  - stagingContextColumns: staging column ← intakeSheet column
+  - promotionCopyColumns: lookup column ← staging column (copied on promotion)
+  - humanIdColumn / humanIdPrefix: lookup column filled on promotion with
+    the next <Prefix>-###### from Counter_Control (17_Entity_Human_IDs.js)
+  - aliasIdColumn: Transaction_Resolution alias column ('' → ID column is
+    script-owned and resolved by the entity's own script, or the entity is
+    not carried on transactions)
+*/
+const ENTITY_DEFINITIONS = {
+  ITEM: {
+    label: 'Item',
+    scriptName: 'Items',
+    functionNames: {
+      populate: 'populateStagingLookupItems_FromTransactionResolution',
+      process: 'processStagingItems_StateMachine',
+      promote: 'promoteApprovedItems_FromStaging_ToLookup',
+      backfill: 'backfill_ItemIDs_Machine_LookupItems',
+      cleanup: 'cleanupOrphan_ItemIDs_Machine_LookupItems'
+    },
+    aliasSheet: 'Lookup_Item_Aliases',
+    lookupSheet: 'Lookup_Items',
+    stagingSheet: 'Staging_Lookup_Items',
+    stagingIdColumn: 'Staging_Item_ID_Machine',
+    mappedIdColumn: 'Mapped_Item_ID_Machine',
+    statusColumn: 'Item_Status',
+    lookupNameColumn: 'Item_Name',
+    lookupStagingIdColumn: 'Staging_ID_Machine',
+    idColumn: 'Item_ID_Machine',
+    humanIdColumn: 'Item_ID_Human',
+    humanIdPrefix: 'ITEM',
+    mapToColumn: 'Map_To_Item_ID_Machine',
+    enteredColumn: 'Item_Name_Entered',
+    canonColumn: 'Item_Name_Canonical',
+    approvedColumn: 'Item_Name_Approved',
+    aliasIdColumn: 'Item_ID_Alias',
+    intakeSheet: 'Transaction_Resolution',
+    intakeKeyColumn: 'Txn_ID_Machine',
+    stagingSourceColumn: 'Source_Txn_ID_Machine',
+    promotionCopyColumns: {},
+    stagingContextColumns: {},
+    fuzzySuggestions: true,
+    adminActions: ENTITY_ADMIN_ACTION_RULES
+  },
+  BRAND: {
+    label: 'Brand',
+    scriptName: 'Brands',
+    functionNames: {
+      populate: 'populateStagingLookupBrands_FromTransactionResolution',
+      process: 'processStagingBrands_StateMachine',
+      promote: 'promoteApprovedBrands_FromStaging_ToLookup',
+      backfill: 'backfill_BrandIDs_Machine_LookupBrands',
+      cleanup: 'cleanupOrphan_BrandIDs_Machine_LookupBrands'
+    },
+    aliasSheet: 'Lookup_Brand_Aliases',
+    lookupSheet: 'Lookup_Brands',
+    stagingSheet: 'Staging_Lookup_Brands',
+    stagingIdColumn: 'Staging_Brand_ID_Machine',
+    mappedIdColumn: 'Mapped_Brand_ID_Machine',
+    statusColumn: 'Brand_Status',
+    lookupNameColumn: 'Brand_Name',
+    lookupStagingIdColumn: 'Staging_Brand_ID_Machine',
+    idColumn: 'Brand_ID_Machine',
+    humanIdColumn: 'Brand_ID_Human',
+    humanIdPrefix: 'BRAND',
+    mapToColumn: 'Map_To_Brand_ID_Machine',
+    enteredColumn: 'Brand_Name_Entered',
+    canonColumn: 'Brand_Name_Canonical',
+    approvedColumn: 'Brand_Name_Approved',
+    aliasIdColumn: 'Brand_ID_Alias',
+    intakeSheet: 'Transaction_Resolution',
+    intakeKeyColumn: 'Txn_ID_Machine',
+    stagingSourceColumn: 'Source_Txn_ID_Machine',
+    promotionCopyColumns: {
+      'Brand_Status': 'Brand_Status'
+    },
+    stagingContextColumns: {
+      'Source_Item_Name': 'Item_Name_Entered',
+      'Source_Product_Name': 'Product_Name_Entered',
+      'Source_Item_ID_Machine': 'Item_ID_Machine',
+      'Source_Product_ID_Machine': 'Product_ID_Machine'
+    },
+    fuzzySuggestions: false,
+    adminActions: ENTITY_ADMIN_ACTION_RULES
+  },
+  PRODUCT: {
+    label: 'Product',
+    scriptName: 'Products',
+    functionNames: {
+      populate: 'populateStagingLookupProducts_FromTransactionResolution',
+      process: 'processStagingProducts_StateMachine',
+      promote: 'promoteApprovedProducts_FromStaging_ToLookup',
+      backfill: 'backfill_ProductIDs_Machine_LookupProducts',
+      cleanup: 'cleanupOrphan_ProductIDs_Machine_LookupProducts'
+    },
+    aliasSheet: 'Lookup_Product_Aliases',
+    lookupSheet: 'Lookup_Products',
+    stagingSheet: 'Staging_Lookup_Products',
+    stagingIdColumn: 'Staging_Product_ID_Machine',
+    mappedIdColumn: 'Mapped_Product_ID_Machine',
+    statusColumn: 'Product_Status',
+    lookupNameColumn: 'Product_Name',
+    lookupStagingIdColumn: 'Staging_Product_ID_Machine',
+    idColumn: 'Product_ID_Machine',
+    humanIdColumn: 'Product_ID_Human',
+    humanIdPrefix: 'PRODUCT',
+    mapToColumn: 'Map_To_Product_ID_Machine',
+    enteredColumn: 'Product_Name_Entered',
+    canonColumn: 'Product_Name_Canonical',
+    approvedColumn: 'Product_Name_Approved',
+    aliasIdColumn: 'Product_ID_Alias',
+    intakeSheet: 'Transaction_Resolution',
+    intakeKeyColumn: 'Txn_ID_Machine',
+    stagingSourceColumn: 'Source_Txn_ID_Machine',
+    promotionCopyColumns: {
+      'Product_Status': 'Product_Status'
+    },
+    stagingContextColumns: {
+      'Source_Item_Name': 'Item_Name_Entered',
+      'Source_Brand_Name': 'Brand_Name_Entered',
+      'Source_Item_ID_Machine': 'Item_ID_Machine',
+      'Source_Product_ID_Machine': 'Product_ID_Machine'
+    },
+    fuzzySuggestions: false,
+    adminActions: ENTITY_ADMIN_ACTION_RULES
+  },
+  CATEGORY: {
+    label: 'Category',
+    scriptName: 'Categories',
+    functionNames: {
+      populate: 'populateStagingLookupCategories_FromMappingItemCategory',
+      process: 'processStagingCategories_StateMachine',
+      promote: 'promoteApprovedCategories_FromStaging_ToLookup',
+      backfill: 'backfill_CategoryIDs_Machine_LookupCategories',
+      cleanup: 'cleanupOrphan_CategoryIDs_Machine_LookupCategories'
+    },
+    aliasSheet: 'Lookup_Category_Aliases',
+    lookupSheet: 'Lookup_Categories',
+    stagingSheet: 'Staging_Lookup_Categories',
+    stagingIdColumn: 'Staging_Category_ID_Machine',
+    mappedIdColumn: 'Mapped_Category_ID_Machine',
+    statusColumn: 'Category_Status',
+    lookupNameColumn: 'Category_Name',
+    lookupStagingIdColumn: 'Staging_Category_ID_Machine',
+    idColumn: 'Category_ID_Machine',
+    humanIdColumn: 'Category_ID_Human',
+    humanIdPrefix: 'CATEGORY',
+    mapToColumn: 'Map_To_Category_ID_Machine',
+    enteredColumn: 'Category_Name_Entered',
+    canonColumn: 'Category_Name_Canonical',
+    approvedColumn: 'Category_Name_Approved',
+    aliasIdColumn: '',
+    intakeSheet: 'Mapping_Item_Category',
+    intakeKeyColumn: 'Mapping_ID',
+    stagingSourceColumn: 'Source_Mapping_ID',
+    promotionCopyColumns: {
+      'Category_Status': 'Category_Status',
+      'Parent_Category_ID_Machine': 'Parent_Category_ID_Machine'
+    },
+    stagingContextColumns: {
+      'Source_Item_ID_Machine': 'Item_ID_Machine',
+      'Source_Item_Name': 'Item_Name'
+    },
+    fuzzySuggestions: true,
+    adminActions: ENTITY_ADMIN_ACTION_RULES
+  },
+  PLATFORM: {
+    label: 'Platform',
+    scriptName: 'Platforms',
+    functionNames: {
+      populate: 'populateStagingLookupPlatforms_FromTransactionResolution',
+      process: 'processStagingPlatforms_StateMachine',
+      promote: 'promoteApprovedPlatforms_FromStaging_ToLookup',
+      backfill: 'backfill_PlatformIDs_Machine_LookupPlatforms',
+      cleanup: 'cleanupOrphan_PlatformIDs_Machine_LookupPlatforms'
+    },
+    aliasSheet: 'Lookup_Platform_Aliases',
+    lookupSheet: 'Lookup_Platforms',
+    stagingSheet: 'Staging_Lookup_Platforms',
+    stagingIdColumn: 'Staging_Platform_ID_Machine',
+    mappedIdColumn: 'Mapped_Platform_ID_Machine',
+    statusColumn: 'Platform_Status',
+    lookupNameColumn: 'Platform_Name',
+    lookupStagingIdColumn: 'Staging_Platform_ID_Machine',
+    idColumn: 'Platform_ID_Machine',
+    humanIdColumn: 'Platform_ID_Human',
+    humanIdPrefix: 'PLATFORM',
+    mapToColumn: 'Map_To_Platform_ID_Machine',
+    enteredColumn: 'Platform_Name_Entered',
+    canonColumn: 'Platform_Name_Canonical',
+    approvedColumn: 'Platform_Name_Approved',
+    aliasIdColumn: '',
+    intakeSheet: 'Transaction_Resolution',
+    intakeKeyColumn: 'Txn_ID_Machine',
+    stagingSourceColumn: 'Source_Txn_ID_Machine',
+    promotionCopyColumns: {
+      'Platform_Status': 'Platform_Status',
+      'Platform_Type': 'Platform_Type'
+    },
+    stagingContextColumns: {
+      'Source_Item_Name': 'Item_Name_Entered'
+    },
+    fuzzySuggestions: true,
+    adminActions: ENTITY_ADMIN_ACTION_RULES
+  }
+};
+
+/*
+-------------------------------------
+Helper — Entity Definition
+-------------------------------------
+*/
+function getEntityDefinition_(entityType){
+  const def = ENTITY_DEFINITIONS[entityType];
+  if (!def) throw new Error(`Unknown entity type: ${entityType}`);
+  return def;
+}
+
+/*
+-------------------------------------
+Helper — Column Index Map
+-------------------------------------
+columns: { key: headerName } → { key: index }
+Throws `${sheetName} missing column: ${key}` for any absent header.
+*/
+function resolveEntityColumns_(hdr, columns, sheetName){
+
+  const IDX = {};
+
+  for (const [k, name] of Object.entries(columns)) {
+    IDX[k] = hdr.indexOf(name);
+    if (IDX[k] === -1) throw new Error(`${sheetName} missing column: ${k}`);
+  }
+
+  return IDX;
+}
+
+/*
+-------------------------------------
+Helper — Status Labels
+-------------------------------------
+Labels written to <Entity>_Status. Branch order is part of the contract
+(labels seen by admins and referenced by sheet filters) — do not reorder.
+*/
+function deriveEntityPromotedStatus_(approved, active, archived){
+
+  if (approved && archived) return 'Promoted (Archived)';
+  if (approved && active) return 'Promoted (Live)';
+  if (approved) return 'Promoted (Hidden Dropdown)';
+
+  return '';
+}
+
+function deriveEntityStagingStatus_(approved, active, archived){
+
+  if (archived && !approved) return 'Rejected';
+  if (active && !approved) return 'Active (Temporary)';
+  if (approved && !active) return 'Approved (Hidden Dropdown)';
+  if (approved && active) return 'Approved & Activated (Temporary)';
+  if (approved && archived) return 'Approved (Archived)';
+
+  return 'To be Reviewed';
+}
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// ENTITY: LOAD INTO STAGING
+
+/**
+ * Script Name: runEntityStagingIntake_
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Stage unresolved canonicals of one entity from definition.intakeSheet
+ *   (Transaction_Resolution for items / brands / products).
+ * - One staging row per unique canonical, initialised to Admin_Action "Review".
+ * - Canonicals known to the entity alias sheet are treated as resolved.
+ * - Copy staging context columns (definition.stagingContextColumns).
+ * - Optional fuzzy suggestions (definition.fuzzySuggestions, 17_Entity_Matching.js).
+ *
+ * Preconditions:
+ * - Sheets must exist: definition.intakeSheet, definition.stagingSheet
+ *   (+ definition.lookupSheet when fuzzySuggestions is on)
+ *
+ * Algorithm:
+ * 1. Load staging → Set of staged canonicals (+ fuzzy candidates).
+ * 2. Load lookup (fuzzy only) → fuzzy candidates.
+ * 3. Load definition.intakeSheet.
+ * 4. Skip if: intakeKeyColumn missing / entity ID present / canonical missing /
+ *    canonical or entered name resolves via aliases / canonical already staged.
+ * 5. Build staging row (IDs, names, default flags, context, suggestions).
+ * 6. Batch append; emit summary.
+ *
+ * Failure Modes:
+ * - Required sheet missing
+ * - Required column missing
+ */
+function runEntityStagingIntake_(entityType) {
+
+  const def = getEntityDefinition_(entityType);
+
+  const SCRIPT_NAME = def.scriptName;
+  const FUNCTION_NAME = def.functionNames.populate;
+  const SRC_SHEET = def.intakeSheet;
+  const TGT_SHEET = def.stagingSheet;
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const srcSh = ss.getSheetByName(SRC_SHEET);
+    const lkSh = def.fuzzySuggestions ? ss.getSheetByName(def.lookupSheet) : null;
+
+    if (!srcSh || !ss.getSheetByName(TGT_SHEET) || (def.fuzzySuggestions && !lkSh)) {
+      throw new Error('Required sheet not found');
+    }
+
+    const stgSh = def.fuzzySuggestions
+      ? getOrCreateSheet_(ss, TGT_SHEET, FUZZY_SUGGESTION_SCHEMA)
+      : ss.getSheetByName(TGT_SHEET);
+
+    /* =========================
+       STEP — LOAD_STAGING
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_STAGING');
+
+    const stgData = stgSh.getDataRange().getValues();
+    const stgHdr = stgData[0];
+
+    const IDX_STG = resolveEntityColumns_(stgHdr, {
+      sourceKey: def.stagingSourceColumn,
+      stagingId: def.stagingIdColumn,
+      mappedId: def.mappedIdColumn,
+      entered: def.enteredColumn,
+      canon: def.canonColumn,
+      approvedName: def.approvedColumn,
+      adminAction: 'Admin_Action',
+      isApproved: 'Is_Approved',
+      isActive: 'Is_Active',
+      isArchived: 'Is_Archived',
+      isPromoted: 'Is_Lookup_Promoted',
+      populatedAt: 'Populated_At',
+      notes: 'Notes'
+    }, TGT_SHEET);
+
+    const contextColumns = Object.keys(def.stagingContextColumns);
+    const IDX_CTX = resolveEntityColumns_(
+      stgHdr,
+      Object.fromEntries(contextColumns.map(n => [n, n])),
+      TGT_SHEET
+    );
+    const IDX_SUG = def.fuzzySuggestions ? FUZZY_SUGGESTION_SCHEMA.map(n => stgHdr.indexOf(n)) : [];
+
+    const stagingCanonSet = new Set();
+    const matchCandidates = [];
+
+    for (let i = 1; i < stgData.length; i++) {
+      const v = stgData[i][IDX_STG.canon];
+      if (v) stagingCanonSet.add(String(v));
+      if (v && stgData[i][IDX_STG.isPromoted] !== true) {
+        matchCandidates.push({ id: stgData[i][IDX_STG.stagingId], name: v, source: 'STAGING' });
+      }
+    }
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_STAGING');
+
+    /* =========================
+       STEP — LOAD_LOOKUP (FUZZY ONLY)
+    ========================= */
+
+    let matcher = null;
+    let minScore = 0;
+
+    if (def.fuzzySuggestions) {
+
+      ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_LOOKUP');
+
+      const lkData = lkSh.getDataRange().getValues();
+
+      const IDX_LK = resolveEntityColumns_(lkData[0], {
+        id: def.idColumn,
+        name: def.lookupNameColumn,
+        canon: def.canonColumn
+      }, def.lookupSheet);
+
+      for (let i = 1; i < lkData.length; i++) {
+        matchCandidates.push({
+          id: lkData[i][IDX_LK.id],
+          name: lkData[i][IDX_LK.canon] || lkData[i][IDX_LK.name],
+          source: 'LOOKUP'
+        });
+      }
+
+      matcher = buildFuzzyMatcher_(matchCandidates);
+      minScore = getFuzzyMatchMinScore_();
+
+      ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_LOOKUP');
+    }
+
+    const aliasResolver = buildEntityAliasResolver_(ss, entityType);
+
+    /* =========================
+       STEP — LOAD_SOURCE
+    ========================= */
+
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_SOURCE');
+
+    const srcData = srcSh.getDataRange().getValues();
+    const srcHdr = srcData[0];
+
+    const IDX = resolveEntityColumns_(srcHdr, {
+      sourceKey: def.intakeKeyColumn,
+      entityId: def.idColumn,
+      entered: def.enteredColumn,
+      canon: def.canonColumn
+    }, SRC_SHEET);
+
+    const IDX_SRC_CTX = resolveEntityColumns_(srcHdr, def.stagingContextColumns, SRC_SHEET);
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_SOURCE');
+
+    /* =========================
+       EXIT — NO DATA
+    ========================= */
+
+    if (srcData.length <= 1) {
+      ETI_logExit_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, `No data rows in ${SRC_SHEET}`);
+      return;
+    }
+
+    /* =========================
+       PROCESS LOOP
+    ========================= */
+
+    let scanned = 0;
+    let skipNoSource = 0;
+    let skipHasEntity = 0;
+    let skipNoCanon = 0;
+    let skipAliased = 0;
+    let skipDuplicateCanon = 0;
+    let withSuggestion = 0;
+
+    const rowsToAppend = [];
+
+    for (let i = 1; i < srcData.length; i++) {
+
+      scanned++;
+
+      const r = srcData[i];
+
+      if (!r[IDX.sourceKey]) {
+        skipNoSource++;
+        continue;
+      }
+
+      if (r[IDX.entityId]) {
+        skipHasEntity++;
+        continue;
+      }
+
+      const canon = r[IDX.canon];
+
+      if (!canon) {
+        skipNoCanon++;
+        continue;
+      }
+
+      if (aliasResolver.resolve(canon, r[IDX.entered])) {
+        skipAliased++;
+        continue;
+      }
+
+      if (stagingCanonSet.has(canon)) {
+        skipDuplicateCanon++;
+        continue;
+      }
+
+      const row = new Array(stgHdr.length).fill('');
+
+      row[IDX_STG.sourceKey] = r[IDX.sourceKey];
+      row[IDX_STG.stagingId] = Utilities.getUuid();
+      row[IDX_STG.mappedId] = '';
+      row[IDX_STG.entered] = r[IDX.entered];
+      row[IDX_STG.canon] = canon;
+      row[IDX_STG.approvedName] = '';
+
+      row[IDX_STG.adminAction] = 'Review';
+      row[IDX_STG.isApproved] = false;
+      row[IDX_STG.isActive] = false;
+      row[IDX_STG.isArchived] = false;
+      row[IDX_STG.isPromoted] = false;
+
+      for (const n of contextColumns) {
+        row[IDX_CTX[n]] = r[IDX_SRC_CTX[n]];
+      }
+
+      row[IDX_STG.populatedAt] = new Date();
+      row[IDX_STG.notes] = `Staged from ${SRC_SHEET}`;
+
+      if (matcher) {
+
+        const matches = matcher.match(canon, minScore, FUZZY_MATCH_TOP_N);
+        const suggestion = toFuzzySuggestionValues_(matches);
+
+        IDX_SUG.forEach((c, k) => { row[c] = suggestion[k]; });
+
+        if (matches.length > 0) withSuggestion++;
+
+        matcher.add({ id: row[IDX_STG.stagingId], name: canon, source: 'STAGING' });
+      }
+
+      rowsToAppend.push(row);
+      stagingCanonSet.add(canon);
+    }
+
+    /* =========================
+       STEP — WRITE_OUTPUT
+    ========================= */
+
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_OUTPUT');
+
+    if (rowsToAppend.length > 0) {
+      stgSh.getRange(stgSh.getLastRow() + 1, 1, rowsToAppend.length, stgHdr.length)
+           .setValues(rowsToAppend);
+    }
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_OUTPUT');
+
+    /* =========================
+       SUMMARY
+    ========================= */
+
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      `Scanned=${scanned} | Inserted=${rowsToAppend.length}` +
+      (matcher ? ` (WithSuggestion=${withSuggestion})` : '') + ' | ' +
+      `Skipped: NoSource=${skipNoSource}, Has${def.label}=${skipHasEntity}, NoCanon=${skipNoCanon}, Aliased=${skipAliased}, Duplicate=${skipDuplicateCanon} | ` +
+      `DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();  // ---- CRITICAL: ensures logs persist even in standalone execution ----
+
+  }
+}
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// ENTITY: PROCESS STAGED ROWS
+
+/**
+ * Script Name: runEntityStateMachine_
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Auto-triage untouched rows with Staging_Triage_Rules (17_Entity_Triage.js)
+ *   before anything else: the first matching rule sets Admin_Action
+ *   (and Map_To_<Entity>_ID_Machine), Triage_Rule_ID and Triaged_At; the
+ *   rule is quoted at the start of Notes and kept there on later runs.
+ * - Apply definition.adminActions to every staging row with an Admin_Action.
+ * - Repair drift between Admin_Action and the binary flags (Notes + ETI_log_).
+ * - Derive Valid_State, Is_Pipeline_ready, Action_Review_Status,
+ *   <Entity>_Status, Entity_Owner and Integrity_Status in script.
+ * - Close Map_To_Existing rows and register their aliases.
+ *
+ * Derived Columns
+ *
+ * Valid_State = NOT( (Is_Active AND Is_Archived) OR (Is_Lookup_Promoted AND NOT Is_Approved) )
+ * Is_Pipeline_ready = Is_Approved AND NOT Is_Lookup_Promoted AND Valid_State
+ *
+ * Action_Review_Status
+ *   Is_Lookup_Promoted → Promoted
+ *   Is_Approved        → Pending (Promotion)
+ *   Is_Archived        → Rejected
+ *   else               → Pending (Approval)
+ *
+ * <Entity>_Status
+ *   promoted     → deriveEntityPromotedStatus_
+ *   not promoted → deriveEntityStagingStatus_
+ *
+ * Entity_Owner = Lookup if Is_Lookup_Promoted else Staging
+ *
+ * Integrity_Status: VALID / REPAIRED / INVALID_STATE / INVALID_MAPPING /
+ *                   INVALID_ADMIN_ACTION
+ *
+ * Preconditions
+ * - Sheets must exist: definition.stagingSheet, definition.lookupSheet
+ *
+ * Failure Modes
+ * - Required sheet missing
+ * - Required column missing
+ */
+function runEntityStateMachine_(entityType) {
+
+  const def = getEntityDefinition_(entityType);
+
+  const SCRIPT_NAME = def.scriptName;
+  const FUNCTION_NAME = def.functionNames.process;
+  const SRC_SHEET = def.stagingSheet;
+
+  const t0 = new Date();
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET);
+
+    if (!ss.getSheetByName(SRC_SHEET)) throw new Error(`${SRC_SHEET} sheet missing`);
+
+    const stgSh = getOrCreateSheet_(ss, SRC_SHEET, [def.mapToColumn].concat(STAGING_TRIAGE_COLUMNS));
+    const lookupIds = loadEntityLookupIdSet_(ss, entityType);
+    const triage = prepareStagingTriage_(ss, entityType);
+
+    triage.invalid.forEach(r => ETI_log_({
+      scriptName: SCRIPT_NAME,
+      functionName: FUNCTION_NAME,
+      sheetName: STAGING_TRIAGE_RULES_SHEET,
+      level: 'WARN',
+      action: 'TRIAGE_RULE_INVALID',
+      details: `Rule=${r.ruleId}, Reason=${r.reason}`
+    }));
+
+    const data = stgSh.getDataRange().getValues();
+    const hdr = data[0];
+
+    const IDX = resolveEntityColumns_(hdr, {
+      adminAction: 'Admin_Action',
+      isApproved: 'Is_Approved',
+      isActive: 'Is_Active',
+      isArchived: 'Is_Archived',
+      isPromoted: 'Is_Lookup_Promoted',
+      pipelineReady: 'Is_Pipeline_ready',
+      validState: 'Valid_State',
+      actionStatus: 'Action_Review_Status',
+      status: def.statusColumn,
+      entityOwner: 'Entity_Owner',
+      integrity: 'Integrity_Status',
+      notes: 'Notes',
+      stagingId: def.stagingIdColumn,
+      mappedId: def.mappedIdColumn,
+      mapTo: def.mapToColumn,
+      entered: def.enteredColumn,
+      canon: def.canonColumn,
+      triageRuleId: 'Triage_Rule_ID',
+      triagedAt: 'Triaged_At'
+    }, SRC_SHEET);
+
+    let repaired = 0;
+    let triaged = 0;
+    let valid = 0;
+    let invalid = 0;
+    let mapped = 0;
+
+    const aliasEntries = [];
+
+    // Row index → triage prefix of Notes (re-applied after the loop)
+    const triageNotes = new Map();
+
+    const timestamp = Utilities.formatDate(
+      new Date(),
+      Session.getScriptTimeZone(),
+      "EEEE, MMMM d, yyyy 'at' HH:mm:ss"
+    );
+
+    /* =========================
+       PROCESS LOOP
+    ========================= */
+
+    for (let i = 1; i < data.length; i++) {
+
+      const row = data[i];
+      const stagingId = row[IDX.stagingId];
+
+      /* =========================
+         AUTO-TRIAGE (untouched rows only)
+      ========================= */
+      if (row[IDX.triageRuleId]) {
+        const kept = getStagingTriageNote_(row[IDX.notes]);
+        if (kept) triageNotes.set(i, kept);
+      }
+
+      const untouched =
+        (!row[IDX.adminAction] || row[IDX.adminAction] === 'Review') &&
+        row[IDX.isPromoted] !== true &&
+        !row[IDX.mappedId] &&
+        !row[IDX.triageRuleId];
+
+      if (untouched) {
+
+        const hit = triage.evaluate(row[IDX.canon], row[IDX.entered]);
+
+        if (hit) {
+
+          triaged++;
+
+          row[IDX.adminAction] = hit.action;
+          if (hit.mapTo) row[IDX.mapTo] = hit.mapTo;
+
+          // Flags follow the triaged action directly (not reported as drift)
+          const flags = def.adminActions[hit.action];
+          if (flags) {
+            row[IDX.isApproved] = flags.approved;
+            row[IDX.isActive] = flags.active;
+            row[IDX.isArchived] = flags.archived;
+          }
+
+          row[IDX.triageRuleId] = hit.rule.id;
+          row[IDX.triagedAt] = new Date();
+          triageNotes.set(i, `${STAGING_TRIAGE_NOTE_PREFIX}${hit.rule.id} (${hit.rule.name}) → ${hit.action}`);
+
+          ETI_log_({
+            scriptName: SCRIPT_NAME,
+            functionName: FUNCTION_NAME,
+            sheetName: SRC_SHEET,
+            level: 'INFO',
+            rowNumber: i + 1,
+            action: 'AUTO_TRIAGE',
+            details: `Staging_ID=${stagingId}, Rule=${hit.rule.id} (${hit.rule.name}) → ${hit.action}, ${hit.detail}`
+          });
+        }
+      }
+
+      const admin = row[IDX.adminAction];
+
+      if (!admin) continue;
+
+      /* =========================
+         MAP TO EXISTING (NO PROMOTION)
+      ========================= */
+      if (admin === MAP_TO_EXISTING_ACTION) {
+
+        const result = applyMapToExisting_(row, IDX, IDX.status, lookupIds, timestamp);
+
+        if (!result.ok) {
+          invalid++;
+          ETI_log_({
+            scriptName: SCRIPT_NAME,
+            functionName: FUNCTION_NAME,
+            sheetName: SRC_SHEET,
+            level: 'WARN',
+            rowNumber: i + 1,
+            action: 'MAP_TO_EXISTING_INVALID',
+            details: `Staging_ID=${stagingId}, Reason=${result.reason}, Target=${row[IDX.mapTo]}`
+          });
+          continue;
+        }
+
+        mapped++;
+        aliasEntries.push(result.alias);
+
+        ETI_log_({
+          scriptName: SCRIPT_NAME,
+          functionName: FUNCTION_NAME,
+          sheetName: SRC_SHEET,
+          level: 'INFO',
+          rowNumber: i + 1,
+          action: 'MAP_TO_EXISTING',
+          details: `Staging_ID=${stagingId} → ${def.idColumn}=${result.alias.entityId}, Alias=${result.alias.canonical}`
+        });
+
+        continue;
+      }
+
+      /* =========================
+         ADMIN ACTION RULE
+      ========================= */
+      if (!Object.prototype.hasOwnProperty.call(def.adminActions, admin)) {
+        invalid++;
+        row[IDX.integrity] = 'INVALID_ADMIN_ACTION';
+        continue;
+      }
+
+      const expected = def.adminActions[admin];
+      const drift = [];
+
+      const repair = (idx, expectedVal, name) => {
+
+        const actual = row[idx];
+
+        if (actual !== expectedVal) {
+          drift.push(`${name} expected=${expectedVal} found=${actual}`);
+          row[idx] = expectedVal;
+        }
+      };
+
+      repair(IDX.isApproved, expected.approved, 'Is_Approved');
+      repair(IDX.isActive, expected.active, 'Is_Active');
+      repair(IDX.isArchived, expected.archived, 'Is_Archived');
+
+      const promoted = row[IDX.isPromoted];
+
+      const validState =
+        !(row[IDX.isActive] && row[IDX.isArchived]) &&
+        !(promoted && !row[IDX.isApproved]);
+
+      row[IDX.validState] = validState;
+
+      if (!validState) {
+        row[IDX.integrity] = 'INVALID_STATE';
+        invalid++;
+        continue;
+      }
+
+      row[IDX.pipelineReady] =
+        row[IDX.isApproved] &&
+        !promoted &&
+        validState;
+
+      let reviewStatus = 'Pending (Approval)';
+
+      if (promoted) reviewStatus = 'Promoted';
+      else if (row[IDX.isApproved]) reviewStatus = 'Pending (Promotion)';
+      else if (row[IDX.isArchived]) reviewStatus = 'Rejected';
+
+      row[IDX.actionStatus] = reviewStatus;
+
+      row[IDX.status] = promoted
+        ? deriveEntityPromotedStatus_(true, row[IDX.isActive], row[IDX.isArchived])
+        : deriveEntityStagingStatus_(row[IDX.isApproved], row[IDX.isActive], row[IDX.isArchived]);
+
+      row[IDX.entityOwner] =
+        promoted ? 'Lookup' : 'Staging';
+
+      if (drift.length > 0) {
+
+        repaired++;
+
+        row[IDX.notes] = `Integrity drift repaired: ${drift.join(' | ')} — ${timestamp}`;
+        row[IDX.integrity] = 'REPAIRED';
+
+        ETI_log_({
+          scriptName: SCRIPT_NAME,
+          functionName: FUNCTION_NAME,
+          sheetName: SRC_SHEET,
+          level: 'WARN',
+          action: 'DRIFT_REPAIR',
+          details: `Row=${i+1}, Staging_ID=${stagingId}, ${drift.join(' | ')}`
+        });
+
+      } else {
+
+        valid++;
+
+        row[IDX.integrity] = 'VALID';
+        row[IDX.notes] = `Integrity check passed — ${timestamp}`;
+      }
+    }
+
+    triageNotes.forEach((note, i) => {
+      data[i][IDX.notes] = withStagingTriageNote_(note, data[i][IDX.notes]);
+    });
+
+    /* =========================
+       WRITE BACK
+    ========================= */
+
+    if (data.length > 1) {
+      stgSh
+        .getRange(2,1,data.length-1,hdr.length)
+        .setValues(data.slice(1));
+    }
+
+    /* =========================
+       REGISTER ALIASES
+    ========================= */
+
+    const aliasesAdded = registerEntityAliases_(ss, entityType, aliasEntries);
+
+    /* =========================
+       SUMMARY
+    ========================= */
+
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      SRC_SHEET,
+      `Triaged=${triaged}, Valid=${valid}, Repaired=${repaired}, Invalid=${invalid}, Mapped=${mapped}, AliasesAdded=${aliasesAdded}, DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      SRC_SHEET,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// ENTITY: PROMOTE ACTIONED ROWS TO LOOKUP
+
+/**
+ * Script Name: runEntityPromotion_
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Promote staging rows into definition.lookupSheet exactly once.
+ * - Promotion authority = staging row (not canonical, not name).
+ * - Lineage: lookup.<lookupStagingIdColumn> ← staging ID,
+ *   staging.<mappedIdColumn> ← new lookup ID.
+ *
+ * Promotion Gate (ALL must be true):
+ *
+ *   Action_Review_Status = "Pending (Promotion)"
+ *   Is_Pipeline_ready    = TRUE
+ *   Is_Lookup_Promoted   = FALSE
+ *   approved or entered name present
+ *
+ * Promotion Results:
+ * - Lookup row inserted (name, canonical, flags, Is_Staging_Promoted,
+ *   Source_Type = STAGING_PROMOTION, new UUID, definition.promotionCopyColumns)
+ * - definition.humanIdColumn ← next <Prefix>-###### (reserveHumanIds_, one
+ *   counter move per run; rolled-back IDs are not reissued)
+ * - Staging row updated: Mapped ID, Is_Lookup_Promoted, Action_Review_Status,
+ *   Entity_Owner, Promotion_Label, Promoted_At, <Entity>_Status, Notes
+ * - Lookup rows and staging cell changes (old → new) recorded in
+ *   Promotion_Ledger under the run's Execution_ID (rollbackPromotion).
+ *
+ * Failure Modes:
+ * - Missing required sheet
+ * - Missing required column
+ */
+function runEntityPromotion_(entityType) {
+
+  const def = getEntityDefinition_(entityType);
+
+  /* =========================
+     CONFIG / CONSTANTS
+  ========================= */
+  const SCRIPT_NAME   = def.scriptName;
+  const FUNCTION_NAME = def.functionNames.promote;
+  const SRC_SHEET     = def.stagingSheet;
+  const TGT_SHEET     = def.lookupSheet;
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+    const ss    = SpreadsheetApp.getActiveSpreadsheet();
+    const stgSh = ss.getSheetByName(SRC_SHEET);
+
+    if (!stgSh || !ss.getSheetByName(TGT_SHEET)) {
+      throw new Error('Required sheet not found');
+    }
+
+    const lkSh = getOrCreateSheet_(ss, TGT_SHEET, [def.humanIdColumn]);
+
+    /* =========================
+       READ LOOKUP
+    ========================= */
+
+    const lkData = lkSh.getDataRange().getValues();
+    const lkHdr  = lkData[0];
+
+    const lookupColumns = {
+      name: def.lookupNameColumn,
+      canon: def.canonColumn,
+      isApproved: 'Is_Approved',
+      isActive: 'Is_Active',
+      isArchived: 'Is_Archived',
+      isStgPromoted: 'Is_Staging_Promoted',
+      sourceType: 'Source_Type',
+      createdAt: 'Created_At',
+      notes: 'Notes',
+      entityId: def.idColumn,
+      humanId: def.humanIdColumn,
+      stagingId: def.lookupStagingIdColumn
+    };
+
+    const IDX_LK = resolveEntityColumns_(lkHdr, lookupColumns, TGT_SHEET);
+
+    /* =========================
+       READ STAGING
+    ========================= */
+
+    const stgData = stgSh.getDataRange().getValues();
+    const stgHdr  = stgData[0];
+
+    const IDX_STG = resolveEntityColumns_(stgHdr, {
+      entered: def.enteredColumn,
+      approved: def.approvedColumn,
+      canon: def.canonColumn,
+      reviewStatus: 'Action_Review_Status',
+      pipelineReady: 'Is_Pipeline_ready',
+      isPromoted: 'Is_Lookup_Promoted',
+      stagingId: def.stagingIdColumn,
+      mappedId: def.mappedIdColumn,
+      notes: 'Notes',
+      isApproved: 'Is_Approved',
+      isActive: 'Is_Active',
+      isArchived: 'Is_Archived',
+      entityOwner: 'Entity_Owner',
+      promotionLabel: 'Promotion_Label',
+      promotedAt: 'Promoted_At',
+      status: def.statusColumn
+    }, SRC_SHEET);
+
+    // lookup column ← staging column, per definition.promotionCopyColumns
+    const IDX_COPY = Object.entries(def.promotionCopyColumns).map(([lkName, stgName]) => [
+      resolveEntityColumns_(lkHdr, { [lkName]: lkName }, TGT_SHEET)[lkName],
+      resolveEntityColumns_(stgHdr, { [stgName]: stgName }, SRC_SHEET)[stgName]
+    ]);
+
+    /* =========================
+       PROMOTION LOOP
+    ========================= */
+
+    const lookupAppendRows = [];
+    const stagingUpdates   = [];
+
+    let scanned = 0;
+    let promoted = 0;
+    let skipped = 0;
+
+    for (let i = 1; i < stgData.length; i++) {
+
+      scanned++;
+
+      const rowNum = i + 1;
+      const r = stgData[i];
+
+      if (r[IDX_STG.reviewStatus] !== 'Pending (Promotion)') { skipped++; continue; }
+      if (r[IDX_STG.pipelineReady] !== true) { skipped++; continue; }
+      if (r[IDX_STG.isPromoted] === true) { skipped++; continue; }
+
+      const finalName =
+        r[IDX_STG.approved] ||
+        r[IDX_STG.entered];
+
+      if (!finalName) { skipped++; continue; }
+
+      const canon = r[IDX_STG.canon] || '';
+      const stagingId = r[IDX_STG.stagingId];
+
+      const entityId = Utilities.getUuid();
+
+      const newLookupRow = new Array(lkHdr.length).fill('');
+
+      newLookupRow[IDX_LK.name]       = finalName;
+      newLookupRow[IDX_LK.canon]      = canon;
+      newLookupRow[IDX_LK.isApproved] = r[IDX_STG.isApproved];
+      newLookupRow[IDX_LK.isActive]   = r[IDX_STG.isActive];
+      newLookupRow[IDX_LK.isArchived] = r[IDX_STG.isArchived];
+
+      IDX_COPY.forEach(([lkIdx, stgIdx]) => { newLookupRow[lkIdx] = r[stgIdx]; });
+
+      newLookupRow[IDX_LK.isStgPromoted] = true;
+      newLookupRow[IDX_LK.sourceType] = 'STAGING_PROMOTION';
+      newLookupRow[IDX_LK.createdAt] = new Date();
+
+      newLookupRow[IDX_LK.entityId] = entityId;
+      newLookupRow[IDX_LK.stagingId] = stagingId;
+
+      newLookupRow[IDX_LK.notes] =
+        `Promoted from staging → Staging_ID=${stagingId}`;
+
+      lookupAppendRows.push(newLookupRow);
+
+      /* =========================
+         DERIVE PROMOTED STATUS
+      ========================= */
+
+      const promotedStatus = deriveEntityPromotedStatus_(
+        r[IDX_STG.isApproved],
+        r[IDX_STG.isActive],
+        r[IDX_STG.isArchived]
+      );
+
+      const existingNote = r[IDX_STG.notes] || '';
+
+      const newNote =
+        (existingNote ? existingNote + ' | ' : '') +
+        `Promoted to ${TGT_SHEET} → ${def.idColumn}=${entityId}`;
+
+      stagingUpdates.push({
+        row: rowNum,
+        stagingId,
+        mappedId: entityId,
+        note: newNote,
+        status: promotedStatus
+      });
+
+      /* =========================
+         LOG PER ROW (EVENT)
+      ========================= */
+
+      ETI_log_({
+        scriptName: SCRIPT_NAME,
+        functionName: FUNCTION_NAME,
+        sheetName: TGT_SHEET,
+        level: 'INFO',
+        action: 'PROMOTION',
+        details:
+          `Row=${rowNum}, Staging_ID=${stagingId}, ${def.label}_ID=${entityId}, ${def.label}_Name=${finalName}`
+      });
+
+      promoted++;
+    }
+
+    /* =========================
+       HUMAN IDS
+    ========================= */
+
+    const humanIds = reserveHumanIds_(
+      ss,
+      entityType,
+      def.humanIdPrefix,
+      lookupAppendRows.length,
+      lkData.slice(1).map(r => r[IDX_LK.humanId])
+    );
+
+    lookupAppendRows.forEach((row, k) => { row[IDX_LK.humanId] = humanIds[k]; });
+
+    /* =========================
+       WRITE LOOKUP
+    ========================= */
+
+    if (lookupAppendRows.length > 0) {
+
+      lkSh.getRange(
+        lkSh.getLastRow() + 1,
+        1,
+        lookupAppendRows.length,
+        lookupAppendRows[0].length
+      ).setValues(lookupAppendRows);
+    }
+
+    /* =========================
+       WRITE BACK STAGING
+    ========================= */
+
+    const executionId = getPromotionExecutionId_();
+    const ledgerEntries = [];
+
+    for (const u of stagingUpdates) {
+
+      const ledgerCtx = { entityType, executionId, stagingId: u.stagingId, entityId: u.mappedId };
+
+      ledgerEntries.push(
+        buildPromotionLedgerEntry_(ledgerCtx, 'LOOKUP_ROW_CREATED', TGT_SHEET, '', '', u.mappedId)
+      );
+
+      ledgerEntries.push(...writePromotionStagingCells_(stgSh, stgHdr, stgData[u.row - 1], u.row, {
+        [def.mappedIdColumn]: u.mappedId,
+        Is_Lookup_Promoted: true,
+        Action_Review_Status: 'Promoted',
+        Entity_Owner: 'Lookup',
+        Promotion_Label: 'Promoted',
+        Promoted_At: new Date(),
+        [def.statusColumn]: u.status,
+        Notes: u.note
+      }, ledgerCtx));
+    }
+
+    appendPromotionLedger_(ledgerEntries);
+
+    /* =========================
+       SUMMARY
+    ========================= */
+
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      `Scanned=${scanned}, Promoted=${promoted}, Skipped=${skipped}, ` +
+      (humanIds.length > 0 ? `HumanIDs=${humanIds[0]}..${humanIds[humanIds.length - 1]}, ` : '') +
+      `Execution_ID=${executionId}, DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// ENTITY: LOOKUP - ID BACKFILL / ORPHAN ID CLEANUP
+
+/**
+ * Script Name: runEntityIdBackfill_ / runEntityOrphanIdCleanup_
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Backfill: <Entity>_Name present AND <Entity>_ID_Machine blank → new UUID
+ *   (manual lookup insertions)
+ * - Cleanup:  <Entity>_Name blank AND <Entity>_ID_Machine present → clear ID
+ *
+ * Both run one pass over definition.lookupSheet through
+ * repairEntityLookupIds_ and write back in one batch.
+ *
+ * Failure Modes:
+ * - Sheet missing
+ * - Required column missing
+ */
+function runEntityIdBackfill_(entityType) {
+
+  const def = getEntityDefinition_(entityType);
+
+  return repairEntityLookupIds_(def, def.functionNames.backfill, 'Generated', (name, id) => {
+
+    if (!name || id) return null;
+
+    const newId = Utilities.getUuid();
+
+    return {
+      value: newId,
+      level: 'INFO',
+      action: 'GENERATE_ID',
+      details: `Generated ${def.idColumn}: ${newId}`
+    };
+  });
+}
+
+function runEntityOrphanIdCleanup_(entityType) {
+
+  const def = getEntityDefinition_(entityType);
+
+  return repairEntityLookupIds_(def, def.functionNames.cleanup, 'Cleared', (name, id) => {
+
+    if (name || !id) return null;
+
+    return {
+      value: '',
+      level: 'WARN',
+      action: 'CLEAR_ORPHAN_ID',
+      details: `${def.lookupNameColumn} missing; Cleared ${def.idColumn}: ${id}`
+    };
+  });
+}
+
+/*
+-------------------------------------
+Helper — Lookup ID Repair Pass
+-------------------------------------
+fixRow(name, id) → null (no change) | { value, level, action, details }
+*/
+function repairEntityLookupIds_(def, functionName, summaryLabel, fixRow) {
+
+  /* =========================
+     CONFIG / CONSTANTS
+  ========================= */
+  const SCRIPT_NAME   = def.scriptName;
+  const FUNCTION_NAME = functionName;
+  const SHEET_NAME    = def.lookupSheet;
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, SHEET_NAME);
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sh = ss.getSheetByName(SHEET_NAME);
+    if (!sh) throw new Error(`Sheet ${SHEET_NAME} not found`);
+
+    const range = sh.getDataRange();
+    const data  = range.getValues();
+
+    /* =========================
+       EXIT: NO DATA
+    ========================= */
+    if (data.length < 2) {
+
+      ETI_logExit_(
+        SCRIPT_NAME,
+        FUNCTION_NAME,
+        SHEET_NAME,
+        'No data rows found'
+      );
+
+      return;
+    }
+
+    /* =========================
+       HEADER MAPPING
+    ========================= */
+    const IDX = resolveEntityColumns_(data[0], {
+      name: def.lookupNameColumn,
+      entityId: def.idColumn
+    }, SHEET_NAME);
+
+    /* =========================
+       PROCESS LOOP
+    ========================= */
+    let changedCount = 0;
+    const output = data.map(r => r.slice());
+
+    for (let i = 1; i < output.length; i++) {
+
+      const fix = fixRow(output[i][IDX.name], output[i][IDX.entityId]);
+      if (!fix) continue;
+
+      output[i][IDX.entityId] = fix.value;
+      changedCount++;
+
+      /* =========================
+         LOG PER ROW
+      ========================= */
+      ETI_log_({
+        scriptName: SCRIPT_NAME,
+        functionName: FUNCTION_NAME,
+        sheetName: SHEET_NAME,
+        level: fix.level,
+        rowNumber: i + 1,
+        action: fix.action,
+        details: fix.details
+      });
+    }
+
+    /* =========================
+       WRITE BACK
+    ========================= */
+    range.setValues(output);
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      SHEET_NAME,
+      `${summaryLabel}=${changedCount}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, SHEET_NAME);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      SHEET_NAME,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
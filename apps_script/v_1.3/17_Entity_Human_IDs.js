@@ -0,0 +1,323 @@
+// HUMAN IDS - COUNTER CONTROL & ASSIGNMENT
+/*
+-------------------------------------
+Human-readable IDs next to the machine UUIDs (e.g. ITEM-000042)
+
+Counter_Control (script-owned)
+- One row per Entity_Key: ITEM, BRAND, PRODUCT, CATEGORY, PLATFORM, TXN
+- Total_Counter = last number issued for that key
+- Rows are created on first use
+
+Rules
+- Human ID = <Prefix>-<number padded to HUMAN_ID_PAD_LENGTH>
+- Issued once and never reused: rollbackPromotion, merges and deletes
+  leave gaps in the sequence
+- Counter floor = highest number already present in the target column,
+  so IDs issued earlier or typed by hand never collide
+- Counters move under the document lock (script lock when the project is
+  not container-bound). The controller holds the script lock for a whole
+  pipeline run; the document lock serialises counter writers (pipeline
+  steps, manual runs) with each other. The evaluator queue takes the same
+  document lock (20_Item_Buy_Evaluator_Scratchpad_Updater.js) but never
+  issues IDs
+
+Columns
+- Lookup sheets: ENTITY_DEFINITIONS[type].humanIdColumn, filled on promotion
+  (runEntityPromotion_)
+- Transaction_Raw: Txn_ID_Human (optional), filled by backfillTxnIDs_TransactionRaw
+- backfillHumanIDs_AllEntities fills rows created before this service
+  (replaces the vault prototype generateItemID_H)
+-------------------------------------
+*/
+const HUMAN_ID_COUNTER_SHEET = 'Counter_Control';
+
+const HUMAN_ID_COUNTER_SCHEMA = [
+  'Entity_Key',
+  'Prefix',
+  'Total_Counter',
+  'Updated_At',
+  'Notes'
+];
+
+const HUMAN_ID_PAD_LENGTH = 6;
+const HUMAN_ID_LOCK_TIMEOUT_MS = 30000;
+
+/*
+  Non-entity counters (entity counters are read from ENTITY_DEFINITIONS)
+*/
+const HUMAN_ID_TRANSACTION = {
+  key: 'TXN',
+  prefix: 'TXN',
+  sheet: 'Transaction_Raw',
+  idColumn: 'Txn_ID_Machine',
+  humanIdColumn: 'Txn_ID_Human'
+};
+
+/*
+-------------------------------------
+Helper — Format / Parse Human ID
+-------------------------------------
+*/
+function formatHumanId_(prefix, number){
+  return `${prefix}-${String(number).padStart(HUMAN_ID_PAD_LENGTH, '0')}`;
+}
+
+function parseHumanIdNumber_(prefix, value){
+
+  const m = String(value || '').trim().match(/^(.+)-(\d+)$/);
+  if (!m || m[1] !== prefix) return 0;
+
+  return Number(m[2]);
+}
+
+/*
+-------------------------------------
+Helper — Reserve Human IDs
+-------------------------------------
+Moves the Counter_Control counter of `key` by `count` under the document
+lock and returns the issued IDs in order.
+existingValues: human IDs already present in the target column (floor).
+Throws when the lock cannot be acquired within HUMAN_ID_LOCK_TIMEOUT_MS;
+nothing is issued in that case.
+*/
+function reserveHumanIds_(ss, key, prefix, count, existingValues){
+
+  if (!count) return [];
+
+  const lock = LockService.getDocumentLock() || LockService.getScriptLock();
+  lock.waitLock(HUMAN_ID_LOCK_TIMEOUT_MS);
+
+  try {
+
+    const sh = getOrCreateSheet_(ss, HUMAN_ID_COUNTER_SHEET, HUMAN_ID_COUNTER_SCHEMA);
+    const data = sh.getDataRange().getValues();
+    const hdr = data[0];
+
+    const IDX = resolveEntityColumns_(hdr, {
+      key: 'Entity_Key',
+      prefix: 'Prefix',
+      total: 'Total_Counter',
+      updatedAt: 'Updated_At'
+    }, HUMAN_ID_COUNTER_SHEET);
+
+    let rowIdx = data.findIndex((r, i) => i > 0 && r[IDX.key] === key);
+
+    if (rowIdx === -1) {
+
+      const entry = {
+        Entity_Key: key,
+        Prefix: prefix,
+        Total_Counter: 0,
+        Notes: 'Created by reserveHumanIds_'
+      };
+
+      data.push(hdr.map(h => (h in entry ? entry[h] : '')));
+      rowIdx = data.length - 1;
+    }
+
+    const row = data[rowIdx];
+
+    const floor = (existingValues || []).reduce(
+      (max, v) => Math.max(max, parseHumanIdNumber_(prefix, v)),
+      0
+    );
+
+    const start = Math.max(Number(row[IDX.total]) || 0, floor);
+    const ids = [];
+
+    for (let n = 1; n <= count; n++) ids.push(formatHumanId_(prefix, start + n));
+
+    row[IDX.total] = start + count;
+    row[IDX.updatedAt] = new Date();
+
+    sh.getRange(rowIdx + 1, 1, 1, hdr.length).setValues([row]);
+    SpreadsheetApp.flush();
+
+    return ids;
+
+  } finally {
+
+    lock.releaseLock();
+
+  }
+}
+
+/*
+-------------------------------------
+Helper — Assign Human IDs (in-memory column)
+-------------------------------------
+Rows with a machine ID and no human ID get the next IDs, in row order.
+Mutates nothing on the sheet: returns the human ID column for the caller
+to write in one batch.
+Returns { humanIdColumn, assigned, first, last }
+*/
+function assignHumanIds_(ss, key, prefix, data, idIdx, humanIdx){
+
+  const humanIdColumn = data.slice(1).map(r => [r[humanIdx]]);
+
+  const pending = [];
+  for (let i = 1; i < data.length; i++) {
+    if (data[i][idIdx] && !data[i][humanIdx]) pending.push(i);
+  }
+
+  const ids = reserveHumanIds_(ss, key, prefix, pending.length, humanIdColumn.map(c => c[0]));
+
+  pending.forEach((i, k) => { humanIdColumn[i - 1][0] = ids[k]; });
+
+  return {
+    humanIdColumn,
+    assigned: ids.length,
+    first: ids[0] || '',
+    last: ids[ids.length - 1] || ''
+  };
+}
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// HUMAN IDS: BACKFILL
+
+/**
+ * Script Name: backfillHumanIDs_AllEntities
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Give existing lookup rows (created before the human ID service, or
+ *   added by hand) and Transaction_Raw rows a human ID
+ * - Replaces the vault prototype generateItemID_H (items only, cell by cell)
+ *
+ * Scope:
+ * - Every ENTITY_DEFINITIONS entry with a humanIdColumn
+ *   (lookup sheet; the column is appended if missing)
+ * - Transaction_Raw when it has a Txn_ID_Human column
+ *   (AppSheet-owned sheet: the column is never created by script)
+ *
+ * Algorithm (Step-by-Step):
+ * 1. For each target sheet:
+ *    a. Rows with machine ID and blank human ID → next IDs (assignHumanIds_)
+ *    b. Write the human ID column back in one batch
+ * 2. Emit execution summary
+ *
+ * Failure Modes:
+ * - Required column missing
+ * - Counter lock timeout (nothing written for that sheet)
+ *
+ * Reason for Deprecation:
+ * - N/A
+ */
+function backfillHumanIDs_AllEntities() {
+
+  const SCRIPT_NAME   = 'Entities';
+  const FUNCTION_NAME = 'backfillHumanIDs_AllEntities';
+  const TGT_SHEET     = HUMAN_ID_COUNTER_SHEET;
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+    const targets = Object.keys(ENTITY_DEFINITIONS)
+      .filter(type => ENTITY_DEFINITIONS[type].humanIdColumn)
+      .map(type => ({
+        key: type,
+        prefix: ENTITY_DEFINITIONS[type].humanIdPrefix,
+        sheet: ENTITY_DEFINITIONS[type].lookupSheet,
+        idColumn: ENTITY_DEFINITIONS[type].idColumn,
+        humanIdColumn: ENTITY_DEFINITIONS[type].humanIdColumn,
+        createColumn: true
+      }));
+
+    targets.push(Object.assign({ createColumn: false }, HUMAN_ID_TRANSACTION));
+
+    const results = [];
+
+    for (const t of targets) {
+
+      if (!ss.getSheetByName(t.sheet)) {
+        results.push(`${t.key}=SKIPPED (no sheet)`);
+        continue;
+      }
+
+      /* =========================
+         STEP — HUMAN_IDS (per sheet)
+      ========================= */
+      ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, t.sheet, 'HUMAN_IDS');
+
+      const sh = t.createColumn
+        ? getOrCreateSheet_(ss, t.sheet, [t.humanIdColumn])
+        : ss.getSheetByName(t.sheet);
+
+      const data = sh.getDataRange().getValues();
+      const humanIdx = data[0].indexOf(t.humanIdColumn);
+
+      if (humanIdx === -1) {
+        results.push(`${t.key}=SKIPPED (no ${t.humanIdColumn})`);
+        ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, t.sheet, 'HUMAN_IDS', 'Skipped');
+        continue;
+      }
+
+      const IDX = resolveEntityColumns_(data[0], { entityId: t.idColumn }, t.sheet);
+      const res = assignHumanIds_(ss, t.key, t.prefix, data, IDX.entityId, humanIdx);
+
+      if (res.assigned > 0) {
+        sh.getRange(2, humanIdx + 1, res.humanIdColumn.length, 1)
+          .setValues(res.humanIdColumn);
+      }
+
+      results.push(
+        `${t.key}=${res.assigned}` + (res.assigned > 0 ? ` (${res.first}..${res.last})` : '')
+      );
+
+      ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, t.sheet, 'HUMAN_IDS', `Assigned=${res.assigned}`);
+    }
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      `Assigned: ${results.join(', ')} | DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
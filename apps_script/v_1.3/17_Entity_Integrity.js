@@ -0,0 +1,406 @@
+// ENTITY INTEGRITY - MAPPING GRAPH VALIDATOR
+/*
+-------------------------------------
+Referential integrity across lookup and mapping sheets
+(read-only: findings are reported, never repaired)
+
+Checks
+- DUPLICATE_IDENTITY  → lookup: same <Entity>_ID_Machine on several rows
+                        mapping: same identity key on several rows
+- DANGLING_ID         → mapping ID not found in the entity's lookup sheet
+                        (blank required IDs included)
+- ARCHIVED_REFERENCE  → active mapping row referencing an archived entity
+- ORPHAN_TRIPLE       → Mapping_Item_Brand_Product (Item, Brand) pair
+                        missing from Mapping_Item_Brand
+
+Integrity_Status (same vocabulary as the staging state machines)
+- DANGLING_ID, ORPHAN_TRIPLE              → INVALID_MAPPING
+- DUPLICATE_IDENTITY, ARCHIVED_REFERENCE  → INVALID_STATE
+- Sheet without findings                  → one VALID row
+
+Integrity_Report (script-owned) is rewritten on every run: it always
+shows the latest state of the graph.
+-------------------------------------
+*/
+const INTEGRITY_REPORT_SHEET = 'Integrity_Report';
+
+const INTEGRITY_REPORT_SCHEMA = [
+  'Checked_At',
+  'Execution_ID',
+  'Sheet_Name',
+  'Row_Number',
+  'Check',
+  'Integrity_Status',
+  'Entity_Type',
+  'Entity_ID',
+  'Identity_Key',
+  'Details'
+];
+
+const INTEGRITY_CHECK_STATUS = {
+  DUPLICATE_IDENTITY: 'INVALID_STATE',
+  DANGLING_ID: 'INVALID_MAPPING',
+  ARCHIVED_REFERENCE: 'INVALID_STATE',
+  ORPHAN_TRIPLE: 'INVALID_MAPPING'
+};
+
+/*
+  Mapping sheets walked by the validator
+  - refs: entity type → ID column; required = blank ID is a finding
+  - parent: identity columns that must exist as a row of another mapping sheet
+*/
+const INTEGRITY_MAPPING_SHEETS = [
+  {
+    sheet: 'Mapping_Item_Brand',
+    refs: [
+      { entityType: 'ITEM', column: 'Item_ID_Machine', required: true },
+      { entityType: 'BRAND', column: 'Brand_ID_Machine', required: true }
+    ]
+  },
+  {
+    sheet: 'Mapping_Item_Brand_Product',
+    refs: [
+      { entityType: 'ITEM', column: 'Item_ID_Machine', required: true },
+      { entityType: 'BRAND', column: 'Brand_ID_Machine', required: true },
+      { entityType: 'PRODUCT', column: 'Product_ID_Machine', required: true }
+    ],
+    parent: {
+      sheet: 'Mapping_Item_Brand',
+      columns: ['Item_ID_Machine', 'Brand_ID_Machine']
+    }
+  },
+  {
+    sheet: 'Mapping_Item_Category',
+    refs: [
+      { entityType: 'ITEM', column: 'Item_ID_Machine', required: true },
+      { entityType: 'CATEGORY', column: 'Category_ID_Machine', required: false }
+    ]
+  }
+];
+
+/*
+-------------------------------------
+Helper — Load Lookup Index
+-------------------------------------
+Returns { ids: Map(id → { archived }), duplicates: [{ id, rows }] } or null
+when the lookup sheet is missing.
+*/
+function loadIntegrityLookupIndex_(ss, entityType){
+
+  const def = getEntityDefinition_(entityType);
+  const sh = ss.getSheetByName(def.lookupSheet);
+  if (!sh) return null;
+
+  const data = sh.getDataRange().getValues();
+
+  const IDX = resolveEntityColumns_(data[0], { entityId: def.idColumn }, def.lookupSheet);
+  const archivedIdx = data[0].indexOf('Is_Archived');
+
+  const ids = new Map();
+  const rowsById = new Map();
+
+  for (let i = 1; i < data.length; i++) {
+
+    const id = data[i][IDX.entityId];
+    if (!id) continue;
+
+    if (!rowsById.has(id)) rowsById.set(id, []);
+    rowsById.get(id).push(i + 1);
+
+    const archived = archivedIdx !== -1 && data[i][archivedIdx] === true;
+
+    // Any live row keeps the ID live
+    ids.set(id, { archived: ids.has(id) ? ids.get(id).archived && archived : archived });
+  }
+
+  const duplicates = [];
+  rowsById.forEach((rows, id) => { if (rows.length > 1) duplicates.push({ id, rows }); });
+
+  return { ids, duplicates };
+}
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// ENTITY INTEGRITY: VALIDATE MAPPING GRAPH
+
+/**
+ * Script Name: validateMappingGraphIntegrity_AllSheets
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Verify the item / brand / product (and category) mapping graph against
+ *   the lookup sheets and report every broken reference in Integrity_Report
+ *
+ * Scope:
+ * - Lookups: ENTITY_DEFINITIONS ITEM, BRAND, PRODUCT, CATEGORY, PLATFORM
+ * - Mappings: INTEGRITY_MAPPING_SHEETS (missing sheets are skipped)
+ *
+ * Algorithm (Step-by-Step):
+ * 1. LOOKUPS  — index IDs and archived state per entity; report
+ *               duplicate IDs
+ * 2. MAPPINGS — per mapping row: dangling / blank IDs, archived entity
+ *               referenced by an active row, duplicate identity keys,
+ *               orphan triples (parent pair missing)
+ * 3. REPORT   — rewrite Integrity_Report; one VALID row per clean sheet
+ * 4. Log every finding with its Integrity_Status, emit summary
+ *
+ * Failure Modes:
+ * - Required column missing
+ *
+ * Reason for Deprecation:
+ * - N/A
+ */
+function validateMappingGraphIntegrity_AllSheets() {
+
+  const SCRIPT_NAME   = 'Entities';
+  const FUNCTION_NAME = 'validateMappingGraphIntegrity_AllSheets';
+  const TGT_SHEET     = INTEGRITY_REPORT_SHEET;
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const executionId = getExecutionContext_()?.execution_id || Utilities.getUuid();
+
+    const findings = [];
+    const checkedSheets = [];
+
+    const addFinding = (sheetName, rowNumber, check, entityType, entityId, identityKey, details) => {
+      findings.push({
+        Sheet_Name: sheetName,
+        Row_Number: rowNumber,
+        Check: check,
+        Integrity_Status: INTEGRITY_CHECK_STATUS[check],
+        Entity_Type: entityType,
+        Entity_ID: entityId,
+        Identity_Key: identityKey,
+        Details: details
+      });
+    };
+
+    /* =========================
+       STEP — LOOKUPS
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOOKUPS');
+
+    const lookups = {};
+
+    Object.keys(ENTITY_DEFINITIONS).forEach(type => {
+
+      const def = ENTITY_DEFINITIONS[type];
+      const index = loadIntegrityLookupIndex_(ss, type);
+
+      lookups[type] = index;
+      if (!index) return;
+
+      checkedSheets.push(def.lookupSheet);
+
+      index.duplicates.forEach(d => addFinding(
+        def.lookupSheet, d.rows[0], 'DUPLICATE_IDENTITY', type, d.id, d.id,
+        `${def.idColumn} on rows ${d.rows.join(', ')}`
+      ));
+    });
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOOKUPS', `Findings=${findings.length}`);
+
+    /* =========================
+       STEP — MAPPINGS
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'MAPPINGS');
+
+    const identityKeys = {};
+    const pending = [];
+
+    INTEGRITY_MAPPING_SHEETS.forEach(cfg => {
+
+      const sh = ss.getSheetByName(cfg.sheet);
+      if (!sh) return;
+
+      checkedSheets.push(cfg.sheet);
+
+      const data = sh.getDataRange().getValues();
+      const hdr = data[0];
+
+      const cols = {};
+      cfg.refs.forEach(ref => { cols[ref.entityType] = ref.column; });
+
+      const IDX = resolveEntityColumns_(hdr, cols, cfg.sheet);
+      const activeIdx = hdr.indexOf('Is_Mapping_Active');
+      const archivedIdx = hdr.indexOf('Is_Archived');
+
+      const keys = new Map();
+
+      for (let i = 1; i < data.length; i++) {
+
+        const r = data[i];
+        const rowNumber = i + 1;
+
+        const isActive =
+          (activeIdx === -1 || r[activeIdx] !== false) &&
+          (archivedIdx === -1 || r[archivedIdx] !== true);
+
+        const ids = cfg.refs.map(ref => r[IDX[ref.entityType]]);
+        const identityKey = ids.join('||');
+
+        cfg.refs.forEach((ref, k) => {
+
+          const id = ids[k];
+          const lookup = lookups[ref.entityType];
+
+          if (!id) {
+            if (ref.required) {
+              addFinding(cfg.sheet, rowNumber, 'DANGLING_ID', ref.entityType, '', identityKey, `${ref.column} blank`);
+            }
+            return;
+          }
+
+          if (!lookup) return;
+
+          const entity = lookup.ids.get(id);
+
+          if (!entity) {
+            addFinding(cfg.sheet, rowNumber, 'DANGLING_ID', ref.entityType, id, identityKey,
+              `${ref.column} not found in ${ENTITY_DEFINITIONS[ref.entityType].lookupSheet}`);
+            return;
+          }
+
+          if (entity.archived && isActive) {
+            addFinding(cfg.sheet, rowNumber, 'ARCHIVED_REFERENCE', ref.entityType, id, identityKey,
+              `Active mapping references archived ${ENTITY_DEFINITIONS[ref.entityType].label}`);
+          }
+        });
+
+        if (ids.every(Boolean)) {
+          if (!keys.has(identityKey)) keys.set(identityKey, []);
+          keys.get(identityKey).push(rowNumber);
+        }
+
+        if (cfg.parent) {
+          const parentIds = cfg.parent.columns.map(c => r[hdr.indexOf(c)]);
+          if (parentIds.every(Boolean)) {
+            pending.push({ cfg, rowNumber, parentKey: parentIds.join('||'), identityKey });
+          }
+        }
+      }
+
+      keys.forEach((rows, key) => {
+        if (rows.length > 1) {
+          addFinding(cfg.sheet, rows[0], 'DUPLICATE_IDENTITY', '', '', key, `Identity on rows ${rows.join(', ')}`);
+        }
+      });
+
+      identityKeys[cfg.sheet] = keys;
+    });
+
+    // Orphans need every parent sheet indexed first
+    pending.forEach(p => {
+
+      const parentKeys = identityKeys[p.cfg.parent.sheet];
+      if (!parentKeys || parentKeys.has(p.parentKey)) return;
+
+      addFinding(p.cfg.sheet, p.rowNumber, 'ORPHAN_TRIPLE', '', '', p.identityKey,
+        `(${p.cfg.parent.columns.join(', ')}) = ${p.parentKey} missing from ${p.cfg.parent.sheet}`);
+    });
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'MAPPINGS', `Findings=${findings.length}`);
+
+    /* =========================
+       STEP — REPORT
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'REPORT');
+
+    checkedSheets
+      .filter(name => !findings.some(f => f.Sheet_Name === name))
+      .forEach(name => findings.push({
+        Sheet_Name: name,
+        Check: 'ALL',
+        Integrity_Status: 'VALID',
+        Details: 'No findings'
+      }));
+
+    const checkedAt = new Date();
+
+    const reportSh = getOrCreateSheet_(ss, TGT_SHEET, INTEGRITY_REPORT_SCHEMA);
+    const hdr = reportSh.getRange(1, 1, 1, reportSh.getLastColumn()).getValues()[0];
+
+    const rows = findings.map(f => {
+      const entry = Object.assign({ Checked_At: checkedAt, Execution_ID: executionId }, f);
+      return hdr.map(h => (h in entry ? entry[h] : ''));
+    });
+
+    if (reportSh.getLastRow() > 1) {
+      reportSh.getRange(2, 1, reportSh.getLastRow() - 1, hdr.length).clearContent();
+    }
+
+    if (rows.length > 0) {
+      reportSh.getRange(2, 1, rows.length, hdr.length).setValues(rows);
+    }
+
+    findings
+      .filter(f => f.Integrity_Status !== 'VALID')
+      .forEach(f => ETI_log_({
+        scriptName: SCRIPT_NAME,
+        functionName: FUNCTION_NAME,
+        sheetName: f.Sheet_Name,
+        level: 'WARN',
+        rowNumber: f.Row_Number,
+        action: f.Integrity_Status,
+        details: `Check=${f.Check}, Entity=${f.Entity_Type || '-'}:${f.Entity_ID || '-'}, Key=${f.Identity_Key}, ${f.Details}`
+      }));
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'REPORT', `Rows=${rows.length}`);
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const count = check => findings.filter(f => f.Check === check).length;
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      `Sheets=${checkedSheets.length}, Dangling=${count('DANGLING_ID')}, Orphans=${count('ORPHAN_TRIPLE')}, ` +
+      `ArchivedRefs=${count('ARCHIVED_REFERENCE')}, Duplicates=${count('DUPLICATE_IDENTITY')}, ` +
+      `Execution_ID=${executionId}, DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
@@ -0,0 +1,198 @@
+// ENTITY MATCHING - SIMILARITY ENGINE
+/*
+-------------------------------------
+Fuzzy matching for staging intake (items / brands / products)
+
+Every name is normalised (lower-case, punctuation → space) and token-sorted
+before scoring, so word order never matters ("milk toned" = "toned milk").
+
+Score (0..1) = average of
+- Edit distance ratio      → 1 − Levenshtein / max length   (typos: "tonned")
+- Character 3-gram overlap → Dice coefficient                (partial words)
+
+Candidates scoring ≥ min score are ranked; the top FUZZY_MATCH_TOP_N are
+written into the Suggested_Match columns of the staging row.
+-------------------------------------
+*/
+const FUZZY_MATCH_TOP_N = 3;
+const FUZZY_MATCH_DEFAULT_MIN_SCORE = 0.75;
+
+const FUZZY_SUGGESTION_SCHEMA = [
+  'Suggested_Match_ID',
+  'Suggested_Match_Name',
+  'Suggested_Match_Score',
+  'Suggested_Match_Source',
+  'Suggested_Matches'
+];
+
+/*
+-------------------------------------
+Helper — Minimum Score (Automation_Control.Fuzzy_Match_Min_Score)
+-------------------------------------
+*/
+function getFuzzyMatchMinScore_(){
+  const v = Number(getAutomationSwitchMap_()["Fuzzy_Match_Min_Score"]);
+  return v > 0 && v <= 1 ? v : FUZZY_MATCH_DEFAULT_MIN_SCORE;
+}
+
+/*
+-------------------------------------
+Helper — Normalise / Token Sort
+-------------------------------------
+*/
+function normalizeMatchText_(value){
+  return String(value === null || value === undefined ? '' : value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function tokenSortMatchText_(value){
+  return normalizeMatchText_(value)
+    .split(' ')
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+}
+
+/*
+-------------------------------------
+Helper — Edit Distance Ratio
+-------------------------------------
+*/
+function levenshteinRatio_(a, b){
+
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+
+  let prev = new Array(b.length + 1);
+  for (let j = 0; j <= b.length; j++) prev[j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+
+    const cur = [i];
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+    }
+
+    prev = cur;
+  }
+
+  return 1 - prev[b.length] / Math.max(a.length, b.length);
+}
+
+/*
+-------------------------------------
+Helper — Character N-Grams / Dice Coefficient
+-------------------------------------
+*/
+function buildNgrams_(value, n){
+
+  const padded = ` ${value} `;
+  const grams = new Map();
+
+  for (let i = 0; i <= padded.length - n; i++) {
+    const g = padded.substr(i, n);
+    grams.set(g, (grams.get(g) || 0) + 1);
+  }
+
+  return grams;
+}
+
+function ngramDice_(gramsA, gramsB){
+
+  let total = 0;
+  let overlap = 0;
+
+  gramsA.forEach(c => { total += c; });
+  gramsB.forEach(c => { total += c; });
+
+  gramsA.forEach((c, g) => {
+    if (gramsB.has(g)) overlap += Math.min(c, gramsB.get(g));
+  });
+
+  return total === 0 ? 0 : (2 * overlap) / total;
+}
+
+/*
+-------------------------------------
+Helper — Build Fuzzy Matcher
+-------------------------------------
+candidates: [{ id, name, source }]
+Returns {
+  add(candidate),
+  match(text, minScore, topN) → [{ id, name, source, score }] (best first)
+}
+*/
+function buildFuzzyMatcher_(candidates){
+
+  const prepared = [];
+
+  const add = c => {
+
+    const key = tokenSortMatchText_(c.name);
+    if (!c.id || !key) return;
+
+    prepared.push({
+      id: c.id,
+      name: c.name,
+      source: c.source,
+      key,
+      grams: buildNgrams_(key, 3)
+    });
+  };
+
+  (candidates || []).forEach(add);
+
+  const match = (text, minScore, topN) => {
+
+    const key = tokenSortMatchText_(text);
+    if (!key) return [];
+
+    const grams = buildNgrams_(key, 3);
+    const bestById = new Map();
+
+    prepared.forEach(p => {
+
+      const score = p.key === key
+        ? 1
+        : (levenshteinRatio_(key, p.key) + ngramDice_(grams, p.grams)) / 2;
+
+      if (score < minScore) return;
+
+      const existing = bestById.get(p.id);
+      if (!existing || existing.score < score) {
+        bestById.set(p.id, { id: p.id, name: p.name, source: p.source, score });
+      }
+    });
+
+    return Array.from(bestById.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topN || FUZZY_MATCH_TOP_N)
+      .map(m => Object.assign(m, { score: Math.round(m.score * 1000) / 1000 }));
+  };
+
+  return { add, match };
+}
+
+/*
+-------------------------------------
+Helper — Suggestion Values (FUZZY_SUGGESTION_SCHEMA order)
+-------------------------------------
+*/
+function toFuzzySuggestionValues_(matches){
+
+  if (!matches || matches.length === 0) return ['', '', '', '', ''];
+
+  const top = matches[0];
+
+  return [
+    top.id,
+    top.name,
+    top.score,
+    top.source,
+    matches.map(m => `${m.name} [${m.source}] (${m.score})`).join('; ')
+  ];
+}
@@ -0,0 +1,1000 @@
+// ENTITY MERGE - TABLES & REPOINT HELPERS
+/*
+-------------------------------------
+Merge two lookup rows of the same entity type
+(items / brands / products / categories / platforms)
+
+Entity_Merge_Review (admin-driven, script-owned)
+- One row per requested merge: Entity_Type, Survivor_ID, Loser_ID
+- Admin_Action = Merge   → processed on next run (Pending → Merged / Invalid)
+- Admin_Action = Unmerge → reverses a Merged row (Merged → Unmerged)
+
+Merge effects
+- Loser lookup row: Merged_Into = Survivor_ID, Is_Active = FALSE,
+  Is_Archived = TRUE, <Entity>_Name_Canonical cleared (row is kept,
+  never deleted; written in one batch)
+- Loser name / canonical registered as aliases of the survivor (Source = MERGE)
+- Every literal loser reference in ENTITY_MERGE_REFERENCES is rewritten
+  to the survivor
+- Formula-owned IDs (Transaction_Resolution <Entity>_ID_Machine) stop
+  resolving to the loser once its canonical is cleared; the loser spelling
+  then resolves through the survivor alias into <Entity>_ID_Alias
+  (resolveEntityAliases_TransactionResolution, next transaction pipeline)
+- Each change is logged (MERGE_ARCHIVE_LOSER / MERGE_REPOINT) and recorded
+  in Entity_Merge_Ledger (Logs spreadsheet), which Unmerge replays
+
+Entity_Merge_Ledger (append-only, one record per change)
+- LOOKUP_CELL_CHANGED  → loser lookup cell (Old_Value → New_Value)
+- REFERENCE_REPOINTED  → reference cell, located by Row_Key_Column /
+                         Row_Key (ENTITY_MERGE_ROW_KEYS), else Row_Number
+- ALIAS_ADDED          → survivor alias added by the merge (Row_Key = Alias_ID)
+Reversal_Status: blank → REVERSED / SKIPPED
+-------------------------------------
+*/
+const ENTITY_MERGE_REVIEW_SHEET = 'Entity_Merge_Review';
+
+const ENTITY_MERGE_REVIEW_SCHEMA = [
+  'Merge_ID',
+  'Entity_Type',
+  'Survivor_ID',
+  'Loser_ID',
+  'Admin_Action',
+  'Merge_Status',
+  'Cells_Rewritten',
+  'Requested_At',
+  'Merged_At',
+  'Execution_ID',
+  'Notes'
+];
+
+const ENTITY_MERGE_LOOKUP_SCHEMA = [
+  'Merged_Into',
+  'Merged_At'
+];
+
+const ENTITY_MERGE_LEDGER_SHEET = 'Entity_Merge_Ledger';
+
+const ENTITY_MERGE_LEDGER_SCHEMA = [
+  'Ledger_ID',
+  'Merge_ID',
+  'Entity_Type',
+  'Record_Type',
+  'Sheet_Name',
+  'Row_Key_Column',
+  'Row_Key',
+  'Row_Number',
+  'Column_Name',
+  'Old_Value',
+  'New_Value',
+  'Recorded_At',
+  'Reversal_Status',
+  'Reversed_At',
+  'Reversal_Notes'
+];
+
+/*
+  Sheet → columns holding entity IDs, per entity type
+*/
+const ENTITY_MERGE_REFERENCES = {
+  ITEM: {
+    'Transaction_Resolution': ['Item_ID_Machine', 'Item_ID_Alias'],
+    'Mapping_Item_Brand': ['Item_ID_Machine'],
+    'Mapping_Item_Brand_Product': ['Item_ID_Machine'],
+    'Staging_Lookup_Items': ['Mapped_Item_ID_Machine', 'Map_To_Item_ID_Machine'],
+    'Staging_Lookup_Brands': ['Source_Item_ID_Machine'],
+    'Staging_Lookup_Products': ['Source_Item_ID_Machine'],
+    'Lookup_Item_Aliases': ['Item_ID_Machine']
+  },
+  BRAND: {
+    'Transaction_Resolution': ['Brand_ID_Machine', 'Brand_ID_Alias'],
+    'Mapping_Item_Brand': ['Brand_ID_Machine'],
+    'Mapping_Item_Brand_Product': ['Brand_ID_Machine'],
+    'Staging_Lookup_Brands': ['Mapped_Brand_ID_Machine', 'Map_To_Brand_ID_Machine'],
+    'Lookup_Brand_Aliases': ['Brand_ID_Machine']
+  },
+  PRODUCT: {
+    'Transaction_Resolution': ['Product_ID_Machine', 'Product_ID_Alias'],
+    'Mapping_Item_Brand_Product': ['Product_ID_Machine'],
+    'Staging_Lookup_Products': ['Mapped_Product_ID_Machine', 'Map_To_Product_ID_Machine', 'Source_Product_ID_Machine'],
+    'Staging_Lookup_Brands': ['Source_Product_ID_Machine'],
+    'Lookup_Product_Aliases': ['Product_ID_Machine']
+  },
+  CATEGORY: {
+    'Mapping_Item_Category': ['Category_ID_Machine'],
+    'Staging_Lookup_Categories': ['Mapped_Category_ID_Machine', 'Map_To_Category_ID_Machine', 'Parent_Category_ID_Machine'],
+    'Lookup_Categories': ['Parent_Category_ID_Machine'],
+    'Lookup_Category_Aliases': ['Category_ID_Machine']
+  },
+  PLATFORM: {
+    'Transaction_Resolution': ['Platform_ID_Machine'],
+    'Item_Buy_Evaluate': ['Platform_ID_Machine'],
+    'Item_Evaluation_Log': ['Platform_ID_Machine'],
+    'Staging_Lookup_Platforms': ['Mapped_Platform_ID_Machine', 'Map_To_Platform_ID_Machine'],
+    'Lookup_Platform_Aliases': ['Platform_ID_Machine']
+  }
+};
+
+/*
+  Sheet → column identifying a row independently of its position
+  (used by Unmerge; sheets not listed fall back to Row_Number)
+*/
+const ENTITY_MERGE_ROW_KEYS = {
+  'Transaction_Resolution': 'Txn_ID_Machine',
+  'Mapping_Item_Brand': 'First_Seen_Txn_ID',
+  'Mapping_Item_Brand_Product': 'First_Seen_Txn_ID',
+  'Mapping_Item_Category': 'Mapping_ID',
+  'Staging_Lookup_Items': 'Staging_Item_ID_Machine',
+  'Staging_Lookup_Brands': 'Staging_Brand_ID_Machine',
+  'Staging_Lookup_Products': 'Staging_Product_ID_Machine',
+  'Staging_Lookup_Categories': 'Staging_Category_ID_Machine',
+  'Staging_Lookup_Platforms': 'Staging_Platform_ID_Machine',
+  'Lookup_Categories': 'Category_ID_Machine',
+  'Lookup_Item_Aliases': 'Alias_ID',
+  'Lookup_Brand_Aliases': 'Alias_ID',
+  'Lookup_Product_Aliases': 'Alias_ID',
+  'Lookup_Category_Aliases': 'Alias_ID',
+  'Lookup_Platform_Aliases': 'Alias_ID',
+  'Item_Buy_Evaluate': 'Evaluation_ID',
+  'Item_Evaluation_Log': 'Evaluation_ID'
+};
+
+/*
+  Mapping sheets → key columns (duplicate pairs checked after a merge)
+*/
+const ENTITY_MERGE_MAPPING_KEYS = {
+  'Mapping_Item_Brand': ['Item_ID_Machine', 'Brand_ID_Machine'],
+  'Mapping_Item_Brand_Product': ['Item_ID_Machine', 'Brand_ID_Machine', 'Product_ID_Machine']
+};
+
+/*
+-------------------------------------
+Helper — Merge Ledger Entry
+-------------------------------------
+ctx: { mergeId, entityType }
+*/
+function buildEntityMergeLedgerEntry_(ctx, recordType, sheetName, rowKeyColumn, rowKey, rowNumber, columnName, oldValue, newValue){
+  return {
+    Ledger_ID: Utilities.getUuid(),
+    Merge_ID: ctx.mergeId,
+    Entity_Type: ctx.entityType,
+    Record_Type: recordType,
+    Sheet_Name: sheetName,
+    Row_Key_Column: rowKeyColumn || '',
+    Row_Key: rowKey === undefined ? '' : rowKey,
+    Row_Number: rowNumber || '',
+    Column_Name: columnName || '',
+    Old_Value: oldValue === undefined ? '' : oldValue,
+    New_Value: newValue === undefined ? '' : newValue,
+    Recorded_At: new Date()
+  };
+}
+
+/*
+-------------------------------------
+Helper — Append Merge Ledger Entries (Logs spreadsheet)
+-------------------------------------
+*/
+function appendEntityMergeLedger_(entries){
+
+  if (!entries || entries.length === 0) return;
+
+  const sh = getOrCreateSheet_(getLogsSpreadsheet_(), ENTITY_MERGE_LEDGER_SHEET, ENTITY_MERGE_LEDGER_SCHEMA);
+  const hdr = sh.getRange(1, 1, 1, sh.getLastColumn()).getValues()[0];
+
+  const rows = entries.map(e => hdr.map(h => (h in e ? e[h] : '')));
+
+  sh.getRange(sh.getLastRow() + 1, 1, rows.length, hdr.length)
+    .setValues(rows);
+}
+
+/*
+-------------------------------------
+Helper — Write Changed Cells (one column)
+-------------------------------------
+rows: 0-based indexes into values (header = 0) of the cells to write.
+Adjacent rows are written as one range; every other cell of the column
+(formulas included) is left untouched.
+*/
+function writeEntityMergeCells_(sh, values, c, rows){
+
+  const sorted = Array.from(new Set(rows)).sort((a, b) => a - b);
+
+  let k = 0;
+
+  while (k < sorted.length) {
+
+    let end = k;
+    while (end + 1 < sorted.length && sorted[end + 1] === sorted[end] + 1) end++;
+
+    sh.getRange(sorted[k] + 1, c + 1, end - k + 1, 1)
+      .setValues(sorted.slice(k, end + 1).map(i => [values[i][c]]));
+
+    k = end + 1;
+  }
+}
+
+/*
+-------------------------------------
+Helper — Write Lookup Row (formulas kept)
+-------------------------------------
+Writes one lookup row in a single call; cells holding a formula that the
+caller did not change are written back as the formula.
+*/
+function writeEntityMergeLookupRow_(sh, rowNum, row, originalRow){
+
+  const formulas = sh.getRange(rowNum, 1, 1, row.length).getFormulas()[0];
+
+  const out = row.map((v, c) =>
+    formulas[c] && v === originalRow[c] ? formulas[c] : v
+  );
+
+  sh.getRange(rowNum, 1, 1, out.length).setValues([out]);
+}
+
+/*
+-------------------------------------
+Helper — Repoint References (one sheet)
+-------------------------------------
+- Rewrites cells equal to loserId in the given columns to survivorId
+- Formula cells are never overwritten; they are counted and logged
+  (MERGE_REFERENCE_FORMULA) and re-resolve through the survivor alias
+  once the loser canonical is cleared
+- Only the rewritten cells are written back (writeEntityMergeCells_)
+- Every rewritten cell is pushed to ledgerEntries (REFERENCE_REPOINTED);
+  logCtx carries mergeId and entityType
+Returns { rewritten, formulaRefs }
+*/
+function repointEntityReferences_(ss, sheetName, columns, loserId, survivorId, logCtx, ledgerEntries){
+
+  const result = { rewritten: 0, formulaRefs: 0 };
+
+  const sh = ss.getSheetByName(sheetName);
+  if (!sh || sh.getLastRow() < 2) return result;
+
+  const range = sh.getDataRange();
+  const values = range.getValues();
+  const formulas = range.getFormulas();
+  const hdr = values[0];
+
+  const keyColumn = ENTITY_MERGE_ROW_KEYS[sheetName] || '';
+  const keyIdx = keyColumn ? hdr.indexOf(keyColumn) : -1;
+
+  columns.forEach(colName => {
+
+    const c = hdr.indexOf(colName);
+    if (c === -1) return;
+
+    const changedRows = [];
+
+    for (let i = 1; i < values.length; i++) {
+
+      if (String(values[i][c]) !== loserId) continue;
+
+      if (formulas[i][c]) {
+
+        result.formulaRefs++;
+
+        ETI_log_({
+          scriptName: logCtx.scriptName,
+          functionName: logCtx.functionName,
+          sheetName,
+          level: 'WARN',
+          rowNumber: i + 1,
+          action: 'MERGE_REFERENCE_FORMULA',
+          details: `Merge_ID=${logCtx.mergeId}, Column=${colName}, Value=${loserId} (formula cell not rewritten)`
+        });
+
+        continue;
+      }
+
+      values[i][c] = survivorId;
+      changedRows.push(i);
+      result.rewritten++;
+
+      ledgerEntries.push(buildEntityMergeLedgerEntry_(
+        logCtx, 'REFERENCE_REPOINTED', sheetName,
+        keyIdx === -1 ? '' : keyColumn,
+        keyIdx === -1 ? '' : values[i][keyIdx],
+        i + 1, colName, loserId, survivorId
+      ));
+
+      ETI_log_({
+        scriptName: logCtx.scriptName,
+        functionName: logCtx.functionName,
+        sheetName,
+        level: 'INFO',
+        rowNumber: i + 1,
+        action: 'MERGE_REPOINT',
+        details: `Merge_ID=${logCtx.mergeId}, Column=${colName}, Old=${loserId}, New=${survivorId}`
+      });
+    }
+
+    writeEntityMergeCells_(sh, values, c, changedRows);
+  });
+
+  return result;
+}
+
+/*
+-------------------------------------
+Helper — Flag Duplicate Mapping Keys
+-------------------------------------
+A merge can turn two mapping rows into the same key; rows are kept and
+logged (MERGE_DUPLICATE_MAPPING) for admin review.
+Returns number of duplicate rows found.
+*/
+function logDuplicateMappingKeys_(ss, sheetName, keyColumns, survivorId, logCtx){
+
+  const sh = ss.getSheetByName(sheetName);
+  if (!sh || sh.getLastRow() < 2) return 0;
+
+  const data = sh.getDataRange().getValues();
+  const idx = keyColumns.map(c => data[0].indexOf(c));
+  if (idx.indexOf(-1) !== -1) return 0;
+
+  const firstRowByKey = new Map();
+  let duplicates = 0;
+
+  for (let i = 1; i < data.length; i++) {
+
+    const parts = idx.map(c => String(data[i][c]));
+    if (parts.indexOf(survivorId) === -1) continue;
+
+    const key = parts.join('||');
+
+    if (!firstRowByKey.has(key)) {
+      firstRowByKey.set(key, i + 1);
+      continue;
+    }
+
+    duplicates++;
+
+    ETI_log_({
+      scriptName: logCtx.scriptName,
+      functionName: logCtx.functionName,
+      sheetName,
+      level: 'WARN',
+      rowNumber: i + 1,
+      action: 'MERGE_DUPLICATE_MAPPING',
+      details: `Merge_ID=${logCtx.mergeId}, Key=${key} duplicates Row=${firstRowByKey.get(key)}`
+    });
+  }
+
+  return duplicates;
+}
+
+/*
+-------------------------------------
+Helper — Merge Lookup Columns
+-------------------------------------
+Ensures the merge columns exist and resolves the lookup indexes.
+Returns { lkSh, lkData, IDX_LK }
+*/
+function loadEntityMergeLookup_(ss, cfg){
+
+  if (!ss.getSheetByName(cfg.lookupSheet)) throw new Error(`Sheet ${cfg.lookupSheet} not found`);
+
+  const lkSh = getOrCreateSheet_(ss, cfg.lookupSheet, ENTITY_MERGE_LOOKUP_SCHEMA);
+
+  const lkData = lkSh.getDataRange().getValues();
+  const lkHdr = lkData[0];
+  const lkCol = n => lkHdr.indexOf(n);
+
+  const IDX_LK = {
+    id: lkCol(cfg.idColumn),
+    name: lkCol(cfg.lookupNameColumn),
+    canon: lkCol(cfg.canonColumn),
+    isActive: lkCol('Is_Active'),
+    isArchived: lkCol('Is_Archived'),
+    mergedInto: lkCol('Merged_Into'),
+    mergedAt: lkCol('Merged_At'),
+    notes: lkCol('Notes')
+  };
+
+  for (const [k,v] of Object.entries(IDX_LK)) {
+    if (v === -1) throw new Error(`${cfg.lookupSheet} missing column: ${k}`);
+  }
+
+  return { lkSh, lkData, IDX_LK };
+}
+
+/*
+-------------------------------------
+Helper — Merge One Pair
+-------------------------------------
+Validates the pair against the lookup sheet, archives the loser (one
+batch write), registers loser names as survivor aliases and repoints
+every reference. All changes are recorded in Entity_Merge_Ledger.
+Returns { ok, reason, rewritten, formulaRefs }
+*/
+function mergeLookupEntity_(ss, entityType, survivorId, loserId, logCtx){
+
+  const cfg = ENTITY_DEFINITIONS[entityType];
+  const refs = ENTITY_MERGE_REFERENCES[entityType];
+
+  if (!cfg || !refs) return { ok: false, reason: `Unknown Entity_Type: ${entityType}` };
+  if (!survivorId || !loserId) return { ok: false, reason: 'Survivor_ID and Loser_ID are required' };
+  if (survivorId === loserId) return { ok: false, reason: 'Survivor_ID equals Loser_ID' };
+
+  const { lkSh, lkData, IDX_LK } = loadEntityMergeLookup_(ss, cfg);
+
+  let survivorIdx = -1;
+  let loserIdx = -1;
+
+  for (let i = 1; i < lkData.length; i++) {
+    const id = String(lkData[i][IDX_LK.id]);
+    if (id === survivorId) survivorIdx = i;
+    if (id === loserId) loserIdx = i;
+  }
+
+  if (survivorIdx === -1) return { ok: false, reason: `Survivor_ID not found in ${cfg.lookupSheet}` };
+  if (loserIdx === -1) return { ok: false, reason: `Loser_ID not found in ${cfg.lookupSheet}` };
+  if (lkData[survivorIdx][IDX_LK.mergedInto]) return { ok: false, reason: 'Survivor_ID is itself merged' };
+  if (lkData[loserIdx][IDX_LK.mergedInto]) return { ok: false, reason: 'Loser_ID already merged' };
+
+  const ledgerCtx = { mergeId: logCtx.mergeId, entityType };
+  const ledgerEntries = [];
+
+  /* ---- Archive loser (one row write, each cell logged) ---- */
+  const loserRow = lkData[loserIdx].slice();
+  const rowNum = loserIdx + 1;
+
+  const loserName = loserRow[IDX_LK.name];
+  const loserCanon = loserRow[IDX_LK.canon];
+
+  const loserUpdates = [
+    [IDX_LK.mergedInto, 'Merged_Into', survivorId],
+    [IDX_LK.mergedAt, 'Merged_At', new Date()],
+    [IDX_LK.isActive, 'Is_Active', false],
+    [IDX_LK.isArchived, 'Is_Archived', true],
+    [IDX_LK.canon, cfg.canonColumn, ''],
+    [IDX_LK.notes, 'Notes', `Merged into ${survivorId} (Merge_ID=${logCtx.mergeId})`]
+  ];
+
+  loserUpdates.forEach(([c, colName, value]) => {
+
+    const old = loserRow[c];
+    loserRow[c] = value;
+
+    ledgerEntries.push(buildEntityMergeLedgerEntry_(
+      ledgerCtx, 'LOOKUP_CELL_CHANGED', cfg.lookupSheet, cfg.idColumn, loserId, rowNum, colName, old, value
+    ));
+
+    ETI_log_({
+      scriptName: logCtx.scriptName,
+      functionName: logCtx.functionName,
+      sheetName: cfg.lookupSheet,
+      level: 'INFO',
+      rowNumber: rowNum,
+      action: 'MERGE_ARCHIVE_LOSER',
+      details: `Merge_ID=${logCtx.mergeId}, Column=${colName}, Old=${old}, New=${value}`
+    });
+  });
+
+  writeEntityMergeLookupRow_(lkSh, rowNum, loserRow, lkData[loserIdx]);
+
+  /* ---- Repoint references ---- */
+  let rewritten = loserUpdates.length;
+  let formulaRefs = 0;
+
+  const repointCtx = Object.assign({}, logCtx, ledgerCtx);
+
+  Object.keys(refs).forEach(sheetName => {
+    const r = repointEntityReferences_(ss, sheetName, refs[sheetName], loserId, survivorId, repointCtx, ledgerEntries);
+    rewritten += r.rewritten;
+    formulaRefs += r.formulaRefs;
+  });
+
+  Object.keys(ENTITY_MERGE_MAPPING_KEYS).forEach(sheetName => {
+    if (refs[sheetName]) {
+      logDuplicateMappingKeys_(ss, sheetName, ENTITY_MERGE_MAPPING_KEYS[sheetName], survivorId, logCtx);
+    }
+  });
+
+  /* ---- Loser spellings resolve to survivor ---- */
+  const aliasId = Utilities.getUuid();
+
+  const aliasesAdded = registerEntityAliases_(ss, entityType, [
+    { name: loserName, canonical: loserCanon, entityId: survivorId, aliasId,
+      source: 'MERGE', notes: `Merged from ${loserId} (Merge_ID=${logCtx.mergeId})` }
+  ]);
+
+  if (aliasesAdded > 0) {
+    ledgerEntries.push(buildEntityMergeLedgerEntry_(
+      ledgerCtx, 'ALIAS_ADDED', cfg.aliasSheet, 'Alias_ID', aliasId, '', 'Is_Active', '', true
+    ));
+  }
+
+  appendEntityMergeLedger_(ledgerEntries);
+
+  return { ok: true, rewritten, formulaRefs };
+}
+
+/*
+-------------------------------------
+Helper — Reverse One Merge (Unmerge)
+-------------------------------------
+Replays the Entity_Merge_Ledger records of mergeId not yet reversed:
+- REFERENCE_REPOINTED → cell restored to the loser ID when it still holds
+  the survivor ID (row located by Row_Key, else Row_Number); otherwise
+  SKIPPED (changed since the merge, or now a formula cell); only the
+  restored cells are written
+- ALIAS_ADDED         → alias row set Is_Active = FALSE
+- LOOKUP_CELL_CHANGED → loser lookup row restored (one batch write),
+  including its canonical, so lookup formulas resolve to it again
+Returns { ok, reason, restored, skipped }
+*/
+function reverseLookupEntityMerge_(ss, entityType, survivorId, loserId, logCtx){
+
+  const cfg = ENTITY_DEFINITIONS[entityType];
+  if (!cfg) return { ok: false, reason: `Unknown Entity_Type: ${entityType}` };
+
+  const ledSh = getOrCreateSheet_(getLogsSpreadsheet_(), ENTITY_MERGE_LEDGER_SHEET, ENTITY_MERGE_LEDGER_SCHEMA);
+  const ledData = ledSh.getDataRange().getValues();
+  const ledHdr = ledData[0];
+  const ledCol = n => ledHdr.indexOf(n);
+
+  const IDX_LED = {
+    mergeId: ledCol('Merge_ID'),
+    recordType: ledCol('Record_Type'),
+    sheetName: ledCol('Sheet_Name'),
+    rowKeyColumn: ledCol('Row_Key_Column'),
+    rowKey: ledCol('Row_Key'),
+    rowNumber: ledCol('Row_Number'),
+    columnName: ledCol('Column_Name'),
+    oldValue: ledCol('Old_Value'),
+    newValue: ledCol('New_Value'),
+    reversalStatus: ledCol('Reversal_Status'),
+    reversedAt: ledCol('Reversed_At'),
+    reversalNotes: ledCol('Reversal_Notes')
+  };
+
+  for (const [k, v] of Object.entries(IDX_LED)) {
+    if (v === -1) throw new Error(`${ENTITY_MERGE_LEDGER_SHEET} missing column: ${k}`);
+  }
+
+  const records = [];
+
+  for (let i = 1; i < ledData.length; i++) {
+    if (String(ledData[i][IDX_LED.mergeId]) !== String(logCtx.mergeId)) continue;
+    if (ledData[i][IDX_LED.reversalStatus]) continue;
+    records.push(i);
+  }
+
+  if (records.length === 0) return { ok: false, reason: 'No ledger records to reverse for Merge_ID' };
+
+  const { lkSh, lkData, IDX_LK } = loadEntityMergeLookup_(ss, cfg);
+
+  const loserIdx = lkData.findIndex((r, i) => i > 0 && String(r[IDX_LK.id]) === loserId);
+
+  if (loserIdx === -1) return { ok: false, reason: `Loser_ID not found in ${cfg.lookupSheet}` };
+  if (String(lkData[loserIdx][IDX_LK.mergedInto]) !== survivorId) {
+    return { ok: false, reason: `Loser_ID is not merged into ${survivorId}` };
+  }
+
+  const now = new Date();
+  let restored = 0;
+  let skipped = 0;
+
+  const mark = (li, status, note) => {
+    ledData[li][IDX_LED.reversalStatus] = status;
+    ledData[li][IDX_LED.reversedAt] = now;
+    ledData[li][IDX_LED.reversalNotes] = note || '';
+    if (status === 'REVERSED') restored++;
+    else skipped++;
+  };
+
+  /* ---- References (per sheet, restored cells only) ---- */
+  const bySheet = new Map();
+
+  records.forEach(li => {
+    const type = ledData[li][IDX_LED.recordType];
+    if (type !== 'REFERENCE_REPOINTED' && type !== 'ALIAS_ADDED') return;
+    const sheetName = ledData[li][IDX_LED.sheetName];
+    if (!bySheet.has(sheetName)) bySheet.set(sheetName, []);
+    bySheet.get(sheetName).push(li);
+  });
+
+  bySheet.forEach((ledgerRows, sheetName) => {
+
+    const sh = ss.getSheetByName(sheetName);
+
+    if (!sh) {
+      ledgerRows.forEach(li => mark(li, 'SKIPPED', `Sheet ${sheetName} not found`));
+      return;
+    }
+
+    const range = sh.getDataRange();
+    const values = range.getValues();
+    const formulas = range.getFormulas();
+    const hdr = values[0];
+    const touched = new Map();
+
+    ledgerRows.forEach(li => {
+
+      const led = ledData[li];
+      const c = hdr.indexOf(led[IDX_LED.columnName]);
+
+      if (c === -1) {
+        mark(li, 'SKIPPED', `Column ${led[IDX_LED.columnName]} not found`);
+        return;
+      }
+
+      const keyIdx = led[IDX_LED.rowKeyColumn] ? hdr.indexOf(led[IDX_LED.rowKeyColumn]) : -1;
+      const expected = String(led[IDX_LED.newValue]);
+
+      let i = -1;
+
+      if (keyIdx !== -1 && led[IDX_LED.rowKey] !== '') {
+        i = values.findIndex((r, k) =>
+          k > 0 && String(r[keyIdx]) === String(led[IDX_LED.rowKey]) && String(r[c]) === expected
+        );
+      } else {
+        const n = Number(led[IDX_LED.rowNumber]) - 1;
+        if (n > 0 && n < values.length && String(values[n][c]) === expected) i = n;
+      }
+
+      if (i === -1) {
+        mark(li, 'SKIPPED', 'Row not found or changed since merge');
+        return;
+      }
+
+      if (formulas[i][c]) {
+        mark(li, 'SKIPPED', 'Cell now holds a formula');
+        return;
+      }
+
+      values[i][c] = led[IDX_LED.recordType] === 'ALIAS_ADDED' ? false : led[IDX_LED.oldValue];
+      if (!touched.has(c)) touched.set(c, []);
+      touched.get(c).push(i);
+      mark(li, 'REVERSED');
+
+      ETI_log_({
+        scriptName: logCtx.scriptName,
+        functionName: logCtx.functionName,
+        sheetName,
+        level: 'INFO',
+        rowNumber: i + 1,
+        action: 'UNMERGE_RESTORE',
+        details: `Merge_ID=${logCtx.mergeId}, Column=${hdr[c]}, Old=${led[IDX_LED.newValue]}, New=${values[i][c]}`
+      });
+    });
+
+    touched.forEach((rows, c) => writeEntityMergeCells_(sh, values, c, rows));
+  });
+
+  /* ---- Loser lookup row (one batch write) ---- */
+  const loserRow = lkData[loserIdx].slice();
+  const lkHdr = lkData[0];
+
+  records.forEach(li => {
+
+    const led = ledData[li];
+    if (led[IDX_LED.recordType] !== 'LOOKUP_CELL_CHANGED') return;
+
+    const c = lkHdr.indexOf(led[IDX_LED.columnName]);
+
+    if (c === -1) {
+      mark(li, 'SKIPPED', `Column ${led[IDX_LED.columnName]} not found`);
+      return;
+    }
+
+    loserRow[c] = led[IDX_LED.oldValue];
+    mark(li, 'REVERSED');
+  });
+
+  loserRow[IDX_LK.mergedInto] = '';
+  loserRow[IDX_LK.mergedAt] = '';
+
+  writeEntityMergeLookupRow_(lkSh, loserIdx + 1, loserRow, lkData[loserIdx]);
+
+  ETI_log_({
+    scriptName: logCtx.scriptName,
+    functionName: logCtx.functionName,
+    sheetName: cfg.lookupSheet,
+    level: 'INFO',
+    rowNumber: loserIdx + 1,
+    action: 'UNMERGE_RESTORE_LOSER',
+    details: `Merge_ID=${logCtx.mergeId}, ${cfg.idColumn}=${loserId} restored`
+  });
+
+  ledSh.getRange(2, 1, ledData.length - 1, ledHdr.length)
+       .setValues(ledData.slice(1));
+
+  return { ok: true, restored, skipped };
+}
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// ENTITY MERGE - PROCESS ADMIN DECISIONS
+
+/**
+ * Script Name: processEntityMerges_FromMergeReview
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Combine two lookup rows that turned out to be the same item / brand / product
+ * - Keep the survivor, archive the loser with a Merged_Into pointer
+ * - Rewrite loser references in Transaction_Resolution, Mapping_Item_Brand,
+ *   Mapping_Item_Brand_Product, the staging sheets and alias sheets
+ *
+ * Governance State Machine (Authoritative)
+ *
+ * Admin_Action     Merge_Status (before)   Merge_Status (after)
+ * ----------------------------------------------------------------
+ * Review           Pending                 Pending
+ * Merge            Pending                 Merged / Invalid
+ * Unmerge          Merged                  Unmerged (stays Merged on failure)
+ *
+ * Invalid / Unmerged rows are never re-processed (fix the row and reset to Pending).
+ *
+ * Preconditions:
+ * - Sheet may exist: Entity_Merge_Review (created on first use; no-op if empty)
+ * - Lookup sheet of the entity type must exist
+ *
+ * Algorithm (Step-by-Step):
+ * 1. Load Entity_Merge_Review
+ * 2. For each Pending row with Admin_Action = Merge (in sheet order):
+ *    a. Validate Entity_Type, Survivor_ID, Loser_ID against the lookup sheet
+ *    b. Archive loser lookup row (Merged_Into, Is_Active, Is_Archived,
+ *       canonical cleared, Notes) in one write
+ *    c. Rewrite loser references (ENTITY_MERGE_REFERENCES), logging every cell
+ *    d. Register loser name / canonical as survivor aliases (Source = MERGE)
+ *    e. Record every change in Entity_Merge_Ledger
+ *    f. Merge_Status = Merged / Invalid, Cells_Rewritten, Notes
+ * 3. For each Merged row with Admin_Action = Unmerge:
+ *    a. Replay the ledger records of the Merge_ID (reverseLookupEntityMerge_)
+ *    b. Merge_Status = Unmerged, Notes
+ * 4. Write Entity_Merge_Review back
+ * 5. Emit execution summary
+ *
+ * Failure Modes:
+ * - Lookup sheet missing
+ * - Required column missing
+ *
+ * Notes:
+ * - Formula cells holding the loser ID are logged (MERGE_REFERENCE_FORMULA),
+ *   not overwritten; with the loser canonical cleared they stop resolving,
+ *   and the loser spelling resolves to the survivor through <Entity>_ID_Alias
+ *   on the next alias resolution run (transaction pipeline)
+ * - Mapping rows that become duplicate keys after a merge are kept and
+ *   logged (MERGE_DUPLICATE_MAPPING) for admin review
+ * - Unmerge skips reference cells changed since the merge (ledger
+ *   Reversal_Status = SKIPPED, UNMERGE_RESTORE not logged for them)
+ *
+ * Reason for Deprecation:
+ * - N/A
+ */
+function processEntityMerges_FromMergeReview() {
+
+  const SCRIPT_NAME   = 'Entities';
+  const FUNCTION_NAME = 'processEntityMerges_FromMergeReview';
+  const SRC_SHEET     = ENTITY_MERGE_REVIEW_SHEET;
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET);
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const revSh = getOrCreateSheet_(ss, SRC_SHEET, ENTITY_MERGE_REVIEW_SCHEMA);
+
+    if (revSh.getLastRow() < 2) {
+      ETI_logExit_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET, 'No merge requests found');
+      return;
+    }
+
+    /* =========================
+       HEADER MAPPING
+    ========================= */
+    const revData = revSh.getDataRange().getValues();
+    const revHdr  = revData[0];
+    const revCol  = n => revHdr.indexOf(n);
+
+    const IDX_REV = {
+      mergeId: revCol('Merge_ID'),
+      entityType: revCol('Entity_Type'),
+      survivorId: revCol('Survivor_ID'),
+      loserId: revCol('Loser_ID'),
+      adminAction: revCol('Admin_Action'),
+      mergeStatus: revCol('Merge_Status'),
+      cellsRewritten: revCol('Cells_Rewritten'),
+      requestedAt: revCol('Requested_At'),
+      mergedAt: revCol('Merged_At'),
+      executionId: revCol('Execution_ID'),
+      notes: revCol('Notes')
+    };
+
+    for (const [k, v] of Object.entries(IDX_REV)) {
+      if (v === -1) throw new Error(`${SRC_SHEET} missing column: ${k}`);
+    }
+
+    /* =========================
+       PROCESS LOOP
+    ========================= */
+    const now = new Date();
+    const executionId = getExecutionContext_()?.execution_id || '';
+
+    let merged = 0;
+    let unmerged = 0;
+    let invalidCount = 0;
+    let pending = 0;
+    let cellsTotal = 0;
+
+    for (let i = 1; i < revData.length; i++) {
+
+      const r = revData[i];
+      const status = r[IDX_REV.mergeStatus] || 'Pending';
+
+      if (status === 'Merged' && r[IDX_REV.adminAction] === 'Unmerge') {
+
+        const entityType = String(r[IDX_REV.entityType] || '').trim().toUpperCase();
+        const survivorId = String(r[IDX_REV.survivorId] || '').trim();
+        const loserId = String(r[IDX_REV.loserId] || '').trim();
+
+        const result = reverseLookupEntityMerge_(ss, entityType, survivorId, loserId, {
+          scriptName: SCRIPT_NAME,
+          functionName: FUNCTION_NAME,
+          mergeId: r[IDX_REV.mergeId]
+        });
+
+        r[IDX_REV.executionId] = executionId;
+
+        if (!result.ok) {
+
+          invalidCount++;
+
+          r[IDX_REV.notes] = `Unmerge failed: ${result.reason}`;
+
+          ETI_log_({
+            scriptName: SCRIPT_NAME,
+            functionName: FUNCTION_NAME,
+            sheetName: SRC_SHEET,
+            level: 'WARN',
+            rowNumber: i + 1,
+            action: 'MERGE_REVERSE_INVALID',
+            details: `Merge_ID=${r[IDX_REV.mergeId]}, ${result.reason}`
+          });
+
+          continue;
+        }
+
+        unmerged++;
+
+        r[IDX_REV.mergeStatus] = 'Unmerged';
+        r[IDX_REV.notes] = result.skipped > 0
+          ? `Unmerged ${loserId} from ${survivorId}; ${result.skipped} change(s) skipped (edited since merge)`
+          : `Unmerged ${loserId} from ${survivorId}`;
+
+        ETI_log_({
+          scriptName: SCRIPT_NAME,
+          functionName: FUNCTION_NAME,
+          sheetName: SRC_SHEET,
+          level: 'INFO',
+          rowNumber: i + 1,
+          action: 'ENTITY_UNMERGED',
+          details: `Merge_ID=${r[IDX_REV.mergeId]}, ${entityType} ${loserId} ← ${survivorId}, Restored=${result.restored}, Skipped=${result.skipped}`
+        });
+
+        continue;
+      }
+
+      if (status !== 'Pending') continue;
+
+      if (!r[IDX_REV.mergeId]) r[IDX_REV.mergeId] = Utilities.getUuid();
+      if (!r[IDX_REV.requestedAt]) r[IDX_REV.requestedAt] = now;
+      r[IDX_REV.mergeStatus] = 'Pending';
+
+      if (r[IDX_REV.adminAction] !== 'Merge') {
+        pending++;
+        continue;
+      }
+
+      const entityType = String(r[IDX_REV.entityType] || '').trim().toUpperCase();
+      const survivorId = String(r[IDX_REV.survivorId] || '').trim();
+      const loserId = String(r[IDX_REV.loserId] || '').trim();
+
+      const result = mergeLookupEntity_(ss, entityType, survivorId, loserId, {
+        scriptName: SCRIPT_NAME,
+        functionName: FUNCTION_NAME,
+        mergeId: r[IDX_REV.mergeId]
+      });
+
+      r[IDX_REV.executionId] = executionId;
+
+      if (!result.ok) {
+
+        invalidCount++;
+
+        r[IDX_REV.mergeStatus] = 'Invalid';
+        r[IDX_REV.notes] = result.reason;
+
+        ETI_log_({
+          scriptName: SCRIPT_NAME,
+          functionName: FUNCTION_NAME,
+          sheetName: SRC_SHEET,
+          level: 'WARN',
+          rowNumber: i + 1,
+          action: 'MERGE_INVALID',
+          details: `Merge_ID=${r[IDX_REV.mergeId]}, ${result.reason}`
+        });
+
+        continue;
+      }
+
+      merged++;
+      cellsTotal += result.rewritten;
+
+      r[IDX_REV.mergeStatus] = 'Merged';
+      r[IDX_REV.cellsRewritten] = result.rewritten;
+      r[IDX_REV.mergedAt] = now;
+      r[IDX_REV.notes] = result.formulaRefs > 0
+        ? `Merged ${loserId} into ${survivorId}; ${result.formulaRefs} formula reference(s) re-resolve via alias`
+        : `Merged ${loserId} into ${survivorId}`;
+
+      ETI_log_({
+        scriptName: SCRIPT_NAME,
+        functionName: FUNCTION_NAME,
+        sheetName: SRC_SHEET,
+        level: 'INFO',
+        rowNumber: i + 1,
+        action: 'ENTITY_MERGED',
+        details: `Merge_ID=${r[IDX_REV.mergeId]}, ${entityType} ${loserId} → ${survivorId}, CellsRewritten=${result.rewritten}`
+      });
+    }
+
+    /* =========================
+       WRITE BACK
+    ========================= */
+    revSh.getRange(2, 1, revData.length - 1, revHdr.length)
+         .setValues(revData.slice(1));
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      SRC_SHEET,
+      `Merged=${merged}, Unmerged=${unmerged}, Invalid=${invalidCount}, Pending=${pending} | ` +
+      `CellsRewritten=${cellsTotal} | DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      SRC_SHEET,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
@@ -0,0 +1,476 @@
+// PROMOTION LEDGER - TABLES & RECORDING HELPERS
+/*
+-------------------------------------
+Promotion run ledger (Logs spreadsheet)
+for items / brands / products / categories / platforms
+
+Promotion_Ledger (append-only, one record per change)
+- LOOKUP_ROW_CREATED    → Lookup row appended by the promotion
+                          (Entity_ID = new <Entity>_ID_Machine)
+- STAGING_CELL_CHANGED  → one record per staging cell written by the
+                          promotion (Column_Name, Old_Value → New_Value)
+
+Records are keyed by Execution_ID so a whole promotion run can be
+rolled back with rollbackPromotion(executionId).
+
+Rollback_Status: blank → ROLLED_BACK / BLOCKED
+-------------------------------------
+*/
+const PROMOTION_LEDGER_SHEET = 'Promotion_Ledger';
+
+const PROMOTION_LEDGER_SCHEMA = [
+  'Ledger_ID',
+  'Execution_ID',
+  'Entity_Type',
+  'Record_Type',
+  'Sheet_Name',
+  'Staging_ID',
+  'Entity_ID',
+  'Column_Name',
+  'Old_Value',
+  'New_Value',
+  'Recorded_At',
+  'Rollback_Status',
+  'Rolled_Back_At',
+  'Rollback_Notes'
+];
+
+/*
+-------------------------------------
+Helper — Promotion Execution ID
+-------------------------------------
+Controller / pipeline runs reuse the execution context ID; standalone
+runs get their own ID (reported in the promotion summary).
+*/
+function getPromotionExecutionId_(){
+  return getExecutionContext_()?.execution_id || Utilities.getUuid();
+}
+
+/*
+-------------------------------------
+Helper — Ledger Entry
+-------------------------------------
+ctx: { entityType, executionId, stagingId, entityId }
+*/
+function buildPromotionLedgerEntry_(ctx, recordType, sheetName, columnName, oldValue, newValue){
+  return {
+    Ledger_ID: Utilities.getUuid(),
+    Execution_ID: ctx.executionId,
+    Entity_Type: ctx.entityType,
+    Record_Type: recordType,
+    Sheet_Name: sheetName,
+    Staging_ID: ctx.stagingId,
+    Entity_ID: ctx.entityId,
+    Column_Name: columnName || '',
+    Old_Value: oldValue === undefined ? '' : oldValue,
+    New_Value: newValue === undefined ? '' : newValue,
+    Recorded_At: new Date()
+  };
+}
+
+/*
+-------------------------------------
+Helper — Write Staging Cells (with ledger)
+-------------------------------------
+cells: { Column_Name: newValue } written one cell at a time (staging sheets
+carry formulas in other columns). Old value taken from stgRow.
+Returns ledger entries (STAGING_CELL_CHANGED).
+*/
+function writePromotionStagingCells_(stgSh, stgHdr, stgRow, rowNum, cells, ctx){
+
+  const entries = [];
+
+  Object.keys(cells).forEach(colName => {
+
+    const c = stgHdr.indexOf(colName);
+    if (c === -1) throw new Error(`${stgSh.getName()} missing column: ${colName}`);
+
+    stgSh.getRange(rowNum, c + 1).setValue(cells[colName]);
+
+    entries.push(
+      buildPromotionLedgerEntry_(ctx, 'STAGING_CELL_CHANGED', stgSh.getName(), colName, stgRow[c], cells[colName])
+    );
+  });
+
+  return entries;
+}
+
+/*
+-------------------------------------
+Helper — Append Ledger Entries (Logs spreadsheet)
+-------------------------------------
+*/
+function appendPromotionLedger_(entries){
+
+  if (!entries || entries.length === 0) return;
+
+  const sh = getOrCreateSheet_(getLogsSpreadsheet_(), PROMOTION_LEDGER_SHEET, PROMOTION_LEDGER_SCHEMA);
+  const hdr = sh.getRange(1, 1, 1, sh.getLastColumn()).getValues()[0];
+
+  const rows = entries.map(e => hdr.map(h => (h in e ? e[h] : '')));
+
+  sh.getRange(sh.getLastRow() + 1, 1, rows.length, hdr.length)
+    .setValues(rows);
+}
+
+/*
+-------------------------------------
+Helper — Hard References to Entity IDs
+-------------------------------------
+Scans ENTITY_MERGE_REFERENCES for the entity type and returns the Set of
+IDs (from `ids`) referenced by a literal cell.
+- Formula cells re-derive from the lookup and do not count
+- The entity's own staging Mapped_* cells are ignored for staging rows
+  in `ownStagingIds` (those rows are restored by the rollback itself)
+*/
+function findReferencedEntityIds_(ss, entityType, ids, ownStagingIds){
+
+  const cfg = ENTITY_DEFINITIONS[entityType];
+  const refs = ENTITY_MERGE_REFERENCES[entityType];
+  const referenced = new Set();
+
+  Object.keys(refs).forEach(sheetName => {
+
+    const sh = ss.getSheetByName(sheetName);
+    if (!sh || sh.getLastRow() < 2) return;
+
+    const range = sh.getDataRange();
+    const values = range.getValues();
+    const formulas = range.getFormulas();
+    const hdr = values[0];
+    const stgIdIdx = sheetName === cfg.stagingSheet ? hdr.indexOf(cfg.stagingIdColumn) : -1;
+
+    refs[sheetName].forEach(colName => {
+
+      const c = hdr.indexOf(colName);
+      if (c === -1) return;
+
+      const isOwnMapped = sheetName === cfg.stagingSheet && colName === cfg.mappedIdColumn;
+
+      for (let i = 1; i < values.length; i++) {
+
+        const v = String(values[i][c]);
+        if (!ids.has(v) || formulas[i][c]) continue;
+        if (isOwnMapped && stgIdIdx !== -1 && ownStagingIds.has(String(values[i][stgIdIdx]))) continue;
+
+        referenced.add(v);
+      }
+    });
+  });
+
+  return referenced;
+}
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// PROMOTION LEDGER - ROLLBACK
+
+/**
+ * Script Name: rollbackPromotion
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Revert a mistaken promoteApproved*_FromStaging_ToLookup batch
+ * - Remove the Lookup rows created by the run (only if nothing references them)
+ * - Restore the staging cells changed by the run to their pre-promotion values
+ *
+ * Input:
+ * - executionId (argument) or Automation_Control.Rollback_Promotion_Execution_ID
+ *   (controller runs call without arguments)
+ *
+ * Preconditions:
+ * - Logs spreadsheet must exist (getLogsSpreadsheet_)
+ * - Promotion_Ledger must hold records for the Execution_ID
+ *
+ * Algorithm (Step-by-Step):
+ * 1. Load ledger records for the Execution_ID not yet rolled back
+ * 2. Group by Entity_Type → Staging_ID (one promoted staging row each)
+ * 3. Find literal references to the created Entity_IDs
+ *    (mappings, staging, aliases, Transaction_Resolution; formula cells ignored)
+ * 4. Per staging row:
+ *    a. Entity_ID referenced → records BLOCKED, nothing changed
+ *    b. Otherwise:
+ *       - staging cells restored to Old_Value (row located by Staging_ID)
+ *       - Lookup row located by Entity_ID and deleted (bottom-up)
+ *       - records ROLLED_BACK
+ * 5. Write ledger status back
+ * 6. Emit execution summary
+ *
+ * Failure Modes:
+ * - No Execution_ID supplied
+ * - Lookup / staging sheet missing
+ *
+ * Notes:
+ * - Restored staging rows are promotion-eligible again
+ *   (Action_Review_Status = Pending (Promotion)); change Admin_Action before
+ *   the next pipeline run if the promotion itself was the mistake
+ * - Every restored cell / removed row is logged through ETI_log_
+ *
+ * Reason for Deprecation:
+ * - N/A
+ */
+function rollbackPromotion(executionId) {
+
+  const SCRIPT_NAME   = 'Entities';
+  const FUNCTION_NAME = 'rollbackPromotion';
+  const SRC_SHEET     = PROMOTION_LEDGER_SHEET;
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET);
+
+    const targetId = String(
+      executionId || getAutomationSwitchMap_()["Rollback_Promotion_Execution_ID"] || ''
+    ).trim();
+
+    if (!targetId) throw new Error('No Execution_ID supplied for rollback');
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const ledSh = getOrCreateSheet_(getLogsSpreadsheet_(), SRC_SHEET, PROMOTION_LEDGER_SCHEMA);
+
+    /* =========================
+       STEP — LOAD_LEDGER
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET, 'LOAD_LEDGER');
+
+    const ledData = ledSh.getDataRange().getValues();
+    const ledHdr  = ledData[0];
+    const ledCol  = n => ledHdr.indexOf(n);
+
+    const IDX_LED = {
+      executionId: ledCol('Execution_ID'),
+      entityType: ledCol('Entity_Type'),
+      recordType: ledCol('Record_Type'),
+      stagingId: ledCol('Staging_ID'),
+      entityId: ledCol('Entity_ID'),
+      columnName: ledCol('Column_Name'),
+      oldValue: ledCol('Old_Value'),
+      rollbackStatus: ledCol('Rollback_Status'),
+      rolledBackAt: ledCol('Rolled_Back_At'),
+      rollbackNotes: ledCol('Rollback_Notes')
+    };
+
+    for (const [k, v] of Object.entries(IDX_LED)) {
+      if (v === -1) throw new Error(`${SRC_SHEET} missing column: ${k}`);
+    }
+
+    /* entityType → stagingId → { entityId, ledgerRows: [i] } */
+    const runs = {};
+
+    for (let i = 1; i < ledData.length; i++) {
+
+      const r = ledData[i];
+
+      if (String(r[IDX_LED.executionId]) !== targetId) continue;
+      if (r[IDX_LED.rollbackStatus] === 'ROLLED_BACK') continue;
+
+      const type = r[IDX_LED.entityType];
+      const stagingId = String(r[IDX_LED.stagingId]);
+
+      runs[type] = runs[type] || new Map();
+
+      const group = runs[type].get(stagingId) || { entityId: '', ledgerRows: [] };
+      if (r[IDX_LED.recordType] === 'LOOKUP_ROW_CREATED') group.entityId = String(r[IDX_LED.entityId]);
+      group.ledgerRows.push(i);
+
+      runs[type].set(stagingId, group);
+    }
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET, 'LOAD_LEDGER');
+
+    /* =========================
+       EXIT — NOTHING TO ROLL BACK
+    ========================= */
+    if (Object.keys(runs).length === 0) {
+      ETI_logExit_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET, `No pending ledger records for Execution_ID=${targetId}`);
+      return;
+    }
+
+    /* =========================
+       PROCESS — PER ENTITY TYPE
+    ========================= */
+    const now = new Date();
+
+    let rolledBack = 0;
+    let blocked = 0;
+    let cellsRestored = 0;
+    let lookupRowsRemoved = 0;
+
+    Object.keys(runs).forEach(type => {
+
+      const cfg = ENTITY_DEFINITIONS[type];
+      if (!cfg) throw new Error(`Unknown Entity_Type in ledger: ${type}`);
+
+      const groups = runs[type];
+
+      const stgSh = ss.getSheetByName(cfg.stagingSheet);
+      const lkSh  = ss.getSheetByName(cfg.lookupSheet);
+      if (!stgSh || !lkSh) throw new Error(`Sheet ${cfg.stagingSheet} / ${cfg.lookupSheet} not found`);
+
+      const createdIds = new Set();
+      groups.forEach(g => { if (g.entityId) createdIds.add(g.entityId); });
+
+      const referenced = findReferencedEntityIds_(ss, type, createdIds, new Set(groups.keys()));
+
+      const stgData = stgSh.getDataRange().getValues();
+      const stgHdr  = stgData[0];
+      const stgIdIdx = stgHdr.indexOf(cfg.stagingIdColumn);
+
+      const lkData = lkSh.getDataRange().getValues();
+      const lkIdIdx = lkData[0].indexOf(cfg.idColumn);
+
+      if (stgIdIdx === -1) throw new Error(`${cfg.stagingSheet} missing column: ${cfg.stagingIdColumn}`);
+      if (lkIdIdx === -1) throw new Error(`${cfg.lookupSheet} missing column: ${cfg.idColumn}`);
+
+      const stgRowById = new Map();
+      for (let i = 1; i < stgData.length; i++) stgRowById.set(String(stgData[i][stgIdIdx]), i + 1);
+
+      const lkRowById = new Map();
+      for (let i = 1; i < lkData.length; i++) lkRowById.set(String(lkData[i][lkIdIdx]), i + 1);
+
+      const lookupRowsToDelete = [];
+
+      groups.forEach((g, stagingId) => {
+
+        const markLedger = (status, note) => {
+          g.ledgerRows.forEach(li => {
+            ledData[li][IDX_LED.rollbackStatus] = status;
+            ledData[li][IDX_LED.rolledBackAt] = status === 'ROLLED_BACK' ? now : '';
+            ledData[li][IDX_LED.rollbackNotes] = note;
+          });
+        };
+
+        if (g.entityId && referenced.has(g.entityId)) {
+
+          blocked++;
+          markLedger('BLOCKED', `${cfg.idColumn}=${g.entityId} is referenced`);
+
+          ETI_log_({
+            scriptName: SCRIPT_NAME,
+            functionName: FUNCTION_NAME,
+            sheetName: cfg.lookupSheet,
+            level: 'WARN',
+            action: 'ROLLBACK_BLOCKED',
+            details: `Execution_ID=${targetId}, Staging_ID=${stagingId}, ${cfg.idColumn}=${g.entityId} is referenced`
+          });
+
+          return;
+        }
+
+        const stgRowNum = stgRowById.get(stagingId);
+
+        if (!stgRowNum) {
+          blocked++;
+          markLedger('BLOCKED', `Staging row not found: ${stagingId}`);
+          return;
+        }
+
+        /* ---- Restore staging cells ---- */
+        g.ledgerRows.forEach(li => {
+
+          const r = ledData[li];
+          if (r[IDX_LED.recordType] !== 'STAGING_CELL_CHANGED') return;
+
+          const colName = r[IDX_LED.columnName];
+          const c = stgHdr.indexOf(colName);
+          if (c === -1) return;
+
+          stgSh.getRange(stgRowNum, c + 1).setValue(r[IDX_LED.oldValue]);
+          cellsRestored++;
+
+          ETI_log_({
+            scriptName: SCRIPT_NAME,
+            functionName: FUNCTION_NAME,
+            sheetName: cfg.stagingSheet,
+            level: 'INFO',
+            rowNumber: stgRowNum,
+            action: 'ROLLBACK_RESTORE',
+            details: `Execution_ID=${targetId}, Column=${colName}, Restored=${r[IDX_LED.oldValue]}`
+          });
+        });
+
+        /* ---- Queue lookup row removal ---- */
+        const lkRowNum = g.entityId ? lkRowById.get(g.entityId) : undefined;
+        if (lkRowNum) lookupRowsToDelete.push({ row: lkRowNum, entityId: g.entityId });
+
+        rolledBack++;
+        markLedger('ROLLED_BACK', '');
+      });
+
+      /* ---- Delete lookup rows bottom-up ---- */
+      lookupRowsToDelete
+        .sort((a, b) => b.row - a.row)
+        .forEach(d => {
+
+          lkSh.deleteRow(d.row);
+          lookupRowsRemoved++;
+
+          ETI_log_({
+            scriptName: SCRIPT_NAME,
+            functionName: FUNCTION_NAME,
+            sheetName: cfg.lookupSheet,
+            level: 'WARN',
+            rowNumber: d.row,
+            action: 'ROLLBACK_LOOKUP_ROW_REMOVED',
+            details: `Execution_ID=${targetId}, ${cfg.idColumn}=${d.entityId}`
+          });
+        });
+    });
+
+    /* =========================
+       WRITE BACK LEDGER
+    ========================= */
+    ledSh.getRange(2, 1, ledData.length - 1, ledHdr.length)
+         .setValues(ledData.slice(1));
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      SRC_SHEET,
+      `Execution_ID=${targetId} | RolledBack=${rolledBack}, Blocked=${blocked} | ` +
+      `CellsRestored=${cellsRestored}, LookupRowsRemoved=${lookupRowsRemoved} | DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, SRC_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      SRC_SHEET,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
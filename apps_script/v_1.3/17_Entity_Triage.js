@@ -0,0 +1,439 @@
+// ENTITY TRIAGE - BULK APPROVAL RULES FOR STAGING QUEUES
+/*
+-------------------------------------
+Auto-triage of new staging rows (runEntityStateMachine_, before drift repair)
+
+Staging_Triage_Rules (admin-owned; created with inactive examples)
+- One row per rule; active rules are tried in Priority order (low first),
+  the first rule whose conditions all hold fires
+- Entity_Type: ITEM / BRAND / PRODUCT / CATEGORY / PLATFORM, blank or ALL
+- Conditions (blank = not checked):
+    Condition_Alias_Match     TRUE → canonical / entered name resolves to an
+                              existing entity (lookup canonical or alias);
+                              the resolved ID becomes Map_To_<Entity>_ID_Machine
+    Condition_Min_Txn_Count   N    → canonical seen in ≥ N rows of the
+                              entity's intake sheet
+    Condition_Spellcheck_Pass TRUE → every word of the canonical passes
+                              spell-check against Triage_Dictionary (word
+                              list seeded on first use, admin-extendable)
+                              plus the words of approved lookup names and
+                              aliases (brand / store names are not in any
+                              dictionary); numbers and words shorter than
+                              3 letters pass
+    Condition_Pattern         regex tested against the canonical
+- Admin_Action: any governance action; Map_To_Existing requires
+  Condition_Alias_Match (the match supplies the target)
+
+Triaged staging rows
+- Only rows still at Admin_Action blank / Review, not promoted, not mapped
+  and never triaged before (Triage_Rule_ID blank) — an admin resetting a
+  row to Review is never overridden
+- Triage_Rule_ID, Triaged_At written on the staging row; Notes starts with
+  "Auto-triage rule <Rule_ID> (<Rule_Name>) → <Admin_Action>", a prefix the
+  state machine keeps whenever it rewrites Notes; logged (action AUTO_TRIAGE)
+
+Triage_Dictionary (admin-extendable)
+- Word, Source (SEED = STAGING_TRIAGE_DICTIONARY_SEED, else admin-added)
+- Created and seeded on first use; seeded words are never re-added, so
+  deleting a row removes the word for good
+-------------------------------------
+*/
+const STAGING_TRIAGE_RULES_SHEET = 'Staging_Triage_Rules';
+const STAGING_TRIAGE_DICTIONARY_SHEET = 'Triage_Dictionary';
+
+const STAGING_TRIAGE_RULES_SCHEMA = [
+  'Rule_ID',
+  'Rule_Name',
+  'Entity_Type',
+  'Priority',
+  'Is_Active',
+  'Condition_Alias_Match',
+  'Condition_Min_Txn_Count',
+  'Condition_Spellcheck_Pass',
+  'Condition_Pattern',
+  'Admin_Action',
+  'Notes'
+];
+
+const STAGING_TRIAGE_COLUMNS = [
+  'Triage_Rule_ID',
+  'Triaged_At'
+];
+
+const STAGING_TRIAGE_NOTE_PREFIX = 'Auto-triage rule ';
+
+const STAGING_TRIAGE_DICTIONARY_SCHEMA = [
+  'Word',
+  'Source'
+];
+
+/*
+  Grocery / household word list written when Triage_Dictionary is first
+  created (lower case, one word each)
+*/
+const STAGING_TRIAGE_DICTIONARY_SEED = `
+rice wheat flour atta maida sooji semolina rava besan gram dal lentil lentils
+pulses chana chickpea chickpeas rajma kidney beans bean moong urad toor arhar
+masoor moth lobia poha flakes oats oatmeal muesli cornflakes corn maize millet
+millets ragi jowar bajra barley quinoa vermicelli sevai noodles pasta macaroni
+spaghetti penne bread loaf bun buns pav roti chapati paratha naan rusk toast
+biscuit biscuits cookie cookies cracker crackers cake cakes muffin croissant
+milk doodh curd dahi yogurt yoghurt buttermilk lassi butter ghee cheese paneer
+cream khoa khoya condensed evaporated skimmed toned double full fat low
+lactose whey
+vegetable vegetables fruit fruits potato potatoes onion onions tomato tomatoes
+garlic ginger chilli chillies chili pepper peppers capsicum carrot carrots
+cabbage cauliflower broccoli spinach palak methi fenugreek coriander dhania
+mint pudina curry leaves leaf lettuce cucumber radish beetroot beet pumpkin
+gourd bottle bitter ridge okra bhindi brinjal eggplant aubergine peas pea
+mushroom mushrooms sweet lemon lemons lime limes apple apples banana bananas
+mango mangoes orange oranges grape grapes papaya pineapple pomegranate guava
+watermelon melon muskmelon pear pears plum plums peach cherry cherries
+strawberry strawberries berry berries kiwi coconut dates date fig figs raisin
+raisins almond almonds cashew cashews walnut walnuts pistachio pistachios
+peanut peanuts groundnut nuts nut seeds seed dry avocado jackfruit drumstick
+yam taro colocasia
+egg eggs chicken mutton goat lamb fish prawn prawns shrimp crab meat keema
+boneless breast thigh wings sausage sausages salami ham bacon tofu soya soy
+chunks nuggets
+salt sugar jaggery gur honey spice spices masala turmeric haldi cumin jeera
+mustard rai fennel saunf clove cloves cardamom elaichi cinnamon dalchini bay
+black white red green yellow powder whole ground crushed asafoetida hing
+ajwain carom nutmeg mace saffron kasuri garam chaat sambar rasam biryani bhaji
+kitchen king tandoori tikka oregano basil thyme rosemary parsley herbs herb
+seasoning vinegar sauce sauces ketchup mayonnaise mayo chutney pickle achar
+jam jelly spread syrup
+oil oils sunflower olive extra virgin refined filtered cold pressed sesame til
+gingelly bran palm vanaspati
+tea chai coffee instant filter dust bags juice juices drink drinks beverage
+soda water mineral packaged sparkling cola lemonade squash sharbat energy
+health malt chocolate cocoa
+snack snacks chips crisps namkeen bhujia sev mixture popcorn wafers chocolates
+candy candies toffee sweets mithai ladoo laddu barfi halwa ice kulfi dessert
+frozen ready meal meals soup soups cup
+detergent washing liquid bar soap soaps dishwash dishwashing dish cleaner
+cleaners floor toilet bathroom glass surface disinfectant bleach phenyl
+freshener air room fabric softener conditioner starch scrub scrubber sponge
+steel wool mop broom brush brushes duster cloth napkin napkins tissue tissues
+paper towel towels roll rolls foil cling wrap garbage trash bin bag zip lock
+container containers bottles jar jars box boxes matchbox matches candle
+candles agarbatti incense camphor battery batteries bulb bulbs light tube wire
+repellent mosquito coil insect spray cockroach
+shampoo hair lotion moisturiser moisturizer body face wash cleanser sunscreen
+sunblock talc deodorant perfume fragrance toothpaste toothbrush mouthwash
+floss razor blade blades shaving foam gel aftershave sanitary pads pad diaper
+diapers wipes baby kids men women lip balm kajal comb hand handwash sanitizer
+sanitiser cotton buds bandage plaster antiseptic
+fresh organic natural pure premium classic regular special original gold
+silver platinum royal select choice best super lite diet sugarfree free salted
+unsalted roasted raw boiled fried baked smoked spicy mild hot sour plain
+flavoured flavored mixed assorted small medium large big jumbo mini family
+value pack packet pouch sachet tin can carton tray bunch dozen piece pieces
+slice sliced chopped diced grated paste puree concentrate extract quick long
+grain basmati sona masoori kolam brown parboiled steamed polished unpolished
+split washed skinless new fine coarse thick thin
+grams gm gms kilogram kilograms kg kgs litre litres liter liters ltr ml
+millilitre millilitres pcs pc unit units nos packs combo offer
+store stores mart supermarket hypermarket market bazaar bazar shop shops
+grocery groceries kirana general provision provisions departmental online app
+delivery local vendor wholesale retail dairy bakery pharmacy chemist medical
+and with for the of in no plus
+`.split(/\s+/).filter(Boolean);
+
+/*
+  Example rules written when Staging_Triage_Rules is first created
+  (inactive: an admin switches them on)
+*/
+const STAGING_TRIAGE_DEFAULT_RULES = [
+  {
+    Rule_ID: 'TRIAGE-001',
+    Rule_Name: 'Known alias → Map',
+    Entity_Type: 'ALL',
+    Priority: 10,
+    Is_Active: false,
+    Condition_Alias_Match: true,
+    Admin_Action: 'Map_To_Existing'
+  },
+  {
+    Rule_ID: 'TRIAGE-002',
+    Rule_Name: 'Seen in ≥3 transactions and passes spell-check → Approve & Activate',
+    Entity_Type: 'ALL',
+    Priority: 20,
+    Is_Active: false,
+    Condition_Min_Txn_Count: 3,
+    Condition_Spellcheck_Pass: true,
+    Admin_Action: 'Approve & Activate'
+  },
+  {
+    Rule_ID: 'TRIAGE-003',
+    Rule_Name: 'Digits only → Reject',
+    Entity_Type: 'ALL',
+    Priority: 30,
+    Is_Active: false,
+    Condition_Pattern: '^[0-9 ]+$',
+    Admin_Action: 'Reject'
+  }
+];
+
+/*
+-------------------------------------
+Helper — Load Triage Rules
+-------------------------------------
+Returns { rules: [...], invalid: [{ ruleId, reason }] } for one entity type,
+sorted by Priority then sheet order. Creates the rules sheet (with the
+inactive examples) when missing.
+*/
+function loadStagingTriageRules_(ss, entityType){
+
+  const def = getEntityDefinition_(entityType);
+  const isNew = !ss.getSheetByName(STAGING_TRIAGE_RULES_SHEET);
+  const sh = getOrCreateSheet_(ss, STAGING_TRIAGE_RULES_SHEET, STAGING_TRIAGE_RULES_SCHEMA);
+
+  if (isNew) {
+    const hdr = STAGING_TRIAGE_RULES_SCHEMA;
+    sh.getRange(2, 1, STAGING_TRIAGE_DEFAULT_RULES.length, hdr.length)
+      .setValues(STAGING_TRIAGE_DEFAULT_RULES.map(rule => hdr.map(h => (h in rule ? rule[h] : ''))));
+  }
+
+  const data = sh.getDataRange().getValues();
+
+  const IDX = resolveEntityColumns_(data[0], {
+    ruleId: 'Rule_ID',
+    name: 'Rule_Name',
+    entityType: 'Entity_Type',
+    priority: 'Priority',
+    isActive: 'Is_Active',
+    aliasMatch: 'Condition_Alias_Match',
+    minTxn: 'Condition_Min_Txn_Count',
+    spellcheck: 'Condition_Spellcheck_Pass',
+    pattern: 'Condition_Pattern',
+    action: 'Admin_Action'
+  }, STAGING_TRIAGE_RULES_SHEET);
+
+  const rules = [];
+  const invalid = [];
+
+  for (let i = 1; i < data.length; i++) {
+
+    const r = data[i];
+    if (r[IDX.isActive] !== true) continue;
+
+    const scope = String(r[IDX.entityType] || 'ALL').trim().toUpperCase();
+    if (scope !== 'ALL' && scope !== entityType) continue;
+
+    const ruleId = r[IDX.ruleId] || `Row ${i + 1}`;
+    const action = String(r[IDX.action] || '').trim();
+    const isMap = action === MAP_TO_EXISTING_ACTION;
+
+    if (!isMap && !Object.prototype.hasOwnProperty.call(def.adminActions, action)) {
+      invalid.push({ ruleId, reason: `Unknown Admin_Action "${action}"` });
+      continue;
+    }
+
+    if (isMap && r[IDX.aliasMatch] !== true) {
+      invalid.push({ ruleId, reason: 'Map_To_Existing requires Condition_Alias_Match' });
+      continue;
+    }
+
+    let pattern = null;
+
+    if (r[IDX.pattern]) {
+      try {
+        pattern = new RegExp(String(r[IDX.pattern]));
+      } catch (e) {
+        invalid.push({ ruleId, reason: `Invalid Condition_Pattern: ${e.message}` });
+        continue;
+      }
+    }
+
+    const minTxn = r[IDX.minTxn] === '' ? null : Number(r[IDX.minTxn]);
+
+    if (minTxn !== null && isNaN(minTxn)) {
+      invalid.push({ ruleId, reason: 'Condition_Min_Txn_Count is not a number' });
+      continue;
+    }
+
+    const rule = {
+      id: ruleId,
+      name: r[IDX.name] || '',
+      priority: Number(r[IDX.priority]) || 0,
+      order: i,
+      aliasMatch: r[IDX.aliasMatch] === true,
+      minTxn,
+      spellcheck: r[IDX.spellcheck] === true,
+      pattern,
+      action
+    };
+
+    if (!rule.aliasMatch && rule.minTxn === null && !rule.spellcheck && !rule.pattern) {
+      invalid.push({ ruleId, reason: 'Rule has no condition' });
+      continue;
+    }
+
+    rules.push(rule);
+  }
+
+  rules.sort((a, b) => (a.priority - b.priority) || (a.order - b.order));
+
+  return { rules, invalid };
+}
+
+/*
+-------------------------------------
+Helper — Triage Vocabulary (spell-check)
+-------------------------------------
+Set of correctly spelled words: Triage_Dictionary.Word (shared by all
+entities; created with STAGING_TRIAGE_DICTIONARY_SEED when missing) plus
+lookup names / canonicals and aliases of the entity.
+*/
+function buildStagingTriageVocabulary_(ss, def){
+
+  if (!ss.getSheetByName(STAGING_TRIAGE_DICTIONARY_SHEET)) {
+    const dictSh = getOrCreateSheet_(ss, STAGING_TRIAGE_DICTIONARY_SHEET, STAGING_TRIAGE_DICTIONARY_SCHEMA);
+    dictSh.getRange(2, 1, STAGING_TRIAGE_DICTIONARY_SEED.length, 2)
+      .setValues(STAGING_TRIAGE_DICTIONARY_SEED.map(w => [w, 'SEED']));
+  }
+
+  const words = new Set();
+  const addWords = value => normalizeMatchText_(value).split(' ').forEach(w => { if (w) words.add(w); });
+
+  const sources = [
+    [def.lookupSheet, [def.lookupNameColumn, def.canonColumn]],
+    [def.aliasSheet, ['Alias_Name', 'Alias_Canonical']],
+    [STAGING_TRIAGE_DICTIONARY_SHEET, ['Word']]
+  ];
+
+  sources.forEach(([sheetName, columns]) => {
+
+    const sh = ss.getSheetByName(sheetName);
+    if (!sh || sh.getLastRow() < 2) return;
+
+    const data = sh.getDataRange().getValues();
+    const idx = columns.map(c => data[0].indexOf(c)).filter(c => c !== -1);
+
+    for (let i = 1; i < data.length; i++) {
+      idx.forEach(c => addWords(data[i][c]));
+    }
+  });
+
+  return words;
+}
+
+/*
+-------------------------------------
+Helper — Triage Note (Notes prefix)
+-------------------------------------
+Leading "Auto-triage rule … → …" segment of Notes, or ''.
+*/
+function getStagingTriageNote_(notes){
+
+  const text = String(notes || '');
+  if (!text.startsWith(STAGING_TRIAGE_NOTE_PREFIX)) return '';
+
+  const end = text.indexOf(' | ');
+  return end === -1 ? text : text.slice(0, end);
+}
+
+function withStagingTriageNote_(triageNote, notes){
+
+  if (!triageNote) return notes;
+
+  const text = String(notes || '');
+  if (text.startsWith(triageNote)) return text;
+
+  return text ? `${triageNote} | ${text}` : triageNote;
+}
+
+/*
+-------------------------------------
+Helper — Intake Counts
+-------------------------------------
+Map(normalised canonical → number of intake rows carrying it).
+*/
+function countStagingTriageIntake_(ss, def){
+
+  const counts = new Map();
+
+  const sh = ss.getSheetByName(def.intakeSheet);
+  if (!sh) return counts;
+
+  const data = sh.getDataRange().getValues();
+  const IDX = resolveEntityColumns_(data[0], { canon: def.canonColumn }, def.intakeSheet);
+
+  for (let i = 1; i < data.length; i++) {
+    const key = normalizeMatchText_(data[i][IDX.canon]);
+    if (key) counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  return counts;
+}
+
+/*
+-------------------------------------
+Helper — Prepare Triage (one state machine run)
+-------------------------------------
+Loads rules and, only when an active rule needs them, the name resolver,
+intake counts and vocabulary.
+Returns {
+  rules, invalid,
+  evaluate(canonical, entered) → { rule, action, mapTo, detail } | null
+}
+*/
+function prepareStagingTriage_(ss, entityType){
+
+  const def = getEntityDefinition_(entityType);
+  const { rules, invalid } = loadStagingTriageRules_(ss, entityType);
+
+  const needs = key => rules.some(rule => rule[key]);
+  const needsCount = rules.some(rule => rule.minTxn !== null);
+
+  const resolver = needs('aliasMatch') ? buildEntityNameResolver_(ss, entityType) : null;
+  const counts = needsCount ? countStagingTriageIntake_(ss, def) : null;
+  const vocabulary = needs('spellcheck') ? buildStagingTriageVocabulary_(ss, def) : null;
+
+  const evaluate = (canonical, entered) => {
+
+    const key = normalizeMatchText_(canonical || entered);
+    if (!key || rules.length === 0) return null;
+
+    for (const rule of rules) {
+
+      const detail = [];
+      let mapTo = '';
+
+      if (rule.aliasMatch) {
+        mapTo = resolver.resolve(canonical, entered);
+        if (!mapTo) continue;
+        detail.push(`Match=${mapTo}`);
+      }
+
+      if (rule.minTxn !== null) {
+        const seen = counts.get(key) || 0;
+        if (seen < rule.minTxn) continue;
+        detail.push(`Seen=${seen}`);
+      }
+
+      if (rule.spellcheck) {
+        const unknown = key.split(' ').filter(w => w.length >= 3 && !/^\d+$/.test(w) && !vocabulary.has(w));
+        if (unknown.length > 0) continue;
+        detail.push('Spellcheck=PASS');
+      }
+
+      if (rule.pattern) {
+        if (!rule.pattern.test(String(canonical || entered))) continue;
+        detail.push(`Pattern=${rule.pattern.source}`);
+      }
+
+      return {
+        rule,
+        action: rule.action,
+        mapTo: rule.action === MAP_TO_EXISTING_ACTION ? mapTo : '',
+        detail: detail.join(', ')
+      };
+    }
+
+    return null;
+  };
+
+  return { rules, invalid, evaluate };
+}
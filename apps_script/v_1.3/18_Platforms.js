@@ -0,0 +1,507 @@
+// PLATFORMS - TABLES, ID RESOLUTION & GOVERNANCE WRAPPERS
+/*
+-------------------------------------
+Stores / platforms governed like items (ENTITY_DEFINITIONS.PLATFORM)
+
+Lookup_Platforms
+- One row per place goods are bought from
+- Platform_Type: Physical Store / Quick Commerce / Marketplace
+  (set on the staging row, copied on promotion)
+- Rows are created by promotion from Staging_Lookup_Platforms only
+
+Transaction_Resolution (script-owned columns, appended if missing)
+- Platform_Name_Canonical ← normalised Platform_Name_Entered
+- Platform_ID_Machine     ← Lookup_Platforms canonical, then
+                            Lookup_Platform_Aliases (re-resolved every run)
+- Unresolved canonicals are staged into Staging_Lookup_Platforms
+  (Review → Approve → Promote, Map_To_Existing, aliases — same as items)
+
+Item_Buy_Evaluate / Item_Evaluation_Log
+- Platform_ID_Machine resolved from Current_Platform / Evaluated_Platform,
+  so evaluations of one platform match across spellings and are compared
+  with that platform's transactions only
+-------------------------------------
+*/
+const PLATFORM_LOOKUP_SCHEMA = [
+  'Platform_ID_Machine',
+  'Platform_ID_Human',
+  'Platform_Name',
+  'Platform_Name_Canonical',
+  'Platform_Type',
+  'Platform_Status',
+  'Is_Approved',
+  'Is_Active',
+  'Is_Archived',
+  'Is_Staging_Promoted',
+  'Source_Type',
+  'Staging_Platform_ID_Machine',
+  'Created_At',
+  'Notes'
+];
+
+const PLATFORM_STAGING_SCHEMA = [
+  'Staging_Platform_ID_Machine',
+  'Source_Txn_ID_Machine',
+  'Source_Item_Name',
+  'Platform_Name_Entered',
+  'Platform_Name_Canonical',
+  'Platform_Name_Approved',
+  'Platform_Type',
+  'Admin_Action',
+  'Map_To_Platform_ID_Machine',
+  'Mapped_Platform_ID_Machine',
+  'Is_Approved',
+  'Is_Active',
+  'Is_Archived',
+  'Is_Lookup_Promoted',
+  'Is_Pipeline_ready',
+  'Valid_State',
+  'Action_Review_Status',
+  'Platform_Status',
+  'Entity_Owner',
+  'Integrity_Status',
+  'Promotion_Label',
+  'Promoted_At',
+  'Populated_At',
+  'Notes'
+];
+
+const TXN_PLATFORM_RESOLUTION_SCHEMA = [
+  'Platform_Name_Canonical',
+  'Platform_ID_Machine'
+];
+
+/*
+  Evaluation sheets → platform name column resolved into Platform_ID_Machine
+*/
+const PLATFORM_EVALUATION_SHEETS = {
+  'Item_Buy_Evaluate': 'Current_Platform',
+  'Item_Evaluation_Log': 'Evaluated_Platform'
+};
+
+/*
+-------------------------------------
+Helper — Ensure Platform Sheets
+-------------------------------------
+*/
+function ensurePlatformSheets_(ss){
+  getOrCreateSheet_(ss, 'Lookup_Platforms', PLATFORM_LOOKUP_SCHEMA);
+  getOrCreateSheet_(ss, 'Staging_Lookup_Platforms', PLATFORM_STAGING_SCHEMA);
+}
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// PLATFORMS: RESOLVE PLATFORM IDS ON TRANSACTIONS
+
+/**
+ * Script Name: resolvePlatformIDs_TransactionResolution
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Give every transaction with a platform name a Platform_ID_Machine,
+ *   so price history is grouped per platform and not per spelling
+ *
+ * Resolution Rules:
+ * - Platform_Name_Canonical is always re-derived from Platform_Name_Entered
+ * - Platform_ID_Machine is re-resolved every run and replaced when the
+ *   canonical no longer belongs to that platform (edited name, alias
+ *   removed, platform archived); unknown or ambiguous names are cleared
+ *   and staged. Pin a spelling with Map_To_Existing (alias), not by
+ *   typing the ID
+ * - Lookup canonical first, then Lookup_Platform_Aliases
+ *   (buildEntityNameResolver_); archived platforms do not resolve
+ * - Rows without Txn_ID_Machine are cleared (canonical and ID)
+ *
+ * Run twice per platform pipeline: before staging intake (so known
+ * platforms are not staged) and after promotion (new platforms).
+ *
+ * Preconditions:
+ * - Sheet must exist: Transaction_Resolution
+ *   (Txn_ID_Machine, Platform_Name_Entered)
+ * - Platform sheets are created on first use if missing
+ *
+ * Failure Modes:
+ * - Transaction_Resolution missing
+ * - Required column missing
+ *
+ * Notes:
+ * - Positional write (Resolution rows are never reordered by script)
+ */
+function resolvePlatformIDs_TransactionResolution() {
+
+  const SCRIPT_NAME   = 'Platforms';
+  const FUNCTION_NAME = 'resolvePlatformIDs_TransactionResolution';
+  const TGT_SHEET     = 'Transaction_Resolution';
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    if (!ss.getSheetByName(TGT_SHEET)) throw new Error(`Sheet ${TGT_SHEET} not found`);
+
+    ensurePlatformSheets_(ss);
+
+    const resSh = getOrCreateSheet_(ss, TGT_SHEET, TXN_PLATFORM_RESOLUTION_SCHEMA);
+
+    /* =========================
+       STEP — LOAD_DATA
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_DATA');
+
+    const resolver = buildEntityNameResolver_(ss, 'PLATFORM');
+
+    resolver.ambiguous.concat(resolver.conflicts).forEach(key => {
+      ETI_log_({
+        scriptName: SCRIPT_NAME,
+        functionName: FUNCTION_NAME,
+        sheetName: 'Lookup_Platforms',
+        level: 'WARN',
+        action: 'PLATFORM_AMBIGUOUS',
+        details: `"${key}" points at more than one Platform_ID_Machine; not resolved`
+      });
+    });
+
+    const resData = resSh.getDataRange().getValues();
+    const resHdr  = resData[0];
+
+    const IDX = resolveEntityColumns_(resHdr, {
+      txnId: 'Txn_ID_Machine',
+      entered: 'Platform_Name_Entered',
+      canon: 'Platform_Name_Canonical',
+      platformId: 'Platform_ID_Machine'
+    }, TGT_SHEET);
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'LOAD_DATA');
+
+    /* =========================
+       EXIT — NO DATA
+    ========================= */
+    if (resData.length < 2) {
+      ETI_logExit_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'No data rows in Transaction_Resolution');
+      return;
+    }
+
+    /* =========================
+       PROCESS LOOP
+    ========================= */
+    let withPlatform = 0;
+    let resolved = 0;
+    let unresolved = 0;
+    let reResolved = 0;
+    let cleared = 0;
+
+    for (let i = 1; i < resData.length; i++) {
+
+      const r = resData[i];
+
+      if (!r[IDX.txnId]) {
+        if (r[IDX.canon] || r[IDX.platformId]) cleared++;
+        r[IDX.canon] = '';
+        r[IDX.platformId] = '';
+        continue;
+      }
+
+      const entered = r[IDX.entered];
+      const canon = normalizeMatchText_(entered);
+
+      r[IDX.canon] = canon;
+
+      const platformId = canon ? resolver.resolve(canon, entered) : '';
+      const previousId = String(r[IDX.platformId] || '');
+
+      if (previousId && previousId !== platformId) {
+
+        reResolved++;
+
+        ETI_log_({
+          scriptName: SCRIPT_NAME,
+          functionName: FUNCTION_NAME,
+          sheetName: TGT_SHEET,
+          level: 'INFO',
+          rowNumber: i + 1,
+          action: 'PLATFORM_ID_REPLACED',
+          details: `Canonical="${canon}", Old=${previousId}, New=${platformId || '(unresolved)'}`
+        });
+      }
+
+      r[IDX.platformId] = platformId;
+
+      if (!canon) continue;
+      withPlatform++;
+
+      if (platformId) resolved++;
+      else unresolved++;
+    }
+
+    /* =========================
+       STEP — WRITE_OUTPUT
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_OUTPUT');
+
+    [IDX.canon, IDX.platformId].forEach(c => {
+      resSh.getRange(2, c + 1, resData.length - 1, 1)
+           .setValues(resData.slice(1).map(r => [r[c]]));
+    });
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'WRITE_OUTPUT');
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      `Scanned=${resData.length - 1} | WithPlatform=${withPlatform} | ` +
+      `Resolved=${resolved}, Unresolved=${unresolved}, Replaced=${reResolved} | ` +
+      `ClearedNoTxn=${cleared} | DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// PLATFORMS: RESOLVE PLATFORM IDS ON EVALUATIONS
+
+/**
+ * Script Name: resolvePlatformIDs_ItemEvaluation
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Fill Platform_ID_Machine on Item_Buy_Evaluate (from Current_Platform)
+ *   and Item_Evaluation_Log (from Evaluated_Platform)
+ * - Backfills log rows written before the platform existed in
+ *   Lookup_Platforms; new log rows get the ID from the evaluator
+ *   (processEvaluationRow_)
+ *
+ * Resolution Rules:
+ * - Same as resolvePlatformIDs_TransactionResolution: every row with a
+ *   platform name is re-resolved; an ID that no longer matches the name
+ *   is replaced (or cleared when the name is unknown)
+ * - Rows with a blank platform name are cleared
+ * - Sheets missing from the spreadsheet are skipped
+ *
+ * Failure Modes:
+ * - Platform name column missing on an existing evaluation sheet
+ */
+function resolvePlatformIDs_ItemEvaluation() {
+
+  const SCRIPT_NAME   = 'Platforms';
+  const FUNCTION_NAME = 'resolvePlatformIDs_ItemEvaluation';
+  const TGT_SHEET     = 'Item_Evaluation_Log';
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+    ensurePlatformSheets_(ss);
+
+    const resolver = buildEntityNameResolver_(ss, 'PLATFORM');
+
+    let changedTotal = 0;
+    let unresolved = 0;
+
+    for (const [sheetName, nameColumn] of Object.entries(PLATFORM_EVALUATION_SHEETS)) {
+
+      if (!ss.getSheetByName(sheetName)) {
+        ETI_log_({
+          scriptName: SCRIPT_NAME,
+          functionName: FUNCTION_NAME,
+          sheetName,
+          level: 'INFO',
+          action: 'SHEET_SKIPPED',
+          details: `${sheetName} not found`
+        });
+        continue;
+      }
+
+      /* =========================
+         STEP — RESOLVE_PLATFORM_IDS (per sheet)
+      ========================= */
+      ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, sheetName, 'RESOLVE_PLATFORM_IDS');
+
+      const sh = getOrCreateSheet_(ss, sheetName, ['Platform_ID_Machine']);
+      const data = sh.getDataRange().getValues();
+
+      const IDX = resolveEntityColumns_(data[0], {
+        platformName: nameColumn,
+        platformId: 'Platform_ID_Machine'
+      }, sheetName);
+
+      let changed = 0;
+
+      for (let i = 1; i < data.length; i++) {
+
+        const r = data[i];
+        const name = r[IDX.platformName];
+        const canon = normalizeMatchText_(name);
+
+        const platformId = canon ? resolver.resolve(canon, name) : '';
+
+        if (canon && !platformId) unresolved++;
+
+        if (String(r[IDX.platformId] || '') === platformId) continue;
+
+        r[IDX.platformId] = platformId;
+        changed++;
+      }
+
+      if (changed > 0) {
+        sh.getRange(2, IDX.platformId + 1, data.length - 1, 1)
+          .setValues(data.slice(1).map(r => [r[IDX.platformId]]));
+      }
+
+      changedTotal += changed;
+
+      ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, sheetName, 'RESOLVE_PLATFORM_IDS', `Changed=${changed}`);
+    }
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      `Changed=${changedTotal}, Unresolved=${unresolved} | DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// PLATFORMS: STAGING GOVERNANCE (ENTITY ENGINE WRAPPERS)
+
+/**
+ * Script Name: populateStagingLookupPlatforms_FromTransactionResolution
+ *              processStagingPlatforms_StateMachine
+ *              promoteApprovedPlatforms_FromStaging_ToLookup
+ *              backfill_PlatformIDs_Machine_LookupPlatforms
+ *              cleanupOrphan_PlatformIDs_Machine_LookupPlatforms
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ * Implementation: 17_Entity_Governance.js, ENTITY_DEFINITIONS.PLATFORM
+ *
+ * Purpose:
+ * - Same staging → approval → promotion flow as items:
+ *     Platform_Name_Canonical without Platform_ID_Machine in
+ *     Transaction_Resolution → staging row (fuzzy suggestions on, so
+ *     "D-Mart" is offered "dmart" instead of becoming a second store)
+ * - Admin_Action semantics and Platform_Status labels match Item_Status
+ * - Platform_Type set on the staging row is copied on promotion
+ * - Map_To_Existing registers the spelling in Lookup_Platform_Aliases
+ */
+function populateStagingLookupPlatforms_FromTransactionResolution() {
+  ensurePlatformSheets_(SpreadsheetApp.getActiveSpreadsheet());
+  return runEntityStagingIntake_('PLATFORM');
+}
+
+function processStagingPlatforms_StateMachine() {
+  ensurePlatformSheets_(SpreadsheetApp.getActiveSpreadsheet());
+  return runEntityStateMachine_('PLATFORM');
+}
+
+function promoteApprovedPlatforms_FromStaging_ToLookup() {
+  ensurePlatformSheets_(SpreadsheetApp.getActiveSpreadsheet());
+  return runEntityPromotion_('PLATFORM');
+}
+
+function backfill_PlatformIDs_Machine_LookupPlatforms() {
+  ensurePlatformSheets_(SpreadsheetApp.getActiveSpreadsheet());
+  return runEntityIdBackfill_('PLATFORM');
+}
+
+function cleanupOrphan_PlatformIDs_Machine_LookupPlatforms() {
+  ensurePlatformSheets_(SpreadsheetApp.getActiveSpreadsheet());
+  return runEntityOrphanIdCleanup_('PLATFORM');
+}
@@ -0,0 +1,467 @@
+// CONTEXT DROPDOWNS - ITEM → BRAND → PRODUCT OPTIONS FOR APPSHEET
+/*
+-------------------------------------
+Context_Dropdowns (script-owned, read by AppSheet Valid_If)
+
+One row per option:
+- ITEM_BRAND          → brand option for an item
+                        (source Mapping_Item_Brand)
+- ITEM_BRAND_PRODUCT  → product option for an item + brand
+                        (source Mapping_Item_Brand_Product)
+
+Context_Key = <Context_Type>||<Item>||<Brand>[||<Product>] (row identity)
+
+Is_Valid = TRUE when
+- mapping Is_Mapping_Active = TRUE and Is_Archived ≠ TRUE
+- every referenced entity exists in its lookup and is not archived
+- the option entity (brand / product) is active (Approve (UI Hidden)
+  entities stay out of dropdowns)
+
+Ranking (valid rows only, per context: item, or item + brand)
+- Rank_Score = Txn_Count × 0.5 ^ (days since Last_Seen_Txn_Date /
+  CONTEXT_DROPDOWN_HALF_LIFE_DAYS) — frequent and recent options first
+- Priority   = 1..n by Rank_Score, then Display_Value; blank when invalid
+- Txn_Count / Last_Seen_Txn_Date come from the mapping evidence columns
+  (14_Mapping_Evidence.js); First_Seen_Txn_Date when no evidence yet
+
+Incremental refresh (refreshContextDropdowns_FromMappings, after each
+mapping pipeline)
+- Rows are upserted by Context_Key, never cleared: Created_At is kept,
+  Updated_At moves only when a value changed
+- Options whose mapping disappeared stay with Is_Valid = FALSE
+
+AppSheet, e.g. brand of the chosen item:
+  ORDERBY(
+    SELECT(Context_Dropdowns[Brand_ID_Machine],
+      AND([Context_Type] = "ITEM_BRAND",
+          [Item_ID_Machine] = [_THISROW].[Item_ID_Machine],
+          [Is_Valid])),
+    [Priority])
+
+Replaces the vault prototype generateContextDropdowns (full rewrite,
+lookup / staging fallbacks, no ranking).
+-------------------------------------
+*/
+const CONTEXT_DROPDOWN_SHEET = 'Context_Dropdowns';
+
+const CONTEXT_DROPDOWN_SCHEMA = [
+  'Context_Key',
+  'Context_Type',
+  'Item_ID_Machine',
+  'Brand_ID_Machine',
+  'Product_ID_Machine',
+  'Display_Value',
+  'Priority',
+  'Rank_Score',
+  'Txn_Count',
+  'Last_Seen_Txn_Date',
+  'Is_Valid',
+  'Source',
+  'Created_At',
+  'Updated_At'
+];
+
+const CONTEXT_DROPDOWN_HALF_LIFE_DAYS = 90;
+
+/*
+  Context sources
+  - idColumns: mapping identity (the last one is the option)
+  - entityTypes: ENTITY_DEFINITIONS key of each identity column
+*/
+const CONTEXT_DROPDOWN_SOURCES = [
+  {
+    contextType: 'ITEM_BRAND',
+    sheet: 'Mapping_Item_Brand',
+    idColumns: ['Item_ID_Machine', 'Brand_ID_Machine'],
+    entityTypes: ['ITEM', 'BRAND'],
+    canonColumn: 'Brand_Name_Canonical'
+  },
+  {
+    contextType: 'ITEM_BRAND_PRODUCT',
+    sheet: 'Mapping_Item_Brand_Product',
+    idColumns: ['Item_ID_Machine', 'Brand_ID_Machine', 'Product_ID_Machine'],
+    entityTypes: ['ITEM', 'BRAND', 'PRODUCT'],
+    canonColumn: 'Product_Name_Canonical'
+  }
+];
+
+/*
+-------------------------------------
+Helper — Lookup State (display name, active, archived)
+-------------------------------------
+Returns Map(id → { name, active, archived }); empty when the lookup is missing.
+*/
+function loadContextLookupState_(ss, entityType){
+
+  const def = getEntityDefinition_(entityType);
+  const state = new Map();
+
+  const sh = ss.getSheetByName(def.lookupSheet);
+  if (!sh) return state;
+
+  const data = sh.getDataRange().getValues();
+
+  const IDX = resolveEntityColumns_(data[0], {
+    entityId: def.idColumn,
+    name: def.lookupNameColumn,
+    isActive: 'Is_Active',
+    isArchived: 'Is_Archived'
+  }, def.lookupSheet);
+
+  for (let i = 1; i < data.length; i++) {
+
+    const r = data[i];
+    if (!r[IDX.entityId]) continue;
+
+    state.set(r[IDX.entityId], {
+      name: r[IDX.name],
+      active: r[IDX.isActive] === true,
+      archived: r[IDX.isArchived] === true
+    });
+  }
+
+  return state;
+}
+
+/*
+-------------------------------------
+Helper — Rank Score
+-------------------------------------
+*/
+function scoreContextDropdown_(txnCount, lastSeen, now){
+
+  const count = Number(txnCount) || 0;
+  const date = lastSeen ? new Date(lastSeen) : null;
+
+  if (!date || isNaN(date.getTime())) return count;
+
+  const ageDays = Math.max(0, (now.getTime() - date.getTime()) / 86400000);
+
+  return Math.round(count * Math.pow(0.5, ageDays / CONTEXT_DROPDOWN_HALF_LIFE_DAYS) * 1000) / 1000;
+}
+
+
+
+/*
+========================================================================
+
+++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++++
+
+========================================================================
+*/
+
+// CONTEXT DROPDOWNS: REFRESH
+
+/**
+ * Script Name: refreshContextDropdowns_FromMappings
+ * Script Language: Google Apps Script (JavaScript)
+ * Version Introduced: v1.3
+ * Current Status: ACTIVE
+ *
+ * Purpose:
+ * - Keep Context_Dropdowns in line with the item / brand / product
+ *   mappings so AppSheet offers only valid brands for an item and valid
+ *   products for an item + brand, most used first
+ * - Production replacement of the vault prototype generateContextDropdowns
+ *
+ * Preconditions:
+ * - Mapping sheets are optional (missing source → its options untouched)
+ * - Lookup_Items / Lookup_Brands / Lookup_Products for names and flags
+ *
+ * Algorithm (Step-by-Step):
+ * 1. Load Context_Dropdowns (created if missing) keyed by Context_Key
+ * 2. Per source mapping row with a complete identity:
+ *      Display_Value, Txn_Count, Last_Seen_Txn_Date, Is_Valid, Rank_Score
+ * 3. Options of a loaded source not seen this run → Is_Valid = FALSE
+ * 4. Rank valid options per context → Priority
+ * 5. Upsert: rewrite existing rows if any changed, append new rows
+ * 6. Emit summary
+ *
+ * Failure Modes:
+ * - Required column missing
+ *
+ * Reason for Deprecation:
+ * - N/A
+ */
+function refreshContextDropdowns_FromMappings() {
+
+  const SCRIPT_NAME   = 'Mappings';
+  const FUNCTION_NAME = 'refreshContextDropdowns_FromMappings';
+  const TGT_SHEET     = CONTEXT_DROPDOWN_SHEET;
+
+  const t0 = new Date();
+
+  try {
+
+    /* =========================
+       START
+    ========================= */
+    ETI_logStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const now = new Date();
+
+    const ctxSh = getOrCreateSheet_(ss, TGT_SHEET, CONTEXT_DROPDOWN_SCHEMA);
+    const data = ctxSh.getDataRange().getValues();
+    const hdr = data[0];
+
+    const IDX = resolveEntityColumns_(hdr, {
+      key: 'Context_Key',
+      type: 'Context_Type',
+      itemId: 'Item_ID_Machine',
+      brandId: 'Brand_ID_Machine',
+      productId: 'Product_ID_Machine',
+      display: 'Display_Value',
+      priority: 'Priority',
+      score: 'Rank_Score',
+      txnCount: 'Txn_Count',
+      lastSeen: 'Last_Seen_Txn_Date',
+      isValid: 'Is_Valid',
+      source: 'Source',
+      createdAt: 'Created_At',
+      updatedAt: 'Updated_At'
+    }, TGT_SHEET);
+
+    const rowByKey = new Map();
+    for (let i = 1; i < data.length; i++) {
+      if (data[i][IDX.key]) rowByKey.set(data[i][IDX.key], i);
+    }
+
+    /* =========================
+       STEP — COLLECT OPTIONS
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'COLLECT');
+
+    const lookups = {
+      ITEM: loadContextLookupState_(ss, 'ITEM'),
+      BRAND: loadContextLookupState_(ss, 'BRAND'),
+      PRODUCT: loadContextLookupState_(ss, 'PRODUCT')
+    };
+
+    const options = new Map();
+    const loadedTypes = new Set();
+
+    CONTEXT_DROPDOWN_SOURCES.forEach(src => {
+
+      const sh = ss.getSheetByName(src.sheet);
+      if (!sh) return;
+
+      loadedTypes.add(src.contextType);
+
+      const mData = sh.getDataRange().getValues();
+      const mHdr = mData[0];
+
+      const cols = { isActive: 'Is_Mapping_Active' };
+      src.idColumns.forEach((c, k) => { cols['id' + k] = c; });
+
+      const M = resolveEntityColumns_(mHdr, cols, src.sheet);
+
+      const opt = {
+        canon: mHdr.indexOf(src.canonColumn),
+        isArchived: mHdr.indexOf('Is_Archived'),
+        txnCount: mHdr.indexOf('Txn_Count'),
+        lastSeen: mHdr.indexOf('Last_Seen_Txn_Date'),
+        firstSeen: mHdr.indexOf('First_Seen_Txn_Date')
+      };
+
+      const cell = (r, idx) => (idx === -1 ? '' : r[idx]);
+
+      for (let i = 1; i < mData.length; i++) {
+
+        const r = mData[i];
+        const ids = src.idColumns.map((c, k) => r[M['id' + k]]);
+
+        if (!ids.every(Boolean)) continue;
+
+        const key = [src.contextType].concat(ids).join('||');
+
+        const entities = ids.map((id, k) => lookups[src.entityTypes[k]].get(id));
+        const option = entities[entities.length - 1];
+
+        const isValid =
+          r[M.isActive] === true &&
+          cell(r, opt.isArchived) !== true &&
+          entities.every(e => e && !e.archived) &&
+          option.active;
+
+        const txnCount = Number(cell(r, opt.txnCount)) || 0;
+        const lastSeen = cell(r, opt.lastSeen) || cell(r, opt.firstSeen);
+
+        // Same identity on several mapping rows: keep the strongest evidence
+        const prev = options.get(key);
+        if (prev && (prev.isValid !== isValid ? prev.isValid : prev.txnCount >= txnCount)) continue;
+
+        options.set(key, {
+          contextType: src.contextType,
+          source: src.sheet,
+          ids,
+          display: (option && option.name) || cell(r, opt.canon),
+          txnCount,
+          lastSeen,
+          isValid,
+          score: isValid ? scoreContextDropdown_(txnCount, lastSeen, now) : 0,
+          priority: ''
+        });
+      }
+    });
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'COLLECT', `Options=${options.size}`);
+
+    /* =========================
+       STEP — RANK
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'RANK');
+
+    const groups = new Map();
+
+    options.forEach(o => {
+      if (!o.isValid) return;
+      const groupKey = [o.contextType].concat(o.ids.slice(0, -1)).join('||');
+      if (!groups.has(groupKey)) groups.set(groupKey, []);
+      groups.get(groupKey).push(o);
+    });
+
+    groups.forEach(list => {
+      list
+        .sort((a, b) => (b.score - a.score) || String(a.display).localeCompare(String(b.display)))
+        .forEach((o, k) => { o.priority = k + 1; });
+    });
+
+    ETI_logStepEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'RANK', `Contexts=${groups.size}`);
+
+    /* =========================
+       STEP — UPSERT
+    ========================= */
+    ETI_logStepStart_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET, 'UPSERT');
+
+    const same = (a, b) =>
+      (a instanceof Date || b instanceof Date)
+        ? a !== '' && b !== '' && new Date(a).getTime() === new Date(b).getTime()
+        : a === b;
+
+    let updated = 0;
+    let invalidated = 0;
+
+    const rowsToAppend = [];
+
+    options.forEach((o, key) => {
+
+      const values = {
+        [IDX.display]: o.display,
+        [IDX.priority]: o.priority,
+        [IDX.score]: o.score,
+        [IDX.txnCount]: o.txnCount,
+        [IDX.lastSeen]: o.lastSeen,
+        [IDX.isValid]: o.isValid
+      };
+
+      if (rowByKey.has(key)) {
+
+        const row = data[rowByKey.get(key)];
+        let changed = false;
+
+        Object.keys(values).forEach(c => {
+          if (!same(row[c], values[c])) {
+            row[c] = values[c];
+            changed = true;
+          }
+        });
+
+        if (changed) {
+          row[IDX.updatedAt] = now;
+          updated++;
+        }
+
+        return;
+      }
+
+      const entry = {
+        Context_Key: key,
+        Context_Type: o.contextType,
+        Item_ID_Machine: o.ids[0],
+        Brand_ID_Machine: o.ids[1],
+        Product_ID_Machine: o.ids[2] || '',
+        Display_Value: o.display,
+        Priority: o.priority,
+        Rank_Score: o.score,
+        Txn_Count: o.txnCount,
+        Last_Seen_Txn_Date: o.lastSeen,
+        Is_Valid: o.isValid,
+        Source: o.source,
+        Created_At: now,
+        Updated_At: now
+      };
+
+      rowsToAppend.push(hdr.map(h => (h in entry ? entry[h] : '')));
+    });
+
+    // Mapping gone → option kept, no longer offered
+    rowByKey.forEach((i, key) => {
+
+      const row = data[i];
+
+      if (options.has(key) || !loadedTypes.has(row[IDX.type])) return;
+      if (row[IDX.isValid] === false && row[IDX.priority] === '') return;
+
+      row[IDX.isValid] = false;
+      row[IDX.priority] = '';
+      row[IDX.score] = 0;
+      row[IDX.updatedAt] = now;
+      invalidated++;
+    });
+
+    if (updated + invalidated > 0) {
+      ctxSh.getRange(2, 1, data.length - 1, hdr.length)
+        .setValues(data.slice(1));
+    }
+
+    if (rowsToAppend.length > 0) {
+      ctxSh.getRange(ctxSh.getLastRow() + 1, 1, rowsToAppend.length, hdr.length)
+        .setValues(rowsToAppend);
+    }
+
+    ETI_logStepEnd_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      'UPSERT',
+      `Added=${rowsToAppend.length}, Updated=${updated}, Invalidated=${invalidated}`
+    );
+
+    /* =========================
+       SUMMARY
+    ========================= */
+    const validCount = Array.from(options.values()).filter(o => o.isValid).length;
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    ETI_logSummary_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      `Options=${options.size}, Valid=${validCount}, Added=${rowsToAppend.length}, Updated=${updated}, ` +
+      `Invalidated=${invalidated}, DurationMs=${durationMs}`
+    );
+
+    /* =========================
+       END
+    ========================= */
+    ETI_logEnd_(SCRIPT_NAME, FUNCTION_NAME, TGT_SHEET);
+
+  } catch (err) {
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      TGT_SHEET,
+      err,
+      'MAIN'
+    );
+
+    throw err;
+
+  } finally {
+
+    flushLogs_();
+
+  }
+}
@@ -4,6 +4,58 @@
 ========================= */
 const EVALUATOR_PERSIST_MODE = true // IF TRUE THEN EVALUATOR WILL NOT OUTPUTS CLEAR POST EXECUTION. HELPFUL FOR DEBUG.
 
+/* =========================
+   EVALUATION QUEUE
+   - Every Item_Buy_Evaluate row with Input_Ready_For_Comparison = TRUE
+     and an Evaluation_ID is processed, one log row per evaluation
+   - Idempotent: a PROCESSED row is skipped until its inputs change
+     (Eval_Queue_Signature)
+   - Per-row status in the script-owned columns below:
+       PROCESSED → log row inserted / updated
+       WAITING   → Summary_UI not ready yet (retried on next change)
+       SKIPPED   → Evaluation_ID repeated on an earlier queue row
+       ERROR     → processing failed (message in Eval_Queue_Notes,
+                   EVALUATION_ROW_ERROR in Action_Logs)
+   - Runs under the document lock (tryLock); the controller holds the
+     script lock for whole pipeline runs, so the two never wait on each
+     other. When the document lock is busy the run exits and rows stay
+     queued for the next change event
+========================= */
+const EVALUATION_QUEUE_LOCK_TIMEOUT_MS = 5000;
+
+const EVALUATION_QUEUE_STATUS_COLUMNS = [
+  "Eval_Queue_Status",
+  "Eval_Queue_Processed_At",
+  "Eval_Queue_Notes",
+  "Eval_Queue_Signature"
+];
+
+/* =========================
+   PRICE COMPARISON
+   - Script-owned Item_Evaluation_Log columns (appended if missing)
+   - Evaluated_Rate_Normalized = Evaluated_Price / Recorded_Normalised_Qty
+   - Effective_* = statistics over Transaction_Analytics
+     Effective_Rate_Normalized of the evaluated item (discounts, taxes
+     and fees apportioned — see 11_Transaction_Pricing.js) on the
+     evaluated platform (Platform_ID_Machine)
+   - Rate_Comparison_Scope = PLATFORM      → evaluated platform only
+                             ALL_PLATFORMS → no platform entered
+   - Rate_Vs_Effective_Avg_Pct = % above (+) / below (−) Effective_Avg_Rate
+========================= */
+const EVALUATION_COMPARISON_COLUMNS = ["Evaluated_Rate_Normalized"]
+  .concat(EFFECTIVE_RATE_STATS_SCHEMA, ["Rate_Comparison_Scope", "Rate_Vs_Effective_Avg_Pct"]);
+
+const EVALUATION_SIGNATURE_FIELDS = [
+  "Evaluated_Item",
+  "Evaluated_Brand",
+  "Evaluated_Product",
+  "Evaluated_Platform",
+  "Evaluated_Qty",
+  "Evaluated_Qty_Unit",
+  "Evaluated_Price"
+];
+
+
 /* =========================
    ENTRY TRIGGER
 ========================= */
@@ -19,71 +71,50 @@ function onChangeInstallable(e) {
     return;
   }
 
-  const data = evalSheet.getDataRange().getValues();
-  if (data.length < 2) {
+  if (evalSheet.getLastRow() < 2) {
     console.log("No data rows found");
     return;
   }
 
-  const headerMap = getHeaderMap_(evalSheet);
-  const row = data[1];
-
-  const evaluationId = getCell_(row, headerMap, "Evaluation_ID");
-  const inputReady = getCell_(row, headerMap, "Input_Ready_For_Comparison");
-
-  console.log("Row state:",
-    "InputReady =", inputReady,
-    "Evaluation_ID =", evaluationId
-  );
-
-  if (inputReady === true && evaluationId) {
-    console.log("Gating PASSED → entering processor");
-    processEvaluationRow_(evalSheet, 2);
-  } else {
-    console.log("Gating FAILED");
-  }
+  processEvaluationQueue_(evalSheet);
 }
 
 
 /* =========================
-   CORE PROCESSOR
+   QUEUE PROCESSOR
 ========================= */
-function processEvaluationRow_(evalSheet, rowIndex) {
+function processEvaluationQueue_(evalSheet) {
+
+  console.log("=== QUEUE START ===");
 
-  console.log("=== PROCESS START ===");
+  const lock = LockService.getDocumentLock() || LockService.getScriptLock();
 
-  const lock = LockService.getScriptLock();
-  lock.waitLock(30000);
+  if (!lock.tryLock(EVALUATION_QUEUE_LOCK_TIMEOUT_MS)) {
+    console.log("Lock busy → rows left queued");
+    return;
+  }
 
   try {
 
-    const headerMap = getHeaderMap_(evalSheet);
+    const ss = SpreadsheetApp.getActive();
+
+    getOrCreateSheet_(ss, evalSheet.getName(), EVALUATION_QUEUE_STATUS_COLUMNS);
 
     SpreadsheetApp.flush();
     Utilities.sleep(250);
     SpreadsheetApp.flush();
 
-    const row = evalSheet
-      .getRange(rowIndex, 1, 1, evalSheet.getLastColumn())
-      .getValues()[0];
-
-    const get = (col) => getCell_(row, headerMap, col);
-
-    if (get("Input_Ready_For_Comparison") !== true) return;
-    if (Number(get("Compare_ID")) !== 1) return;
-    if (!get("Evaluation_ID")) return;
-
-    if (!get("Summary_UI") || get("Summary_UI").toString().trim() === "") {
-      console.log("Exit: Summary_UI not ready");
-      return;
-    }
+    const headerMap = getHeaderMap_(evalSheet);
+    const data = evalSheet.getDataRange().getValues();
 
-    const logSheet = SpreadsheetApp.getActive().getSheetByName("Item_Evaluation_Log");
-    if (!logSheet) {
+    if (!ss.getSheetByName("Item_Evaluation_Log")) {
       console.log("ERROR: Item_Evaluation_Log sheet not found");
       return;
     }
 
+    const logSheet = getOrCreateSheet_(ss, "Item_Evaluation_Log", EVALUATION_COMPARISON_COLUMNS);
+    const comparison = buildEvaluationComparisonContext_(ss);
+
     const logHeaderMap = getHeaderMap_(logSheet);
 
     const lastRow = logSheet.getLastRow();
@@ -92,55 +123,260 @@ function processEvaluationRow_(evalSheet, rowIndex) {
         ? logSheet.getRange(2, 1, lastRow - 1, logSheet.getLastColumn()).getValues()
         : [];
 
-    const snapshot = buildSnapshot_(headerMap, row);
+    /* ===== STATUS COLUMNS (in memory, written once) ===== */
+    const statusCols = EVALUATION_QUEUE_STATUS_COLUMNS.map(col => headerMap[col]);
+    const statusData = data.slice(1).map(r => statusCols.map(c => r[c]));
 
-    const matchIndex = findMatchRow_(snapshot, logHeaderMap, logData);
+    const setStatus = (i, status, notes, signature) => {
+      statusData[i - 1] = [status, new Date(), notes, signature || ""];
+    };
 
-    if (matchIndex !== -1) {
+    const counts = { PROCESSED: 0, WAITING: 0, SKIPPED: 0, ERROR: 0, UNCHANGED: 0 };
+    const seenIds = {};
+    const processedRows = [];
 
-      console.log("UPDATING existing log row");
+    for (let i = 1; i < data.length; i++) {
 
-      logSheet.getRange(matchIndex + 2, 1, 1, logSheet.getLastColumn())
-              .setValues([buildLogRow_(snapshot, logHeaderMap)]);
+      const row = data[i];
+      const get = (col) => getCell_(row, headerMap, col);
 
-    } else {
+      const evaluationId = get("Evaluation_ID");
 
-      console.log("INSERTING new log row");
+      if (get("Input_Ready_For_Comparison") !== true || !evaluationId) continue;
 
-      const newRowValues = buildLogRow_(snapshot, logHeaderMap);
+      if (seenIds[evaluationId]) {
+        counts.SKIPPED++;
+        setStatus(i, "SKIPPED", `Duplicate Evaluation_ID (row ${seenIds[evaluationId]})`);
+        continue;
+      }
 
-      const insertRowIndex = logSheet.getLastRow() + 1;
+      seenIds[evaluationId] = i + 1;
 
-      logSheet
-        .getRange(insertRowIndex, 1, 1, logSheet.getLastColumn())
-        .setValues([newRowValues]);
+      if (!get("Summary_UI") || get("Summary_UI").toString().trim() === "") {
+        counts.WAITING++;
+        setStatus(i, "WAITING", "Summary_UI not ready");
+        continue;
+      }
 
-      /* ===== FORMAT COPY FROM ROW 2 ANCHOR ===== */
-      if (logSheet.getLastRow() >= 2) {
-        logSheet
-        .getRange(2, 1, 1, logSheet.getLastColumn())
-        .copyTo(
-          logSheet.getRange(insertRowIndex, 1, 1, logSheet.getLastColumn()),
-          { formatOnly: true }
-    );
-}
-/* ========================================== */
-      
-    
+      const snapshot = buildSnapshot_(headerMap, row);
+      const signature = buildEvaluationSignature_(snapshot);
+
+      if (get("Eval_Queue_Status") === "PROCESSED" && get("Eval_Queue_Signature") === signature) {
+        counts.UNCHANGED++;
+        continue;
+      }
+
+      try {
+
+        const result = processEvaluationRow_(snapshot, logSheet, logHeaderMap, logData, comparison);
+
+        counts.PROCESSED++;
+        const pct = snapshot["Rate_Vs_Effective_Avg_Pct"];
+
+        setStatus(
+          i,
+          "PROCESSED",
+          `Log row ${result.action} (row ${result.logRow})` +
+            (pct === "" ? "" : ` | Rate vs effective avg ${pct > 0 ? "+" : ""}${pct}%`),
+          signature
+        );
+        processedRows.push(i + 1);
+
+      } catch (err) {
+
+        counts.ERROR++;
+        setStatus(i, "ERROR", String(err && err.message || err));
+        console.log(`ERROR: Evaluation_ID ${evaluationId} → ${err}`);
+
+        ETI_log_({
+          scriptName: "Evaluator",
+          functionName: "processEvaluationQueue_",
+          sheetName: evalSheet.getName(),
+          level: "ERROR",
+          rowNumber: i + 1,
+          action: "EVALUATION_ROW_ERROR",
+          details: `Evaluation_ID=${evaluationId}, ${err && err.message || err}`
+        });
+      }
+    }
+
+    /* ===== WRITE STATUS COLUMNS ===== */
+    if (statusData.length > 0) {
+      statusCols.forEach((c, k) => {
+        evalSheet
+          .getRange(2, c + 1, statusData.length, 1)
+          .setValues(statusData.map(r => [r[k]]));
+      });
     }
 
     if (!EVALUATOR_PERSIST_MODE) {
-      resetEvaluatorRow_(evalSheet, rowIndex, headerMap);
+      processedRows.forEach(rowIndex => resetEvaluatorRow_(evalSheet, rowIndex, headerMap));
     }
 
-    console.log("=== PROCESS END ===");
+    console.log(
+      "=== QUEUE END ===",
+      `Processed=${counts.PROCESSED}`,
+      `Unchanged=${counts.UNCHANGED}`,
+      `Waiting=${counts.WAITING}`,
+      `Skipped=${counts.SKIPPED}`,
+      `Errors=${counts.ERROR}`
+    );
 
   } finally {
+    flushLogs_();
     lock.releaseLock();
   }
 }
 
 
+/* =========================
+   EVALUATION SIGNATURE
+   (inputs that define one log row)
+========================= */
+function buildEvaluationSignature_(snapshot) {
+
+  return EVALUATION_SIGNATURE_FIELDS
+    .map(f => {
+      const v = snapshot[f];
+      return v instanceof Date ? v.getTime() : (v === undefined || v === null ? "" : String(v).trim());
+    })
+    .join("|");
+}
+
+
+/* =========================
+   COMPARISON CONTEXT
+   (built once per queue run)
+========================= */
+function buildEvaluationComparisonContext_(ss) {
+
+  const buildResolver = (entityType) => {
+    try {
+      return buildEntityNameResolver_(ss, entityType);
+    } catch (err) {
+      console.log(`WARN: ${entityType} resolver unavailable → ${err}`);
+      return null;
+    }
+  };
+
+  return {
+    rateHistory: buildEffectiveRateHistory_(ss),
+    itemResolver: buildResolver("ITEM"),
+    platformResolver: buildResolver("PLATFORM")
+  };
+}
+
+
+/* =========================
+   PLATFORM ID (snapshot, in place)
+   Re-resolved from Evaluated_Platform on every run, so an edited
+   platform name never keeps the previous platform's ID.
+========================= */
+function applyEvaluationPlatformId_(snapshot, comparison) {
+
+  const name = snapshot["Evaluated_Platform"];
+
+  snapshot["Platform_ID_Machine"] =
+    comparison.platformResolver && normalizeMatchText_(name)
+      ? comparison.platformResolver.resolve(normalizeMatchText_(name), name)
+      : "";
+}
+
+
+/* =========================
+   PRICE COMPARISON (snapshot, in place)
+   Compares the evaluated rate with the item's effective rate history
+   on the evaluated platform (all platforms when none is entered).
+========================= */
+function applyEvaluationComparison_(snapshot, comparison) {
+
+  const itemName = snapshot["Evaluated_Item"];
+
+  const itemId =
+    snapshot["Item_ID_Machine"] ||
+    (comparison.itemResolver && normalizeMatchText_(itemName)
+      ? comparison.itemResolver.resolve(normalizeMatchText_(itemName), itemName)
+      : "");
+
+  const platformId = snapshot["Platform_ID_Machine"];
+  const platformScoped = !!normalizeMatchText_(snapshot["Evaluated_Platform"]);
+
+  const entries = (itemId ? comparison.rateHistory.get(itemId) || [] : [])
+    .filter(e => !platformScoped || (platformId && e.platformId === platformId));
+
+  const stats = summarizeEffectiveRates_(entries);
+  snapshot["Rate_Comparison_Scope"] = platformScoped ? "PLATFORM" : "ALL_PLATFORMS";
+
+  EFFECTIVE_RATE_STATS_SCHEMA.forEach((col, k) => {
+    snapshot[col] = stats[k];
+  });
+
+  const qty = Number(snapshot["Recorded_Normalised_Qty"]);
+  const price = Number(snapshot["Evaluated_Price"]);
+  const rate = qty > 0 && price > 0 ? Math.round((price / qty) * 1e6) / 1e6 : "";
+
+  snapshot["Evaluated_Rate_Normalized"] = rate;
+
+  const avg = snapshot["Effective_Avg_Rate"];
+
+  snapshot["Rate_Vs_Effective_Avg_Pct"] =
+    rate !== "" && avg > 0 ? Math.round(((rate - avg) / avg) * 10000) / 100 : "";
+}
+
+
+/* =========================
+   CORE PROCESSOR (one queue row)
+   logData is kept in step with the sheet so later rows of the same
+   run match rows written earlier in it.
+   Returns { action: "updated" | "inserted", logRow }
+========================= */
+function processEvaluationRow_(snapshot, logSheet, logHeaderMap, logData, comparison) {
+
+  /* ===== PLATFORM ID (per platform, not per spelling) ===== */
+  applyEvaluationPlatformId_(snapshot, comparison);
+
+  applyEvaluationComparison_(snapshot, comparison);
+
+  const matchIndex = findMatchRow_(snapshot, logHeaderMap, logData);
+  const logRow = buildLogRow_(snapshot, logHeaderMap);
+
+  if (matchIndex !== -1) {
+
+    console.log("UPDATING existing log row");
+
+    logSheet.getRange(matchIndex + 2, 1, 1, logSheet.getLastColumn())
+            .setValues([logRow]);
+
+    logData[matchIndex] = logRow;
+
+    return { action: "updated", logRow: matchIndex + 2 };
+  }
+
+  console.log("INSERTING new log row");
+
+  const insertRowIndex = logSheet.getLastRow() + 1;
+
+  logSheet
+    .getRange(insertRowIndex, 1, 1, logSheet.getLastColumn())
+    .setValues([logRow]);
+
+  /* ===== FORMAT COPY FROM ROW 2 ANCHOR ===== */
+  if (insertRowIndex > 2) {
+    logSheet
+      .getRange(2, 1, 1, logSheet.getLastColumn())
+      .copyTo(
+        logSheet.getRange(insertRowIndex, 1, 1, logSheet.getLastColumn()),
+        { formatOnly: true }
+      );
+  }
+  /* ========================================== */
+
+  logData.push(logRow);
+
+  return { action: "inserted", logRow: insertRowIndex };
+}
+
+
 /* =========================
    SNAPSHOT BUILDER
 ========================= */
@@ -176,15 +412,39 @@ function findMatchRow_(snapshot, logHeaderMap, logData) {
   const norm = (v) => (v || "").toString().trim().toLowerCase();
   const num = (v) => Number(v);
 
+  // Same Evaluation_ID → same log row (queue re-runs, edited inputs)
+  if (snapshot["Evaluation_ID"] && logHeaderMap["Evaluation_ID"] !== undefined) {
+    const idMatch = logData.findIndex(
+      row => getCell_(row, logHeaderMap, "Evaluation_ID") === snapshot["Evaluation_ID"]
+    );
+    if (idMatch !== -1) return idMatch;
+  }
+
+  // Content fallback only for log rows without an Evaluation_ID (rows
+  // logged before IDs existed); rows owned by another evaluation never match
+  const unowned = (row) =>
+    logHeaderMap["Evaluation_ID"] === undefined ||
+    !getCell_(row, logHeaderMap, "Evaluation_ID");
+
+  // Platform_ID_Machine on both sides → compare IDs, else platform names
+  const samePlatform = (row) => {
+    const logPlatformId = getCell_(row, logHeaderMap, "Platform_ID_Machine");
+    if (logPlatformId && snapshot["Platform_ID_Machine"]) {
+      return logPlatformId === snapshot["Platform_ID_Machine"];
+    }
+    return norm(getCell_(row, logHeaderMap, "Evaluated_Platform")) === norm(snapshot["Evaluated_Platform"]);
+  };
+
   for (let i = 0; i < logData.length; i++) {
 
     const row = logData[i];
 
     const match =
+      unowned(row) &&
       norm(getCell_(row, logHeaderMap, "Evaluated_Item")) === norm(snapshot["Evaluated_Item"]) &&
       norm(getCell_(row, logHeaderMap, "Evaluated_Brand")) === norm(snapshot["Evaluated_Brand"]) &&
       norm(getCell_(row, logHeaderMap, "Evaluated_Product")) === norm(snapshot["Evaluated_Product"]) &&
-      norm(getCell_(row, logHeaderMap, "Evaluated_Platform")) === norm(snapshot["Evaluated_Platform"]) &&
+      samePlatform(row) &&
       num(getCell_(row, logHeaderMap, "Recorded_Normalised_Qty")) === num(snapshot["Recorded_Normalised_Qty"]) &&
       num(getCell_(row, logHeaderMap, "Evaluated_Price")) === num(snapshot["Evaluated_Price"]);
 
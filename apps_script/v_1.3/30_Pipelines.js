@@ -16,6 +16,104 @@ If no context (manual run), initialize fresh
 
 
 
+/* =========================
+   Transaction Pipeline
+   ========================= */
+function pipeline_transactions_(){
+
+  /* -------------------------------------
+     EXECUTION CONTEXT
+  ------------------------------------- */
+
+  const SCRIPT_NAME = 'Pipeline';
+  const FUNCTION_NAME = 'pipeline_transactions_';
+
+  let ctx = getExecutionContext_();
+
+  if (ctx) {
+    /* Existing context → enhance only */
+    ctx.pipeline_name = FUNCTION_NAME;
+    ctx.run_context = "PIPELINE";
+  } else {
+    /* No context → manual execution */
+    initExecutionContext_({
+      pipeline_name: FUNCTION_NAME,
+      run_context: "PIPELINE"
+    });
+  }
+
+  const t0 = new Date();
+
+  try {
+
+    ETI_log_({
+      scriptName: SCRIPT_NAME,
+      functionName: FUNCTION_NAME,
+      level: 'INFO',
+      action: 'PIPELINE START',
+      details: 'Transaction pipeline execution started'
+    });
+
+    /* -------------------------------------
+       ACTUAL PIPELINE FUNCTIONS
+    ------------------------------------- */
+
+    reinjectQuarantinedTransactions_TransactionRaw();
+    backfillTxnIDs_TransactionRaw();
+    cleanupInvalidTransactions_TransactionRaw();
+    processDuplicateReview_StateMachine();
+    detectDuplicateTransactions_TransactionRaw();
+    reconcileReceipts_ReceiptHeader();
+    refreshTransactionResolution_FromTransactionRaw();
+    resolveEntityAliases_TransactionResolution();
+    convertTransactionCurrency_TransactionResolution();
+    normalizeTransactionUnits_TransactionResolution();
+    resolveEffectivePrices_TransactionResolution();
+    refreshItemwiseEffectiveRates_ItemwiseAnalytics();
+    captureTransactionChanges_TransactionRaw();
+
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    /* -------------------------------------
+       LOGGING
+    ------------------------------------- */
+
+    ETI_log_({
+      scriptName: SCRIPT_NAME,
+      functionName: FUNCTION_NAME,
+      level: 'INFO',
+      action: 'PIPELINE END',
+      details: `Pipeline completed successfully | DurationMs=${durationMs}`
+    });
+
+  } catch (err) {
+
+    /* -------------------------------------
+       ERROR LOGGING
+    ------------------------------------- */
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      '',
+      err,
+      'PIPELINE'
+    );
+
+    throw err;
+
+  } finally {
+
+    /* -------------------------------------
+       CRITICAL: Flush buffered logs once
+    ------------------------------------- */
+
+    flushLogs_();
+
+  }
+}
+
+
 /* =========================
    Item Pipeline
    ========================= */
@@ -264,6 +362,193 @@ function pipeline_products_(){
 }
 
 
+/* =========================
+   Category Pipeline
+   ========================= */
+function pipeline_categories_(){
+
+  /* -------------------------------------
+     EXECUTION CONTEXT
+  ------------------------------------- */
+
+  const SCRIPT_NAME = 'Pipeline';
+  const FUNCTION_NAME = 'pipeline_categories_';
+
+  let ctx = getExecutionContext_();
+
+  if (ctx) {
+    /* Existing context → enhance only */
+    ctx.pipeline_name = FUNCTION_NAME;
+    ctx.run_context = "PIPELINE";
+  } else {
+    /* No context → manual execution */
+    initExecutionContext_({
+      pipeline_name: FUNCTION_NAME,
+      run_context: "PIPELINE"
+    });
+  }
+
+  const t0 = new Date();
+
+  try {
+
+    ETI_log_({
+      scriptName: SCRIPT_NAME,
+      functionName: FUNCTION_NAME,
+      level: 'INFO',
+      action: 'PIPELINE START',
+      details: 'Category pipeline execution started'
+    });
+
+    /* -------------------------------------
+       ACTUAL PIPELINE FUNCTIONS
+    ------------------------------------- */
+
+    populateMapping_Item_Category_FromLookupItems();
+    processMapping_Item_Category_StateMachine();
+    populateStagingLookupCategories_FromMappingItemCategory();
+    processStagingCategories_StateMachine();
+    promoteApprovedCategories_FromStaging_ToLookup();
+    backfill_CategoryIDs_Machine_LookupCategories();
+    cleanupOrphan_CategoryIDs_Machine_LookupCategories();
+    processMapping_Item_Category_StateMachine();
+    buildCategorySpendRollup_FromTransactionResolution();
+
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    /* -------------------------------------
+       LOGGING
+    ------------------------------------- */
+
+    ETI_log_({
+      scriptName: SCRIPT_NAME,
+      functionName: FUNCTION_NAME,
+      level: 'INFO',
+      action: 'PIPELINE END',
+      details: `Pipeline completed successfully | DurationMs=${durationMs}`
+    });
+
+  } catch (err) {
+
+    /* -------------------------------------
+       ERROR LOGGING
+    ------------------------------------- */
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      '',
+      err,
+      'PIPELINE'
+    );
+
+    throw err;
+
+  } finally {
+
+    /* -------------------------------------
+       CRITICAL: Flush buffered logs once
+    ------------------------------------- */
+
+    flushLogs_();
+
+  }
+}
+
+
+/* =========================
+   Platform Pipeline
+   ========================= */
+function pipeline_platforms_(){
+
+  /* -------------------------------------
+     EXECUTION CONTEXT
+  ------------------------------------- */
+
+  const SCRIPT_NAME = 'Pipeline';
+  const FUNCTION_NAME = 'pipeline_platforms_';
+
+  let ctx = getExecutionContext_();
+
+  if (ctx) {
+    /* Existing context → enhance only */
+    ctx.pipeline_name = FUNCTION_NAME;
+    ctx.run_context = "PIPELINE";
+  } else {
+    /* No context → manual execution */
+    initExecutionContext_({
+      pipeline_name: FUNCTION_NAME,
+      run_context: "PIPELINE"
+    });
+  }
+
+  const t0 = new Date();
+
+  try {
+
+    ETI_log_({
+      scriptName: SCRIPT_NAME,
+      functionName: FUNCTION_NAME,
+      level: 'INFO',
+      action: 'PIPELINE START',
+      details: 'Platform pipeline execution started'
+    });
+
+    /* -------------------------------------
+       ACTUAL PIPELINE FUNCTIONS
+    ------------------------------------- */
+
+    resolvePlatformIDs_TransactionResolution();
+    populateStagingLookupPlatforms_FromTransactionResolution();
+    processStagingPlatforms_StateMachine();
+    promoteApprovedPlatforms_FromStaging_ToLookup();
+    backfill_PlatformIDs_Machine_LookupPlatforms();
+    cleanupOrphan_PlatformIDs_Machine_LookupPlatforms();
+    resolvePlatformIDs_TransactionResolution();
+    resolvePlatformIDs_ItemEvaluation();
+
+    const durationMs = new Date().getTime() - t0.getTime();
+
+    /* -------------------------------------
+       LOGGING
+    ------------------------------------- */
+
+    ETI_log_({
+      scriptName: SCRIPT_NAME,
+      functionName: FUNCTION_NAME,
+      level: 'INFO',
+      action: 'PIPELINE END',
+      details: `Pipeline completed successfully | DurationMs=${durationMs}`
+    });
+
+  } catch (err) {
+
+    /* -------------------------------------
+       ERROR LOGGING
+    ------------------------------------- */
+
+    ETI_logError_(
+      SCRIPT_NAME,
+      FUNCTION_NAME,
+      '',
+      err,
+      'PIPELINE'
+    );
+
+    throw err;
+
+  } finally {
+
+    /* -------------------------------------
+       CRITICAL: Flush buffered logs once
+    ------------------------------------- */
+
+    flushLogs_();
+
+  }
+}
+
+
 /* =========================
    Item-Brand Mapping Pipeline
    ========================= */
@@ -309,6 +594,8 @@ function pipeline_item_brand_mapping_(){
     populateMapping_Item_Brand_FromTransactionResolution();
     processMapping_Item_Brand_StateMachine();
     cleanupMapping_Item_Brand_InvalidRows();
+    purgeMappingArchive_ExpiredRows();
+    refreshContextDropdowns_FromMappings();
 
     const durationMs = new Date().getTime() - t0.getTime();
 
@@ -396,6 +683,9 @@ function pipeline_item_brand_product_mapping_(){
     populateMapping_Item_Brand_Product_FromTransactionResolution();
     processMapping_Item_Brand_Product_StateMachine();
     cleanupMapping_Item_Brand_Product_InvalidRows();
+    purgeMappingArchive_ExpiredRows();
+    refreshContextDropdowns_FromMappings();
+    validateMappingGraphIntegrity_AllSheets();
 
     const durationMs = new Date().getTime() - t0.getTime();
 
@@ -298,16 +298,44 @@ function automationController_onChange(e){
       "Run_Item_Pipeline": pipeline_items_,
       "Run_Brand_Pipeline": pipeline_brands_,
       "Run_Product_Pipeline": pipeline_products_,
+      "Run_Category_Pipeline": pipeline_categories_,
+      "Run_Platform_Pipeline": pipeline_platforms_,
       "Run_Item_Brand_Mapping_Pipeline": pipeline_item_brand_mapping_,
       "Run_Item_Brand_Product_Mapping_Pipeline": pipeline_item_brand_product_mapping_,
 
+      "Run_Transaction_Quarantine_Reinjection": reinjectQuarantinedTransactions_TransactionRaw,
+      "Run_Duplicate_Detection": detectDuplicateTransactions_TransactionRaw,
+      "Run_Duplicate_Review": processDuplicateReview_StateMachine,
+      "Run_Transaction_Import": importTransactions_FromProfile,
+      "Run_Unit_Normalization": normalizeTransactionUnits_TransactionResolution,
+      "Run_Receipt_Reconciliation": reconcileReceipts_ReceiptHeader,
+      "Run_Effective_Price_Resolution": resolveEffectivePrices_TransactionResolution,
+      "Run_Itemwise_Effective_Rates": refreshItemwiseEffectiveRates_ItemwiseAnalytics,
+      "Run_FX_Rates_Import": importFXRates_FromCsv,
+      "Run_Currency_Conversion": convertTransactionCurrency_TransactionResolution,
+      "Run_Transaction_Change_Capture": captureTransactionChanges_TransactionRaw,
+      "Run_Alias_Resolution": resolveEntityAliases_TransactionResolution,
+      "Run_Entity_Merge": processEntityMerges_FromMergeReview,
+      "Run_Promotion_Rollback": rollbackPromotion,
+      "Run_Category_Spend_Rollup": buildCategorySpendRollup_FromTransactionResolution,
+      "Run_Platform_ID_Resolution": resolvePlatformIDs_TransactionResolution,
+      "Run_Human_ID_Backfill": backfillHumanIDs_AllEntities,
+      "Run_Mapping_Archive_Restore": restoreMappingRows_FromArchive,
+      "Run_Mapping_Archive_Purge": purgeMappingArchive_ExpiredRows,
+      "Run_Mapping_Integrity_Check": validateMappingGraphIntegrity_AllSheets,
+      "Run_Context_Dropdown_Refresh": refreshContextDropdowns_FromMappings,
+
       "Populate_Items_Staging": populateStagingLookupItems_FromTransactionResolution,
       "Populate_Brands_Staging": populateStagingLookupBrands_FromTransactionResolution,
       "Populate_Products_Staging": populateStagingLookupProducts_FromTransactionResolution,
+      "Populate_Categories_Staging": populateStagingLookupCategories_FromMappingItemCategory,
+      "Populate_Platforms_Staging": populateStagingLookupPlatforms_FromTransactionResolution,
 
       "Promote_Items_To_Lookup": promoteApprovedItems_FromStaging_ToLookup,
       "Promote_Brands_To_Lookup": promoteApprovedBrands_FromStaging_ToLookup,
       "Promote_Products_To_Lookup": promoteApprovedProducts_FromStaging_ToLookup,
+      "Promote_Categories_To_Lookup": promoteApprovedCategories_FromStaging_ToLookup,
+      "Promote_Platforms_To_Lookup": promoteApprovedPlatforms_FromStaging_ToLookup,
 
       "Run_Sheets_Metadata_Pipeline": sheets_metadata_pipeline_,
       "Run_Scripts_Metadata_Pipeline": scripts_metadata_pipeline_,